@@ -0,0 +1,175 @@
+/**
+ * 自动筛选
+ * range 为筛选区域 { minRow, maxRow, minCol, maxCol }，首行为标题行（显示下拉按钮），其余为数据行
+ * criteria 为 Map<列索引, 条件>，每列一个条件：
+ *   { values: [显示文本] }            只显示这些值（空单元格为 ''）
+ *   { type: 'contains', text }        文本包含（不区分大小写）
+ *   { type: 'greaterThan', value }    数字大于
+ *   { type: 'top', count, bottom }    最大（bottom 为 true 时最小）的 count 项
+ *   { type: 'dateRange', from, to }   日期介于（日期序列号，包含两端，可省略一端）
+ * hiddenRows 为应用条件时被筛选掉的行，与 Excel 相同，修改数据后不自动重新筛选
+ * 工作表中的对象只整体替换，不原地修改（撤销历史中保存的是对象本身）
+ */
+class AutoFilter {
+    constructor(range, criteria = new Map(), hiddenRows = new Set()) {
+        this.range = { ...range };
+        this.criteria = new Map(criteria);
+        this.hiddenRows = new Set(hiddenRows);
+    }
+
+    isRowFiltered(row) {
+        return this.hiddenRows.has(row);
+    }
+
+    /**
+     * 是否设置了筛选条件
+     */
+    isActive() {
+        return this.criteria.size > 0;
+    }
+
+    /**
+     * 是否为标题行中的单元格（显示下拉按钮）
+     */
+    isHeaderCell(row, col) {
+        return row === this.range.minRow && col >= this.range.minCol && col <= this.range.maxCol;
+    }
+
+    /**
+     * 是否为数据行
+     */
+    isDataRow(row) {
+        return row > this.range.minRow && row <= this.range.maxRow;
+    }
+
+    /**
+     * 按条件筛选数据行，返回新的对象
+     * getCell(row, col) 返回单元格的 { value, text }（值和显示文本）
+     */
+    apply(getCell) {
+        const columns = Array.from(this.criteria, ([col, criterion]) => ({
+            col,
+            criterion,
+            threshold: criterion.type === 'top' ? this.getTopThreshold(col, criterion, getCell) : null
+        }));
+
+        const hiddenRows = new Set();
+        for (let row = this.range.minRow + 1; row <= this.range.maxRow; row++) {
+            const visible = columns.every(({ col, criterion, threshold }) =>
+                AutoFilter.matches(criterion, getCell(row, col), threshold));
+            if (!visible) hiddenRows.add(row);
+        }
+        return new AutoFilter(this.range, this.criteria, hiddenRows);
+    }
+
+    /**
+     * 前 N 项（后 N 项）的临界值，列中没有数字时返回 null
+     */
+    getTopThreshold(col, criterion, getCell) {
+        const numbers = [];
+        for (let row = this.range.minRow + 1; row <= this.range.maxRow; row++) {
+            const { value } = getCell(row, col);
+            if (typeof value === 'number') numbers.push(value);
+        }
+        if (numbers.length === 0) return null;
+
+        numbers.sort((a, b) => criterion.bottom ? a - b : b - a);
+        return numbers[Math.min(criterion.count, numbers.length) - 1];
+    }
+
+    /**
+     * 单元格是否满足条件，threshold 为前 N 项条件的临界值
+     */
+    static matches(criterion, { value, text }, threshold) {
+        if (criterion.values) {
+            return criterion.values.includes(text);
+        }
+        switch (criterion.type) {
+            case 'contains':
+                return text !== '' && text.toLowerCase().includes(criterion.text.toLowerCase());
+            case 'greaterThan':
+                return typeof value === 'number' && value > criterion.value;
+            case 'top':
+                return typeof value === 'number' && threshold !== null &&
+                    (criterion.bottom ? value <= threshold : value >= threshold);
+            case 'dateRange':
+                return typeof value === 'number' &&
+                    (criterion.from === null || criterion.from === undefined || value >= criterion.from) &&
+                    (criterion.to === null || criterion.to === undefined || value < criterion.to + 1);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 列中数据行的不同值 [{ value, text }]，按排序的顺序排列（空值在最后）
+     */
+    getDistinctValues(col, getCell) {
+        const cells = new Map(); // 显示文本 -> 单元格
+        for (let row = this.range.minRow + 1; row <= this.range.maxRow; row++) {
+            const cell = getCell(row, col);
+            if (!cells.has(cell.text)) cells.set(cell.text, cell);
+        }
+        return Array.from(cells.values()).sort((a, b) => RangeSort.compare(a.value, b.value));
+    }
+
+    /**
+     * 插入或删除行列后的筛选（参数与 shiftCellMap 相同），返回新的对象；标题行被删除时返回 null
+     * 被删除的列上的条件一并删除
+     */
+    shift(axis, index, count) {
+        const [min, max] = axis === 'row' ? ['minRow', 'maxRow'] : ['minCol', 'maxCol'];
+        const end = index - count; // 删除时为删除范围的下一行（列）
+        const isDeleted = (position) => count < 0 && position >= index && position < end;
+        const move = (position) => position < index ? position : position + count;
+
+        if (isDeleted(this.range[min]) && (axis === 'row' || this.range[max] < end)) return null;
+
+        const range = { ...this.range };
+        if (count > 0) {
+            if (range[min] >= index) range[min] += count;
+            if (range[max] >= index) range[max] += count;
+        } else {
+            range[min] = isDeleted(range[min]) ? index : move(range[min]);
+            range[max] = range[max] >= end ? range[max] + count : Math.min(range[max], index - 1);
+        }
+
+        let criteria = this.criteria;
+        let hiddenRows = this.hiddenRows;
+        if (axis === 'row') {
+            hiddenRows = new Set();
+            this.hiddenRows.forEach(row => {
+                if (!isDeleted(row)) hiddenRows.add(move(row));
+            });
+        } else {
+            criteria = new Map();
+            this.criteria.forEach((criterion, col) => {
+                if (!isDeleted(col)) criteria.set(move(col), criterion);
+            });
+        }
+        return new AutoFilter(range, criteria, hiddenRows);
+    }
+
+    /**
+     * 排序移动行后的筛选（targets 为 Map<原行, 新行>），被筛选掉的状态随行移动
+     */
+    moveRows(targets) {
+        const hiddenRows = new Set(Array.from(this.hiddenRows, row => targets.has(row) ? targets.get(row) : row));
+        return new AutoFilter(this.range, this.criteria, hiddenRows);
+    }
+
+    /**
+     * 保存用的记录
+     */
+    toRecord() {
+        return {
+            range: { ...this.range },
+            criteria: Array.from(this.criteria),
+            hiddenRows: Array.from(this.hiddenRows)
+        };
+    }
+
+    static fromRecord(record) {
+        return record ? new AutoFilter(record.range, record.criteria, record.hiddenRows) : null;
+    }
+}
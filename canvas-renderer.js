@@ -0,0 +1,788 @@
+/**
+ * Canvas 渲染
+ * 代替单元格元素（td）和行头列头元素，把可见区域的网格线、单元格内容、选区和行头列头绘制到一个画布上，
+ * 用于有数万个非空单元格、DOM 渲染跟不上滚动的工作表
+ * 数据、选区和行列布局（行列偏移量、可见范围、冻结行列）仍由 VirtualExcelSimulator 维护，两种渲染方式共用；
+ * 画布覆盖在表格的可见区域上，每次渲染完整重绘，鼠标位置由 hitTest 换算为单元格、行头列头等部件
+ */
+class CanvasGridRenderer {
+    constructor(simulator, wrapper) {
+        this.simulator = simulator;
+        this.wrapper = wrapper;
+        this.width = 0; // 画布的 CSS 尺寸，与 wrapper 的可见区域相同
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.font = null; // 当前设置的字体，相同时不重复设置
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'grid-canvas';
+        this.context = this.canvas.getContext('2d');
+        wrapper.appendChild(this.canvas);
+
+        // 按指向的部件显示鼠标指针（拖动调整大小、填充柄时使用页面上设置的指针）
+        this.canvas.addEventListener('mousemove', (e) => {
+            const dragging = simulator.isResizing || simulator.fillSource;
+            const hit = dragging ? null : this.hitTest(e.clientX, e.clientY);
+            this.canvas.style.cursor = hit ? CanvasGridRenderer.CURSORS[hit.type] : '';
+        });
+    }
+
+    /**
+     * 重绘画布：只绘制可见的行列，耗时与工作表中非空单元格的总数无关
+     */
+    render() {
+        this.resize();
+        const ctx = this.context;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        this.getPanes().forEach(pane => this.renderPane(pane));
+        this.renderHeaders();
+    }
+
+    /**
+     * 画布尺寸跟随 wrapper 的可见区域（不含滚动条），按设备像素比提高分辨率
+     */
+    resize() {
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return;
+
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+        this.font = null; // 改变尺寸后画布的状态被重置
+    }
+
+    /**
+     * 行所在窗格在画布中的纵向范围 [start, end) 和原点：行的位置为原点加上行偏移量，冻结的行不随滚动移动
+     */
+    getRowSpan(row) {
+        const s = this.simulator;
+        const top = CanvasGridRenderer.COLUMN_HEADER_HEIGHT;
+        const frozenBottom = top + s.rowOffsets[s.frozenRows];
+        return row < s.frozenRows
+            ? { start: top, end: frozenBottom, origin: top }
+            : { start: frozenBottom, end: this.height, origin: top - s.scrollTop };
+    }
+
+    /**
+     * 列所在窗格在画布中的横向范围和原点（见 getRowSpan）
+     */
+    getColumnSpan(col) {
+        const s = this.simulator;
+        const left = CanvasGridRenderer.ROW_HEADER_WIDTH;
+        const frozenRight = left + s.columnOffsets[s.frozenColumns];
+        return col < s.frozenColumns
+            ? { start: left, end: frozenRight, origin: left }
+            : { start: frozenRight, end: this.width, origin: left - s.scrollLeft };
+    }
+
+    /**
+     * 滚动区域和冻结窗格（顶部行、左侧列、左上角）的行列范围，与 renderVisibleCells 渲染的四个表格相同
+     */
+    getPanes() {
+        const s = this.simulator;
+        const rows = [[0, s.frozenRows - 1], [s.visibleStartRow, s.visibleEndRow]];
+        const columns = [[0, s.frozenColumns - 1], [s.visibleStartColumn, s.visibleEndColumn]];
+        const panes = [];
+        rows.forEach(([startRow, endRow]) => {
+            if (startRow > endRow) return;
+            columns.forEach(([startCol, endCol]) => {
+                if (startCol > endCol) return;
+                panes.push({
+                    startRow, endRow, startCol, endCol,
+                    rowSpan: this.getRowSpan(startRow),
+                    columnSpan: this.getColumnSpan(startCol)
+                });
+            });
+        });
+        return panes;
+    }
+
+    /**
+     * 区域在画布中的矩形，rowSpan / columnSpan 为绘制时所在的窗格（省略时按区域左上角所在的窗格）
+     */
+    getAreaRect(area, rowSpan = this.getRowSpan(area.minRow), columnSpan = this.getColumnSpan(area.minCol)) {
+        const s = this.simulator;
+        const left = columnSpan.origin + s.columnOffsets[area.minCol];
+        const top = rowSpan.origin + s.rowOffsets[area.minRow];
+        const width = s.columnOffsets[area.maxCol + 1] - s.columnOffsets[area.minCol];
+        const height = s.rowOffsets[area.maxRow + 1] - s.rowOffsets[area.minRow];
+        return { left, top, right: left + width, bottom: top + height, width, height };
+    }
+
+    /**
+     * 绘制一个窗格：先确定单元格的内容和文本延伸的范围，再依次绘制背景、网格线、文本、边框等和选区
+     */
+    renderPane(pane) {
+        const ctx = this.context;
+        const { rowSpan, columnSpan } = pane;
+        const cells = this.layoutCells(pane);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(columnSpan.start, rowSpan.start, columnSpan.end - columnSpan.start, rowSpan.end - rowSpan.start);
+        ctx.clip();
+        cells.forEach(cell => this.drawBackground(cell));
+        cells.forEach(cell => this.drawGridlines(cell));
+        cells.forEach(cell => this.drawText(cell));
+        cells.forEach(cell => this.drawDecorations(cell));
+        this.drawSelection(cells);
+        this.drawCopySource(cells);
+        this.restore();
+    }
+
+    /**
+     * 窗格中要绘制的单元格（合并区域为一个单元格，与 renderCells 相同），键为左上角的单元格键
+     */
+    layoutCells(pane) {
+        const s = this.simulator;
+        const { startRow, endRow, startCol, endCol, rowSpan, columnSpan } = pane;
+        const merges = s.merges.intersecting({ minRow: startRow, maxRow: endRow, minCol: startCol, maxCol: endCol });
+        const findMerge = (row, col) => merges.find(range => SelectionModel.rangeContains(range, row, col));
+
+        const cells = new Map();
+        for (let row = startRow; row <= endRow; row++) {
+            for (let col = startCol; col <= endCol; col++) {
+                let area = { minRow: row, maxRow: row, minCol: col, maxCol: col };
+                const merge = merges.length > 0 ? findMerge(row, col) : null;
+                if (merge) {
+                    if (row !== Math.max(merge.minRow, startRow) || col !== Math.max(merge.minCol, startCol)) continue;
+                    area = merge;
+                }
+
+                const rect = this.getAreaRect(area, rowSpan, columnSpan);
+                if (rect.width === 0 || rect.height === 0) continue; // 隐藏的行列
+                cells.set(`${area.minRow}-${area.minCol}`, this.createCell(area, rect));
+            }
+        }
+
+        cells.forEach(cell => this.layoutText(cell, cells));
+        return cells;
+    }
+
+    /**
+     * 单元格的值、显示文本、样式和条件格式
+     */
+    createCell(area, rect) {
+        const s = this.simulator;
+        const { minRow: row, minCol: col } = area;
+        const cellKey = `${row}-${col}`;
+        const style = s.styles.get(cellKey) || {};
+        const value = s.getCellValue(row, col);
+        const text = s.getCellDisplayText(row, col, value);
+        const format = s.getConditionalFormat(row, col, value, text) || {};
+
+        // 对齐：样式中的对齐方式优先，其次按值的类型（见 applyValueAlignment），有图标时文本靠右
+        let align = style.horizontalAlign;
+        if (!align) {
+            if (format.icon || typeof value === 'number') {
+                align = 'right';
+            } else if (typeof value === 'boolean' || value instanceof FormulaError) {
+                align = 'center';
+            } else {
+                align = 'left';
+            }
+        }
+
+        const fontSize = style.fontSize ? style.fontSize * 4 / 3 : CanvasGridRenderer.FONT_SIZE;
+        return {
+            area, rect, row, col, value, text, style, format, align, fontSize,
+            font: `${style.italic ? 'italic ' : ''}${style.bold ? 'bold ' : ''}${fontSize}px ${CanvasGridRenderer.FONT_FAMILY}`,
+            color: format.color || NumberFormat.getColor(value, style.numberFormat) || style.fontColor || '#000',
+            isEmpty: !s.data.get(cellKey),
+            textLeft: rect.left, // 文本的绘制范围，超出单元格时向为空的相邻单元格延伸（见 layoutText）
+            textRight: rect.right,
+            hideRightGridline: false
+        };
+    }
+
+    /**
+     * 文本超出单元格时向为空的相邻单元格延伸：左对齐向右、右对齐向左、居中向两侧
+     * 只有未合并、不自动换行的文本可以延伸，数字等其他类型的值在单元格边缘截断；延伸经过的网格线不绘制
+     * 相邻单元格只在同一窗格的可见范围内查找
+     */
+    layoutText(cell, cells) {
+        if (!cell.text || typeof cell.value !== 'string' || cell.style.wrapText || cell.format.icon) return;
+        if (cell.area.maxRow > cell.row || cell.area.maxCol > cell.col) return;
+
+        this.setFont(cell.font);
+        cell.textWidth = this.context.measureText(cell.text).width;
+        const overflow = cell.textWidth + 2 * CanvasGridRenderer.PADDING_X + 1 - cell.rect.width;
+        if (overflow <= 0) return;
+
+        const extend = (step, needed) => {
+            const passed = [];
+            let extra = 0;
+            for (let col = cell.col + step; extra < needed; col += step) {
+                const neighbor = cells.get(`${cell.row}-${col}`);
+                if (!neighbor || !neighbor.isEmpty || neighbor.area.maxRow > cell.row || neighbor.area.maxCol > col) break;
+                passed.push(neighbor);
+                extra += neighbor.rect.width;
+            }
+            return passed;
+        };
+        const needed = cell.align === 'center' ? overflow / 2 : overflow;
+        if (cell.align !== 'left') {
+            const passed = extend(-1, needed);
+            if (passed.length > 0) {
+                passed.forEach(neighbor => { neighbor.hideRightGridline = true; });
+                cell.textLeft = passed[passed.length - 1].rect.left;
+            }
+        }
+        if (cell.align !== 'right') {
+            const passed = extend(1, needed);
+            if (passed.length > 0) {
+                [cell, ...passed.slice(0, -1)].forEach(neighbor => { neighbor.hideRightGridline = true; });
+                cell.textRight = passed[passed.length - 1].rect.right;
+            }
+        }
+    }
+
+    setFont(font) {
+        if (this.font === font) return;
+        this.context.font = font;
+        this.font = font;
+    }
+
+    /**
+     * 恢复保存的绘图状态，字体随之恢复，因此清除 setFont 记录的字体
+     */
+    restore() {
+        this.context.restore();
+        this.font = null;
+    }
+
+    /**
+     * 背景：条件格式的背景色优先于填充色，数据条从左侧绘制
+     */
+    drawBackground(cell) {
+        const ctx = this.context;
+        const { rect, format } = cell;
+        const fill = format.fill || cell.style.fillColor;
+        if (fill) {
+            ctx.fillStyle = fill;
+            ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+        }
+        if (format.bar) {
+            ctx.fillStyle = format.bar.color;
+            ctx.fillRect(rect.left, rect.top, rect.width * format.bar.width, rect.height);
+        }
+    }
+
+    /**
+     * 网格线：与单元格元素相同，每个单元格绘制右侧和下方的 1 像素边线
+     */
+    drawGridlines(cell) {
+        const ctx = this.context;
+        const { rect } = cell;
+        ctx.fillStyle = CanvasGridRenderer.GRIDLINE_COLOR;
+        ctx.fillRect(rect.left, rect.bottom - 1, rect.width, 1);
+        if (!cell.hideRightGridline) ctx.fillRect(rect.right - 1, rect.top, 1, rect.height);
+    }
+
+    /**
+     * 单元格文本：按对齐方式和自动换行排列，超出绘制范围的部分被截断
+     */
+    drawText(cell) {
+        if (!cell.text) return;
+        const ctx = this.context;
+        const { rect, style, fontSize } = cell;
+        const paddingX = CanvasGridRenderer.PADDING_X;
+        const paddingY = CanvasGridRenderer.PADDING_Y;
+        this.setFont(cell.font);
+
+        const contentWidth = rect.width - 2 * paddingX - 1;
+        const lines = style.wrapText ? this.wrapText(cell.text, contentWidth) : [cell.text];
+        const lineHeight = Math.round(fontSize * 1.2);
+        const blockHeight = lines.length * lineHeight;
+        let top;
+        if (style.verticalAlign === 'top') {
+            top = rect.top + paddingY;
+        } else if (style.verticalAlign === 'bottom') {
+            top = rect.bottom - 1 - paddingY - blockHeight;
+        } else {
+            top = (rect.top + rect.bottom - 1 - blockHeight) / 2;
+        }
+
+        // 文本可能超出绘制范围时才设置裁剪区域
+        const textWidth = cell.textWidth !== undefined ? cell.textWidth : ctx.measureText(cell.text).width;
+        const clipped = blockHeight > rect.height || textWidth > cell.textRight - cell.textLeft - 2 * paddingX - 1;
+        if (clipped) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(cell.textLeft, rect.top, cell.textRight - cell.textLeft, rect.height);
+            ctx.clip();
+        }
+
+        ctx.fillStyle = cell.color;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = cell.align;
+        let x;
+        if (cell.align === 'right') {
+            x = rect.right - 1 - paddingX;
+        } else if (cell.align === 'center') {
+            x = (rect.left + rect.right - 1) / 2;
+        } else {
+            x = rect.left + paddingX;
+        }
+        lines.forEach((line, index) => {
+            const y = top + (index + 0.5) * lineHeight;
+            ctx.fillText(line, x, y);
+            if (style.underline || style.strikethrough) {
+                const width = lines.length === 1 ? textWidth : ctx.measureText(line).width;
+                let start = x;
+                if (cell.align === 'right') start = x - width;
+                if (cell.align === 'center') start = x - width / 2;
+                const thickness = Math.max(1, Math.round(fontSize / 16));
+                if (style.underline) ctx.fillRect(start, Math.round(y + fontSize * 0.45), width, thickness);
+                if (style.strikethrough) ctx.fillRect(start, Math.round(y), width, thickness);
+            }
+        });
+
+        if (clipped) this.restore();
+    }
+
+    /**
+     * 自动换行：按换行符分段，每段在超出宽度处的最后一个空格后折行，
+     * 一行中没有空格（单词过长或中文）时在超出宽度的字符处折行（与 overflow-wrap: anywhere 相同）
+     */
+    wrapText(text, width) {
+        const ctx = this.context;
+        const lines = [];
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            let lastBreak = 0; // 行中最后一个空格之后的位置
+            for (const char of paragraph) {
+                if (line && char !== ' ' && ctx.measureText(line + char).width > width) {
+                    if (lastBreak > 0) {
+                        lines.push(line.slice(0, lastBreak).trimEnd());
+                        line = line.slice(lastBreak);
+                    } else {
+                        lines.push(line);
+                        line = '';
+                    }
+                    lastBreak = 0;
+                }
+                line += char;
+                if (char === ' ') lastBreak = line.length;
+            }
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * 边框、条件格式图标、无效数据的圈释和自动筛选的下拉按钮
+     */
+    drawDecorations(cell) {
+        const s = this.simulator;
+        const ctx = this.context;
+        const { rect, style, format } = cell;
+
+        if (style.borders) {
+            ctx.fillStyle = '#000';
+            if (style.borders.top) ctx.fillRect(rect.left, rect.top, rect.width, 1);
+            if (style.borders.bottom) ctx.fillRect(rect.left, rect.bottom - 1, rect.width, 1);
+            if (style.borders.left) ctx.fillRect(rect.left, rect.top, 1, rect.height);
+            if (style.borders.right) ctx.fillRect(rect.right - 1, rect.top, 1, rect.height);
+        }
+
+        if (format.icon) {
+            this.setFont(`12px ${CanvasGridRenderer.FONT_FAMILY}`);
+            ctx.fillStyle = format.icon.color;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(format.icon.symbol, rect.left + CanvasGridRenderer.PADDING_X, (rect.top + rect.bottom - 1) / 2);
+        }
+
+        if (s.showInvalidData && s.isInvalidCell(cell.row, cell.col, cell.value)) {
+            ctx.strokeStyle = '#e02020';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.ellipse((rect.left + rect.right) / 2, (rect.top + rect.bottom) / 2,
+                Math.max(0, rect.width / 2 - 2), Math.max(0, rect.height / 2 - 2), 0, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+
+        if (s.autoFilter && s.autoFilter.isHeaderCell(cell.row, cell.col)) {
+            const button = CanvasGridRenderer.getFilterButtonRect(rect);
+            const color = s.autoFilter.criteria.has(cell.col) ? '#0078d4' : null;
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(button.left, button.top, button.width, button.height);
+            ctx.strokeStyle = color || '#ccc';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(button.left + 0.5, button.top + 0.5, button.width - 1, button.height - 1);
+            this.setFont(`12px ${CanvasGridRenderer.FONT_FAMILY}`);
+            ctx.fillStyle = color || '#555';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('▾', button.left + button.width / 2, button.top + button.height / 2);
+        }
+    }
+
+    /**
+     * 选区：选中的单元格叠加一层选中色，与未选中的单元格相邻的一侧绘制粗边框（与 applySmartBorders 相同），
+     * 选区右下角的单元格上绘制填充柄
+     */
+    drawSelection(cells) {
+        const s = this.simulator;
+        if (s.selection.isEmpty()) return;
+        const ctx = this.context;
+        const single = s.isSingleCellSelected();
+        const source = s.getFillSource();
+        const width = 2;
+
+        cells.forEach(({ area, rect }) => {
+            const { minRow: row, minCol: col } = area;
+            if (!s.selection.contains(row, col)) return;
+
+            ctx.fillStyle = single ? 'rgba(0, 120, 212, 0.2)' : 'rgba(0, 120, 212, 0.1)';
+            ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+
+            ctx.fillStyle = CanvasGridRenderer.SELECTION_COLOR;
+            if (!s.selection.contains(area.minRow - 1, col)) ctx.fillRect(rect.left, rect.top, rect.width, width);
+            if (!s.selection.contains(area.maxRow + 1, col)) ctx.fillRect(rect.left, rect.bottom - width, rect.width, width);
+            if (!s.selection.contains(row, area.minCol - 1)) ctx.fillRect(rect.left, rect.top, width, rect.height);
+            if (!s.selection.contains(row, area.maxCol + 1)) ctx.fillRect(rect.right - width, rect.top, width, rect.height);
+
+            if (source && area.maxRow === source.maxRow && area.maxCol === source.maxCol) {
+                const handle = CanvasGridRenderer.getFillHandleRect(rect);
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(handle.left, handle.top, handle.width, handle.height);
+                ctx.fillStyle = CanvasGridRenderer.SELECTION_COLOR;
+                ctx.fillRect(handle.left + 1, handle.top + 1, handle.width - 2, handle.height - 2);
+            }
+        });
+    }
+
+    /**
+     * 复制/剪切源区域的虚线边框（绘制在区域边缘的单元格上，见 applyCopySourceBorders）
+     */
+    drawCopySource(cells) {
+        const s = this.simulator;
+        const source = s.copySource;
+        if (!source || source.sheet !== s.activeSheet) return;
+        const ctx = this.context;
+
+        ctx.save();
+        ctx.strokeStyle = CanvasGridRenderer.SELECTION_COLOR;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        cells.forEach(({ area, rect }) => {
+            if (!SelectionModel.rangeContains(source, area.minRow, area.minCol)) return;
+            if (area.minRow === source.minRow) {
+                ctx.moveTo(rect.left, rect.top + 1);
+                ctx.lineTo(rect.right, rect.top + 1);
+            }
+            if (area.maxRow === source.maxRow) {
+                ctx.moveTo(rect.left, rect.bottom - 1);
+                ctx.lineTo(rect.right, rect.bottom - 1);
+            }
+            if (area.minCol === source.minCol) {
+                ctx.moveTo(rect.left + 1, rect.top);
+                ctx.lineTo(rect.left + 1, rect.bottom);
+            }
+            if (area.maxCol === source.maxCol) {
+                ctx.moveTo(rect.right - 1, rect.top);
+                ctx.lineTo(rect.right - 1, rect.bottom);
+            }
+        });
+        ctx.stroke();
+        this.restore();
+    }
+
+    /**
+     * 行头列头、左上角和冻结窗格的分隔线
+     */
+    renderHeaders() {
+        const s = this.simulator;
+        const ctx = this.context;
+        const headerWidth = CanvasGridRenderer.ROW_HEADER_WIDTH;
+        const headerHeight = CanvasGridRenderer.COLUMN_HEADER_HEIGHT;
+
+        ctx.fillStyle = CanvasGridRenderer.HEADER_BACKGROUND;
+        ctx.fillRect(0, 0, this.width, headerHeight);
+        ctx.fillRect(0, 0, headerWidth, this.height);
+
+        // 冻结的行列和可见范围内的行列，各自在所在窗格的范围内绘制
+        [[0, s.frozenColumns - 1], [s.visibleStartColumn, s.visibleEndColumn]].forEach(([start, end]) => {
+            if (start > end) return;
+            const span = this.getColumnSpan(start);
+            this.clip(span.start, 0, span.end - span.start, headerHeight, () => {
+                for (let col = start; col <= end; col++) {
+                    if (s.isColumnHidden(col)) continue;
+                    const left = span.origin + s.columnOffsets[col];
+                    this.drawHeader('column', col, { left, top: 0, width: s.columnWidths[col], height: headerHeight });
+                }
+            });
+        });
+        [[0, s.frozenRows - 1], [s.visibleStartRow, s.visibleEndRow]].forEach(([start, end]) => {
+            if (start > end) return;
+            const span = this.getRowSpan(start);
+            this.clip(0, span.start, headerWidth, span.end - span.start, () => {
+                for (let row = start; row <= end; row++) {
+                    if (s.isRowHidden(row)) continue;
+                    const top = span.origin + s.rowOffsets[row];
+                    this.drawHeader('row', row, { left: 0, top, width: headerWidth, height: s.rowHeights[row] });
+                }
+            });
+        });
+
+        ctx.fillStyle = CanvasGridRenderer.GRIDLINE_COLOR;
+        ctx.fillRect(0, headerHeight - 1, this.width, 1);
+        ctx.fillRect(headerWidth - 1, 0, 1, this.height);
+
+        // 冻结窗格的分隔线贯穿行头列头
+        ctx.fillStyle = '#9aa0a6';
+        if (s.frozenColumns > 0) ctx.fillRect(headerWidth + s.columnOffsets[s.frozenColumns], 0, 1, this.height);
+        if (s.frozenRows > 0) ctx.fillRect(0, headerHeight + s.rowOffsets[s.frozenRows], this.width, 1);
+
+        // 左上角（点击全选）
+        ctx.fillStyle = CanvasGridRenderer.HEADER_BACKGROUND;
+        ctx.fillRect(0, 0, headerWidth - 1, headerHeight - 1);
+    }
+
+    /**
+     * 在裁剪区域中执行绘制
+     */
+    clip(left, top, width, height, draw) {
+        const ctx = this.context;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, width, height);
+        ctx.clip();
+        draw();
+        this.restore();
+    }
+
+    /**
+     * 绘制一个行头（列头）：整行/整列选中和部分选中时的颜色与 .selected / .cell-highlighted 相同，
+     * 筛选区域中显示的数据行的行号为蓝色，前面有隐藏的行列时在边缘绘制取消隐藏的标记
+     */
+    drawHeader(axis, index, rect) {
+        const s = this.simulator;
+        const ctx = this.context;
+        const isColumn = axis === 'column';
+        const selected = isColumn ? s.selection.isColumnSelected(index) : s.selection.isRowSelected(index);
+        const highlighted = !selected && (isColumn ? s.selection.intersectsColumn(index) : s.selection.intersectsRow(index));
+        const filtered = !isColumn && s.autoFilter && s.autoFilter.isActive() && s.autoFilter.isDataRow(index);
+
+        if (selected || highlighted) {
+            ctx.fillStyle = selected ? '#0078d4' : '#b3d9ff';
+            ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+        }
+        ctx.fillStyle = CanvasGridRenderer.GRIDLINE_COLOR;
+        if (isColumn) {
+            ctx.fillRect(rect.left + rect.width - 1, rect.top, 1, rect.height);
+        } else {
+            ctx.fillRect(rect.left, rect.top + rect.height - 1, rect.width, 1);
+        }
+
+        this.setFont(`600 16px ${CanvasGridRenderer.FONT_FAMILY}`);
+        if (filtered) {
+            ctx.fillStyle = '#0078d4';
+        } else {
+            ctx.fillStyle = selected ? '#fff' : (highlighted ? '#003d73' : '#000');
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(isColumn ? s.getColumnName(index) : String(index + 1),
+            rect.left + rect.width / 2, rect.top + rect.height / 2);
+
+        const hidden = isColumn ? s.hiddenColumns : s.hiddenRows;
+        if (index > 0 && hidden.has(index - 1)) {
+            ctx.fillStyle = '#666';
+            if (isColumn) {
+                ctx.fillRect(rect.left - 3, rect.top, 1, rect.height);
+                ctx.fillRect(rect.left + 1, rect.top, 1, rect.height);
+            } else {
+                ctx.fillRect(rect.left, rect.top - 3, rect.width, 1);
+                ctx.fillRect(rect.left, rect.top + 1, rect.width, 1);
+            }
+        }
+    }
+
+    /**
+     * 画布中的纵坐标所在的行，在列头上或超出最后一行时返回 -1
+     */
+    rowAt(y) {
+        const s = this.simulator;
+        const top = CanvasGridRenderer.COLUMN_HEADER_HEIGHT;
+        if (y < top) return -1;
+        const frozenHeight = s.rowOffsets[s.frozenRows];
+        const offset = y - top < frozenHeight ? y - top : y - top + s.scrollTop;
+        return offset < s.rowOffsets[s.rowOffsets.length - 1] ? s.findRowByOffset(offset) : -1;
+    }
+
+    /**
+     * 画布中的横坐标所在的列（见 rowAt）
+     */
+    columnAt(x) {
+        const s = this.simulator;
+        const left = CanvasGridRenderer.ROW_HEADER_WIDTH;
+        if (x < left) return -1;
+        const frozenWidth = s.columnOffsets[s.frozenColumns];
+        const offset = x - left < frozenWidth ? x - left : x - left + s.scrollLeft;
+        return offset < s.columnOffsets[s.columnOffsets.length - 1] ? s.findColumnByOffset(offset) : -1;
+    }
+
+    /**
+     * 页面坐标处的表格部件（见 VirtualExcelSimulator.getPointerTarget），不在表格上时返回 null
+     * 行列通过 findRowByOffset / findColumnByOffset 查找，合并区域中的单元格返回其左上角
+     */
+    hitTest(clientX, clientY) {
+        const s = this.simulator;
+        const bounds = this.canvas.getBoundingClientRect();
+        const x = clientX - bounds.left;
+        const y = clientY - bounds.top;
+        const headerWidth = CanvasGridRenderer.ROW_HEADER_WIDTH;
+        const headerHeight = CanvasGridRenderer.COLUMN_HEADER_HEIGHT;
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+        if (x < headerWidth && y < headerHeight) return { type: 'corner' };
+        if (y < headerHeight) return this.hitHeader('column', x);
+        if (x < headerWidth) return this.hitHeader('row', y);
+
+        const row = this.rowAt(y);
+        const col = this.columnAt(x);
+        if (row < 0 || col < 0) return null;
+        const area = s.merges.find(row, col) || { minRow: row, maxRow: row, minCol: col, maxCol: col };
+        const rect = this.getAreaRect(area);
+        const inside = (box) => x >= box.left && x < box.left + box.width && y >= box.top && y < box.top + box.height;
+
+        if (s.autoFilter && s.autoFilter.isHeaderCell(area.minRow, area.minCol)) {
+            const button = CanvasGridRenderer.getFilterButtonRect(rect);
+            if (inside(button)) {
+                return { type: 'filterButton', col: area.minCol, rect: this.toClientRect(button, bounds) };
+            }
+        }
+        const source = s.getFillSource();
+        if (source && area.maxRow === source.maxRow && area.maxCol === source.maxCol &&
+            s.selection.contains(area.minRow, area.minCol) && inside(CanvasGridRenderer.getFillHandleRect(rect))) {
+            return { type: 'fillHandle' };
+        }
+        return { type: 'cell', row: area.minRow, col: area.minCol };
+    }
+
+    /**
+     * 行头（列头）上的部件，范围与 DOM 渲染的元素相同：
+     * 取消隐藏的标记为边缘前 3 像素到后 2 像素，调整大小的手柄为右（下）边缘前 5 像素到后 3 像素，标记优先
+     */
+    hitHeader(axis, position) {
+        const s = this.simulator;
+        const isColumn = axis === 'column';
+        const index = isColumn ? this.columnAt(position) : this.rowAt(position);
+        if (index < 0) return null;
+
+        const offsets = isColumn ? s.columnOffsets : s.rowOffsets;
+        const isHidden = (i) => isColumn ? s.isColumnHidden(i) : s.isRowHidden(i);
+        const hidden = isColumn ? s.hiddenColumns : s.hiddenRows;
+        const span = isColumn ? this.getColumnSpan(index) : this.getRowSpan(index);
+        const start = span.origin + offsets[index];
+        const end = span.origin + offsets[index + 1];
+
+        // 后面（前面）紧邻的显示的行列
+        let next = index + 1;
+        while (next < offsets.length - 1 && isHidden(next)) next++;
+        let previous = index - 1;
+        while (previous >= 0 && isHidden(previous)) previous--;
+
+        if (next < offsets.length - 1 && hidden.has(next - 1) && position >= end - 3) {
+            return { type: 'unhide', axis, index: next - 1 };
+        }
+        if (index > 0 && hidden.has(index - 1) && position < start + 2) {
+            return { type: 'unhide', axis, index: index - 1 };
+        }
+        const resizeType = isColumn ? 'columnResize' : 'rowResize';
+        if (position >= end - 5) return { type: resizeType, index };
+        if (previous >= 0 && position < start + 3) return { type: resizeType, index: previous };
+        return isColumn ? { type: 'columnHeader', col: index } : { type: 'rowHeader', row: index };
+    }
+
+    /**
+     * 单元格（合并区域）在页面中的位置和尺寸，与 getCellElement 相同，不在渲染范围（冻结的行列和可见范围）内时返回 null
+     */
+    getCellRect(row, col) {
+        const s = this.simulator;
+        const area = s.merges.find(row, col) || { minRow: row, maxRow: row, minCol: col, maxCol: col };
+        const rect = this.getAreaRect(area);
+        const rowsRendered = area.minRow < s.frozenRows ||
+            (area.maxRow >= s.visibleStartRow && area.minRow <= s.visibleEndRow);
+        const columnsRendered = area.minCol < s.frozenColumns ||
+            (area.maxCol >= s.visibleStartColumn && area.minCol <= s.visibleEndColumn);
+        if (rect.width === 0 || rect.height === 0 || !rowsRendered || !columnsRendered) return null;
+        return this.toClientRect(rect, this.canvas.getBoundingClientRect());
+    }
+
+    /**
+     * 行头（列头）在页面中的位置和尺寸（不在可见区域内时也按行列偏移量计算）
+     */
+    getHeaderRect(axis, index) {
+        const s = this.simulator;
+        const rect = axis === 'column'
+            ? {
+                left: this.getColumnSpan(index).origin + s.columnOffsets[index], top: 0,
+                width: s.columnWidths[index], height: CanvasGridRenderer.COLUMN_HEADER_HEIGHT
+            }
+            : {
+                left: 0, top: this.getRowSpan(index).origin + s.rowOffsets[index],
+                width: CanvasGridRenderer.ROW_HEADER_WIDTH, height: s.rowHeights[index]
+            };
+        return this.toClientRect(rect, this.canvas.getBoundingClientRect());
+    }
+
+    /**
+     * 画布中的矩形换算为页面坐标（与 getBoundingClientRect 的结果格式相同）
+     */
+    toClientRect(rect, bounds) {
+        const left = bounds.left + rect.left;
+        const top = bounds.top + rect.top;
+        return { left, top, right: left + rect.width, bottom: top + rect.height, width: rect.width, height: rect.height };
+    }
+
+    /**
+     * 自动筛选下拉按钮：单元格右侧 16×16 的方块，与 .filter-button 相同
+     */
+    static getFilterButtonRect(rect) {
+        return { left: rect.right - 19, top: Math.round((rect.top + rect.bottom - 1) / 2) - 8, width: 16, height: 16 };
+    }
+
+    /**
+     * 填充柄：单元格右下角 8×8 的方块（白色边框）
+     */
+    static getFillHandleRect(rect) {
+        return { left: rect.right - 9, top: rect.bottom - 9, width: 8, height: 8 };
+    }
+}
+
+// 布局和外观，与 style.css 中行头列头、单元格的样式一致
+CanvasGridRenderer.ROW_HEADER_WIDTH = 60;
+CanvasGridRenderer.COLUMN_HEADER_HEIGHT = 30;
+CanvasGridRenderer.PADDING_X = 4;
+CanvasGridRenderer.PADDING_Y = 2;
+CanvasGridRenderer.FONT_SIZE = 16;
+CanvasGridRenderer.FONT_FAMILY = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+CanvasGridRenderer.GRIDLINE_COLOR = '#dee2e6';
+CanvasGridRenderer.HEADER_BACKGROUND = '#e9ecef';
+CanvasGridRenderer.SELECTION_COLOR = '#0078d4';
+
+// 指向各部件时的鼠标指针
+CanvasGridRenderer.CURSORS = {
+    cell: 'cell',
+    corner: 'pointer',
+    columnHeader: 'pointer',
+    rowHeader: 'pointer',
+    columnResize: 'col-resize',
+    rowResize: 'row-resize',
+    unhide: 'pointer',
+    filterButton: 'pointer',
+    fillHandle: 'crosshair'
+};
@@ -0,0 +1,29 @@
+/**
+ * 单元格查找
+ * 按查找选项匹配和替换单元格文本：
+ *   text        查找内容
+ *   matchCase   区分大小写
+ *   wholeCell   单元格匹配（整个单元格的内容等于查找内容）
+ *   regex       查找内容为正则表达式，替换内容中可以用 $1 等引用分组
+ * 正则表达式无效时构造函数抛出 SyntaxError
+ */
+class CellSearch {
+    constructor({ text, matchCase = false, wholeCell = false, regex = false }) {
+        let source = regex ? text : text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (wholeCell) source = `^(?:${source})$`;
+        this.regex = regex;
+        this.pattern = new RegExp(source, matchCase ? '' : 'i');
+    }
+
+    matches(text) {
+        return this.pattern.test(text);
+    }
+
+    /**
+     * 替换文本中所有匹配的部分
+     */
+    replace(text, replacement) {
+        const pattern = new RegExp(this.pattern.source, this.pattern.flags + 'g');
+        return this.regex ? text.replace(pattern, replacement) : text.replace(pattern, () => replacement);
+    }
+}
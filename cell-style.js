@@ -0,0 +1,78 @@
+/**
+ * 单元格样式
+ * 样式对象与 XLSX 模型一致：{ bold, italic, underline, strikethrough, fontSize(磅), fontColor, fillColor,
+ *   horizontalAlign(left/center/right), verticalAlign(top/middle/bottom), wrapText, borders: { top, right, bottom, left }, numberFormat }
+ * 样式对象创建后不再修改（修改时生成新对象），因此可以在单元格之间共享，并按对象缓存对应的CSS
+ */
+class CellStyle {
+    /**
+     * 在样式上应用修改，值为 null / false 的属性被移除；结果为空时返回 null
+     */
+    static merge(style, changes) {
+        const result = { ...(style || {}), ...changes };
+        Object.keys(result).forEach(name => {
+            if (result[name] === null || result[name] === false || result[name] === undefined) {
+                delete result[name];
+            }
+        });
+        if (result.borders && Object.keys(result.borders).length === 0) {
+            delete result.borders;
+        }
+        return Object.keys(result).length > 0 ? result : null;
+    }
+
+    /**
+     * 样式对应的内联CSS属性（按样式对象缓存，渲染时直接赋值）
+     * 边框用内阴影绘制，不占用选区边框使用的 border 属性
+     */
+    static toCss(style) {
+        let css = CellStyle.cssCache.get(style);
+        if (css) return css;
+
+        css = {};
+        if (style.bold) css.fontWeight = 'bold';
+        if (style.italic) css.fontStyle = 'italic';
+        const decorations = [];
+        if (style.underline) decorations.push('underline');
+        if (style.strikethrough) decorations.push('line-through');
+        if (decorations.length > 0) css.textDecoration = decorations.join(' ');
+        if (style.fontSize) css.fontSize = style.fontSize + 'pt';
+        if (style.fontColor) css.color = style.fontColor;
+        if (style.fillColor) css.backgroundColor = style.fillColor;
+
+        const justify = { left: 'flex-start', center: 'center', right: 'flex-end' };
+        if (style.horizontalAlign) {
+            css.justifyContent = justify[style.horizontalAlign];
+            css.textAlign = style.horizontalAlign;
+        }
+        const align = { top: 'flex-start', middle: 'center', bottom: 'flex-end' };
+        if (style.verticalAlign) css.alignItems = align[style.verticalAlign];
+        if (style.wrapText) {
+            css.whiteSpace = 'normal';
+            css.overflowWrap = 'anywhere';
+        }
+
+        if (style.borders) {
+            const shadows = [];
+            if (style.borders.top) shadows.push('inset 0 1px 0 #000');
+            if (style.borders.bottom) shadows.push('inset 0 -1px 0 #000');
+            if (style.borders.left) shadows.push('inset 1px 0 0 #000');
+            if (style.borders.right) shadows.push('inset -1px 0 0 #000');
+            if (shadows.length > 0) css.boxShadow = shadows.join(', ');
+        }
+
+        CellStyle.cssCache.set(style, css);
+        return css;
+    }
+
+    /**
+     * 将样式应用到单元格元素（元素为新建的，未设置过样式）
+     */
+    static apply(td, style) {
+        if (!style) return;
+        Object.assign(td.style, CellStyle.toCss(style));
+        if (style.fillColor) td.classList.add('filled');
+    }
+}
+
+CellStyle.cssCache = new WeakMap();
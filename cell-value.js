@@ -0,0 +1,142 @@
+/**
+ * 单元格值的类型
+ * 单元格内容以原始文本保存，按以下规则得到类型化的值：
+ *   数字   纯数字文本（日期、时间、百分比和货币都以数字保存，由数字格式决定显示）
+ *   布尔值 TRUE / FALSE（不区分大小写）
+ *   文本   其他内容；以 ' 开头的内容强制为文本，' 本身不显示
+ * 输入时识别千位分隔符、百分比、货币和日期时间，转换为数字并给出对应的数字格式
+ */
+class CellValue {
+    /**
+     * 非公式原始内容对应的值，空内容返回 null
+     */
+    static parse(raw) {
+        if (raw === undefined || raw === null || raw === '') return null;
+        if (raw[0] === "'") return raw.slice(1);
+
+        const text = raw.trim();
+        if (FormulaEngine.isNumber(text)) return Number(text);
+        const upper = text.toUpperCase();
+        if (upper === 'TRUE' || upper === 'FALSE') return upper === 'TRUE';
+        return raw;
+    }
+
+    /**
+     * 识别输入的内容，返回 { raw, numberFormat }
+     * raw 为保存的原始内容，numberFormat 为识别出的数字格式（没有时为 null）
+     * 单元格格式为文本（@）时输入内容原样作为文本保存
+     */
+    static detect(input, currentFormat = null) {
+        const result = { raw: input, numberFormat: null };
+        const text = input.trim();
+        if (text === '' || FormulaEngine.isFormula(input) || input[0] === "'") return result;
+        if (currentFormat === '@') {
+            result.raw = CellValue.quote(input);
+            return result;
+        }
+        if (FormulaEngine.isNumber(text)) return result;
+
+        const upper = text.toUpperCase();
+        if (upper === 'TRUE' || upper === 'FALSE') {
+            result.raw = upper;
+            return result;
+        }
+
+        let match;
+        // 千位分隔的数字：1,234 / 1,234.5
+        if ((match = /^([+-]?)(\d{1,3}(?:,\d{3})+)(\.\d+)?$/.exec(text))) {
+            result.raw = CellValue.toRaw(Number(match[1] + match[2].replace(/,/g, '') + (match[3] || '')));
+            result.numberFormat = match[3] ? '#,##0.00' : '#,##0';
+            return result;
+        }
+        // 百分比：12% / 12.5%
+        if ((match = /^([+-]?(?:\d+\.?\d*|\.\d+))\s*%$/.exec(text))) {
+            result.raw = CellValue.toRaw(Number(match[1]) / 100);
+            result.numberFormat = /\./.test(match[1]) ? '0.00%' : '0%';
+            return result;
+        }
+        // 货币：¥1,234.50 / -¥12 / $5
+        if ((match = /^([+-]?)\s*([¥￥$])\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?$/.exec(text))) {
+            const symbol = match[2] === '$' ? '$' : '¥';
+            result.raw = CellValue.toRaw(Number(match[1] + match[3].replace(/,/g, '') + (match[4] || '')));
+            result.numberFormat = `"${symbol}"#,##0${match[4] ? '.00' : ''}`;
+            return result;
+        }
+        const date = CellValue.parseDateTime(text);
+        if (date) {
+            result.raw = CellValue.toRaw(date.serial);
+            result.numberFormat = date.numberFormat;
+        }
+        return result;
+    }
+
+    /**
+     * 识别日期时间文本：2024-01-05、2024/1/5、2024年1月5日，可带时间 13:45 / 13:45:30；或只有时间
+     * 返回 { serial, numberFormat }，不是有效的日期时间时返回 null
+     */
+    static parseDateTime(text) {
+        const timePattern = '(\\d{1,2}):(\\d{2})(?::(\\d{2}))?';
+        const time = new RegExp(`^${timePattern}$`).exec(text);
+        if (time) {
+            const [hours, minutes, seconds] = [time[1], time[2], time[3] || 0].map(Number);
+            if (hours > 23 || minutes > 59 || seconds > 59) return null;
+            return {
+                serial: (hours * 3600 + minutes * 60 + seconds) / 86400,
+                numberFormat: time[3] !== undefined ? 'h:mm:ss' : 'h:mm'
+            };
+        }
+
+        const match = new RegExp(`^(\\d{4})(?:([-/])(\\d{1,2})\\2(\\d{1,2})|年(\\d{1,2})月(\\d{1,2})日)(?:\\s+${timePattern})?$`)
+            .exec(text);
+        if (!match) return null;
+        const year = Number(match[1]);
+        const month = Number(match[3] || match[5]);
+        const day = Number(match[4] || match[6]);
+        const [hours, minutes, seconds] = [match[7] || 0, match[8] || 0, match[9] || 0].map(Number);
+        const serial = NumberFormat.partsToSerial(year, month, day, hours, minutes, seconds);
+        if (serial === null) return null;
+
+        let numberFormat = { '-': 'yyyy-mm-dd', '/': 'yyyy/m/d' }[match[2]] || 'yyyy"年"m"月"d"日"';
+        if (match[7] !== undefined) numberFormat += match[9] !== undefined ? ' h:mm:ss' : ' h:mm';
+        return { serial, numberFormat };
+    }
+
+    /**
+     * 编辑时显示的文本：日期时间和百分比显示为可以再次识别的形式，其他显示原始内容
+     */
+    static toEditText(raw, numberFormat) {
+        if (raw === undefined || raw === null) return '';
+        const value = CellValue.parse(raw);
+        if (typeof value !== 'number' || FormulaEngine.isFormula(raw)) return raw;
+
+        if (NumberFormat.isDateFormat(numberFormat) && value >= 0) {
+            const hasTime = !Number.isInteger(value);
+            if (NumberFormat.isTimeFormat(numberFormat) && value < 1) {
+                return NumberFormat.format(value, 'h:mm:ss');
+            }
+            return NumberFormat.format(value, hasTime ? 'yyyy-mm-dd h:mm:ss' : 'yyyy-mm-dd');
+        }
+        if (NumberFormat.isPercentFormat(numberFormat)) {
+            return FormulaEngine.formatNumber(value * 100) + '%';
+        }
+        return raw;
+    }
+
+    /**
+     * 将文本保存为原始内容：会被识别为数字、布尔值或公式的文本加 ' 前缀
+     */
+    static quote(text) {
+        if (text === '') return text;
+        if (text[0] === "'" || FormulaEngine.isFormula(text) || typeof CellValue.parse(text) !== 'string') {
+            return "'" + text;
+        }
+        return text;
+    }
+
+    /**
+     * 数字保存为原始内容（保留15位有效数字）
+     */
+    static toRaw(number) {
+        return FormulaEngine.formatNumber(number);
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * 剪贴板数据格式转换
+ * 与 Excel / Google Sheets 互通：纯文本使用制表符分隔（TSV），富文本使用 HTML 表格
+ */
+class ClipboardFormat {
+    /**
+     * 二维数组转TSV（即以制表符分隔的CSV），含制表符、换行或引号的值加引号
+     */
+    static toTSV(rows) {
+        return CsvFormat.stringify(rows, '\t');
+    }
+
+    /**
+     * 解析TSV为二维数组，支持带引号的多行单元格
+     */
+    static parseTSV(text) {
+        return CsvFormat.parse(text, '\t');
+    }
+
+    /**
+     * 二维数组转HTML表格
+     */
+    static toHTML(rows) {
+        const escape = (value) => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\n/g, '<br>');
+
+        const body = rows.map(row =>
+            '<tr>' + row.map(value => `<td>${escape(value)}</td>`).join('') + '</tr>'
+        ).join('');
+        return `<meta charset="utf-8"><table>${body}</table>`;
+    }
+
+    /**
+     * 解析HTML中的第一个表格为二维数组，不含表格时返回 null
+     * 合并单元格（colspan/rowspan）按左上角取值，其余位置留空
+     */
+    static parseHTML(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const table = doc.querySelector('table');
+        if (!table) return null;
+
+        const rows = [];
+        const occupied = new Set(); // 被上方 rowspan 占用的位置
+
+        Array.from(table.rows).forEach((tr, rowIndex) => {
+            const row = rows[rowIndex] || (rows[rowIndex] = []);
+            let colIndex = 0;
+
+            Array.from(tr.cells).forEach(td => {
+                while (occupied.has(`${rowIndex}-${colIndex}`)) {
+                    if (row[colIndex] === undefined) row[colIndex] = '';
+                    colIndex++;
+                }
+
+                td.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+                const text = td.textContent.replace(/\u00a0/g, ' ');
+                const colSpan = Math.max(1, td.colSpan || 1);
+                const rowSpan = Math.max(1, td.rowSpan || 1);
+
+                for (let r = 0; r < rowSpan; r++) {
+                    for (let c = 0; c < colSpan; c++) {
+                        if (r > 0) {
+                            occupied.add(`${rowIndex + r}-${colIndex + c}`);
+                        } else {
+                            row[colIndex + c] = c === 0 ? text : '';
+                        }
+                    }
+                }
+                colIndex += colSpan;
+            });
+        });
+
+        // 补齐空位，保证为规整的二维数组
+        const width = Math.max(0, ...rows.map(row => row.length));
+        return rows.map(row => Array.from({ length: width }, (_, i) => row[i] === undefined ? '' : row[i]));
+    }
+}
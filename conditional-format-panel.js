@@ -0,0 +1,429 @@
+/**
+ * 条件格式规则管理器
+ * 列出当前工作表的规则（靠前的优先），可以新建、编辑、删除规则和调整顺序
+ * 面板只负责界面，在规则的副本上修改，确定后通过 handlers.onApply(rules) 交给表格整体替换
+ */
+class ConditionalFormatPanel {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+        this.rules = []; // 正在编辑的规则副本
+        this.selectedIndex = -1;
+        this.defaultRange = null; // 新建规则的区域（打开时的选区）
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'dialog-overlay';
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'dialog conditional-format-panel';
+
+        const title = document.createElement('div');
+        title.className = 'dialog-title';
+        title.textContent = '条件格式规则管理器';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'cf-toolbar';
+        this.ruleButtons = {};
+        [
+            ['add', '新建规则', () => this.addRule()],
+            ['remove', '删除规则', () => this.removeRule()],
+            ['up', '上移', () => this.moveRule(-1)],
+            ['down', '下移', () => this.moveRule(1)]
+        ].forEach(([name, text, onClick]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            toolbar.appendChild(button);
+            this.ruleButtons[name] = button;
+        });
+
+        this.list = document.createElement('div');
+        this.list.className = 'cf-rule-list';
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.cf-rule');
+            if (item) this.selectRule(Number(item.dataset.index));
+        });
+
+        this.editor = this.createEditor();
+
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-buttons';
+        const okButton = document.createElement('button');
+        okButton.textContent = '确定';
+        okButton.addEventListener('click', () => this.confirm());
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = '取消';
+        cancelButton.addEventListener('click', () => this.close());
+        buttons.appendChild(okButton);
+        buttons.appendChild(cancelButton);
+
+        this.dialog.appendChild(title);
+        this.dialog.appendChild(toolbar);
+        this.dialog.appendChild(this.list);
+        this.dialog.appendChild(this.editor);
+        this.dialog.appendChild(buttons);
+        this.overlay.appendChild(this.dialog);
+        this.container.appendChild(this.overlay);
+
+        // 对话框中的按键不作用于表格
+        this.overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                this.confirm();
+            }
+        });
+    }
+
+    /**
+     * 规则编辑区：按规则类型显示对应的输入控件，修改后立即写回选中的规则
+     */
+    createEditor() {
+        const editor = document.createElement('div');
+        editor.className = 'cf-rule-editor';
+        this.fields = {};
+        const addField = (name, text, control) => {
+            const field = document.createElement('label');
+            field.className = 'cf-field';
+            field.appendChild(document.createTextNode(text));
+            field.appendChild(control);
+            editor.appendChild(field);
+            this.fields[name] = field;
+            return control;
+        };
+        const createInput = (type = 'text') => {
+            const input = document.createElement('input');
+            input.type = type;
+            return input;
+        };
+        const createSelect = (options) => {
+            const select = document.createElement('select');
+            options.forEach(([value, text]) => select.add(new Option(text, value)));
+            return select;
+        };
+
+        this.rangeInput = addField('range', '应用于', createInput());
+        this.typeSelect = addField('type', '规则类型', createSelect([
+            ['cellValue', '单元格值'],
+            ['textContains', '文本包含'],
+            ['duplicate', '重复值'],
+            ['unique', '唯一值'],
+            ['top', '前 N 项'],
+            ['bottom', '后 N 项'],
+            ['formula', '使用公式确定要设置格式的单元格'],
+            ['colorScale', '色阶'],
+            ['dataBar', '数据条'],
+            ['iconSet', '图标集']
+        ]));
+        this.operatorSelect = addField('operator', '条件', createSelect(Object.entries(ConditionalFormats.OPERATORS)));
+        this.valueInput = addField('value', '值', createInput());
+        this.value2Input = addField('value2', '到', createInput());
+        this.textInput = addField('text', '包含文本', createInput());
+        this.countInput = addField('count', '项数', createInput('number'));
+        this.countInput.min = 1;
+        this.formulaInput = addField('formula', '公式', createInput());
+        this.formulaInput.placeholder = '=A1>100';
+        this.fillCheckbox = createInput('checkbox');
+        this.fillInput = addField('fill', '背景色', createInput('color'));
+        this.fields.fill.insertBefore(this.fillCheckbox, this.fillInput);
+        this.colorCheckbox = createInput('checkbox');
+        this.colorInput = addField('color', '字体颜色', createInput('color'));
+        this.fields.color.insertBefore(this.colorCheckbox, this.colorInput);
+        this.minColorInput = addField('minColor', '最小值颜色', createInput('color'));
+        this.midCheckbox = createInput('checkbox');
+        this.midColorInput = addField('midColor', '中间值颜色', createInput('color'));
+        this.fields.midColor.insertBefore(this.midCheckbox, this.midColorInput);
+        this.maxColorInput = addField('maxColor', '最大值颜色', createInput('color'));
+        this.barColorInput = addField('barColor', '条形颜色', createInput('color'));
+        this.iconSelect = addField('icons', '图标', createSelect([
+            ['arrows', '三向箭头 ↓ → ↑'],
+            ['circles', '三色交通灯 ●'],
+            ['symbols', '三个符号 ✖ ! ✔']
+        ]));
+
+        editor.addEventListener('input', () => this.readEditor());
+        editor.addEventListener('change', () => this.readEditor());
+        this.typeSelect.addEventListener('change', () => this.updateFields());
+        return editor;
+    }
+
+    /**
+     * 打开面板，rules 为当前的规则，range 为新建规则默认的区域
+     */
+    open(rules, range) {
+        this.rules = rules.map(rule => ({ ...rule }));
+        this.defaultRange = range;
+        this.selectedIndex = -1;
+        this.renderList();
+        this.selectRule(this.rules.length > 0 ? 0 : -1);
+        this.overlay.style.display = 'flex';
+    }
+
+    close() {
+        this.overlay.style.display = 'none';
+    }
+
+    confirm() {
+        this.close();
+        this.handlers.onApply(this.rules);
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+        if (this.rules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'cf-empty';
+            empty.textContent = '没有条件格式规则';
+            this.list.appendChild(empty);
+        }
+        this.rules.forEach((rule, index) => {
+            const item = document.createElement('div');
+            item.className = 'cf-rule';
+            item.classList.toggle('selected', index === this.selectedIndex);
+            item.dataset.index = index;
+
+            const preview = document.createElement('span');
+            preview.className = 'cf-preview';
+            preview.textContent = 'AaBbCc';
+            if (rule.style) {
+                preview.style.background = rule.style.fill || '';
+                preview.style.color = rule.style.color || '';
+            } else if (rule.type === 'colorScale') {
+                preview.style.background = `linear-gradient(to right, ${rule.colors.filter(color => color).join(', ')})`;
+            } else if (rule.type === 'dataBar') {
+                preview.style.background = `linear-gradient(to right, ${rule.color} 60%, transparent 60%)`;
+            } else if (rule.type === 'iconSet') {
+                preview.textContent = ConditionalFormats.ICON_SETS[rule.icons].map(icon => icon.symbol).join(' ');
+            }
+
+            const description = document.createElement('span');
+            description.className = 'cf-description';
+            description.textContent = ConditionalFormatPanel.describe(rule);
+
+            const range = document.createElement('span');
+            range.className = 'cf-range';
+            range.textContent = ConditionalFormatPanel.formatRange(rule.range);
+
+            item.appendChild(description);
+            item.appendChild(preview);
+            item.appendChild(range);
+            this.list.appendChild(item);
+        });
+
+        const hasSelection = this.selectedIndex !== -1;
+        this.ruleButtons.remove.disabled = !hasSelection;
+        this.ruleButtons.up.disabled = !hasSelection || this.selectedIndex === 0;
+        this.ruleButtons.down.disabled = !hasSelection || this.selectedIndex === this.rules.length - 1;
+    }
+
+    selectRule(index) {
+        this.selectedIndex = index;
+        this.renderList();
+        this.writeEditor();
+    }
+
+    /**
+     * 新建规则：默认为选区中大于 0 的值显示为浅红色填充、深红色文本
+     */
+    addRule() {
+        this.rules.push({
+            range: { ...this.defaultRange },
+            type: 'cellValue',
+            operator: 'greaterThan',
+            value: 0,
+            value2: null,
+            style: { fill: '#ffc7ce', color: '#9c0006' }
+        });
+        this.selectRule(this.rules.length - 1);
+    }
+
+    removeRule() {
+        if (this.selectedIndex === -1) return;
+        this.rules.splice(this.selectedIndex, 1);
+        this.selectRule(Math.min(this.selectedIndex, this.rules.length - 1));
+    }
+
+    /**
+     * 调整优先级（offset 为 -1 上移，1 下移）
+     */
+    moveRule(offset) {
+        const target = this.selectedIndex + offset;
+        if (this.selectedIndex === -1 || target < 0 || target >= this.rules.length) return;
+        const [rule] = this.rules.splice(this.selectedIndex, 1);
+        this.rules.splice(target, 0, rule);
+        this.selectRule(target);
+    }
+
+    /**
+     * 将选中的规则显示到编辑区
+     */
+    writeEditor() {
+        const rule = this.rules[this.selectedIndex];
+        this.editor.style.display = rule ? '' : 'none';
+        if (!rule) return;
+
+        const style = rule.style || { fill: '#ffc7ce', color: '#9c0006' };
+        const colors = rule.colors || ['#f8696b', '#ffeb84', '#63be7b'];
+        this.rangeInput.value = ConditionalFormatPanel.formatRange(rule.range);
+        this.rangeInput.classList.remove('invalid');
+        this.typeSelect.value = rule.type === 'top' && rule.bottom ? 'bottom' : rule.type;
+        this.operatorSelect.value = rule.operator || 'greaterThan';
+        this.valueInput.value = ConditionalFormatPanel.formatValue(rule.value);
+        this.value2Input.value = ConditionalFormatPanel.formatValue(rule.value2);
+        this.textInput.value = rule.text || '';
+        this.countInput.value = rule.count || 10;
+        this.formulaInput.value = rule.formula || '';
+        this.fillCheckbox.checked = !!style.fill;
+        this.fillInput.value = style.fill || '#ffc7ce';
+        this.colorCheckbox.checked = !!style.color;
+        this.colorInput.value = style.color || '#9c0006';
+        this.minColorInput.value = colors[0];
+        this.midCheckbox.checked = !!colors[1];
+        this.midColorInput.value = colors[1] || '#ffeb84';
+        this.maxColorInput.value = colors[2];
+        this.barColorInput.value = rule.color || '#638ec6';
+        this.iconSelect.value = rule.icons || 'arrows';
+        this.updateFields();
+    }
+
+    /**
+     * 按规则类型显示输入控件
+     */
+    updateFields() {
+        const type = this.typeSelect.value;
+        const visible = {
+            range: true,
+            type: true,
+            operator: type === 'cellValue',
+            value: type === 'cellValue',
+            value2: type === 'cellValue' && this.operatorSelect.value === 'between',
+            text: type === 'textContains',
+            count: type === 'top' || type === 'bottom',
+            formula: type === 'formula',
+            fill: !['colorScale', 'dataBar', 'iconSet'].includes(type),
+            color: !['colorScale', 'dataBar', 'iconSet'].includes(type),
+            minColor: type === 'colorScale',
+            midColor: type === 'colorScale',
+            maxColor: type === 'colorScale',
+            barColor: type === 'dataBar',
+            icons: type === 'iconSet'
+        };
+        Object.entries(this.fields).forEach(([name, field]) => {
+            field.style.display = visible[name] ? '' : 'none';
+        });
+    }
+
+    /**
+     * 按编辑区的内容生成规则，替换选中的规则（区域无效时保留原来的区域）
+     */
+    readEditor() {
+        const current = this.rules[this.selectedIndex];
+        if (!current) return;
+        this.updateFields();
+
+        const range = ConditionalFormatPanel.parseRange(this.rangeInput.value);
+        this.rangeInput.classList.toggle('invalid', !range);
+        const type = this.typeSelect.value;
+        const rule = { range: range || current.range, type: type === 'bottom' ? 'top' : type };
+        switch (type) {
+            case 'cellValue':
+                rule.operator = this.operatorSelect.value;
+                rule.value = CellValue.parse(this.valueInput.value);
+                rule.value2 = CellValue.parse(this.value2Input.value);
+                break;
+            case 'textContains':
+                rule.text = this.textInput.value;
+                break;
+            case 'top':
+            case 'bottom':
+                rule.count = Math.max(1, Math.floor(Number(this.countInput.value)) || 1);
+                rule.bottom = type === 'bottom';
+                break;
+            case 'formula': {
+                const formula = this.formulaInput.value.trim();
+                rule.formula = formula && !formula.startsWith('=') ? '=' + formula : formula;
+                break;
+            }
+            case 'colorScale':
+                rule.colors = [
+                    this.minColorInput.value,
+                    this.midCheckbox.checked ? this.midColorInput.value : null,
+                    this.maxColorInput.value
+                ];
+                break;
+            case 'dataBar':
+                rule.color = this.barColorInput.value;
+                break;
+            case 'iconSet':
+                rule.icons = this.iconSelect.value;
+                break;
+        }
+        if (!['colorScale', 'dataBar', 'iconSet'].includes(type)) {
+            rule.style = {
+                fill: this.fillCheckbox.checked ? this.fillInput.value : null,
+                color: this.colorCheckbox.checked ? this.colorInput.value : null
+            };
+        }
+
+        this.rules[this.selectedIndex] = rule;
+        this.renderList();
+    }
+
+    /**
+     * 规则的文字说明
+     */
+    static describe(rule) {
+        const format = ConditionalFormatPanel.formatValue;
+        switch (rule.type) {
+            case 'cellValue':
+                return `单元格值${ConditionalFormats.OPERATORS[rule.operator]} ${format(rule.value)}` +
+                    (rule.operator === 'between' ? ` 和 ${format(rule.value2)}` : '');
+            case 'textContains':
+                return `文本包含“${rule.text || ''}”`;
+            case 'duplicate':
+                return '重复值';
+            case 'unique':
+                return '唯一值';
+            case 'top':
+                return `${rule.bottom ? '后' : '前'} ${rule.count} 项`;
+            case 'formula':
+                return `公式：${rule.formula || ''}`;
+            case 'colorScale':
+                return rule.colors[1] ? '三色刻度' : '双色刻度';
+            case 'dataBar':
+                return '数据条';
+            case 'iconSet':
+                return '图标集';
+            default:
+                return '';
+        }
+    }
+
+    static formatValue(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * 区域与 A1 形式的文本互换（如 A1:C10，单个单元格为 A1）
+     */
+    static formatRange(range) {
+        const start = FormulaEngine.columnName(range.minCol) + (range.minRow + 1);
+        const end = FormulaEngine.columnName(range.maxCol) + (range.maxRow + 1);
+        return start === end ? start : `${start}:${end}`;
+    }
+
+    static parseRange(text) {
+        const match = /^\s*\$?([A-Za-z]{1,3})\$?(\d+)(?::\$?([A-Za-z]{1,3})\$?(\d+))?\s*$/.exec(text);
+        if (!match || Number(match[2]) < 1 || (match[4] !== undefined && Number(match[4]) < 1)) return null;
+        const startRow = Number(match[2]) - 1;
+        const startCol = FormulaEngine.columnIndex(match[1]);
+        const endRow = match[4] !== undefined ? Number(match[4]) - 1 : startRow;
+        const endCol = match[3] !== undefined ? FormulaEngine.columnIndex(match[3]) : startCol;
+        return SelectionModel.createRange(startRow, startCol, endRow, endCol);
+    }
+}
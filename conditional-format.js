@@ -0,0 +1,256 @@
+/**
+ * 条件格式
+ * 每条规则作用于一个区域 range { minRow, maxRow, minCol, maxCol }，按 type 判断单元格是否满足条件：
+ *   cellValue     单元格值比较 { operator, value, value2 }，operator 见 ConditionalFormats.OPERATORS
+ *   textContains  文本包含 { text }（不区分大小写）
+ *   duplicate     区域中重复的值（文本不区分大小写）
+ *   unique        区域中唯一的值
+ *   top           最大（bottom 为 true 时最小）的 count 项 { count, bottom }
+ *   formula       自定义公式 { formula }，按区域左上角单元格书写，相对引用随单元格平移，结果为 TRUE 或非零数字时满足
+ * 满足条件时应用 style { fill, color }（背景色和字体颜色，省略的不设置）；以下规则按区域中的数字显示：
+ *   colorScale    色阶 { colors: [最小值, 中间值, 最大值] }，中间值颜色为 null 时为双色，三色时中间值为中位数
+ *   dataBar       数据条 { color }，长度按数值在 0（或最小的负数）到最大值之间的位置
+ *   iconSet       图标集 { icons }，按数值在最小值到最大值之间的位置（33%、67%）分为三档，见 ConditionalFormats.ICON_SETS
+ * 与筛选相同，数值比较只对数字进行，空单元格不满足任何条件
+ * 规则按优先级排列，背景色、字体颜色、数据条和图标分别取第一条给出它的规则
+ * 需要整个区域统计值的规则（重复值、前 N 项、色阶、数据条、图标集）由调用方用 getStats 计算并缓存
+ * 工作表中的对象只整体替换，不原地修改（撤销历史中保存的是对象本身）
+ */
+class ConditionalFormats {
+    constructor(rules = []) {
+        this.rules = rules.map(rule => ({ ...rule, range: { ...rule.range } }));
+    }
+
+    isEmpty() {
+        return this.rules.length === 0;
+    }
+
+    /**
+     * 作用于指定单元格的规则（按优先级）
+     */
+    rulesAt(row, col) {
+        return this.rules.filter(rule => SelectionModel.rangeContains(rule.range, row, col));
+    }
+
+    /**
+     * 插入或删除行列后的规则（参数与 shiftCellMap 相同），返回新的对象
+     * 区域随之移动或缩放，整个区域被删除的规则一并删除（自定义公式中的引用由 mapFormulas 改写）
+     */
+    shift(axis, index, count) {
+        const [min, max] = axis === 'row' ? ['minRow', 'maxRow'] : ['minCol', 'maxCol'];
+        const end = index - count; // 删除时为删除范围的下一行（列）
+        const rules = [];
+        this.rules.forEach(rule => {
+            const range = { ...rule.range };
+            if (count > 0) {
+                if (range[min] >= index) range[min] += count;
+                if (range[max] >= index) range[max] += count;
+            } else {
+                if (range[min] >= index && range[max] < end) return;
+                range[min] = range[min] < index ? range[min] : range[min] >= end ? range[min] + count : index;
+                range[max] = range[max] >= end ? range[max] + count : Math.min(range[max], index - 1);
+            }
+            rules.push({ ...rule, range });
+        });
+        return new ConditionalFormats(rules);
+    }
+
+    /**
+     * 改写自定义公式（插入删除行列、工作表改名时），返回新的对象；没有自定义公式时返回自身
+     */
+    mapFormulas(transform) {
+        if (!this.rules.some(rule => rule.type === 'formula')) return this;
+        return new ConditionalFormats(this.rules.map(rule =>
+            rule.type === 'formula' ? { ...rule, formula: transform(rule.formula) } : rule));
+    }
+
+    /**
+     * 规则是否需要整个区域的统计值
+     */
+    static needsStats(rule) {
+        return ['duplicate', 'unique', 'top', 'colorScale', 'dataBar', 'iconSet'].includes(rule.type);
+    }
+
+    /**
+     * 区域中单元格值的统计：数字（升序）和各个值出现的次数
+     */
+    static getStats(values) {
+        const numbers = [];
+        const counts = new Map();
+        values.forEach(value => {
+            if (value === null || value === '') return;
+            if (typeof value === 'number') numbers.push(value);
+            const key = ConditionalFormats.getValueKey(value);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        numbers.sort((a, b) => a - b);
+        return { numbers, counts };
+    }
+
+    /**
+     * 判断重复值时比较的键（区分类型，文本不区分大小写）
+     */
+    static getValueKey(value) {
+        return typeof value === 'string' ? 'text:' + value.toLowerCase() : typeof value + ':' + String(value);
+    }
+
+    /**
+     * 按规则得到单元格的显示效果 { fill, color, bar: { width, color }, icon: { symbol, color } }
+     * cell 为 { value, text }；getStats(rule) 返回规则区域的统计值；evaluateFormula(rule) 返回自定义公式是否满足
+     */
+    static resolve(rules, cell, getStats, evaluateFormula) {
+        const format = {};
+        rules.forEach(rule => {
+            if (rule.type === 'colorScale') {
+                const fill = ConditionalFormats.getScaleColor(rule, cell.value, getStats(rule));
+                if (fill && !format.fill) format.fill = fill;
+            } else if (rule.type === 'dataBar') {
+                const width = ConditionalFormats.getBarWidth(cell.value, getStats(rule));
+                if (width !== null && !format.bar) format.bar = { width, color: rule.color };
+            } else if (rule.type === 'iconSet') {
+                const icon = ConditionalFormats.getIcon(rule, cell.value, getStats(rule));
+                if (icon && !format.icon) format.icon = icon;
+            } else if (ConditionalFormats.matches(rule, cell, getStats, evaluateFormula)) {
+                if (rule.style.fill && !format.fill) format.fill = rule.style.fill;
+                if (rule.style.color && !format.color) format.color = rule.style.color;
+            }
+        });
+        return format;
+    }
+
+    /**
+     * 单元格是否满足规则的条件
+     */
+    static matches(rule, { value, text }, getStats, evaluateFormula) {
+        if (rule.type === 'formula') return evaluateFormula(rule);
+        if (value === null || value === '') return false;
+
+        switch (rule.type) {
+            case 'cellValue':
+                return ConditionalFormats.compare(rule, value);
+            case 'textContains':
+                return !!rule.text && text.toLowerCase().includes(rule.text.toLowerCase());
+            case 'duplicate':
+            case 'unique': {
+                const count = getStats(rule).counts.get(ConditionalFormats.getValueKey(value)) || 0;
+                return rule.type === 'duplicate' ? count > 1 : count === 1;
+            }
+            case 'top': {
+                const { numbers } = getStats(rule);
+                if (typeof value !== 'number' || numbers.length === 0 || !(rule.count > 0)) return false;
+                const index = Math.min(rule.count, numbers.length) - 1;
+                return rule.bottom ? value <= numbers[index] : value >= numbers[numbers.length - 1 - index];
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 单元格值比较：数字按大小比较，等于和不等于也可以比较文本（不区分大小写）
+     */
+    static compare({ operator, value: a, value2: b }, value) {
+        if (operator === 'equal' || operator === 'notEqual') {
+            const equal = typeof value === 'string' && typeof a === 'string'
+                ? value.toLowerCase() === a.toLowerCase()
+                : value === a;
+            return operator === 'equal' ? equal : !equal;
+        }
+        if (typeof value !== 'number' || typeof a !== 'number') return false;
+        switch (operator) {
+            case 'greaterThan': return value > a;
+            case 'lessThan': return value < a;
+            case 'greaterOrEqual': return value >= a;
+            case 'lessOrEqual': return value <= a;
+            case 'between': return typeof b === 'number' && value >= Math.min(a, b) && value <= Math.max(a, b);
+            default: return false;
+        }
+    }
+
+    static getScaleColor(rule, value, { numbers }) {
+        if (typeof value !== 'number' || numbers.length === 0) return null;
+        const min = numbers[0];
+        const max = numbers[numbers.length - 1];
+        const [minColor, midColor, maxColor] = rule.colors;
+        if (min === max) return midColor || minColor;
+        if (!midColor) return ConditionalFormats.mixColors(minColor, maxColor, (value - min) / (max - min));
+
+        const middle = numbers.length % 2
+            ? numbers[(numbers.length - 1) / 2]
+            : (numbers[numbers.length / 2 - 1] + numbers[numbers.length / 2]) / 2;
+        if (value <= middle) {
+            return middle === min ? midColor : ConditionalFormats.mixColors(minColor, midColor, (value - min) / (middle - min));
+        }
+        return middle === max ? midColor : ConditionalFormats.mixColors(midColor, maxColor, (value - middle) / (max - middle));
+    }
+
+    /**
+     * 数据条的长度（0 到 1），不是数字时返回 null
+     */
+    static getBarWidth(value, { numbers }) {
+        if (typeof value !== 'number' || numbers.length === 0) return null;
+        const low = Math.min(0, numbers[0]);
+        const high = Math.max(0, numbers[numbers.length - 1]);
+        return high === low ? 0 : (value - low) / (high - low);
+    }
+
+    static getIcon(rule, value, { numbers }) {
+        const icons = ConditionalFormats.ICON_SETS[rule.icons];
+        if (!icons || typeof value !== 'number' || numbers.length === 0) return null;
+        const min = numbers[0];
+        const max = numbers[numbers.length - 1];
+        const position = max === min ? 1 : (value - min) / (max - min);
+        return icons[position >= 0.67 ? 2 : position >= 0.33 ? 1 : 0];
+    }
+
+    /**
+     * 两个 #rrggbb 颜色按比例 t（0 到 1）混合
+     */
+    static mixColors(from, to, t) {
+        const channels = (color) => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+        const a = channels(from);
+        const b = channels(to);
+        return '#' + a.map((channel, i) => Math.round(channel + (b[i] - channel) * t).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * 保存用的记录
+     */
+    toRecord() {
+        return this.rules.map(rule => ({ ...rule, range: { ...rule.range } }));
+    }
+
+    static fromRecord(record) {
+        return new ConditionalFormats(record || []);
+    }
+}
+
+// 单元格值比较的运算符
+ConditionalFormats.OPERATORS = {
+    greaterThan: '大于',
+    lessThan: '小于',
+    between: '介于',
+    equal: '等于',
+    notEqual: '不等于',
+    greaterOrEqual: '大于或等于',
+    lessOrEqual: '小于或等于'
+};
+
+// 图标集，从低到高三档
+ConditionalFormats.ICON_SETS = {
+    arrows: [
+        { symbol: '↓', color: '#d9534f' },
+        { symbol: '→', color: '#f0ad4e' },
+        { symbol: '↑', color: '#5cb85c' }
+    ],
+    circles: [
+        { symbol: '●', color: '#d9534f' },
+        { symbol: '●', color: '#f0ad4e' },
+        { symbol: '●', color: '#5cb85c' }
+    ],
+    symbols: [
+        { symbol: '✖', color: '#d9534f' },
+        { symbol: '!', color: '#f0ad4e' },
+        { symbol: '✔', color: '#5cb85c' }
+    ]
+};
@@ -0,0 +1,116 @@
+/**
+ * CSV 读写（RFC 4180）
+ * 支持引号字段、字段内换行、自定义分隔符，以及 UTF-8（含BOM）/ GBK / UTF-16 编码
+ */
+class CsvFormat {
+    /**
+     * 解析CSV文本为二维数组
+     * 引号只在字段开头生效，"" 表示转义的引号；结束引号后不是分隔符或行尾时，开头的引号按普通文本处理
+     * 末尾换行不产生空行
+     */
+    static parse(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false; // 当前字段是否为引号字段
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; // 跳过BOM
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '"' && field === '' && !quoted) {
+                // 引号字段：读取到配对的结束引号
+                let j = i + 1;
+                let value = '';
+                while (j < text.length) {
+                    if (text[j] === '"') {
+                        if (text[j + 1] === '"') {
+                            value += '"';
+                            j += 2;
+                            continue;
+                        }
+                        break;
+                    }
+                    value += text[j++];
+                }
+                const after = text[j + 1];
+                if (j < text.length && (after === undefined || after === delimiter || after === '\n' || after === '\r')) {
+                    field = value;
+                    quoted = true;
+                    i = j + 1;
+                    continue;
+                }
+            }
+
+            if (ch === delimiter) {
+                row.push(field);
+                field = '';
+                quoted = false;
+            } else if (ch === '\r' || ch === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                quoted = false;
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += ch;
+            }
+            i++;
+        }
+
+        if (field !== '' || quoted || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * 二维数组转CSV文本，含分隔符、引号或换行的字段加引号
+     */
+    static stringify(rows, delimiter = ',', lineEnding = '\r\n') {
+        return rows.map(row => row.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+                return '"' + text.replace(/"/g, '""') + '"';
+            }
+            return text;
+        }).join(delimiter)).join(lineEnding);
+    }
+
+    /**
+     * 按编码解码文件内容
+     * encoding 为 'auto' 时：有BOM按BOM识别，否则先按UTF-8严格解码，失败再按GBK解码
+     */
+    static decode(buffer, encoding = 'auto') {
+        const bytes = new Uint8Array(buffer);
+
+        if (encoding === 'auto') {
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+                encoding = 'utf-8';
+            } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+                encoding = 'utf-16le';
+            } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+                encoding = 'utf-16be';
+            } else {
+                try {
+                    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+                } catch (error) {
+                    encoding = 'gbk';
+                }
+            }
+        }
+
+        // TextDecoder 默认会去掉与编码匹配的BOM
+        return new TextDecoder(encoding).decode(bytes);
+    }
+
+    /**
+     * 编码为可下载的Blob，withBom 为 true 时添加UTF-8 BOM（Excel 据此识别中文）
+     */
+    static toBlob(text, withBom = true) {
+        const parts = withBom ? ['\uFEFF', text] : [text];
+        return new Blob(parts, { type: 'text/csv;charset=utf-8' });
+    }
+}
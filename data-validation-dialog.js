@@ -0,0 +1,243 @@
+/**
+ * 数据验证对话框
+ * 设置允许输入的内容（任何值、整数、小数、序列、日期、文本长度、自定义公式）和输入无效时的出错警告
+ * 对话框只负责界面，确定后通过 handlers.onApply(rule) 交给表格应用到选区，rule 为 null 时清除验证
+ */
+class DataValidationDialog {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'dialog-overlay';
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'dialog validation-dialog';
+
+        const title = document.createElement('div');
+        title.className = 'dialog-title';
+        title.textContent = '数据验证';
+
+        const form = document.createElement('div');
+        form.className = 'validation-form';
+        this.fields = {};
+        const addField = (name, text, control) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            form.appendChild(label);
+            form.appendChild(control);
+            this.fields[name] = [label, control];
+            return control;
+        };
+        const createSelect = (options) => {
+            const select = document.createElement('select');
+            options.forEach(([value, text]) => select.add(new Option(text, value)));
+            return select;
+        };
+
+        this.typeSelect = addField('type', '允许', createSelect([
+            ['any', '任何值'],
+            ['wholeNumber', '整数'],
+            ['decimal', '小数'],
+            ['list', '序列'],
+            ['date', '日期'],
+            ['textLength', '文本长度'],
+            ['formula', '自定义']
+        ]));
+        this.operatorSelect = addField('operator', '数据', createSelect(Object.entries(DataValidations.OPERATORS)));
+        this.minInput = addField('min', '最小值', document.createElement('input'));
+        this.maxInput = addField('max', '最大值', document.createElement('input'));
+        this.sourceInput = addField('source', '来源', document.createElement('input'));
+        this.sourceInput.placeholder = '是,否 或 =$A$1:$A$5';
+        this.formulaInput = addField('formula', '公式', document.createElement('input'));
+        this.formulaInput.placeholder = '=A1>0';
+        this.styleSelect = addField('errorStyle', '出错样式', createSelect([
+            ['stop', '停止'],
+            ['warning', '警告'],
+            ['information', '信息']
+        ]));
+        this.errorTitleInput = addField('errorTitle', '标题', document.createElement('input'));
+        this.errorMessageInput = addField('errorMessage', '错误信息', document.createElement('textarea'));
+        this.errorMessageInput.rows = 3;
+
+        const options = document.createElement('div');
+        options.className = 'validation-options';
+        const createOption = (text) => {
+            const label = document.createElement('label');
+            label.className = 'dialog-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            options.appendChild(label);
+            return checkbox;
+        };
+        this.allowBlankCheckbox = createOption('忽略空值');
+        this.dropdownCheckbox = createOption('提供下拉箭头');
+
+        this.errorText = document.createElement('div');
+        this.errorText.className = 'validation-error';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-buttons';
+        [
+            ['全部清除', () => this.apply(null)],
+            ['确定', () => this.confirm()],
+            ['取消', () => this.close()]
+        ].forEach(([text, onClick]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        });
+
+        this.dialog.appendChild(title);
+        this.dialog.appendChild(form);
+        this.dialog.appendChild(options);
+        this.dialog.appendChild(this.errorText);
+        this.dialog.appendChild(buttons);
+        this.overlay.appendChild(this.dialog);
+        this.container.appendChild(this.overlay);
+
+        this.typeSelect.addEventListener('change', () => this.updateFields());
+        this.operatorSelect.addEventListener('change', () => this.updateFields());
+
+        // 对话框中的按键不作用于表格
+        this.overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter' && !['BUTTON', 'TEXTAREA'].includes(e.target.tagName)) {
+                this.confirm();
+            }
+        });
+    }
+
+    /**
+     * 打开对话框，rule 为活动单元格现有的规则（没有时为 null）
+     */
+    open(rule) {
+        const current = rule || { type: 'any', operator: 'between', allowBlank: true, showDropdown: true, errorStyle: 'stop' };
+        const isDate = current.type === 'date';
+        this.typeSelect.value = current.type;
+        this.operatorSelect.value = current.operator || 'between';
+        this.minInput.value = DataValidationDialog.formatBound(current.min, isDate);
+        this.maxInput.value = DataValidationDialog.formatBound(current.max, isDate);
+        this.sourceInput.value = current.source || '';
+        this.formulaInput.value = current.formula || '';
+        this.allowBlankCheckbox.checked = current.allowBlank !== false;
+        this.dropdownCheckbox.checked = current.showDropdown !== false;
+        this.styleSelect.value = current.errorStyle || 'stop';
+        this.errorTitleInput.value = current.errorTitle || '';
+        this.errorMessageInput.value = current.errorMessage || '';
+        this.errorText.textContent = '';
+        this.updateFields();
+        this.overlay.style.display = 'flex';
+        this.typeSelect.focus();
+    }
+
+    close() {
+        this.overlay.style.display = 'none';
+    }
+
+    /**
+     * 按允许的内容和运算符显示输入控件
+     */
+    updateFields() {
+        const type = this.typeSelect.value;
+        const compared = ['wholeNumber', 'decimal', 'date', 'textLength'].includes(type);
+        const range = ['between', 'notBetween'].includes(this.operatorSelect.value);
+        const visible = {
+            type: true,
+            operator: compared,
+            min: compared,
+            max: compared && range,
+            source: type === 'list',
+            formula: type === 'formula',
+            errorStyle: type !== 'any',
+            errorTitle: type !== 'any',
+            errorMessage: type !== 'any'
+        };
+        Object.entries(this.fields).forEach(([name, elements]) => {
+            elements.forEach(element => {
+                element.style.display = visible[name] ? '' : 'none';
+            });
+        });
+        this.fields.min[0].textContent = range ? '最小值' : '值';
+        this.dropdownCheckbox.parentNode.style.display = type === 'list' ? '' : 'none';
+        this.allowBlankCheckbox.parentNode.style.display = type === 'any' ? 'none' : '';
+        const placeholder = type === 'date' ? 'yyyy-mm-dd' : '';
+        this.minInput.placeholder = placeholder;
+        this.maxInput.placeholder = placeholder;
+    }
+
+    /**
+     * 按界面上的设置生成规则，设置不完整时返回错误提示
+     */
+    getRule() {
+        const type = this.typeSelect.value;
+        if (type === 'any') return { rule: null };
+
+        const rule = {
+            type,
+            allowBlank: this.allowBlankCheckbox.checked,
+            errorStyle: this.styleSelect.value,
+            errorTitle: this.errorTitleInput.value.trim(),
+            errorMessage: this.errorMessageInput.value.trim()
+        };
+        if (type === 'list') {
+            rule.source = this.sourceInput.value.trim();
+            rule.showDropdown = this.dropdownCheckbox.checked;
+            if (!rule.source) return { error: '请输入序列的来源' };
+        } else if (type === 'formula') {
+            const formula = this.formulaInput.value.trim();
+            rule.formula = formula && !formula.startsWith('=') ? '=' + formula : formula;
+            if (!rule.formula) return { error: '请输入公式' };
+        } else {
+            rule.operator = this.operatorSelect.value;
+            rule.min = DataValidationDialog.parseBound(this.minInput.value, type === 'date');
+            if (rule.min === null) return { error: '请输入有效的' + (type === 'date' ? '日期' : '数值') };
+            if (['between', 'notBetween'].includes(rule.operator)) {
+                rule.max = DataValidationDialog.parseBound(this.maxInput.value, type === 'date');
+                if (rule.max === null) return { error: '请输入有效的' + (type === 'date' ? '日期' : '数值') };
+                if (rule.max < rule.min) return { error: '最大值必须大于或等于最小值' };
+            }
+        }
+        return { rule };
+    }
+
+    confirm() {
+        const { rule, error } = this.getRule();
+        if (error) {
+            this.errorText.textContent = error;
+            return;
+        }
+        this.apply(rule);
+    }
+
+    apply(rule) {
+        this.close();
+        this.handlers.onApply(rule);
+    }
+
+    /**
+     * 比较的边界与输入框文本互换：日期为日期序列号（yyyy-mm-dd），其他为数字
+     */
+    static parseBound(text, isDate) {
+        const trimmed = text.trim();
+        if (isDate) {
+            const date = trimmed ? CellValue.parseDateTime(trimmed) : null;
+            return date ? date.serial : null;
+        }
+        return FormulaEngine.isNumber(trimmed) ? Number(trimmed) : null;
+    }
+
+    static formatBound(value, isDate) {
+        if (value === null || value === undefined) return '';
+        return isDate ? NumberFormat.format(value, 'yyyy-mm-dd') : String(value);
+    }
+}
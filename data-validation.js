@@ -0,0 +1,177 @@
+/**
+ * 数据验证
+ * 每条规则作用于一个区域 range { minRow, maxRow, minCol, maxCol }，区域之间互不重叠（设置新规则时从原有规则中减去该区域）
+ * type 为允许输入的内容：
+ *   list         序列 { source, showDropdown }，source 为逗号分隔的值（是,否）或以 = 开头的区域引用（=$A$1:$A$5）
+ *   wholeNumber  整数 { operator, min, max }
+ *   decimal      小数 { operator, min, max }
+ *   date         日期 { operator, min, max }（日期序列号）
+ *   textLength   文本长度 { operator, min, max }
+ *   formula      自定义公式 { formula }，按区域左上角单元格书写，相对引用随单元格平移，结果为 TRUE 或非零数字时有效
+ * operator 见 DataValidations.OPERATORS，只用 min 的运算符忽略 max；allowBlank 为 true 时空单元格总是有效
+ * 输入无效时按 errorStyle 处理：stop 拒绝输入，warning 询问是否继续，information 提示后接受
+ * errorTitle / errorMessage 为提示的标题和内容，省略时使用默认的提示
+ * 工作表中的对象只整体替换，不原地修改（撤销历史中保存的是对象本身）
+ */
+class DataValidations {
+    constructor(rules = []) {
+        this.rules = rules.map(rule => ({ ...rule, range: { ...rule.range } }));
+    }
+
+    isEmpty() {
+        return this.rules.length === 0;
+    }
+
+    /**
+     * 单元格的验证规则，没有时返回 null
+     */
+    find(row, col) {
+        return this.rules.find(rule => SelectionModel.rangeContains(rule.range, row, col)) || null;
+    }
+
+    /**
+     * 为区域设置规则（rule 为 null 时清除区域的验证），返回新的对象
+     * 原有规则中与区域重叠的部分被移除，剩余部分拆分为矩形保留
+     */
+    set(area, rule) {
+        const rules = [];
+        this.rules.forEach(existing => {
+            DataValidations.subtract(existing.range, area).forEach(range => rules.push({ ...existing, range }));
+        });
+        if (rule) rules.push({ ...rule, range: { ...area } });
+        return new DataValidations(rules);
+    }
+
+    /**
+     * 区域 range 减去 area 后剩余的矩形（上、下、左、右四块中非空的部分）
+     */
+    static subtract(range, area) {
+        if (!MergedRegions.rangesIntersect(range, area)) return [range];
+        const pieces = [];
+        const minRow = Math.max(range.minRow, area.minRow);
+        const maxRow = Math.min(range.maxRow, area.maxRow);
+        if (range.minRow < area.minRow) pieces.push({ ...range, maxRow: area.minRow - 1 });
+        if (range.maxRow > area.maxRow) pieces.push({ ...range, minRow: area.maxRow + 1 });
+        if (range.minCol < area.minCol) pieces.push({ minRow, maxRow, minCol: range.minCol, maxCol: area.minCol - 1 });
+        if (range.maxCol > area.maxCol) pieces.push({ minRow, maxRow, minCol: area.maxCol + 1, maxCol: range.maxCol });
+        return pieces;
+    }
+
+    /**
+     * 插入或删除行列后的规则（参数与 shiftCellMap 相同），返回新的对象
+     * 区域随之移动或缩放，整个区域被删除的规则一并删除（公式和序列来源中的引用由 mapFormulas 改写）
+     */
+    shift(axis, index, count) {
+        const [min, max] = axis === 'row' ? ['minRow', 'maxRow'] : ['minCol', 'maxCol'];
+        const end = index - count; // 删除时为删除范围的下一行（列）
+        const rules = [];
+        this.rules.forEach(rule => {
+            const range = { ...rule.range };
+            if (count > 0) {
+                if (range[min] >= index) range[min] += count;
+                if (range[max] >= index) range[max] += count;
+            } else {
+                if (range[min] >= index && range[max] < end) return;
+                range[min] = range[min] < index ? range[min] : range[min] >= end ? range[min] + count : index;
+                range[max] = range[max] >= end ? range[max] + count : Math.min(range[max], index - 1);
+            }
+            rules.push({ ...rule, range });
+        });
+        return new DataValidations(rules);
+    }
+
+    /**
+     * 改写自定义公式和引用区域的序列来源（插入删除行列、工作表改名时），返回新的对象；没有时返回自身
+     */
+    mapFormulas(transform) {
+        const hasFormula = (rule) => rule.type === 'formula' ||
+            (rule.type === 'list' && FormulaEngine.isFormula(rule.source));
+        if (!this.rules.some(hasFormula)) return this;
+        return new DataValidations(this.rules.map(rule => {
+            if (!hasFormula(rule)) return rule;
+            return rule.type === 'formula'
+                ? { ...rule, formula: transform(rule.formula) }
+                : { ...rule, source: transform(rule.source) };
+        }));
+    }
+
+    /**
+     * 值是否满足规则
+     * getList() 返回序列的值（显示文本），evaluateFormula() 返回自定义公式是否满足
+     */
+    static validate(rule, value, getList, evaluateFormula) {
+        if (value === null || value === '') return rule.allowBlank !== false;
+
+        switch (rule.type) {
+            case 'list': {
+                const text = FormulaEngine.formatValue(value).toLowerCase();
+                return getList().some(item => item.toLowerCase() === text);
+            }
+            case 'wholeNumber':
+                return typeof value === 'number' && Number.isInteger(value) && DataValidations.compare(rule, value);
+            case 'decimal':
+            case 'date':
+                return typeof value === 'number' && DataValidations.compare(rule, value);
+            case 'textLength': {
+                const text = typeof value === 'string' ? value : FormulaEngine.formatValue(value);
+                return DataValidations.compare(rule, text.length);
+            }
+            case 'formula':
+                return evaluateFormula();
+            default:
+                return true;
+        }
+    }
+
+    static compare({ operator, min, max }, value) {
+        switch (operator) {
+            case 'between': return value >= min && value <= max;
+            case 'notBetween': return value < min || value > max;
+            case 'equal': return value === min;
+            case 'notEqual': return value !== min;
+            case 'greaterThan': return value > min;
+            case 'lessThan': return value < min;
+            case 'greaterOrEqual': return value >= min;
+            case 'lessOrEqual': return value <= min;
+            default: return true;
+        }
+    }
+
+    /**
+     * 输入无效时的提示文本
+     */
+    static getErrorMessage(rule) {
+        const message = rule.errorMessage || '此值与此单元格定义的数据验证限制不匹配。';
+        return rule.errorTitle ? `${rule.errorTitle}\n\n${message}` : message;
+    }
+
+    /**
+     * 逗号分隔的序列来源拆分为值
+     */
+    static splitList(source) {
+        return source.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+
+    /**
+     * 保存用的记录
+     */
+    toRecord() {
+        return this.rules.map(rule => ({ ...rule, range: { ...rule.range } }));
+    }
+
+    static fromRecord(record) {
+        return new DataValidations(record || []);
+    }
+}
+
+// 数值、日期和文本长度的比较运算符（介于、未介于使用 min 和 max，其余只使用 min）
+DataValidations.OPERATORS = {
+    between: '介于',
+    notBetween: '未介于',
+    equal: '等于',
+    notEqual: '不等于',
+    greaterThan: '大于',
+    lessThan: '小于',
+    greaterOrEqual: '大于或等于',
+    lessOrEqual: '小于或等于'
+};
@@ -0,0 +1,253 @@
+/**
+ * 公式依赖图
+ * 记录公式单元格的引用关系（引用单元格 -> 从属公式），
+ * 单元格变化时只按拓扑顺序重算受影响的下游公式，并识别循环引用
+ * 单元格键为 'row-col'，多工作表时加上工作表标识：'sheet!row-col'
+ */
+class DependencyGraph {
+    constructor() {
+        this.precedents = new Map(); // 公式单元格 -> { cells: Set<key>, ranges: [] }
+        this.cellDependents = new Map(); // 被引用的单元格 -> Set<公式单元格>
+        this.rangeDependents = new Map(); // 含区域引用的公式单元格 -> 区域数组
+        this.rangeIndex = new Map(); // 区域覆盖的分块（见 forEachBlock）-> Set<含区域引用的公式单元格>
+    }
+
+    /**
+     * 清空依赖图
+     */
+    clear() {
+        this.precedents.clear();
+        this.cellDependents.clear();
+        this.rangeDependents.clear();
+        this.rangeIndex.clear();
+    }
+
+    /**
+     * 生成单元格键，sheet 为 undefined 时不带工作表标识
+     */
+    static cellKey(sheet, row, col) {
+        return sheet === undefined ? `${row}-${col}` : `${sheet}!${row}-${col}`;
+    }
+
+    /**
+     * 解析单元格键，返回 { sheet, row, col }
+     */
+    static parseKey(cellKey) {
+        const separator = cellKey.lastIndexOf('!');
+        const [row, col] = cellKey.slice(separator + 1).split('-').map(Number);
+        return { sheet: separator >= 0 ? cellKey.slice(0, separator) : undefined, row, col };
+    }
+
+    /**
+     * 设置公式单元格的引用（替换旧的引用关系）
+     * references: { cells: [{ sheet, row, col }], ranges: [{ sheet, minRow, maxRow, minCol, maxCol }] }
+     * sheet 为工作表标识，单工作表时省略
+     */
+    setPrecedents(cellKey, references) {
+        this.remove(cellKey);
+
+        const cells = new Set(references.cells.map(ref => DependencyGraph.cellKey(ref.sheet, ref.row, ref.col)));
+        const ranges = references.ranges.map(range => ({
+            ...range,
+            sheet: range.sheet === undefined ? undefined : String(range.sheet)
+        }));
+        cells.forEach(precedentKey => {
+            if (!this.cellDependents.has(precedentKey)) {
+                this.cellDependents.set(precedentKey, new Set());
+            }
+            this.cellDependents.get(precedentKey).add(cellKey);
+        });
+
+        if (ranges.length > 0) {
+            this.rangeDependents.set(cellKey, ranges);
+            ranges.forEach(range => DependencyGraph.forEachBlock(range, blockKey => {
+                if (!this.rangeIndex.has(blockKey)) {
+                    this.rangeIndex.set(blockKey, new Set());
+                }
+                this.rangeIndex.get(blockKey).add(cellKey);
+            }));
+        }
+        this.precedents.set(cellKey, { cells, ranges });
+    }
+
+    /**
+     * 移除公式单元格的引用关系（单元格不再是公式时调用）
+     */
+    remove(cellKey) {
+        const existing = this.precedents.get(cellKey);
+        if (!existing) return;
+
+        existing.cells.forEach(precedentKey => {
+            const dependents = this.cellDependents.get(precedentKey);
+            if (dependents) {
+                dependents.delete(cellKey);
+                if (dependents.size === 0) {
+                    this.cellDependents.delete(precedentKey);
+                }
+            }
+        });
+        existing.ranges.forEach(range => DependencyGraph.forEachBlock(range, blockKey => {
+            const dependents = this.rangeIndex.get(blockKey);
+            if (dependents) {
+                dependents.delete(cellKey);
+                if (dependents.size === 0) {
+                    this.rangeIndex.delete(blockKey);
+                }
+            }
+        }));
+        this.rangeDependents.delete(cellKey);
+        this.precedents.delete(cellKey);
+    }
+
+    /**
+     * 是否为已登记的公式单元格
+     */
+    has(cellKey) {
+        return this.precedents.has(cellKey);
+    }
+
+    /**
+     * 区域覆盖的分块：按 BLOCK_SIZE 行 × BLOCK_SIZE 列划分工作表，对每个分块调用 callback(blockKey)
+     * 区域引用按分块登记，查找引用某单元格的区域时只检查其所在分块中的公式
+     */
+    static forEachBlock(range, callback) {
+        const size = DependencyGraph.BLOCK_SIZE;
+        for (let rowBlock = Math.floor(range.minRow / size); rowBlock <= Math.floor(range.maxRow / size); rowBlock++) {
+            for (let colBlock = Math.floor(range.minCol / size); colBlock <= Math.floor(range.maxCol / size); colBlock++) {
+                callback(`${range.sheet}!${rowBlock}:${colBlock}`);
+            }
+        }
+    }
+
+    /**
+     * 获取直接引用某单元格的公式
+     */
+    getDependents(cellKey) {
+        const result = new Set(this.cellDependents.get(cellKey));
+        if (this.rangeIndex.size > 0) {
+            const { sheet, row, col } = DependencyGraph.parseKey(cellKey);
+            const size = DependencyGraph.BLOCK_SIZE;
+            const candidates = this.rangeIndex.get(`${sheet}!${Math.floor(row / size)}:${Math.floor(col / size)}`);
+            if (candidates) {
+                candidates.forEach(formulaKey => {
+                    if (this.rangeDependents.get(formulaKey).some(range =>
+                        range.sheet === sheet &&
+                        row >= range.minRow && row <= range.maxRow &&
+                        col >= range.minCol && col <= range.maxCol
+                    )) {
+                        result.add(formulaKey);
+                    }
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 计算一组单元格变化后需要重算的公式
+     * 返回 { order: 按拓扑顺序排列的公式, circular: 处于循环引用中的公式 }
+     */
+    getRecalculationPlan(changedKeys) {
+        // 收集受影响的公式：变化的公式本身以及全部下游公式
+        // 每个公式只查找一次从属公式，同时得到受影响子图内的边（引用 -> 从属），全部重算时也是一次线性遍历
+        const affected = new Set();
+        const queue = [];
+        const visit = (cellKey) => {
+            if (!affected.has(cellKey)) {
+                affected.add(cellKey);
+                queue.push(cellKey);
+            }
+        };
+        changedKeys.forEach(cellKey => {
+            if (this.precedents.has(cellKey)) visit(cellKey);
+            this.getDependents(cellKey).forEach(visit);
+        });
+        const edges = new Map();
+        for (let i = 0; i < queue.length; i++) {
+            const dependents = Array.from(this.getDependents(queue[i]));
+            dependents.forEach(visit);
+            edges.set(queue[i], dependents);
+        }
+
+        // Tarjan强连通分量：输出顺序为逆拓扑序，大小>1或自引用的分量即循环引用
+        const components = this.findStronglyConnectedComponents(affected, edges);
+        const order = [];
+        const circular = new Set();
+        for (let i = components.length - 1; i >= 0; i--) {
+            const component = components[i];
+            const isCycle = component.length > 1 || edges.get(component[0]).includes(component[0]);
+            component.forEach(cellKey => {
+                order.push(cellKey);
+                if (isCycle) circular.add(cellKey);
+            });
+        }
+
+        return { order, circular };
+    }
+
+    /**
+     * 迭代版Tarjan算法（避免长依赖链导致调用栈溢出）
+     */
+    findStronglyConnectedComponents(nodes, edges) {
+        const indices = new Map();
+        const lowLinks = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let index = 0;
+
+        nodes.forEach(root => {
+            if (indices.has(root)) return;
+
+            const callStack = [{ node: root, edgeIndex: 0 }];
+            indices.set(root, index);
+            lowLinks.set(root, index);
+            index++;
+            stack.push(root);
+            onStack.add(root);
+
+            while (callStack.length > 0) {
+                const frame = callStack[callStack.length - 1];
+                const targets = edges.get(frame.node);
+
+                if (frame.edgeIndex < targets.length) {
+                    const target = targets[frame.edgeIndex++];
+                    if (!indices.has(target)) {
+                        indices.set(target, index);
+                        lowLinks.set(target, index);
+                        index++;
+                        stack.push(target);
+                        onStack.add(target);
+                        callStack.push({ node: target, edgeIndex: 0 });
+                    } else if (onStack.has(target)) {
+                        lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indices.get(target)));
+                    }
+                    continue;
+                }
+
+                // 当前节点的边已遍历完
+                callStack.pop();
+                if (callStack.length > 0) {
+                    const parent = callStack[callStack.length - 1].node;
+                    lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+                }
+
+                if (lowLinks.get(frame.node) === indices.get(frame.node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== frame.node);
+                    components.push(component);
+                }
+            }
+        });
+
+        return components;
+    }
+}
+
+// 区域引用索引的分块大小（行数和列数）
+DependencyGraph.BLOCK_SIZE = 32;
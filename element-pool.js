@@ -0,0 +1,39 @@
+/**
+ * 渲染用的元素池
+ * 按键（单元格、行号、列号）复用容器中的元素，不再每次清空容器重新创建：
+ *   仍在可见范围内的键保留原来的元素，离开可见范围的元素移出容器放回池中，进入可见范围的键使用池中的元素（池为空时才创建）
+ * 元素的内容由调用方设置，复用池中的元素时需要完整重置
+ */
+class ElementPool {
+    constructor(container, create) {
+        this.container = container;
+        this.create = create;
+        this.elements = new Map(); // 键 -> 容器中的元素
+        this.free = []; // 移出容器、等待复用的元素
+    }
+
+    /**
+     * 按 keys 更新容器中的元素，对每个键调用 bind(element, key, reused)
+     * reused 为 true 表示元素上次已经以同一个键显示（内容和位置可能不需要更新）
+     */
+    update(keys, bind) {
+        const wanted = new Set(keys);
+        this.elements.forEach((element, key) => {
+            if (wanted.has(key)) return;
+            element.remove();
+            this.free.push(element);
+            this.elements.delete(key);
+        });
+
+        wanted.forEach(key => {
+            let element = this.elements.get(key);
+            const reused = !!element;
+            if (!reused) {
+                element = this.free.pop() || this.create();
+                this.container.appendChild(element);
+                this.elements.set(key, element);
+            }
+            bind(element, key, reused);
+        });
+    }
+}
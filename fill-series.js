@@ -0,0 +1,147 @@
+/**
+ * 自动填充
+ * 拖动填充柄时按填充方向上的源单元格（一列或一行）生成后续单元格的内容：
+ *   数字             两个以上时按线性趋势延伸（1, 2 → 3, 4），一个时复制
+ *   日期             各日期为每月同一天时按月延伸，否则按线性趋势延伸；一个时逐日递增
+ *   星期和月份       按内置列表循环（Monday、Mon、星期一、周一、January、Jan、一月），一个时逐项递增
+ *   带数字后缀的文本 前缀相同且间隔相同时按数字延伸（Item1, Item3 → Item5），一个时递增 1
+ * 其他情况（公式、空单元格、类型混合）循环复制源单元格，公式中的相对引用按与源单元格的距离平移
+ */
+class FillSeries {
+    /**
+     * 源单元格之后 count 个单元格的原始内容
+     * sources 为 [{ raw, date }]，date 表示数字以日期格式显示；shiftFormula(raw, distance) 平移公式
+     */
+    static extend(sources, count, shiftFormula) {
+        const series = FillSeries.detect(sources);
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            const position = sources.length + i;
+            if (series) {
+                result.push(series(position));
+                continue;
+            }
+            const index = position % sources.length;
+            const raw = sources[index].raw;
+            result.push(FormulaEngine.isFormula(raw) ? shiftFormula(raw, position - index) : raw);
+        }
+        return result;
+    }
+
+    /**
+     * 识别序列，返回按位置（第一个源单元格为 0）生成原始内容的函数；不是序列时返回 null
+     */
+    static detect(sources) {
+        if (sources.some(({ raw }) => !raw || FormulaEngine.isFormula(raw))) return null;
+        const values = sources.map(({ raw }) => CellValue.parse(raw));
+
+        if (values.every(value => typeof value === 'number')) {
+            const dates = sources.filter(source => source.date).length;
+            if (dates === sources.length) return FillSeries.detectDates(values);
+            if (dates > 0 || values.length < 2) return null;
+            const trend = FillSeries.trend(values);
+            return (position) => CellValue.toRaw(trend(position));
+        }
+        if (values.every(value => typeof value === 'string')) {
+            return FillSeries.detectList(values) || FillSeries.detectSuffix(values);
+        }
+        return null;
+    }
+
+    /**
+     * 最小二乘拟合的直线，等差数列时即为原数列的延伸
+     */
+    static trend(values) {
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        values.forEach((value, x) => {
+            covariance += (x - meanX) * (value - meanY);
+            variance += (x - meanX) * (x - meanX);
+        });
+        const slope = covariance / variance;
+        return (position) => meanY + slope * (position - meanX);
+    }
+
+    static detectDates(values) {
+        if (values.length === 1) {
+            return (position) => CellValue.toRaw(values[0] + position);
+        }
+
+        // 每月同一天、间隔相同的月数时按月延伸（月末日期不存在时取该月最后一天）
+        const parts = values.map(value => NumberFormat.serialToParts(value));
+        const months = parts.map(({ year, month }) => year * 12 + month - 1);
+        const step = months[1] - months[0];
+        const monthly = step !== 0 && parts.every((part, i) =>
+            part.day === parts[0].day && months[i] - months[0] === step * i);
+        if (monthly) {
+            const time = values[0] - Math.floor(values[0]);
+            return (position) => {
+                const index = months[0] + step * position;
+                const year = Math.floor(index / 12);
+                const month = index - year * 12 + 1;
+                const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                const serial = NumberFormat.partsToSerial(year, month, Math.min(parts[0].day, lastDay));
+                return serial === null ? '' : CellValue.toRaw(serial + time);
+            };
+        }
+
+        const trend = FillSeries.trend(values);
+        return (position) => CellValue.toRaw(trend(position));
+    }
+
+    /**
+     * 星期和月份：所有值属于同一个列表且间隔相同
+     */
+    static detectList(values) {
+        for (const list of FillSeries.LISTS) {
+            const lower = list.map(item => item.toLowerCase());
+            const indexes = values.map(value => lower.indexOf(value.trim().toLowerCase()));
+            if (indexes.some(index => index === -1)) continue;
+
+            const step = values.length === 1 ? 1 : (indexes[1] - indexes[0] + list.length) % list.length;
+            const consistent = indexes.every((index, i) => index === (indexes[0] + step * i) % list.length);
+            if (!consistent) return null;
+
+            // 大写的英文名称填充为大写
+            const upper = /[a-z]/i.test(values[0]) && values[0] === values[0].toUpperCase();
+            return (position) => {
+                const item = list[(indexes[0] + step * position) % list.length];
+                return upper ? item.toUpperCase() : item;
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 带数字后缀的文本：前缀相同，数字间隔相同；数字有前导零时保持位数
+     */
+    static detectSuffix(values) {
+        const matches = values.map(value => /^(.*?)(\d+)$/.exec(value));
+        if (matches.some(match => !match || match[1] !== matches[0][1])) return null;
+
+        const prefix = matches[0][1];
+        const numbers = matches.map(match => Number(match[2]));
+        const step = values.length === 1 ? 1 : numbers[1] - numbers[0];
+        if (numbers.some((number, i) => number !== numbers[0] + step * i)) return null;
+
+        const width = matches[0][2].startsWith('0') ? matches[0][2].length : 0;
+        return (position) => {
+            const number = Math.abs(numbers[0] + step * position);
+            return CellValue.quote(prefix + String(number).padStart(width, '0'));
+        };
+    }
+}
+
+// 填充用的列表（先匹配全称，May 等全称与缩写相同的值按全称填充）
+FillSeries.LISTS = [
+    NumberFormat.DAY_NAMES,
+    NumberFormat.DAY_NAMES.map(name => name.slice(0, 3)),
+    NumberFormat.MONTH_NAMES,
+    NumberFormat.MONTH_NAMES.map(name => name.slice(0, 3)),
+    NumberFormat.CHINESE_DAY_NAMES.map(name => '星期' + name),
+    NumberFormat.CHINESE_DAY_NAMES.map(name => '周' + name),
+    ['一', '二', '三', '四', '五', '六', '七', '八', '九', '十', '十一', '十二'].map(name => name + '月')
+];
@@ -0,0 +1,249 @@
+/**
+ * 筛选下拉菜单
+ * 列出列中的不同值（带复选框和搜索框），或设置条件筛选（文本包含、大于、前 10 项、日期范围）
+ * 菜单只负责界面，具体操作通过 handlers 回调交给表格执行：
+ *   onApply(criterion)  criterion 为 AutoFilter 的条件，为 null 时清除该列的筛选
+ */
+class FilterMenu {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+        this.values = []; // [{ value, text }]
+        this.checked = new Set(); // 勾选的值
+        this.listedSearch = ''; // 当前列表对应的搜索内容
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'filter-menu';
+
+        this.conditionSelect = document.createElement('select');
+        [
+            ['', '按值筛选'],
+            ['contains', '文本包含'],
+            ['greaterThan', '大于'],
+            ['top', '前 10 项'],
+            ['bottom', '后 10 项'],
+            ['dateRange', '日期介于']
+        ].forEach(([value, text]) => this.conditionSelect.add(new Option(text, value)));
+        this.conditionSelect.addEventListener('change', () => this.updateConditionInputs());
+
+        this.conditionInput = document.createElement('input');
+        this.conditionInput.className = 'filter-condition-input';
+        this.fromInput = document.createElement('input');
+        this.fromInput.type = 'date';
+        this.toInput = document.createElement('input');
+        this.toInput.type = 'date';
+        this.dateInputs = document.createElement('div');
+        this.dateInputs.className = 'filter-date-range';
+        this.dateInputs.appendChild(this.fromInput);
+        this.dateInputs.appendChild(document.createTextNode('至'));
+        this.dateInputs.appendChild(this.toInput);
+
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'search';
+        this.searchInput.placeholder = '搜索';
+        this.searchInput.addEventListener('input', () => this.renderValues());
+
+        this.selectAll = document.createElement('input');
+        this.selectAll.type = 'checkbox';
+        this.selectAll.addEventListener('change', () => {
+            this.list.querySelectorAll('input').forEach(checkbox => {
+                checkbox.checked = this.selectAll.checked;
+            });
+        });
+        const selectAllLabel = document.createElement('label');
+        selectAllLabel.className = 'filter-value';
+        selectAllLabel.appendChild(this.selectAll);
+        selectAllLabel.appendChild(document.createTextNode('(全选)'));
+
+        this.list = document.createElement('div');
+        this.list.className = 'filter-values';
+        this.list.addEventListener('change', () => this.updateSelectAll());
+
+        this.valuePanel = document.createElement('div');
+        this.valuePanel.className = 'filter-value-panel';
+        this.valuePanel.appendChild(this.searchInput);
+        this.valuePanel.appendChild(selectAllLabel);
+        this.valuePanel.appendChild(this.list);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-buttons';
+        [
+            ['清除筛选', () => this.apply(null)],
+            ['确定', () => this.apply(this.getCriterion())],
+            ['取消', () => this.close()]
+        ].forEach(([text, onClick]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        });
+
+        this.element.appendChild(this.conditionSelect);
+        this.element.appendChild(this.conditionInput);
+        this.element.appendChild(this.dateInputs);
+        this.element.appendChild(this.valuePanel);
+        this.element.appendChild(buttons);
+        this.container.appendChild(this.element);
+
+        // 菜单中的按键不作用于表格，点击菜单以外的位置时关闭
+        this.element.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter') {
+                this.apply(this.getCriterion());
+            }
+        });
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen() && !this.element.contains(e.target)) this.close();
+        });
+    }
+
+    /**
+     * 在 (x, y) 处打开菜单
+     * values 为列中的不同值 [{ value, text }]，criterion 为该列当前的条件（没有时为 null）
+     */
+    open(x, y, values, criterion) {
+        this.values = values;
+        this.searchInput.value = '';
+        this.conditionInput.value = '';
+        this.fromInput.value = '';
+        this.toInput.value = '';
+
+        const selected = criterion && criterion.values ? new Set(criterion.values) : null;
+        this.checked = new Set(values.map(item => item.text).filter(text => !selected || selected.has(text)));
+        this.list.innerHTML = '';
+        this.listedSearch = '';
+        this.conditionSelect.value = '';
+        if (criterion && !criterion.values) {
+            this.conditionSelect.value = criterion.type === 'top' && criterion.bottom ? 'bottom' : criterion.type;
+            if (criterion.type === 'contains') this.conditionInput.value = criterion.text;
+            if (criterion.type === 'greaterThan') this.conditionInput.value = criterion.value;
+            if (criterion.type === 'top') this.conditionInput.value = criterion.count;
+            if (criterion.type === 'dateRange') {
+                this.fromInput.value = FilterMenu.toDateText(criterion.from);
+                this.toInput.value = FilterMenu.toDateText(criterion.to);
+            }
+        }
+
+        this.renderValues();
+        this.updateConditionInputs();
+        this.element.style.left = x + 'px';
+        this.element.style.top = y + 'px';
+        this.element.style.display = 'flex';
+    }
+
+    close() {
+        this.element.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.element.style.display === 'flex';
+    }
+
+    /**
+     * 按搜索框的内容列出值（搜索时只列出并勾选匹配的值，未搜索时的勾选状态保留到清空搜索框后）
+     */
+    renderValues() {
+        if (!this.listedSearch) {
+            this.list.querySelectorAll('input').forEach(checkbox => {
+                if (checkbox.checked) {
+                    this.checked.add(checkbox.value);
+                } else {
+                    this.checked.delete(checkbox.value);
+                }
+            });
+        }
+
+        const search = this.searchInput.value.trim().toLowerCase();
+        this.listedSearch = search;
+        this.list.innerHTML = '';
+        this.values.forEach(({ text }) => {
+            const matched = !search || text.toLowerCase().includes(search);
+            if (!matched) return;
+
+            const label = document.createElement('label');
+            label.className = 'filter-value';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = text;
+            checkbox.checked = search ? true : this.checked.has(text);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text === '' ? '(空白)' : text));
+            this.list.appendChild(label);
+        });
+        this.updateSelectAll();
+    }
+
+    updateSelectAll() {
+        const checkboxes = Array.from(this.list.querySelectorAll('input'));
+        const count = checkboxes.filter(checkbox => checkbox.checked).length;
+        this.selectAll.checked = checkboxes.length > 0 && count === checkboxes.length;
+        this.selectAll.indeterminate = count > 0 && count < checkboxes.length;
+    }
+
+    /**
+     * 按值筛选时显示值列表，条件筛选时显示对应的输入框
+     */
+    updateConditionInputs() {
+        const type = this.conditionSelect.value;
+        this.valuePanel.style.display = type ? 'none' : '';
+        this.conditionInput.style.display = ['contains', 'greaterThan', 'top', 'bottom'].includes(type) ? '' : 'none';
+        this.dateInputs.style.display = type === 'dateRange' ? '' : 'none';
+        this.conditionInput.type = type === 'contains' ? 'text' : 'number';
+        if ((type === 'top' || type === 'bottom') && !this.conditionInput.value) {
+            this.conditionInput.value = 10;
+        }
+    }
+
+    /**
+     * 按界面上的设置生成条件；全部勾选或条件不完整时返回 null（不筛选）
+     */
+    getCriterion() {
+        const type = this.conditionSelect.value;
+        const input = this.conditionInput.value.trim();
+        switch (type) {
+            case 'contains':
+                return input ? { type, text: input } : null;
+            case 'greaterThan':
+                return FormulaEngine.isNumber(input) ? { type, value: Number(input) } : null;
+            case 'top':
+            case 'bottom': {
+                const count = Math.floor(Number(input));
+                return count > 0 ? { type: 'top', count, bottom: type === 'bottom' } : null;
+            }
+            case 'dateRange': {
+                const from = FilterMenu.toSerial(this.fromInput.value);
+                const to = FilterMenu.toSerial(this.toInput.value);
+                return from !== null || to !== null ? { type, from, to } : null;
+            }
+        }
+
+        // 搜索时只保留匹配搜索内容并勾选的值
+        const checkboxes = Array.from(this.list.querySelectorAll('input'));
+        const values = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        if (!this.searchInput.value.trim() && values.length === this.values.length) return null;
+        return { values };
+    }
+
+    apply(criterion) {
+        this.close();
+        this.handlers.onApply(criterion);
+    }
+
+    /**
+     * 日期输入框的值（yyyy-mm-dd）与日期序列号互换
+     */
+    static toSerial(text) {
+        const date = text ? CellValue.parseDateTime(text) : null;
+        return date ? Math.floor(date.serial) : null;
+    }
+
+    static toDateText(serial) {
+        return serial === null || serial === undefined ? '' : NumberFormat.format(serial, 'yyyy-mm-dd');
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * 查找和替换面板
+ * 面板不遮挡表格，打开时仍可以看到找到的单元格；设置查找选项后通过 handlers 回调交给表格执行：
+ *   onFind(options, backwards)  查找下一个（backwards 为 true 时查找上一个）
+ *   onReplace(options)          替换当前单元格并查找下一个
+ *   onReplaceAll(options)       全部替换
+ * options 为 { text, replacement, matchCase, wholeCell, regex, lookIn, scope }
+ *   lookIn 为 'values'（按显示的值查找）或 'formulas'（按输入的内容查找）
+ *   scope 为 'sheet'（整个工作表）或 'selection'（选区）
+ */
+class FindPanel {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'dialog find-panel';
+
+        const title = document.createElement('div');
+        title.className = 'dialog-title';
+        title.textContent = '查找和替换';
+
+        this.findInput = document.createElement('input');
+        this.findInput.className = 'find-input';
+        this.replaceInput = document.createElement('input');
+        this.replaceInput.className = 'find-input';
+        const fields = document.createElement('div');
+        fields.className = 'find-fields';
+        [['查找内容', this.findInput], ['替换为', this.replaceInput]].forEach(([text, input]) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            fields.appendChild(label);
+            fields.appendChild(input);
+        });
+
+        const options = document.createElement('div');
+        options.className = 'find-options';
+        this.checkboxes = {};
+        [
+            ['matchCase', '区分大小写'],
+            ['wholeCell', '单元格匹配'],
+            ['regex', '使用正则表达式']
+        ].forEach(([name, text]) => {
+            const label = document.createElement('label');
+            label.className = 'dialog-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            options.appendChild(label);
+            this.checkboxes[name] = checkbox;
+        });
+
+        this.lookInSelect = document.createElement('select');
+        this.lookInSelect.title = '查找范围';
+        this.lookInSelect.add(new Option('查找值', 'values'));
+        this.lookInSelect.add(new Option('查找公式', 'formulas'));
+        this.scopeSelect = document.createElement('select');
+        this.scopeSelect.title = '搜索范围';
+        this.scopeSelect.add(new Option('工作表', 'sheet'));
+        this.scopeSelect.add(new Option('选区', 'selection'));
+        options.appendChild(this.lookInSelect);
+        options.appendChild(this.scopeSelect);
+
+        this.status = document.createElement('div');
+        this.status.className = 'find-status';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-buttons';
+        [
+            ['全部替换', () => this.handlers.onReplaceAll(this.getOptions()), '按输入的内容（公式）查找并替换'],
+            ['替换', () => this.handlers.onReplace(this.getOptions()), '按输入的内容（公式）查找并替换'],
+            ['查找上一个', () => this.handlers.onFind(this.getOptions(), true)],
+            ['查找下一个', () => this.handlers.onFind(this.getOptions(), false)],
+            ['关闭', () => this.close()]
+        ].forEach(([text, onClick, tooltip]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            if (tooltip) button.title = tooltip;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        });
+
+        this.element.appendChild(title);
+        this.element.appendChild(fields);
+        this.element.appendChild(options);
+        this.element.appendChild(this.status);
+        this.element.appendChild(buttons);
+        this.container.appendChild(this.element);
+
+        // 面板中的按键不作用于表格；Enter 查找下一个，Shift+Enter 查找上一个
+        this.element.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                this.handlers.onFind(this.getOptions(), e.shiftKey);
+                e.preventDefault();
+            } else if ((e.ctrlKey || e.metaKey) && ['f', 'h'].includes(e.key.toLowerCase())) {
+                this.open(e.key.toLowerCase() === 'h', this.scopeSelect.value);
+                e.preventDefault();
+            }
+        });
+    }
+
+    /**
+     * 打开面板并选中查找内容（replace 为 true 时聚焦替换内容），scope 为默认的搜索范围
+     */
+    open(replace, scope) {
+        this.scopeSelect.value = scope;
+        this.setStatus('');
+        this.element.style.display = 'flex';
+        const input = replace && this.findInput.value ? this.replaceInput : this.findInput;
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * 关闭面板，焦点回到表格
+     */
+    close() {
+        if (this.element.contains(document.activeElement)) document.activeElement.blur();
+        this.element.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.element.style.display === 'flex';
+    }
+
+    getOptions() {
+        return {
+            text: this.findInput.value,
+            replacement: this.replaceInput.value,
+            matchCase: this.checkboxes.matchCase.checked,
+            wholeCell: this.checkboxes.wholeCell.checked,
+            regex: this.checkboxes.regex.checked,
+            lookIn: this.lookInSelect.value,
+            scope: this.scopeSelect.value
+        };
+    }
+
+    /**
+     * 显示查找结果或错误提示
+     */
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
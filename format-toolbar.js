@@ -0,0 +1,192 @@
+/**
+ * 格式工具栏
+ * 字体（加粗/倾斜/下划线/删除线、字号、颜色）、填充色、水平/垂直对齐、自动换行、数字格式、边框和清除格式
+ * 工具栏只负责界面，具体操作通过 handlers 回调交给表格执行：
+ *   onFormat(changes)  changes 为要设置的样式属性，值为 null 时移除该属性
+ *   onBorders(preset)  preset 为 all / outside / top / bottom / left / right / none
+ *   onClearFormat()
+ */
+class FormatToolbar {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+        this.controls = {};
+        this.style = {}; // 活动单元格的样式
+
+        this.createControls();
+    }
+
+    createControls() {
+        const toggles = [
+            ['bold', 'B', '加粗 (Ctrl+B)'],
+            ['italic', 'I', '倾斜 (Ctrl+I)'],
+            ['underline', 'U', '下划线 (Ctrl+U)'],
+            ['strikethrough', 'S', '删除线']
+        ];
+        toggles.forEach(([name, text, title]) => {
+            const button = this.createButton(text, title, () => this.toggle(name));
+            button.classList.add(`format-${name}`);
+            this.controls[name] = button;
+        });
+
+        const fontSize = document.createElement('select');
+        fontSize.title = '字号';
+        FormatToolbar.FONT_SIZES.forEach(size => fontSize.add(new Option(size, size)));
+        fontSize.addEventListener('change', () => {
+            const size = Number(fontSize.value);
+            this.handlers.onFormat({ fontSize: size === FormatToolbar.DEFAULT_FONT_SIZE ? null : size });
+            fontSize.blur();
+        });
+        this.container.appendChild(fontSize);
+        this.controls.fontSize = fontSize;
+
+        this.controls.fontColor = this.createColorInput('字体颜色', '#000000', 'fontColor');
+        this.controls.fillColor = this.createColorInput('填充颜色', '#FFFFFF', 'fillColor');
+        this.createButton('无填充', '清除填充颜色', () => this.handlers.onFormat({ fillColor: null }));
+        this.addSeparator();
+
+        [
+            ['left', '左对齐'],
+            ['center', '居中'],
+            ['right', '右对齐']
+        ].forEach(([value, text]) => {
+            this.controls[`horizontal-${value}`] = this.createButton(text, `水平${text}`, () => {
+                this.handlers.onFormat({ horizontalAlign: this.style.horizontalAlign === value ? null : value });
+            });
+        });
+        [
+            ['top', '顶端'],
+            ['middle', '垂直居中'],
+            ['bottom', '底端']
+        ].forEach(([value, text]) => {
+            this.controls[`vertical-${value}`] = this.createButton(text, `${text}对齐`, () => {
+                this.handlers.onFormat({ verticalAlign: this.style.verticalAlign === value ? null : value });
+            });
+        });
+        this.controls.wrapText = this.createButton('自动换行', '自动换行', () => this.toggle('wrapText'));
+        this.addSeparator();
+
+        const numberFormat = document.createElement('select');
+        numberFormat.title = '数字格式';
+        FormatToolbar.NUMBER_FORMATS.forEach(([code, text]) => numberFormat.add(new Option(text, code)));
+        numberFormat.add(new Option('自定义…', FormatToolbar.CUSTOM_FORMAT));
+        numberFormat.addEventListener('change', () => {
+            let code = numberFormat.value;
+            if (code === FormatToolbar.CUSTOM_FORMAT) {
+                code = prompt('请输入数字格式代码（如 #,##0.00、0.0%、yyyy-mm-dd）：', this.style.numberFormat || '');
+            }
+            if (code !== null) {
+                this.handlers.onFormat({ numberFormat: code || null });
+            }
+            this.render(this.style);
+            numberFormat.blur();
+        });
+        this.container.appendChild(numberFormat);
+        this.controls.numberFormat = numberFormat;
+        this.addSeparator();
+
+        const borders = document.createElement('select');
+        borders.title = '边框';
+        [
+            ['', '边框…'],
+            ['all', '所有框线'],
+            ['outside', '外侧框线'],
+            ['top', '上框线'],
+            ['bottom', '下框线'],
+            ['left', '左框线'],
+            ['right', '右框线'],
+            ['none', '无框线']
+        ].forEach(([value, text]) => borders.add(new Option(text, value)));
+        borders.addEventListener('change', () => {
+            if (borders.value) this.handlers.onBorders(borders.value);
+            borders.value = '';
+            borders.blur();
+        });
+        this.container.appendChild(borders);
+
+        this.createButton('清除格式', '清除选中单元格的格式', () => this.handlers.onClearFormat());
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        this.container.appendChild(button);
+        return button;
+    }
+
+    createColorInput(title, defaultColor, property) {
+        const label = document.createElement('label');
+        label.className = 'format-color';
+        label.title = title;
+        label.textContent = title.slice(0, 2);
+
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = defaultColor.toLowerCase();
+        input.addEventListener('change', () => {
+            this.handlers.onFormat({ [property]: input.value.toUpperCase() });
+        });
+
+        label.appendChild(input);
+        this.container.appendChild(label);
+        return input;
+    }
+
+    addSeparator() {
+        const separator = document.createElement('span');
+        separator.className = 'separator';
+        separator.textContent = '|';
+        this.container.appendChild(separator);
+    }
+
+    /**
+     * 切换开关类属性（以活动单元格的状态为准）
+     */
+    toggle(name) {
+        this.handlers.onFormat({ [name]: this.style[name] ? null : true });
+    }
+
+    /**
+     * 按活动单元格的样式更新按钮状态
+     */
+    render(style) {
+        this.style = style || {};
+        ['bold', 'italic', 'underline', 'strikethrough', 'wrapText'].forEach(name => {
+            this.controls[name].classList.toggle('active', !!this.style[name]);
+        });
+        ['left', 'center', 'right'].forEach(value => {
+            this.controls[`horizontal-${value}`].classList.toggle('active', this.style.horizontalAlign === value);
+        });
+        ['top', 'middle', 'bottom'].forEach(value => {
+            this.controls[`vertical-${value}`].classList.toggle('active', this.style.verticalAlign === value);
+        });
+        this.controls.fontSize.value = this.style.fontSize || FormatToolbar.DEFAULT_FONT_SIZE;
+        this.controls.fontColor.value = (this.style.fontColor || '#000000').toLowerCase();
+        this.controls.fillColor.value = (this.style.fillColor || '#FFFFFF').toLowerCase();
+
+        const code = this.style.numberFormat || '';
+        const known = FormatToolbar.NUMBER_FORMATS.some(([value]) => value === code);
+        this.controls.numberFormat.value = known ? code : FormatToolbar.CUSTOM_FORMAT;
+    }
+}
+
+// 字号（磅），未设置字号的单元格按 12 磅（16 像素）显示
+FormatToolbar.FONT_SIZES = [8, 9, 10, 11, 12, 14, 16, 18, 20, 24, 28, 36, 48];
+FormatToolbar.DEFAULT_FONT_SIZE = 12;
+
+// 常用数字格式 [格式代码, 名称]，常规格式的代码为空
+FormatToolbar.NUMBER_FORMATS = [
+    ['', '常规'],
+    ['0.00', '数值'],
+    ['#,##0.00', '千位分隔'],
+    ['"¥"#,##0.00', '货币'],
+    ['0%', '百分比'],
+    ['0.00E+00', '科学记数'],
+    ['yyyy-mm-dd', '短日期'],
+    ['yyyy"年"m"月"d"日"', '长日期'],
+    ['h:mm:ss', '时间'],
+    ['@', '文本']
+];
+FormatToolbar.CUSTOM_FORMAT = 'custom';
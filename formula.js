@@ -0,0 +1,928 @@
+/**
+ * 公式引擎
+ * 解析以 = 开头的表达式，支持A1引用、区域引用、跨工作表引用（Sheet2!A1）、运算符和常用函数
+ */
+
+/**
+ * 公式错误值（如 #DIV/0!），作为计算结果在单元格之间传递
+ */
+class FormulaError {
+    constructor(code) {
+        this.code = code;
+    }
+
+    toString() {
+        return this.code;
+    }
+}
+
+FormulaError.DIV_ZERO = '#DIV/0!';
+FormulaError.VALUE = '#VALUE!';
+FormulaError.NAME = '#NAME?';
+FormulaError.REF = '#REF!';
+FormulaError.NUM = '#NUM!';
+FormulaError.NA = '#N/A';
+FormulaError.CIRCULAR = '#CIRCULAR!';
+FormulaError.ERROR = '#ERROR!';
+
+/**
+ * 公式语法解析器：词法分析 + 递归下降语法分析
+ */
+class FormulaParser {
+    /**
+     * 词法分析，返回带源码位置的记号列表
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            // 跳过空白
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+
+            // 字符串字面量，"" 表示转义的双引号
+            if (ch === '"') {
+                let value = '';
+                i++;
+                while (true) {
+                    if (i >= text.length) {
+                        throw new SyntaxError('字符串未闭合');
+                    }
+                    if (text[i] === '"') {
+                        if (text[i + 1] === '"') {
+                            value += '"';
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    value += text[i++];
+                }
+                tokens.push({ type: 'string', value, start, end: i });
+                continue;
+            }
+
+            // 带工作表名的引用：Sheet2!A1、'My Sheet'!A1（名称中的 '' 表示单引号）
+            const sheetMatch = /^(?:'((?:[^']|'')+)'|([^\s'"!(),:+\-*\/^&=<>%#]+))!(\$?)([A-Za-z]{1,3})(\$?)([1-9]\d*)(?![A-Za-z0-9_.(])/.exec(text.slice(i));
+            if (sheetMatch) {
+                i += sheetMatch[0].length;
+                tokens.push({
+                    type: 'ref',
+                    value: {
+                        row: parseInt(sheetMatch[6]) - 1,
+                        col: FormulaEngine.columnIndex(sheetMatch[4]),
+                        rowAbsolute: sheetMatch[5] === '$',
+                        colAbsolute: sheetMatch[3] === '$',
+                        sheet: sheetMatch[1] !== undefined ? sheetMatch[1].replace(/''/g, "'") : sheetMatch[2]
+                    },
+                    start,
+                    end: i
+                });
+                continue;
+            }
+
+            // 数字
+            const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+            if (numberMatch) {
+                i += numberMatch[0].length;
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), start, end: i });
+                continue;
+            }
+
+            // 错误字面量
+            const errorMatch = /^(#DIV\/0!|#VALUE!|#NAME\?|#REF!|#NUM!|#N\/A|#CIRCULAR!|#ERROR!)/i.exec(text.slice(i));
+            if (errorMatch) {
+                i += errorMatch[0].length;
+                tokens.push({ type: 'error', value: errorMatch[0].toUpperCase(), start, end: i });
+                continue;
+            }
+
+            // 单元格引用、函数名、布尔值
+            const wordMatch = /^[A-Za-z_$][A-Za-z0-9_.$]*/.exec(text.slice(i));
+            if (wordMatch) {
+                const word = wordMatch[0];
+                i += word.length;
+                const refMatch = /^(\$?)([A-Za-z]{1,3})(\$?)([1-9]\d*)$/.exec(word);
+                const upper = word.toUpperCase();
+
+                if (text[i] === '(' && !word.includes('$')) {
+                    tokens.push({ type: 'function', value: upper, start, end: i });
+                } else if (refMatch) {
+                    tokens.push({
+                        type: 'ref',
+                        value: {
+                            row: parseInt(refMatch[4]) - 1,
+                            col: FormulaEngine.columnIndex(refMatch[2]),
+                            rowAbsolute: refMatch[3] === '$',
+                            colAbsolute: refMatch[1] === '$'
+                        },
+                        start,
+                        end: i
+                    });
+                } else if (upper === 'TRUE' || upper === 'FALSE') {
+                    tokens.push({ type: 'boolean', value: upper === 'TRUE', start, end: i });
+                } else {
+                    tokens.push({ type: 'name', value: upper, start, end: i });
+                }
+                continue;
+            }
+
+            // 运算符与分隔符
+            const twoChars = text.substr(i, 2);
+            if (twoChars === '<=' || twoChars === '>=' || twoChars === '<>') {
+                i += 2;
+                tokens.push({ type: 'operator', value: twoChars, start, end: i });
+                continue;
+            }
+
+            i++;
+            if ('+-*/^&=<>%'.includes(ch)) {
+                tokens.push({ type: 'operator', value: ch, start, end: i });
+            } else if (ch === '(') {
+                tokens.push({ type: 'lparen', value: ch, start, end: i });
+            } else if (ch === ')') {
+                tokens.push({ type: 'rparen', value: ch, start, end: i });
+            } else if (ch === ',') {
+                tokens.push({ type: 'comma', value: ch, start, end: i });
+            } else if (ch === ':') {
+                tokens.push({ type: 'colon', value: ch, start, end: i });
+            } else {
+                throw new SyntaxError(`无法识别的字符: ${ch}`);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 解析公式文本（不含开头的 =），返回语法树
+     */
+    static parse(text) {
+        const parser = new FormulaParser(FormulaParser.tokenize(text), text);
+        const ast = parser.parseComparison();
+        if (parser.position < parser.tokens.length) {
+            throw new SyntaxError('公式末尾存在多余内容');
+        }
+        return ast;
+    }
+
+    constructor(tokens, text) {
+        this.tokens = tokens;
+        this.text = text; // 公式文本，用于错误信息
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isOperator(...values) {
+        const token = this.peek();
+        return token && token.type === 'operator' && values.includes(token.value);
+    }
+
+    expect(type) {
+        const token = this.next();
+        if (!token || token.type !== type) {
+            throw new SyntaxError(`缺少 ${type}`);
+        }
+        return token;
+    }
+
+    // 运算优先级（从低到高）：比较 < 连接& < 加减 < 乘除 < 乘方 < 百分号 < 负号
+    parseComparison() {
+        let left = this.parseConcat();
+        while (this.isOperator('=', '<>', '<', '>', '<=', '>=')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseConcat() };
+        }
+        return left;
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.isOperator('&')) {
+            this.next();
+            left = { type: 'binary', op: '&', left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOperator('+', '-')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parsePower();
+        while (this.isOperator('*', '/')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parsePower() };
+        }
+        return left;
+    }
+
+    parsePower() {
+        let left = this.parsePercent();
+        while (this.isOperator('^')) {
+            this.next();
+            left = { type: 'binary', op: '^', left, right: this.parsePercent() };
+        }
+        return left;
+    }
+
+    parsePercent() {
+        let operand = this.parseUnary();
+        while (this.isOperator('%')) {
+            this.next();
+            operand = { type: 'percent', operand };
+        }
+        return operand;
+    }
+
+    parseUnary() {
+        if (this.isOperator('+', '-')) {
+            const op = this.next().value;
+            return { type: 'unary', op, operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) {
+            throw new SyntaxError('公式不完整');
+        }
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value };
+            case 'string':
+                return { type: 'string', value: token.value };
+            case 'boolean':
+                return { type: 'boolean', value: token.value };
+            case 'error':
+                return { type: 'error', code: token.value };
+            case 'name':
+                return { type: 'name', name: token.value };
+            case 'ref': {
+                const start = { ...token.value };
+                if (this.peek() && this.peek().type === 'colon') {
+                    this.next();
+                    const end = { ...this.expect('ref').value };
+                    if (end.sheet !== undefined && !FormulaEngine.isSameSheet(end.sheet, start.sheet)) {
+                        throw new SyntaxError('区域的两端必须位于同一工作表');
+                    }
+                    delete end.sheet;
+                    return { type: 'range', start, end, sheet: start.sheet };
+                }
+                return { type: 'ref', ...start };
+            }
+            case 'function':
+                return this.parseCall(token.value);
+            case 'lparen': {
+                const expression = this.parseComparison();
+                this.expect('rparen');
+                return expression;
+            }
+            default:
+                throw new SyntaxError(`意外的符号: ${this.text.slice(token.start, token.end)}`);
+        }
+    }
+
+    parseCall(name) {
+        this.expect('lparen');
+        const args = [];
+
+        if (this.peek() && this.peek().type === 'rparen') {
+            this.next();
+            return { type: 'call', name, args };
+        }
+
+        while (true) {
+            const token = this.peek();
+            // 允许省略参数，如 IF(A1,,1)
+            if (token && (token.type === 'comma' || token.type === 'rparen')) {
+                args.push({ type: 'missing' });
+            } else {
+                args.push(this.parseComparison());
+            }
+
+            const separator = this.next();
+            if (!separator) {
+                throw new SyntaxError('函数缺少右括号');
+            }
+            if (separator.type === 'rparen') break;
+            if (separator.type !== 'comma') {
+                throw new SyntaxError(`意外的符号: ${this.text.slice(separator.start, separator.end)}`);
+            }
+        }
+
+        return { type: 'call', name, args };
+    }
+}
+
+/**
+ * 公式计算器
+ * 单元格取值通过 context.getCellValue(row, col, sheet) 回调获得，引擎本身不持有表格数据
+ * sheet 为引用中写明的工作表名称，未写明时为 undefined（即公式所在的工作表）
+ */
+class FormulaEngine {
+    /**
+     * 列字母转索引（A -> 0, AA -> 26）
+     */
+    static columnIndex(letters) {
+        let index = 0;
+        const upper = letters.toUpperCase();
+        for (let i = 0; i < upper.length; i++) {
+            index = index * 26 + (upper.charCodeAt(i) - 64);
+        }
+        return index - 1;
+    }
+
+    /**
+     * 列索引转字母（0 -> A, 26 -> AA）
+     */
+    static columnName(index) {
+        let result = '';
+        while (index >= 0) {
+            result = String.fromCharCode(65 + (index % 26)) + result;
+            index = Math.floor(index / 26) - 1;
+        }
+        return result;
+    }
+
+    /**
+     * 引用转为A1文本（保留 $ 绝对引用标记和工作表名）
+     */
+    static formatReference(ref) {
+        return (ref.sheet !== undefined ? FormulaEngine.formatSheetName(ref.sheet) + '!' : '') +
+            (ref.colAbsolute ? '$' : '') + FormulaEngine.columnName(ref.col) +
+            (ref.rowAbsolute ? '$' : '') + (ref.row + 1);
+    }
+
+    /**
+     * 工作表名用于公式时的写法：简单名称原样输出，其他加单引号
+     */
+    static formatSheetName(name) {
+        if (/^[A-Za-z_\u4e00-\u9fa5][A-Za-z0-9_.\u4e00-\u9fa5]*$/.test(name) &&
+            !/^[A-Za-z]{1,3}\d+$/.test(name) && !/^(TRUE|FALSE)$/i.test(name)) {
+            return name;
+        }
+        return "'" + name.replace(/'/g, "''") + "'";
+    }
+
+    /**
+     * 工作表名比较（不区分大小写）
+     */
+    static isSameSheet(a, b) {
+        if (a === undefined || b === undefined) return a === b;
+        return a.toLowerCase() === b.toLowerCase();
+    }
+
+    /**
+     * 判断原始内容是否为公式
+     */
+    static isFormula(raw) {
+        return typeof raw === 'string' && raw.length > 1 && raw[0] === '=';
+    }
+
+    /**
+     * 是否为十进制数字文本（不接受 Number() 认可的 0x10、0b101、Infinity 等写法）
+     */
+    static isNumber(text) {
+        return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text);
+    }
+
+    /**
+     * 将计算结果格式化为显示文本
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof FormulaError) return value.code;
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value === 'number') return FormulaEngine.formatNumber(value);
+        return String(value);
+    }
+
+    /**
+     * 数字显示时保留15位有效数字，消除浮点误差（0.1+0.2 显示为 0.3）
+     */
+    static formatNumber(number) {
+        if (Number.isInteger(number)) return String(number);
+        return String(parseFloat(number.toPrecision(15)));
+    }
+
+    constructor() {
+        this.functions = {
+            SUM: (args) => this.sum(args),
+            AVERAGE: (args) => this.average(args),
+            MIN: (args) => this.extreme(args, Math.min),
+            MAX: (args) => this.extreme(args, Math.max),
+            COUNT: (args) => this.count(args),
+            ROUND: (args) => this.round(args),
+            CONCAT: (args) => this.concat(args)
+        };
+    }
+
+    /**
+     * 解析公式文本（含开头的 =）
+     */
+    parse(formula) {
+        return FormulaParser.parse(formula.slice(1));
+    }
+
+    /**
+     * 提取语法树中引用的单元格和区域（sheet 为写明的工作表名，未写明时为 undefined）
+     */
+    getReferences(ast) {
+        const references = { cells: [], ranges: [] };
+        const visit = (node) => {
+            switch (node.type) {
+                case 'ref':
+                    references.cells.push({ sheet: node.sheet, row: node.row, col: node.col });
+                    break;
+                case 'range':
+                    references.ranges.push({
+                        sheet: node.sheet,
+                        minRow: Math.min(node.start.row, node.end.row),
+                        maxRow: Math.max(node.start.row, node.end.row),
+                        minCol: Math.min(node.start.col, node.end.col),
+                        maxCol: Math.max(node.start.col, node.end.col)
+                    });
+                    break;
+                case 'unary':
+                case 'percent':
+                    visit(node.operand);
+                    break;
+                case 'binary':
+                    visit(node.left);
+                    visit(node.right);
+                    break;
+                case 'call':
+                    node.args.forEach(visit);
+                    break;
+            }
+        };
+        visit(ast);
+        return references;
+    }
+
+    /**
+     * 逐个改写公式中的引用
+     * transform(start, end) 对单元格引用调用时 end 为 null，可直接修改传入的引用副本，
+     * 返回 true 表示已修改、false 表示保持原文、null 表示引用失效（改为 #REF!）
+     * 无法解析的公式原样返回
+     */
+    transformReferences(formula, transform) {
+        const body = formula.slice(1);
+        let tokens;
+        try {
+            tokens = FormulaParser.tokenize(body);
+        } catch (error) {
+            return formula;
+        }
+
+        let result = '';
+        let lastEnd = 0;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'ref') continue;
+
+            const isRange = tokens[i + 1] && tokens[i + 1].type === 'colon' &&
+                tokens[i + 2] && tokens[i + 2].type === 'ref';
+            const endToken = isRange ? tokens[i + 2] : token;
+            const start = { ...token.value };
+            const end = isRange ? { ...endToken.value } : null;
+            if (isRange) i += 2;
+            if (end) delete end.sheet; // 工作表名只写在区域开头
+
+            const outcome = transform(start, end);
+            if (outcome === false) continue; // 未变化的引用保留用户原始写法
+
+            let replacement;
+            if (outcome === null) {
+                replacement = FormulaError.REF;
+            } else if (isRange) {
+                replacement = FormulaEngine.formatReference(start) + ':' + FormulaEngine.formatReference(end);
+            } else {
+                replacement = FormulaEngine.formatReference(start);
+            }
+            result += body.slice(lastEnd, token.start) + replacement;
+            lastEnd = endToken.end;
+        }
+
+        return '=' + result + body.slice(lastEnd);
+    }
+
+    /**
+     * 引用是否指向目标工作表
+     * target: { sheet: 目标工作表名, local: 公式是否位于该工作表 }，为 null 时匹配所有引用
+     */
+    static isTargetReference(ref, target) {
+        if (!target) return true;
+        return ref.sheet === undefined ? target.local : FormulaEngine.isSameSheet(ref.sheet, target.sheet);
+    }
+
+    /**
+     * 插入或删除行列后改写公式中的引用
+     * axis 为 'row' 或 'column'；count > 0 表示在 index 处插入，count < 0 表示从 index 开始删除
+     * 指向被删除单元格的引用改为 #REF!；target 限定只改写指向某个工作表的引用（见 isTargetReference）
+     */
+    shiftReferences(formula, axis, index, count, target = null) {
+        const key = axis === 'row' ? 'row' : 'col';
+
+        return this.transformReferences(formula, (start, end) => {
+            if (!FormulaEngine.isTargetReference(start, target)) return false;
+
+            // 区域端点按坐标排序后再调整
+            const [low, high] = !end ? [start, start] : start[key] <= end[key] ? [start, end] : [end, start];
+            const shifted = this.shiftSpan(low[key], high[key], index, count);
+            if (!shifted) return null;
+
+            const changed = shifted[0] !== low[key] || shifted[1] !== high[key];
+            low[key] = shifted[0];
+            high[key] = shifted[1];
+            return changed;
+        });
+    }
+
+    /**
+     * 复制公式到其他位置时平移相对引用（$ 绝对引用保持不变），越过表格边界的引用改为 #REF!
+     */
+    offsetReferences(formula, rowOffset, colOffset) {
+        if (rowOffset === 0 && colOffset === 0) return formula;
+
+        return this.transformReferences(formula, (start, end) => {
+            let changed = false;
+            for (const ref of end ? [start, end] : [start]) {
+                if (!ref.rowAbsolute && rowOffset !== 0) {
+                    ref.row += rowOffset;
+                    changed = true;
+                }
+                if (!ref.colAbsolute && colOffset !== 0) {
+                    ref.col += colOffset;
+                    changed = true;
+                }
+                if (ref.row < 0 || ref.col < 0) return null;
+            }
+            return changed;
+        });
+    }
+
+    /**
+     * 剪切移动区域后改写引用：完全位于 area 内的引用（含绝对引用）随区域平移，其余保持不变
+     * area: { minRow, maxRow, minCol, maxCol }；target 同 shiftReferences
+     */
+    moveReferences(formula, area, rowOffset, colOffset, target = null) {
+        const inside = (ref) => ref.row >= area.minRow && ref.row <= area.maxRow &&
+            ref.col >= area.minCol && ref.col <= area.maxCol;
+
+        return this.transformReferences(formula, (start, end) => {
+            const refs = end ? [start, end] : [start];
+            if (!FormulaEngine.isTargetReference(start, target) || !refs.every(inside)) return false;
+
+            refs.forEach(ref => {
+                ref.row += rowOffset;
+                ref.col += colOffset;
+            });
+            return rowOffset !== 0 || colOffset !== 0;
+        });
+    }
+
+    /**
+     * 工作表改名后改写引用中的工作表名；newName 为 null 表示工作表被删除，相关引用改为 #REF!
+     */
+    renameSheetReferences(formula, oldName, newName) {
+        return this.transformReferences(formula, (start) => {
+            if (start.sheet === undefined || !FormulaEngine.isSameSheet(start.sheet, oldName)) return false;
+            if (newName === null) return null;
+            start.sheet = newName;
+            return true;
+        });
+    }
+
+    /**
+     * 调整 [low, high] 区间，区间被完全删除时返回 null
+     */
+    shiftSpan(low, high, index, count) {
+        if (count > 0) {
+            return [
+                low >= index ? low + count : low,
+                high >= index ? high + count : high
+            ];
+        }
+
+        const deleted = -count;
+        const deletedEnd = index + deleted; // 被删除区间之后的第一个位置
+        if (low >= index && high < deletedEnd) {
+            return null;
+        }
+        return [
+            low < index ? low : (low < deletedEnd ? index : low - deleted),
+            high < index ? high : (high < deletedEnd ? index - 1 : high - deleted)
+        ];
+    }
+
+    /**
+     * 计算语法树，返回数字、字符串、布尔值、null 或 FormulaError
+     */
+    evaluate(ast, context) {
+        const result = this.evaluateNode(ast, context);
+        if (Array.isArray(result)) {
+            // 单个单元格的区域视为该单元格，多单元格区域无法放入一个单元格
+            if (result.length === 1 && result[0].length === 1) {
+                return result[0][0] === null ? 0 : result[0][0];
+            }
+            return new FormulaError(FormulaError.VALUE);
+        }
+        return result === null ? 0 : result;
+    }
+
+    evaluateNode(node, context) {
+        switch (node.type) {
+            case 'number':
+            case 'string':
+            case 'boolean':
+                return node.value;
+            case 'missing':
+                return null;
+            case 'error':
+                return new FormulaError(node.code);
+            case 'name':
+                return new FormulaError(FormulaError.NAME);
+            case 'ref':
+                return context.getCellValue(node.row, node.col, node.sheet);
+            case 'range':
+                return this.evaluateRange(node, context);
+            case 'unary': {
+                const value = this.toNumber(this.scalar(this.evaluateNode(node.operand, context)));
+                if (value instanceof FormulaError) return value;
+                return node.op === '-' ? -value : value;
+            }
+            case 'percent': {
+                const value = this.toNumber(this.scalar(this.evaluateNode(node.operand, context)));
+                if (value instanceof FormulaError) return value;
+                return value / 100;
+            }
+            case 'binary':
+                return this.evaluateBinary(node, context);
+            case 'call':
+                return this.evaluateCall(node, context);
+            default:
+                return new FormulaError(FormulaError.ERROR);
+        }
+    }
+
+    /**
+     * 区域求值为二维数组
+     */
+    evaluateRange(node, context) {
+        const minRow = Math.min(node.start.row, node.end.row);
+        const maxRow = Math.max(node.start.row, node.end.row);
+        const minCol = Math.min(node.start.col, node.end.col);
+        const maxCol = Math.max(node.start.col, node.end.col);
+
+        const rows = [];
+        for (let row = minRow; row <= maxRow; row++) {
+            const values = [];
+            for (let col = minCol; col <= maxCol; col++) {
+                values.push(context.getCellValue(row, col, node.sheet));
+            }
+            rows.push(values);
+        }
+        return rows;
+    }
+
+    evaluateBinary(node, context) {
+        const left = this.scalar(this.evaluateNode(node.left, context));
+        const right = this.scalar(this.evaluateNode(node.right, context));
+
+        if (left instanceof FormulaError) return left;
+        if (right instanceof FormulaError) return right;
+
+        if (node.op === '&') {
+            return this.toText(left) + this.toText(right);
+        }
+
+        if (['=', '<>', '<', '>', '<=', '>='].includes(node.op)) {
+            const result = this.compare(left, right);
+            switch (node.op) {
+                case '=': return result === 0;
+                case '<>': return result !== 0;
+                case '<': return result < 0;
+                case '>': return result > 0;
+                case '<=': return result <= 0;
+                case '>=': return result >= 0;
+            }
+        }
+
+        const a = this.toNumber(left);
+        const b = this.toNumber(right);
+        if (a instanceof FormulaError) return a;
+        if (b instanceof FormulaError) return b;
+
+        let result;
+        switch (node.op) {
+            case '+': result = a + b; break;
+            case '-': result = a - b; break;
+            case '*': result = a * b; break;
+            case '/':
+                if (b === 0) return new FormulaError(FormulaError.DIV_ZERO);
+                result = a / b;
+                break;
+            case '^': result = Math.pow(a, b); break;
+        }
+        return Number.isFinite(result) ? result : new FormulaError(FormulaError.NUM);
+    }
+
+    evaluateCall(node, context) {
+        // IF 只计算被选中的分支
+        if (node.name === 'IF') {
+            if (node.args.length < 2 || node.args.length > 3) {
+                return new FormulaError(FormulaError.VALUE);
+            }
+            const condition = this.toBoolean(this.scalar(this.evaluateNode(node.args[0], context)));
+            if (condition instanceof FormulaError) return condition;
+            if (condition) {
+                return this.evaluateNode(node.args[1], context);
+            }
+            return node.args.length === 3 ? this.evaluateNode(node.args[2], context) : false;
+        }
+
+        const fn = this.functions[node.name];
+        if (!fn) {
+            return new FormulaError(FormulaError.NAME);
+        }
+        const args = node.args.map(arg => this.evaluateNode(arg, context));
+        return fn(args);
+    }
+
+    /**
+     * 在标量上下文中使用区域时取左上角单元格
+     */
+    scalar(value) {
+        if (Array.isArray(value)) {
+            if (value.length === 1 && value[0].length === 1) return value[0][0];
+            return new FormulaError(FormulaError.VALUE);
+        }
+        return value;
+    }
+
+    toNumber(value) {
+        if (value instanceof FormulaError) return value;
+        if (value === null) return 0;
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const text = String(value).trim();
+        if (FormulaEngine.isNumber(text)) return Number(text);
+        return new FormulaError(FormulaError.VALUE);
+    }
+
+    toText(value) {
+        if (value === null) return '';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value === 'number') return FormulaEngine.formatNumber(value);
+        return String(value);
+    }
+
+    toBoolean(value) {
+        if (value instanceof FormulaError) return value;
+        if (value === null) return false;
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        const upper = String(value).toUpperCase();
+        if (upper === 'TRUE') return true;
+        if (upper === 'FALSE') return false;
+        return new FormulaError(FormulaError.VALUE);
+    }
+
+    /**
+     * 比较两个值：数字 < 文本 < 布尔值，文本比较不区分大小写
+     */
+    compare(a, b) {
+        const rank = (value) => {
+            if (value === null) return 0;
+            if (typeof value === 'number') return 1;
+            if (typeof value === 'string') return 2;
+            return 3;
+        };
+
+        // 空单元格与对方同类型的“零值”比较
+        if (a === null) a = typeof b === 'string' ? '' : typeof b === 'boolean' ? false : 0;
+        if (b === null) b = typeof a === 'string' ? '' : typeof a === 'boolean' ? false : 0;
+
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA - rankB;
+
+        if (typeof a === 'string') {
+            const x = a.toLowerCase();
+            const y = b.toLowerCase();
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    /**
+     * 收集函数参数中的数字：区域中只取数字，直接参数会尝试转换
+     * 返回数字数组，或遇到的第一个错误
+     */
+    collectNumbers(args) {
+        const numbers = [];
+        for (const arg of args) {
+            if (Array.isArray(arg)) {
+                for (const row of arg) {
+                    for (const value of row) {
+                        if (value instanceof FormulaError) return value;
+                        if (typeof value === 'number') numbers.push(value);
+                    }
+                }
+            } else if (arg !== null) {
+                const number = this.toNumber(arg);
+                if (number instanceof FormulaError) return number;
+                numbers.push(number);
+            }
+        }
+        return numbers;
+    }
+
+    sum(args) {
+        const numbers = this.collectNumbers(args);
+        if (numbers instanceof FormulaError) return numbers;
+        return numbers.reduce((total, n) => total + n, 0);
+    }
+
+    average(args) {
+        const numbers = this.collectNumbers(args);
+        if (numbers instanceof FormulaError) return numbers;
+        if (numbers.length === 0) return new FormulaError(FormulaError.DIV_ZERO);
+        return numbers.reduce((total, n) => total + n, 0) / numbers.length;
+    }
+
+    extreme(args, pick) {
+        const numbers = this.collectNumbers(args);
+        if (numbers instanceof FormulaError) return numbers;
+        if (numbers.length === 0) return 0;
+        return numbers.reduce((result, n) => pick(result, n));
+    }
+
+    count(args) {
+        let total = 0;
+        for (const arg of args) {
+            if (Array.isArray(arg)) {
+                arg.forEach(row => row.forEach(value => {
+                    if (typeof value === 'number') total++;
+                }));
+            } else if (arg !== null && typeof this.toNumber(arg) === 'number') {
+                total++;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * 四舍五入（远离零方向），digits 可为负数
+     */
+    round(args) {
+        if (args.length < 1 || args.length > 2) return new FormulaError(FormulaError.VALUE);
+        const number = this.toNumber(this.scalar(args[0]));
+        const digits = args.length > 1 ? this.toNumber(this.scalar(args[1])) : 0;
+        if (number instanceof FormulaError) return number;
+        if (digits instanceof FormulaError) return digits;
+
+        const factor = Math.pow(10, Math.trunc(digits));
+        // 先按15位有效数字修正，避免 1.005 这类浮点误差
+        const scaled = parseFloat((Math.abs(number) * factor).toPrecision(15));
+        return Math.sign(number) * Math.round(scaled) / factor;
+    }
+
+    concat(args) {
+        let result = '';
+        for (const arg of args) {
+            const values = Array.isArray(arg) ? arg.flat() : [arg];
+            for (const value of values) {
+                if (value instanceof FormulaError) return value;
+                result += this.toText(value);
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * 撤销/重做历史
+ * 每条记录是一个命令对象 { label, undo(), redo() }，由调用方负责实现具体的还原逻辑
+ */
+class HistoryManager {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // 撤销/重做执行期间不再记录新命令
+        this.group = null; // 正在收集的组合命令
+        this.groupDepth = 0;
+    }
+
+    /**
+     * 记录一条已执行的命令
+     */
+    push(command) {
+        if (this.isApplying) return;
+
+        if (this.group) {
+            this.group.commands.push(command);
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * 开始组合命令，期间记录的命令在撤销时作为一步
+     */
+    beginGroup(label) {
+        if (this.groupDepth === 0) {
+            this.group = { label, commands: [] };
+        }
+        this.groupDepth++;
+    }
+
+    /**
+     * 结束组合命令
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        this.groupDepth--;
+        if (this.groupDepth > 0) return;
+
+        const { label, commands } = this.group;
+        this.group = null;
+        if (commands.length === 0) return;
+
+        this.push(commands.length === 1 ? commands[0] : {
+            label,
+            undo: () => {
+                for (let i = commands.length - 1; i >= 0; i--) {
+                    commands[i].undo();
+                }
+            },
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+
+    /**
+     * 在组合命令中执行操作
+     */
+    transaction(label, action) {
+        this.beginGroup(label);
+        try {
+            return action();
+        } finally {
+            this.endGroup();
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 撤销最近一步，返回被撤销的命令
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * 重做最近撤销的一步，返回被重做的命令
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        return command;
+    }
+
+    apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * 清空历史
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * 合并单元格
+ * 每个合并区域为矩形 { minRow, maxRow, minCol, maxCol }，区域之间互不重叠
+ * 合并区域的内容和样式保存在左上角单元格中，其余单元格被覆盖，不显示也不能单独选中
+ * 工作表中的对象只整体替换，不原地修改（撤销历史中保存的是对象本身），add/remove 只用于修改副本
+ */
+class MergedRegions {
+    constructor(ranges = []) {
+        this.ranges = ranges.map(range => ({ ...range }));
+    }
+
+    static rangesIntersect(a, b) {
+        return a.minRow <= b.maxRow && a.maxRow >= b.minRow && a.minCol <= b.maxCol && a.maxCol >= b.minCol;
+    }
+
+    static rangeContainsRange(outer, inner) {
+        return inner.minRow >= outer.minRow && inner.maxRow <= outer.maxRow &&
+            inner.minCol >= outer.minCol && inner.maxCol <= outer.maxCol;
+    }
+
+    isEmpty() {
+        return this.ranges.length === 0;
+    }
+
+    /**
+     * 包含指定单元格的合并区域，没有时返回 null
+     */
+    find(row, col) {
+        return this.ranges.find(range => SelectionModel.rangeContains(range, row, col)) || null;
+    }
+
+    /**
+     * 单元格是否被合并区域覆盖（位于合并区域内且不是左上角）
+     */
+    isCovered(row, col) {
+        const range = this.find(row, col);
+        return !!range && (row !== range.minRow || col !== range.minCol);
+    }
+
+    /**
+     * 与区域相交的合并区域
+     */
+    intersecting(area) {
+        return this.ranges.filter(range => MergedRegions.rangesIntersect(range, area));
+    }
+
+    /**
+     * 完全位于区域内的合并区域
+     */
+    within(area) {
+        return this.ranges.filter(range => MergedRegions.rangeContainsRange(area, range));
+    }
+
+    /**
+     * 是否有合并区域只有一部分位于区域内（此时不能对区域整体粘贴或移动）
+     */
+    hasPartialOverlap(area) {
+        return this.intersecting(area).some(range => !MergedRegions.rangeContainsRange(area, range));
+    }
+
+    /**
+     * 将区域扩展到完整包含与其相交的合并区域（扩展后可能与新的合并区域相交，重复直到不再变化）
+     */
+    expand(area) {
+        const result = { ...area };
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.intersecting(result).forEach(range => {
+                if (range.minRow < result.minRow) { result.minRow = range.minRow; changed = true; }
+                if (range.maxRow > result.maxRow) { result.maxRow = range.maxRow; changed = true; }
+                if (range.minCol < result.minCol) { result.minCol = range.minCol; changed = true; }
+                if (range.maxCol > result.maxCol) { result.maxCol = range.maxCol; changed = true; }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 添加合并区域（移除与其相交的原有区域），只有一个单元格的区域不添加
+     */
+    add(area) {
+        this.remove(area);
+        if (area.minRow === area.maxRow && area.minCol === area.maxCol) return;
+        this.ranges.push({ minRow: area.minRow, maxRow: area.maxRow, minCol: area.minCol, maxCol: area.maxCol });
+    }
+
+    /**
+     * 移除与区域相交的合并区域，返回被移除的区域
+     */
+    remove(area) {
+        const removed = this.intersecting(area);
+        this.ranges = this.ranges.filter(range => !removed.includes(range));
+        return removed;
+    }
+
+    /**
+     * 插入或删除行列后的合并区域（参数与 shiftCellMap 相同），返回新的对象：
+     * 在区域内部插入时区域扩大，删除区域中的部分行列时区域缩小，整个区域被删除或缩小为一个单元格时取消合并
+     */
+    shift(axis, index, count) {
+        const [min, max] = axis === 'row' ? ['minRow', 'maxRow'] : ['minCol', 'maxCol'];
+        const result = [];
+        this.ranges.forEach(range => {
+            const shifted = { ...range };
+            if (count > 0) {
+                if (range[min] >= index) shifted[min] += count;
+                if (range[max] >= index) shifted[max] += count;
+            } else {
+                const end = index - count; // 删除范围的下一行（列）
+                const adjust = (position) => {
+                    if (position < index) return position;
+                    if (position >= end) return position + count;
+                    return index;
+                };
+                if (range[min] >= index && range[max] < end) return;
+                shifted[min] = adjust(range[min]);
+                shifted[max] = range[max] >= end ? range[max] + count : Math.min(adjust(range[max]), index - 1);
+            }
+            if (shifted.minRow === shifted.maxRow && shifted.minCol === shifted.maxCol) return;
+            result.push(shifted);
+        });
+        return new MergedRegions(result);
+    }
+
+    clone() {
+        return new MergedRegions(this.ranges);
+    }
+
+    /**
+     * 保存用的记录
+     */
+    toRecord() {
+        return this.ranges.map(range => ({ ...range }));
+    }
+
+    static fromRecord(record) {
+        return new MergedRegions(record || []);
+    }
+}
@@ -0,0 +1,557 @@
+/**
+ * 数字格式
+ * 按 Excel 兼容的格式代码显示数值，如 #,##0.00、0%、0.00E+00、"¥"#,##0.00、yyyy-mm-dd h:mm、@
+ * 格式代码最多四节，以分号分隔：正数;负数;零;文本，只有一节时用于所有数字
+ * 支持颜色（[Red]）和货币符号（[$¥-804]）标记，不支持条件（[>100]）和分数格式
+ * 日期和时间以 Excel 日期序列号（1900日期系统，整数部分为天数，小数部分为时间）表示
+ */
+class NumberFormat {
+    /**
+     * 按格式代码格式化值，格式为空或 General 时按常规格式显示
+     * 值可以是数字、文本、布尔值或公式错误，文本只由格式的文本节（@）处理
+     */
+    static format(value, code) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof FormulaError) return value.code;
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+
+        const section = NumberFormat.selectSection(value, code);
+        if (typeof value === 'string') {
+            return section ? NumberFormat.formatText(value, section) : value;
+        }
+        if (!section || section.general) return FormulaEngine.formatNumber(value);
+        if (!Number.isFinite(value)) return FormulaEngine.formatNumber(value);
+
+        // 只有一节，或落在正数节和零节时带符号显示；负数节自带符号（格式中写出的负号）
+        const signed = section.index === 0 && !section.hasNegativeSection;
+        const number = signed ? value : Math.abs(value);
+        if (section.isDate) return NumberFormat.formatDate(number, section);
+        return NumberFormat.formatNumber(number, section);
+    }
+
+    /**
+     * 格式为值指定的显示颜色（[Red] 等），没有时返回 null
+     */
+    static getColor(value, code) {
+        if (typeof value !== 'number' && typeof value !== 'string') return null;
+        const section = NumberFormat.selectSection(value, code);
+        return section ? section.color : null;
+    }
+
+    /**
+     * 是否为日期/时间格式
+     */
+    static isDateFormat(code) {
+        if (!code) return false;
+        return NumberFormat.compile(code).sections.some(section => section.isDate);
+    }
+
+    /**
+     * 是否为只包含时间（没有年月日）的格式
+     */
+    static isTimeFormat(code) {
+        if (!NumberFormat.isDateFormat(code)) return false;
+        const section = NumberFormat.compile(code).sections[0];
+        return !section.tokens.some(token => token.type === 'date' && /^(y+|m+|d+|a+)$/.test(token.code));
+    }
+
+    /**
+     * 是否为百分比格式
+     */
+    static isPercentFormat(code) {
+        if (!code) return false;
+        const section = NumberFormat.compile(code).sections[0];
+        return !section.isDate && section.percent > 0;
+    }
+
+    /**
+     * 格式的类别：general / number / percent / currency / scientific / date / time / text
+     * 用于判断输入时识别出的格式是否需要替换单元格原有的格式
+     */
+    static getCategory(code) {
+        if (!code || /^general$/i.test(code)) return 'general';
+        const section = NumberFormat.compile(code).sections[0];
+        if (section.isDate) return NumberFormat.isTimeFormat(code) ? 'time' : 'date';
+        if (section.textOnly) return 'text';
+        if (section.percent > 0) return 'percent';
+        if (section.exponent) return 'scientific';
+        if (section.tokens.some(token => token.type === 'literal' && /[¥￥$€£]/.test(token.text))) return 'currency';
+        return 'number';
+    }
+
+    /**
+     * 选择值对应的格式节
+     */
+    static selectSection(value, code) {
+        if (!code) return null;
+        const { sections } = NumberFormat.compile(code);
+        if (typeof value === 'string') {
+            return sections[3] || sections.find(section => section.hasText) || null;
+        }
+        const numeric = sections.filter(section => !section.textOnly);
+        if (numeric.length === 0) return null;
+        if (value < 0 && numeric.length >= 2) return numeric[1];
+        if (value === 0 && numeric.length >= 3) return numeric[2];
+        return numeric[0];
+    }
+
+    /**
+     * 编译格式代码（按代码缓存）
+     */
+    static compile(code) {
+        let compiled = NumberFormat.cache.get(code);
+        if (compiled) return compiled;
+
+        const sections = NumberFormat.splitSections(code).map((text, index) => NumberFormat.compileSection(text, index));
+        sections.forEach(section => {
+            section.hasNegativeSection = sections.filter(other => !other.textOnly).length >= 2;
+        });
+        compiled = { sections };
+        NumberFormat.cache.set(code, compiled);
+        return compiled;
+    }
+
+    /**
+     * 按分号拆分格式节（忽略引号和转义中的分号）
+     */
+    static splitSections(code) {
+        const sections = [];
+        let current = '';
+        for (let i = 0; i < code.length; i++) {
+            const char = code[i];
+            if (char === '"') {
+                const end = code.indexOf('"', i + 1);
+                const stop = end === -1 ? code.length : end + 1;
+                current += code.slice(i, stop);
+                i = stop - 1;
+            } else if (char === '\\') {
+                current += code.slice(i, i + 2);
+                i++;
+            } else if (char === ';') {
+                sections.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        sections.push(current);
+        return sections.slice(0, 4);
+    }
+
+    /**
+     * 将一节格式代码解析为标记序列
+     * 标记：literal（原样输出）、digit（0 # ?）、point、comma、percent、exponent、text（@）、date
+     */
+    static compileSection(text, index) {
+        const section = {
+            index,
+            tokens: [],
+            color: null,
+            general: false,
+            isDate: false,
+            hasText: false,
+            textOnly: false,
+            percent: 0,
+            exponent: null
+        };
+        const tokens = section.tokens;
+        const literal = (value) => {
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === 'literal') {
+                last.text += value;
+            } else {
+                tokens.push({ type: 'literal', text: value });
+            }
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            const rest = text.slice(i);
+            let match;
+
+            if (char === '"') {
+                const end = text.indexOf('"', i + 1);
+                const stop = end === -1 ? text.length : end;
+                literal(text.slice(i + 1, stop));
+                i = stop + 1;
+            } else if (char === '\\') {
+                literal(text[i + 1] || '');
+                i += 2;
+            } else if (char === '_') {
+                literal(' '); // 留出与下一个字符等宽的空白
+                i += 2;
+            } else if (char === '*') {
+                i += 2; // 重复字符填满单元格，忽略
+            } else if (char === '[') {
+                const end = text.indexOf(']', i);
+                const stop = end === -1 ? text.length : end;
+                const content = text.slice(i + 1, stop);
+                if ((match = /^(h+|m+|s+)$/i.exec(content))) {
+                    tokens.push({ type: 'date', code: `[${match[1][0].toLowerCase()}]`, width: match[1].length });
+                    section.isDate = true;
+                } else if (content[0] === '$') {
+                    literal(content.slice(1).split('-')[0]);
+                } else if (NumberFormat.COLORS[content.toLowerCase()]) {
+                    section.color = NumberFormat.COLORS[content.toLowerCase()];
+                }
+                i = stop + 1;
+            } else if (/^general/i.test(rest)) {
+                section.general = true;
+                i += 7;
+            } else if ((match = /^(am\/pm|a\/p)/i.exec(rest))) {
+                tokens.push({ type: 'date', code: match[1].length === 5 ? 'ampm' : 'ap', upper: match[1][0] === 'A' });
+                section.isDate = true;
+                i += match[1].length;
+            } else if ((match = /^(y+|m+|d+|h+|s+|a{3,})/i.exec(rest))) {
+                const letters = match[1].toLowerCase();
+                tokens.push({ type: 'date', code: letters });
+                section.isDate = true;
+                i += letters.length;
+            } else if ((match = /^[eE]([+-])(0+)/.exec(rest))) {
+                section.exponent = { sign: match[1], digits: match[2].length };
+                tokens.push({ type: 'exponent' });
+                i += match[0].length;
+            } else if (char === '0' || char === '#' || char === '?') {
+                tokens.push({ type: 'digit', char });
+                i++;
+            } else if (char === '.') {
+                tokens.push({ type: 'point' });
+                i++;
+            } else if (char === ',') {
+                tokens.push({ type: 'comma' });
+                i++;
+            } else if (char === '%') {
+                tokens.push({ type: 'percent' });
+                section.percent++;
+                i++;
+            } else if (char === '@') {
+                tokens.push({ type: 'text' });
+                section.hasText = true;
+                i++;
+            } else {
+                literal(char);
+                i++;
+            }
+        }
+
+        if (section.isDate) {
+            NumberFormat.resolveDateTokens(section);
+        } else {
+            NumberFormat.resolveNumberTokens(section);
+        }
+        section.textOnly = section.hasText && !section.isDate &&
+            !tokens.some(token => token.type === 'digit') && !section.general;
+        return section;
+    }
+
+    /**
+     * 区分月份和分钟：紧跟小时或位于秒之前的 m/mm 表示分钟
+     * 日期节中秒之后的 .0 表示秒的小数部分
+     */
+    static resolveDateTokens(section) {
+        const tokens = section.tokens;
+        const dates = tokens.filter(token => token.type === 'date');
+        dates.forEach((token, index) => {
+            if (token.code !== 'm' && token.code !== 'mm') return;
+            const previous = dates[index - 1];
+            const next = dates[index + 1];
+            if ((previous && /^(h+|\[h\])$/.test(previous.code)) || (next && /^(s+|\[s\])$/.test(next.code))) {
+                token.code = token.code === 'm' ? 'min' : 'mmin';
+            }
+        });
+        section.hasMeridiem = dates.some(token => token.code === 'ampm' || token.code === 'ap');
+
+        const resolved = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type === 'point' && tokens[i + 1] && tokens[i + 1].type === 'digit') {
+                let digits = 0;
+                while (tokens[i + 1] && tokens[i + 1].type === 'digit') {
+                    digits++;
+                    i++;
+                }
+                resolved.push({ type: 'date', code: 'fraction', width: digits });
+            } else if (token.type === 'date') {
+                resolved.push(token);
+            } else {
+                resolved.push(token.type === 'literal' ? token : { type: 'literal', text: NumberFormat.tokenText(token) });
+            }
+        }
+        section.tokens = resolved;
+    }
+
+    /**
+     * 分析数字占位符：整数/小数位数、千位分隔符和按千缩放的逗号
+     */
+    static resolveNumberTokens(section) {
+        const tokens = section.tokens;
+        const pointIndex = tokens.findIndex(token => token.type === 'point');
+        const exponentIndex = tokens.findIndex(token => token.type === 'exponent');
+        const integerEnd = pointIndex !== -1 ? pointIndex : (exponentIndex !== -1 ? exponentIndex : tokens.length);
+        const digitIndexes = tokens
+            .map((token, index) => token.type === 'digit' ? index : -1)
+            .filter(index => index !== -1);
+        const integerDigits = digitIndexes.filter(index => index < integerEnd);
+        const firstDigit = integerDigits[0];
+        const lastDigit = integerDigits[integerDigits.length - 1];
+
+        section.thousands = false;
+        section.scale = 1;
+        tokens.forEach((token, index) => {
+            if (token.type !== 'comma') return;
+            if (firstDigit !== undefined && index > firstDigit && index < lastDigit) {
+                section.thousands = true;
+                token.type = 'skip';
+            } else if (lastDigit !== undefined && index > lastDigit && index < integerEnd &&
+                tokens.slice(lastDigit + 1, index).every(other => other.type === 'skip' || other.type === 'comma')) {
+                section.scale /= 1000;
+                token.type = 'skip';
+            } else {
+                token.type = 'literal';
+                token.text = ',';
+            }
+        });
+
+        if (pointIndex === -1 && exponentIndex === -1) {
+            section.decimals = [];
+        } else {
+            const decimalEnd = exponentIndex !== -1 ? exponentIndex : tokens.length;
+            section.decimals = digitIndexes
+                .filter(index => index > pointIndex && index < decimalEnd && pointIndex !== -1)
+                .map(index => tokens[index].char);
+        }
+        section.integers = integerDigits.map(index => tokens[index].char);
+        section.integerEnd = integerEnd;
+    }
+
+    static tokenText(token) {
+        switch (token.type) {
+            case 'digit': return token.char;
+            case 'point': return '.';
+            case 'comma': return ',';
+            case 'percent': return '%';
+            default: return '';
+        }
+    }
+
+    /**
+     * 非负数按小数位数四舍五入为文本，先按15位有效数字修正浮点误差（与 ROUND 一致，1.005 保留两位为 1.01）
+     */
+    static toFixed(value, decimalCount) {
+        const factor = Math.pow(10, decimalCount);
+        const scaled = parseFloat((value * factor).toPrecision(15));
+        return (Math.round(scaled) / factor).toFixed(decimalCount);
+    }
+
+    /**
+     * 按数字格式节格式化（number 已按节处理过符号）
+     */
+    static formatNumber(number, section) {
+        let value = number * Math.pow(100, section.percent) * section.scale;
+        const decimalCount = section.decimals.length;
+
+        let exponent = 0;
+        if (section.exponent && value !== 0) {
+            exponent = Math.floor(Math.log10(Math.abs(value)));
+            value = value / Math.pow(10, exponent);
+            if (Number(NumberFormat.toFixed(Math.abs(value), decimalCount)) >= 10) {
+                value /= 10;
+                exponent++;
+            }
+        }
+
+        const negative = value < 0;
+        const fixed = NumberFormat.toFixed(Math.abs(value), decimalCount);
+        const [integerText, decimalText = ''] = fixed.split('.');
+        const isZero = Number(fixed) === 0;
+        let integerDigits = integerText === '0' ? '' : integerText;
+
+        // 小数部分：末尾的 0 只在 # / ? 占位符上省略
+        let decimals = decimalText;
+        while (decimals.length > 0 && decimals.endsWith('0') && section.decimals[decimals.length - 1] !== '0') {
+            decimals = decimals.slice(0, -1);
+        }
+
+        // 整数部分按占位符从右向左填充，多出的数字放在第一个占位符处
+        const integerPlaceholders = section.integers;
+        const filled = [];
+        let remaining = integerDigits;
+        for (let i = integerPlaceholders.length - 1; i >= 0; i--) {
+            const placeholder = integerPlaceholders[i];
+            let text;
+            if (remaining.length > 0) {
+                text = i === 0 ? remaining : remaining.slice(-1);
+                remaining = i === 0 ? '' : remaining.slice(0, -1);
+            } else {
+                text = placeholder === '0' ? '0' : placeholder === '?' ? ' ' : '';
+            }
+            filled[i] = text;
+        }
+        if (section.thousands) {
+            const digits = filled.join('');
+            const grouped = digits.replace(/\d(?=(\d{3})+(?!\d))/g, '$&,');
+            filled.fill('');
+            filled[0] = grouped;
+        }
+
+        let result = '';
+        let integerIndex = 0;
+        let decimalIndex = 0;
+        section.tokens.forEach((token, index) => {
+            switch (token.type) {
+                case 'digit':
+                    if (index < section.integerEnd) {
+                        result += filled[integerIndex++];
+                    } else {
+                        const placeholder = section.decimals[decimalIndex];
+                        const digit = decimals[decimalIndex++];
+                        result += digit !== undefined ? digit : placeholder === '0' ? '0' : placeholder === '?' ? ' ' : '';
+                    }
+                    break;
+                case 'point':
+                    if (integerPlaceholders.length === 0) result += integerDigits;
+                    result += '.';
+                    break;
+                case 'percent':
+                    result += '%';
+                    break;
+                case 'exponent': {
+                    const sign = exponent < 0 ? '-' : section.exponent.sign === '+' ? '+' : '';
+                    result += 'E' + sign + String(Math.abs(exponent)).padStart(section.exponent.digits, '0');
+                    break;
+                }
+                case 'literal':
+                    result += token.text;
+                    break;
+                case 'text':
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return negative && !isZero ? '-' + result : result;
+    }
+
+    /**
+     * 按文本节格式化文本，@ 替换为文本本身
+     */
+    static formatText(text, section) {
+        if (!section.hasText) return text;
+        return section.tokens.map(token => {
+            if (token.type === 'text') return text;
+            if (token.type === 'literal') return token.text;
+            return '';
+        }).join('');
+    }
+
+    /**
+     * 按日期格式节格式化日期序列号
+     */
+    static formatDate(serial, section) {
+        if (serial < 0) return '#'.repeat(8);
+        const hasFraction = section.tokens.some(token => token.code === 'fraction');
+        const parts = NumberFormat.serialToParts(serial, !hasFraction);
+        const pad = (number, width) => String(number).padStart(width, '0');
+        const hours12 = parts.hours % 12 === 0 ? 12 : parts.hours % 12;
+        const totalSeconds = Math.floor(serial * 86400 + 0.5);
+
+        return section.tokens.map(token => {
+            if (token.type === 'literal') return token.text;
+            switch (token.code) {
+                case 'yy': return pad(parts.year % 100, 2);
+                case 'y':
+                case 'yyy':
+                case 'yyyy': return String(parts.year);
+                case 'm': return String(parts.month);
+                case 'mm': return pad(parts.month, 2);
+                case 'mmm': return NumberFormat.MONTH_NAMES[parts.month - 1].slice(0, 3);
+                case 'mmmmm': return NumberFormat.MONTH_NAMES[parts.month - 1][0];
+                case 'd': return String(parts.day);
+                case 'dd': return pad(parts.day, 2);
+                case 'ddd': return NumberFormat.DAY_NAMES[parts.weekday].slice(0, 3);
+                case 'aaa': return NumberFormat.CHINESE_DAY_NAMES[parts.weekday];
+                case 'aaaa': return '星期' + NumberFormat.CHINESE_DAY_NAMES[parts.weekday];
+                case 'h': return String(section.hasMeridiem ? hours12 : parts.hours);
+                case 'hh': return pad(section.hasMeridiem ? hours12 : parts.hours, 2);
+                case 'min': return String(parts.minutes);
+                case 'mmin': return pad(parts.minutes, 2);
+                case 's': return String(parts.seconds);
+                case 'ss': return pad(parts.seconds, 2);
+                case '[h]': return pad(Math.floor(totalSeconds / 3600), token.width);
+                case '[m]': return pad(Math.floor(totalSeconds / 60), token.width);
+                case '[s]': return pad(totalSeconds, token.width);
+                case 'fraction': return '.' + pad(Math.floor(parts.milliseconds / Math.pow(10, 3 - Math.min(token.width, 3))),
+                    Math.min(token.width, 3));
+                case 'ampm': return parts.hours < 12 ? (token.upper ? 'AM' : 'am') : (token.upper ? 'PM' : 'pm');
+                case 'ap': return parts.hours < 12 ? (token.upper ? 'A' : 'a') : (token.upper ? 'P' : 'p');
+                default:
+                    if (/^m{4,}$/.test(token.code)) return NumberFormat.MONTH_NAMES[parts.month - 1];
+                    if (/^d{4,}$/.test(token.code)) return NumberFormat.DAY_NAMES[parts.weekday];
+                    if (/^y+$/.test(token.code)) return String(parts.year);
+                    if (/^h+$/.test(token.code)) return pad(section.hasMeridiem ? hours12 : parts.hours, 2);
+                    if (/^s+$/.test(token.code)) return pad(parts.seconds, 2);
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * 日期序列号拆分为年月日时分秒（roundSeconds 为 true 时舍入到整秒）
+     * 1900日期系统中序列号 60 是不存在的 1900-02-29，之前的日期要多算一天
+     */
+    static serialToParts(serial, roundSeconds = true) {
+        const unit = roundSeconds ? 1000 : 1;
+        let time = Math.round(serial * 86400000 / unit) * unit;
+        if (serial < 61) time += 86400000;
+        const date = new Date(NumberFormat.EPOCH + time);
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            weekday: date.getUTCDay(),
+            hours: date.getUTCHours(),
+            minutes: date.getUTCMinutes(),
+            seconds: date.getUTCSeconds(),
+            milliseconds: date.getUTCMilliseconds()
+        };
+    }
+
+    /**
+     * 年月日时分秒转为日期序列号，日期无效时返回 null
+     */
+    static partsToSerial(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+        const time = Date.UTC(year, month - 1, day);
+        const date = new Date(time);
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        if (hours > 23 || minutes > 59 || seconds > 59) return null;
+        let days = (time - NumberFormat.EPOCH) / 86400000;
+        if (days < 61) days -= 1;
+        if (days < 1) return null;
+        return days + (hours * 3600 + minutes * 60 + seconds) / 86400;
+    }
+}
+
+NumberFormat.cache = new Map();
+
+// 日期序列号 0 对应的时间（1899-12-30，按 1900-03-01 之后的日期计算）
+NumberFormat.EPOCH = Date.UTC(1899, 11, 30);
+
+NumberFormat.MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+NumberFormat.DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+NumberFormat.CHINESE_DAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+NumberFormat.COLORS = {
+    black: '#000000',
+    blue: '#0000FF',
+    cyan: '#00FFFF',
+    green: '#00FF00',
+    magenta: '#FF00FF',
+    red: '#FF0000',
+    white: '#FFFFFF',
+    yellow: '#FFFF00'
+};
@@ -15,14 +15,34 @@ class VirtualExcelSimulator {
             minColumns: 26,
             maxRows: 10000,
             maxColumns: 1000,
+            historyLimit: 100, // 撤销历史的最大步数
+            autosave: true, // 自动保存到 IndexedDB 并在下次打开时恢复
+            autosaveDelay: 1000, // 自动保存的防抖延迟（毫秒）
+            renderer: 'dom', // 渲染方式：dom（单元格元素）或 canvas（绘制到画布，见 CanvasGridRenderer）
             ...options
         };
         
+        // 工作表：单元格数据、行高列宽、选区等都属于当前工作表（见下方的访问器）
+        this.nextSheetId = 1;
+        this.sheets = [this.createSheet('Sheet1')];
+        this.activeSheet = this.sheets[0];
+        this.sheetTabs = null; // 工作表标签栏
+        
         // 数据存储
-        this.data = new Map(); // 存储单元格数据
-        this.modifiedCells = new Set(); // 记录被修改过的单元格
-        this.selectedCells = new Set(); // 当前选中的单元格
         this.clipboard = null; // 剪贴板数据
+        this.copySource = null; // 复制/剪切源区域，显示流动虚线边框
+        this.history = new HistoryManager(this.options.historyLimit); // 撤销/重做历史
+        
+        // 公式相关
+        this.formulaEngine = new FormulaEngine();
+        this.dependencyGraph = new DependencyGraph(); // 整个工作簿的公式引用关系，用于增量重算
+        this.evaluatingCells = new Set(); // 正在计算的单元格（依赖图键），用于防止无限递归
+        
+        // 自动保存相关
+        this.store = this.options.autosave && window.indexedDB ? new WorkbookStore() : null;
+        this.saveTimer = null;
+        this.isRestored = false; // 恢复完成前不保存，避免覆盖上次的会话
+        this.saveFailed = false; // 上一次自动保存是否失败（连续失败只提示一次）
         
         // 虚拟滚动相关
         this.scrollTop = 0;
@@ -34,9 +54,7 @@ class VirtualExcelSimulator {
         this.visibleStartColumn = 0;
         this.visibleEndColumn = 0;
         
-        // 行列尺寸
-        this.rowHeights = new Array(this.options.minRows).fill(this.options.defaultRowHeight);
-        this.columnWidths = new Array(this.options.minColumns).fill(this.options.defaultColumnWidth);
+        // 行列偏移（根据当前工作表的行高列宽计算）
         this.rowOffsets = [0]; // 行的累积偏移量
         this.columnOffsets = [0]; // 列的累积偏移量
         
@@ -47,12 +65,18 @@ class VirtualExcelSimulator {
         this.editingCell = null;
         this.cellEditor = null;
         this.isSelecting = false;
-        this.selectionStart = null;
+        this.fillSource = null; // 拖动填充柄时的源区域
+        this.fillTarget = null; // 拖动填充柄时的填充区域（含源区域）
+        this.conditionalStats = new Map(); // 条件格式规则 -> 区域的统计值（单元格值变化时清空）
+        this.showInvalidData = false; // 是否圈释不满足数据验证的单元格
+        this.elementPools = new Map(); // 渲染容器 -> 元素池（见 getElementPool）
+        this.validationArea = null; // 数据验证对话框设置的区域
         
         // 调整大小相关
         this.isResizing = false;
         this.resizeType = null;
         this.resizeIndex = null;
+        this.resizeStartSize = null;
         this.resizeAnimationFrame = null;
         this.scrollAnimationFrame = null;
         this.selectionAnimationFrame = null; // 添加选择操作的动画帧
@@ -60,6 +84,38 @@ class VirtualExcelSimulator {
         this.init();
     }
     
+    // 当前工作表的数据、样式、合并单元格、自动筛选、条件格式、数据验证、隐藏的行列、选区、行高列宽和公式缓存
+    get data() { return this.activeSheet.data; }
+    set data(value) { this.activeSheet.data = value; }
+    get styles() { return this.activeSheet.styles; }
+    set styles(value) { this.activeSheet.styles = value; }
+    get merges() { return this.activeSheet.merges; }
+    set merges(value) { this.activeSheet.merges = value; }
+    get autoFilter() { return this.activeSheet.autoFilter; }
+    set autoFilter(value) { this.activeSheet.autoFilter = value; }
+    get conditionalFormats() { return this.activeSheet.conditionalFormats; }
+    set conditionalFormats(value) { this.activeSheet.conditionalFormats = value; }
+    get dataValidations() { return this.activeSheet.dataValidations; }
+    set dataValidations(value) { this.activeSheet.dataValidations = value; }
+    get hiddenRows() { return this.activeSheet.hiddenRows; }
+    set hiddenRows(value) { this.activeSheet.hiddenRows = value; }
+    get hiddenColumns() { return this.activeSheet.hiddenColumns; }
+    set hiddenColumns(value) { this.activeSheet.hiddenColumns = value; }
+    get modifiedCells() { return this.activeSheet.modifiedCells; }
+    set modifiedCells(value) { this.activeSheet.modifiedCells = value; }
+    get selection() { return this.activeSheet.selection; }
+    set selection(value) { this.activeSheet.selection = value; }
+    get rowHeights() { return this.activeSheet.rowHeights; }
+    set rowHeights(value) { this.activeSheet.rowHeights = value; }
+    get columnWidths() { return this.activeSheet.columnWidths; }
+    set columnWidths(value) { this.activeSheet.columnWidths = value; }
+    get frozenRows() { return this.activeSheet.frozenRows; }
+    set frozenRows(value) { this.activeSheet.frozenRows = value; }
+    get frozenColumns() { return this.activeSheet.frozenColumns; }
+    set frozenColumns(value) { this.activeSheet.frozenColumns = value; }
+    get formulaCache() { return this.activeSheet.formulaCache; }
+    get computedValues() { return this.activeSheet.computedValues; }
+    
     /**
      * 初始化
      */
@@ -74,6 +130,9 @@ class VirtualExcelSimulator {
             this.renderVisibleCells();
             this.updateHeadersPosition();
         }, 0);
+        
+        // 恢复上次的会话
+        this.restoreWorkbook();
     }
     
     /**
@@ -82,10 +141,13 @@ class VirtualExcelSimulator {
     createStructure() {
         this.elements.columnHeaders = document.getElementById('columnHeaders');
         this.elements.rowHeaders = document.getElementById('rowHeaders');
+        this.elements.frozenColumnHeaders = document.getElementById('frozenColumnHeaders');
+        this.elements.frozenRowHeaders = document.getElementById('frozenRowHeaders');
         this.elements.tableContainer = document.getElementById('tableContainer');
         this.elements.tableBody = document.getElementById('tableBody');
         this.elements.contextMenu = document.getElementById('contextMenu');
         this.cellEditor = document.getElementById('cellEditor');
+        this.validationButton = document.getElementById('validationButton');
         
         // 创建虚拟滚动容器
         this.elements.virtualContainer = document.createElement('div');
@@ -102,6 +164,79 @@ class VirtualExcelSimulator {
         
         this.elements.virtualContainer.appendChild(this.elements.table);
         this.elements.tableContainer.appendChild(this.elements.virtualContainer);
+        
+        // 冻结窗格：顶部行、左侧列和左上角区域各用一个表格渲染，叠放在滚动区域之上
+        this.elements.frozenTop = this.createFrozenPane('frozen-top');
+        this.elements.frozenLeft = this.createFrozenPane('frozen-left');
+        this.elements.frozenCorner = this.createFrozenPane('frozen-corner');
+        
+        // Canvas 渲染时单元格和行头列头绘制在覆盖可见区域的画布上，表格和行头列头区域保持为空
+        this.canvasRenderer = this.options.renderer === 'canvas'
+            ? new CanvasGridRenderer(this, document.querySelector('.excel-wrapper'))
+            : null;
+        
+        // 工作表标签栏
+        this.sheetTabs = new SheetTabBar(document.getElementById('sheetTabs'), {
+            onSelect: (index) => this.activateSheet(this.sheets[index]),
+            onAdd: () => this.addSheet(),
+            onRename: (index, name) => this.renameSheet(this.sheets[index], name),
+            onDuplicate: (index) => this.duplicateSheet(this.sheets[index]),
+            onDelete: (index) => this.deleteSheet(this.sheets[index]),
+            onMove: (from, to) => this.moveSheet(this.sheets[from], to)
+        });
+        this.renderSheetTabs();
+        
+        // 格式工具栏
+        this.formatToolbar = new FormatToolbar(document.getElementById('formatToolbar'), {
+            onFormat: (changes) => this.formatSelection(changes),
+            onBorders: (preset) => this.applyBorderPreset(preset),
+            onClearFormat: () => this.clearSelectionFormat()
+        });
+        
+        // 排序对话框
+        this.sortDialog = new SortDialog(document.body, {
+            onSort: (options) => this.sortRange(this.sortArea, options)
+        });
+        
+        // 自动筛选下拉菜单
+        this.filterMenu = new FilterMenu(document.body, {
+            onApply: (criterion) => this.applyFilterCriterion(this.filterColumn, criterion)
+        });
+        
+        // 查找和替换面板
+        this.findPanel = new FindPanel(document.body, {
+            onFind: (options, backwards) => this.findNext(options, backwards),
+            onReplace: (options) => this.replaceNext(options),
+            onReplaceAll: (options) => this.replaceAll(options)
+        });
+        
+        // 条件格式规则管理器
+        this.conditionalFormatPanel = new ConditionalFormatPanel(document.body, {
+            onApply: (rules) => this.setConditionalFormats(new ConditionalFormats(rules), '条件格式')
+        });
+        
+        // 数据验证对话框和序列下拉列表
+        this.dataValidationDialog = new DataValidationDialog(document.body, {
+            onApply: (rule) => this.setDataValidations(this.dataValidations.set(this.validationArea, rule), '数据验证')
+        });
+        this.validationList = new ValidationList(document.body, {
+            onSelect: (value) => this.selectValidationItem(value)
+        });
+    }
+    
+    /**
+     * 创建冻结窗格图层，返回其中的表格
+     */
+    createFrozenPane(className) {
+        const pane = document.createElement('div');
+        pane.className = `frozen-pane ${className}`;
+        pane.style.display = 'none';
+        
+        const table = document.createElement('table');
+        table.className = 'excel-table';
+        pane.appendChild(table);
+        this.elements.tableContainer.appendChild(pane);
+        return table;
     }
     
     /**
@@ -112,6 +247,40 @@ class VirtualExcelSimulator {
         document.getElementById('addRow').addEventListener('click', () => this.addRows(10));
         document.getElementById('addColumn').addEventListener('click', () => this.addColumns(5));
         document.getElementById('regenerate').addEventListener('click', () => this.regenerateTable());
+        document.getElementById('newWorkbook').addEventListener('click', () => this.newWorkbook());
+        document.getElementById('sortRange').addEventListener('click', () => this.openSortDialog());
+        document.getElementById('autoFilter').addEventListener('click', () => this.toggleAutoFilter());
+        document.getElementById('findReplace').addEventListener('click', () => this.openFindPanel());
+        document.getElementById('conditionalFormat').addEventListener('click', () => this.openConditionalFormatPanel());
+        document.getElementById('dataValidation').addEventListener('click', () => this.openDataValidationDialog());
+        document.getElementById('circleInvalid').addEventListener('click', () => this.toggleInvalidData());
+        document.getElementById('freezePanes').addEventListener('click', () => {
+            if (this.frozenRows || this.frozenColumns) {
+                this.freezePanes(0, 0);
+            } else {
+                this.freezeAtSelection();
+            }
+        });
+        
+        // CSV导入导出
+        const csvFile = document.getElementById('csvFile');
+        document.getElementById('importCsv').addEventListener('click', () => csvFile.click());
+        document.getElementById('exportCsv').addEventListener('click', () => this.exportCsv());
+        csvFile.addEventListener('change', () => {
+            const file = csvFile.files[0];
+            if (file) this.importCsvFile(file);
+            csvFile.value = ''; // 允许重复导入同一个文件
+        });
+        
+        // XLSX导入导出
+        const xlsxFile = document.getElementById('xlsxFile');
+        document.getElementById('importXlsx').addEventListener('click', () => xlsxFile.click());
+        document.getElementById('exportXlsx').addEventListener('click', () => this.exportXlsx());
+        xlsxFile.addEventListener('change', () => {
+            const file = xlsxFile.files[0];
+            if (file) this.importXlsxFile(file);
+            xlsxFile.value = '';
+        });
         
         // 滚动事件
         const excelWrapper = document.querySelector('.excel-wrapper');
@@ -125,6 +294,11 @@ class VirtualExcelSimulator {
         document.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
         document.addEventListener('click', (e) => this.handleDocumentClick(e));
         
+        // 剪贴板事件（Ctrl+C / Ctrl+X / Ctrl+V）
+        document.addEventListener('copy', (e) => this.handleCopy(e));
+        document.addEventListener('cut', (e) => this.handleCut(e));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+        
         // 单元格编辑器事件
         this.cellEditor.addEventListener('blur', () => this.finishEditing());
         this.cellEditor.addEventListener('keydown', (e) => this.handleEditorKeyDown(e));
@@ -132,24 +306,33 @@ class VirtualExcelSimulator {
         // 右键菜单事件
         this.elements.contextMenu.addEventListener('click', (e) => this.handleMenuClick(e));
         
-        // 窗口大小变化
-        window.addEventListener('resize', () => this.updateContainerSize());
+        // 窗口大小变化（画布随可见区域改变大小，需要重绘）
+        window.addEventListener('resize', () => {
+            this.updateContainerSize();
+            if (this.canvasRenderer) this.renderVisibleCells();
+        });
+        
+        // 页面隐藏或关闭前立即保存尚未写入的修改
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushSave();
+        });
+        window.addEventListener('pagehide', () => this.flushSave());
     }
     
     /**
      * 计算行列偏移量
      */
     calculateOffsets() {
-        // 计算行偏移量
+        // 计算行偏移量（隐藏的行高度为 0）
         this.rowOffsets = [0];
         for (let i = 0; i < this.rowHeights.length; i++) {
-            this.rowOffsets.push(this.rowOffsets[i] + this.rowHeights[i]);
+            this.rowOffsets.push(this.rowOffsets[i] + (this.isRowHidden(i) ? 0 : this.rowHeights[i]));
         }
         
-        // 计算列偏移量
+        // 计算列偏移量（隐藏的列宽度为 0）
         this.columnOffsets = [0];
         for (let i = 0; i < this.columnWidths.length; i++) {
-            this.columnOffsets.push(this.columnOffsets[i] + this.columnWidths[i]);
+            this.columnOffsets.push(this.columnOffsets[i] + (this.isColumnHidden(i) ? 0 : this.columnWidths[i]));
         }
     }
     
@@ -168,9 +351,33 @@ class VirtualExcelSimulator {
         this.elements.virtualContainer.style.width = totalWidth + 'px';
         this.elements.virtualContainer.style.height = totalHeight + 'px';
         
+        this.updateFrozenPanes();
         this.calculateVisibleRange();
     }
     
+    /**
+     * 按当前工作表的冻结行列数更新冻结窗格图层和冻结行列头的尺寸
+     */
+    updateFrozenPanes() {
+        const frozenHeight = this.rowOffsets[this.frozenRows];
+        const frozenWidth = this.columnOffsets[this.frozenColumns];
+        const totalHeight = this.rowOffsets[this.rowOffsets.length - 1];
+        const totalWidth = this.columnOffsets[this.columnOffsets.length - 1];
+        
+        const setPane = (element, visible, width, height) => {
+            element.style.display = visible ? '' : 'none';
+            element.style.width = width + 'px';
+            element.style.height = height + 'px';
+        };
+        setPane(this.elements.frozenTop.parentElement, this.frozenRows > 0, totalWidth, frozenHeight);
+        setPane(this.elements.frozenLeft.parentElement, this.frozenColumns > 0, frozenWidth, totalHeight);
+        setPane(this.elements.frozenCorner.parentElement, this.frozenRows > 0 && this.frozenColumns > 0, frozenWidth, frozenHeight);
+        setPane(this.elements.frozenColumnHeaders, this.frozenColumns > 0, frozenWidth, 30);
+        setPane(this.elements.frozenRowHeaders, this.frozenRows > 0, 60, frozenHeight);
+        
+        document.getElementById('freezePanes').textContent = this.frozenRows || this.frozenColumns ? '取消冻结' : '冻结窗格';
+    }
+    
     /**
      * 计算可见范围
      */
@@ -179,15 +386,23 @@ class VirtualExcelSimulator {
         this.scrollTop = wrapper.scrollTop;
         this.scrollLeft = wrapper.scrollLeft;
         
-        // 计算可见行范围
-        this.visibleStartRow = Math.max(0, this.findRowByOffset(this.scrollTop) - this.options.visibleRowBuffer);
+        // 计算可见行范围（冻结的行单独渲染，滚动区域从冻结区域下方开始）
+        const frozenHeight = this.rowOffsets[this.frozenRows];
+        this.visibleStartRow = Math.max(
+            this.frozenRows,
+            this.findRowByOffset(this.scrollTop + frozenHeight) - this.options.visibleRowBuffer
+        );
         this.visibleEndRow = Math.min(
             this.rowHeights.length - 1,
             this.findRowByOffset(this.scrollTop + this.containerHeight) + this.options.visibleRowBuffer
         );
         
         // 计算可见列范围
-        this.visibleStartColumn = Math.max(0, this.findColumnByOffset(this.scrollLeft) - this.options.visibleColumnBuffer);
+        const frozenWidth = this.columnOffsets[this.frozenColumns];
+        this.visibleStartColumn = Math.max(
+            this.frozenColumns,
+            this.findColumnByOffset(this.scrollLeft + frozenWidth) - this.options.visibleColumnBuffer
+        );
         this.visibleEndColumn = Math.min(
             this.columnWidths.length - 1,
             this.findColumnByOffset(this.scrollLeft + this.containerWidth) + this.options.visibleColumnBuffer
@@ -199,6 +414,8 @@ class VirtualExcelSimulator {
     
     /**
      * 根据偏移量查找行索引
+     * 隐藏的行与下一行的起始偏移量相同，查找最后一个起始偏移量不大于 offset 的行即跳过了隐藏的行；
+     * 末尾的行都被隐藏时返回其前面最近的显示的行
      */
     findRowByOffset(offset) {
         let left = 0, right = this.rowOffsets.length - 1;
@@ -210,11 +427,27 @@ class VirtualExcelSimulator {
                 right = mid;
             }
         }
-        return Math.max(0, left - 1);
+        let row = Math.max(0, left - 1);
+        while (row > 0 && this.isRowHidden(row)) row--;
+        return row;
+    }
+    
+    /**
+     * 行是否被隐藏（隐藏的行和被自动筛选掉的行），隐藏的行不占空间
+     */
+    isRowHidden(row) {
+        return this.hiddenRows.has(row) || (!!this.autoFilter && this.autoFilter.isRowFiltered(row));
+    }
+    
+    /**
+     * 列是否被隐藏，隐藏的列不占空间
+     */
+    isColumnHidden(col) {
+        return this.hiddenColumns.has(col);
     }
     
     /**
-     * 根据偏移量查找列索引
+     * 根据偏移量查找列索引（跳过隐藏的列，见 findRowByOffset）
      */
     findColumnByOffset(offset) {
         let left = 0, right = this.columnOffsets.length - 1;
@@ -226,7 +459,9 @@ class VirtualExcelSimulator {
                 right = mid;
             }
         }
-        return Math.max(0, left - 1);
+        let col = Math.max(0, left - 1);
+        while (col > 0 && this.isColumnHidden(col)) col--;
+        return col;
     }
     
     /**
@@ -288,62 +523,192 @@ class VirtualExcelSimulator {
         
         this.scrollAnimationFrame = requestAnimationFrame(() => {
             this.calculateVisibleRange();
-            this.renderVisibleCells();
-            this.updateHeadersPosition();
+            this.updateHeadersPosition(true);
+            this.renderVisibleCells(true);
             
             // 如果正在编辑，隐藏编辑器
             if (this.editingCell) {
                 this.cellEditor.style.display = 'none';
             }
+            
+            // 保存滚动位置
+            this.scheduleSave();
         });
     }
     
     /**
-     * 渲染可见的单元格
+     * 渲染可见的单元格：滚动区域和冻结窗格分别渲染（Canvas 渲染时重绘整个画布，包括行头列头）
+     * scrolled 为 true 表示只有滚动位置变化（见 renderCells）
      */
-    renderVisibleCells() {
-        // 清空现有内容
-        this.elements.table.innerHTML = '';
+    renderVisibleCells(scrolled = false) {
+        const lastFrozenRow = this.frozenRows - 1;
+        const lastFrozenColumn = this.frozenColumns - 1;
         
-        for (let row = this.visibleStartRow; row <= this.visibleEndRow; row++) {
-            for (let col = this.visibleStartColumn; col <= this.visibleEndColumn; col++) {
-                const td = document.createElement('td');
-                td.dataset.row = row;
-                td.dataset.column = col;
-                td.style.position = 'absolute';
-                td.style.left = this.columnOffsets[col] + 'px';
-                td.style.top = this.rowOffsets[row] + 'px';
-                td.style.width = this.columnWidths[col] + 'px';
-                td.style.height = this.rowHeights[row] + 'px';
-                
-                // 设置单元格内容
-                const cellKey = `${row}-${col}`;
-                const cellValue = this.data.get(cellKey) || '';
-                td.textContent = cellValue;
-                
-                // 应用选择样式
-                if (this.selectedCells.has(cellKey)) {
-                    td.classList.add(this.selectedCells.size === 1 ? 'selected' : 'multi-selected');
-                    // 如果是多选，应用智能边框
-                    if (this.selectedCells.size > 1) {
-                        this.applySmartBorders(td, row, col);
-                    }
+        if (this.canvasRenderer) {
+            this.canvasRenderer.render();
+        } else {
+            this.renderCells(this.elements.table,
+                this.visibleStartRow, this.visibleEndRow, this.visibleStartColumn, this.visibleEndColumn, scrolled);
+            this.renderCells(this.elements.frozenTop,
+                0, lastFrozenRow, this.visibleStartColumn, this.visibleEndColumn, scrolled);
+            this.renderCells(this.elements.frozenLeft,
+                this.visibleStartRow, this.visibleEndRow, 0, lastFrozenColumn, scrolled);
+            this.renderCells(this.elements.frozenCorner, 0, lastFrozenRow, 0, lastFrozenColumn, scrolled);
+        }
+        
+        // 更新行首列首高亮
+        this.updateHeaderHighlights();
+        this.updateFormatToolbar();
+        document.getElementById('autoFilter').classList.toggle('active', !!this.autoFilter);
+        document.getElementById('circleInvalid').classList.toggle('active', this.showInvalidData);
+        this.updateValidationButton();
+    }
+    
+    /**
+     * 将指定范围的单元格渲染到表格中（单元格元素由元素池复用，不在范围内的移出表格）
+     * 合并区域渲染为一个覆盖整个区域的单元格，在其位于范围内的第一个单元格处渲染，
+     * 因此左上角已滚出可见范围的合并区域仍会完整显示
+     * scrolled 为 true 表示只有滚动位置变化，上次已经渲染的单元格保持不变，只设置进入范围的单元格
+     */
+    renderCells(table, startRow, endRow, startCol, endCol, scrolled = false) {
+        const merges = this.merges.intersecting({ minRow: startRow, maxRow: endRow, minCol: startCol, maxCol: endCol });
+        const findMerge = (row, col) => merges.find(range => SelectionModel.rangeContains(range, row, col));
+        
+        const areas = new Map(); // 单元格键 -> 渲染的区域
+        for (let row = startRow; row <= endRow; row++) {
+            for (let col = startCol; col <= endCol; col++) {
+                let area = { minRow: row, maxRow: row, minCol: col, maxCol: col };
+                const merge = merges.length > 0 ? findMerge(row, col) : null;
+                if (merge) {
+                    if (row !== Math.max(merge.minRow, startRow) || col !== Math.max(merge.minCol, startCol)) continue;
+                    area = merge;
                 }
                 
-                this.elements.table.appendChild(td);
+                // 隐藏的行列不占空间，不渲染
+                if (this.columnOffsets[area.maxCol + 1] === this.columnOffsets[area.minCol] ||
+                    this.rowOffsets[area.maxRow + 1] === this.rowOffsets[area.minRow]) continue;
+                areas.set(`${area.minRow}-${area.minCol}`, area);
             }
         }
         
-        // 更新行首列首高亮
-        this.updateHeaderHighlights();
+        this.getElementPool(table, () => document.createElement('td')).update(areas.keys(), (td, cellKey, reused) => {
+            if (!reused || !scrolled) this.bindCell(td, areas.get(cellKey));
+        });
+    }
+    
+    /**
+     * 按单元格（或合并区域）设置单元格元素的位置、内容和样式，元素可能来自元素池，先清除原有的状态
+     */
+    bindCell(td, area) {
+        const { minRow: row, minCol: col } = area;
+        td.className = area.maxRow > row || area.maxCol > col ? 'merged' : '';
+        td.style.cssText = '';
+        td.dataset.row = row;
+        td.dataset.column = col;
+        td.style.position = 'absolute';
+        td.style.left = this.columnOffsets[col] + 'px';
+        td.style.top = this.rowOffsets[row] + 'px';
+        td.style.width = (this.columnOffsets[area.maxCol + 1] - this.columnOffsets[col]) + 'px';
+        td.style.height = (this.rowOffsets[area.maxRow + 1] - this.rowOffsets[row]) + 'px';
+        
+        // 设置单元格内容和样式
+        const style = this.styles.get(`${row}-${col}`);
+        const value = this.getCellValue(row, col);
+        td.textContent = this.getCellDisplayText(row, col, value);
+        this.applyValueAlignment(td, value);
+        CellStyle.apply(td, style);
+        const formatColor = NumberFormat.getColor(value, style && style.numberFormat);
+        if (formatColor) td.style.color = formatColor;
+        
+        // 条件格式（只对渲染的单元格求值）
+        this.applyConditionalFormats(td, row, col, value);
+        
+        // 圈释无效数据
+        if (this.showInvalidData && this.isInvalidCell(row, col, value)) {
+            td.classList.add('invalid-data');
+        }
+        
+        // 应用选择样式
+        this.applySelectionStyle(td, row, col);
+        
+        // 复制/剪切源区域边框
+        this.applyCopySourceBorders(td, row, col);
+        
+        // 自动筛选标题行的下拉按钮
+        if (this.autoFilter && this.autoFilter.isHeaderCell(row, col)) {
+            const button = document.createElement('span');
+            button.className = 'filter-button';
+            button.classList.toggle('active', this.autoFilter.criteria.has(col));
+            button.dataset.column = col;
+            button.textContent = '▾';
+            td.appendChild(button);
+        }
+    }
+    
+    /**
+     * 渲染容器（表格、行头列头区域）的元素池，第一次使用时创建
+     */
+    getElementPool(container, create) {
+        if (!this.elementPools.has(container)) {
+            this.elementPools.set(container, new ElementPool(container, create));
+        }
+        return this.elementPools.get(container);
+    }
+    
+    /**
+     * 按值的类型设置默认对齐：数字右对齐，布尔值和错误值居中，文本左对齐（样式中的对齐方式优先）
+     */
+    applyValueAlignment(td, value) {
+        if (typeof value === 'number') {
+            td.classList.add('numeric');
+        } else if (typeof value === 'boolean' || value instanceof FormulaError) {
+            td.classList.add('centered');
+        }
+    }
+    
+    /**
+     * 获取已渲染的单元格元素（滚动区域或冻结窗格中），未渲染时（以及 Canvas 渲染时）返回 null
+     */
+    getCellElement(row, col) {
+        return this.elements.tableContainer.querySelector(`td[data-row="${row}"][data-column="${col}"]`);
+    }
+    
+    /**
+     * 单元格（合并区域以左上角表示）在页面中的位置和尺寸，未渲染时返回 null；两种渲染方式通用
+     */
+    getCellRect(row, col) {
+        if (this.canvasRenderer) return this.canvasRenderer.getCellRect(row, col);
+        const cell = this.getCellElement(row, col);
+        return cell ? cell.getBoundingClientRect() : null;
+    }
+    
+    /**
+     * 行头（列头）在页面中的位置和尺寸，未渲染时返回 null；axis 为 row 或 column
+     */
+    getHeaderRect(axis, index) {
+        if (this.canvasRenderer) return this.canvasRenderer.getHeaderRect(axis, index);
+        const header = axis === 'column'
+            ? document.querySelector(`.column-header[data-column="${index}"]`)
+            : document.querySelector(`.row-header[data-row="${index}"]`);
+        return header ? header.getBoundingClientRect() : null;
     }
     
     /**
      * 轻量级选择更新（不重建DOM）- 优化版
      */
     updateSelection() {
+        // Canvas 渲染时选区随画布重绘
+        if (this.canvasRenderer) {
+            this.expandSelectionToMerges();
+            this.scheduleSave();
+            this.canvasRenderer.render();
+            this.updateFormatToolbar();
+            this.updateValidationButton();
+            return;
+        }
+        
         // 批量清除所有现有的选择样式
-        const allCells = this.elements.table.querySelectorAll('td');
+        const allCells = this.elements.tableContainer.querySelectorAll('td');
         
         // 使用一次性样式重置以提高性能
         allCells.forEach(cell => {
@@ -357,29 +722,95 @@ class VirtualExcelSimulator {
             }
         });
         
-        // 如果没有选择，直接返回
-        if (this.selectedCells.size === 0) {
-            this.updateHeaderHighlights();
-            return;
-        }
+        this.elements.tableContainer.querySelectorAll('.fill-handle').forEach(handle => handle.remove());
         
-        // 批量应用新的选择样式
-        const isMultiSelect = this.selectedCells.size > 1;
-        this.selectedCells.forEach(cellKey => {
-            const [row, col] = cellKey.split('-').map(Number);
-            const cell = this.elements.table.querySelector(`td[data-row="${row}"][data-column="${col}"]`);
-            if (cell) {
-                if (isMultiSelect) {
-                    cell.classList.add('multi-selected');
-                    this.applySmartBorders(cell, row, col);
-                } else {
-                    cell.classList.add('selected');
-                }
-            }
-        });
+        // 选区包含合并区域的一部分时扩展到整个合并区域
+        this.expandSelectionToMerges();
+        
+        // 保存选区
+        this.scheduleSave();
+        
+        // 按选区模型为可见单元格应用新的选择样式（与选区大小无关）
+        if (!this.selection.isEmpty()) {
+            allCells.forEach(cell => {
+                this.applySelectionStyle(cell, Number(cell.dataset.row), Number(cell.dataset.column));
+            });
+        }
         
         // 更新行首列首高亮
         this.updateHeaderHighlights();
+        this.updateFormatToolbar();
+        this.updateValidationButton();
+    }
+    
+    /**
+     * 将当前区域扩展到完整包含与其相交的合并区域，活动单元格位于合并区域内时移到其左上角
+     */
+    expandSelectionToMerges() {
+        const range = this.selection.currentRange;
+        if (!range || this.merges.isEmpty()) return;
+        
+        Object.assign(range, this.merges.expand(range));
+        const active = this.selection.active;
+        const merge = active && this.merges.find(active.row, active.col);
+        if (merge) {
+            active.row = merge.minRow;
+            active.col = merge.minCol;
+        }
+    }
+    
+    /**
+     * 格式工具栏显示活动单元格的样式
+     */
+    updateFormatToolbar() {
+        if (!this.formatToolbar) return;
+        const active = this.selection.active;
+        this.formatToolbar.render(active ? this.styles.get(`${active.row}-${active.col}`) : null);
+    }
+    
+    /**
+     * 为选中的单元格添加选择样式：单选为 selected，多选为 multi-selected 并应用智能边框
+     * 合并区域的单元格以左上角的 row/col 表示
+     */
+    applySelectionStyle(td, row, col) {
+        if (!this.selection.contains(row, col)) return;
+        
+        if (this.isSingleCellSelected()) {
+            td.classList.add('selected');
+        } else {
+            td.classList.add('multi-selected');
+            this.applySmartBorders(td, row, col);
+        }
+        
+        // 选区右下角的单元格上绘制填充柄
+        const source = this.getFillSource();
+        const area = this.merges.find(row, col) || { maxRow: row, maxCol: col };
+        if (source && area.maxRow === source.maxRow && area.maxCol === source.maxCol) {
+            const handle = document.createElement('div');
+            handle.className = 'fill-handle';
+            td.appendChild(handle);
+        }
+    }
+    
+    /**
+     * 可以拖动填充柄填充的源区域：只选中了一个区域，并且不是整行或整列；否则返回 null
+     */
+    getFillSource() {
+        if (this.selection.ranges.length !== 1) return null;
+        const range = this.selection.currentRange;
+        if (range.maxRow === Infinity || range.maxCol === Infinity) return null;
+        return { ...range };
+    }
+    
+    /**
+     * 选区是否只有一个单元格（或恰好是一个合并区域）
+     */
+    isSingleCellSelected() {
+        if (this.selection.isSingleCell()) return true;
+        const range = this.selection.ranges.length === 1 ? this.selection.currentRange : null;
+        const merge = range && this.merges.find(range.minRow, range.minCol);
+        return !!merge && merge.minRow === range.minRow && merge.maxRow === range.maxRow &&
+            merge.minCol === range.minCol && merge.maxCol === range.maxCol;
     }
     
     /**
@@ -387,13 +818,14 @@ class VirtualExcelSimulator {
      */
     applySmartBorders(td, row, col) {
         // 只有在多选时才应用智能边框
-        if (this.selectedCells.size <= 1) return;
+        if (this.isSingleCellSelected()) return;
         
-        // 检查相邻单元格是否也被选中
-        const topSelected = this.selectedCells.has(`${row-1}-${col}`);
-        const bottomSelected = this.selectedCells.has(`${row+1}-${col}`);
-        const leftSelected = this.selectedCells.has(`${row}-${col-1}`);
-        const rightSelected = this.selectedCells.has(`${row}-${col+1}`);
+        // 检查相邻单元格是否也被选中（合并区域按整个区域的边缘检查）
+        const area = this.merges.find(row, col) || { minRow: row, maxRow: row, minCol: col, maxCol: col };
+        const topSelected = this.selection.contains(area.minRow - 1, col);
+        const bottomSelected = this.selection.contains(area.maxRow + 1, col);
+        const leftSelected = this.selection.contains(row, area.minCol - 1);
+        const rightSelected = this.selection.contains(row, area.maxCol + 1);
         
         // 设置边框样式 - 使用CSS类而不是内联样式以提高性能
         const thickBorder = '2px solid #0078d4';  // 选区外边框
@@ -410,6 +842,23 @@ class VirtualExcelSimulator {
         Object.assign(td.style, styles);
     }
     
+    /**
+     * 为复制/剪切源区域边缘的单元格添加流动虚线边框（按所在边缘添加对应的类）
+     */
+    applyCopySourceBorders(td, row, col) {
+        const area = this.copySource;
+        if (!area || area.sheet !== this.activeSheet || row < area.minRow || row > area.maxRow || col < area.minCol || col > area.maxCol) {
+            return;
+        }
+        
+        const cell = this.merges.find(row, col) || { minRow: row, maxRow: row, minCol: col, maxCol: col };
+        td.classList.add('copied');
+        if (cell.minRow === area.minRow) td.classList.add('copied-top');
+        if (cell.maxRow === area.maxRow) td.classList.add('copied-bottom');
+        if (cell.minCol === area.minCol) td.classList.add('copied-left');
+        if (cell.maxCol === area.maxCol) td.classList.add('copied-right');
+    }
+    
     /**
      * 更新行首列首高亮显示
      */
@@ -419,725 +868,3861 @@ class VirtualExcelSimulator {
             return;
         }
         
-        // 获取选中单元格的行列索引
-        const selectedRows = new Set();
-        const selectedCols = new Set();
-        
-        this.selectedCells.forEach(cellKey => {
-            const [row, col] = cellKey.split('-').map(Number);
-            selectedRows.add(row);
-            selectedCols.add(col);
-        });
-        
-        // 清除所有行头高亮和选中样式
-        const allRowHeaders = this.elements.rowHeaders.querySelectorAll('.row-header');
-        allRowHeaders.forEach(header => {
-            header.classList.remove('cell-highlighted');
-            header.classList.remove('selected');
-        });
-        
-        // 清除所有列头高亮和选中样式
-        const allColHeaders = this.elements.columnHeaders.querySelectorAll('.column-header');
-        allColHeaders.forEach(header => {
-            header.classList.remove('cell-highlighted');
-            header.classList.remove('selected');
-        });
-        
-        // 高亮选中的行头
-        selectedRows.forEach(row => {
-            const rowHeader = this.elements.rowHeaders.querySelector(`[data-row="${row}"]`);
-            if (rowHeader) {
-                // 检查是否选中了整行
-                let isFullRowSelected = true;
-                for (let col = 0; col < this.columnWidths.length; col++) {
-                    if (!this.selectedCells.has(`${row}-${col}`)) {
-                        isFullRowSelected = false;
-                        break;
-                    }
-                }
-                // 如果整行都被选中，则添加selected类，否则添加cell-highlighted类
-                if (isFullRowSelected) {
-                    rowHeader.classList.add('selected');
-                } else {
-                    rowHeader.classList.add('cell-highlighted');
-                }
-            }
+        // 只检查当前渲染的行头列头：整行/整列选中时为 selected，部分选中时为 cell-highlighted
+        document.querySelectorAll('.row-header').forEach(header => {
+            const row = Number(header.dataset.row);
+            const isFullRowSelected = this.selection.isRowSelected(row);
+            header.classList.toggle('selected', isFullRowSelected);
+            header.classList.toggle('cell-highlighted', !isFullRowSelected && this.selection.intersectsRow(row));
         });
         
-        // 高亮选中的列头
-        selectedCols.forEach(col => {
-            const colHeader = this.elements.columnHeaders.querySelector(`[data-column="${col}"]`);
-            if (colHeader) {
-                // 检查是否选中了整列
-                let isFullColSelected = true;
-                for (let row = 0; row < this.rowHeights.length; row++) {
-                    if (!this.selectedCells.has(`${row}-${col}`)) {
-                        isFullColSelected = false;
-                        break;
-                    }
-                }
-                // 如果整列都被选中，则添加selected类，否则添加cell-highlighted类
-                if (isFullColSelected) {
-                    colHeader.classList.add('selected');
-                } else {
-                    colHeader.classList.add('cell-highlighted');
-                }
-            }
+        document.querySelectorAll('.column-header').forEach(header => {
+            const col = Number(header.dataset.column);
+            const isFullColSelected = this.selection.isColumnSelected(col);
+            header.classList.toggle('selected', isFullColSelected);
+            header.classList.toggle('cell-highlighted', !isFullColSelected && this.selection.intersectsColumn(col));
         });
     }
     
     /**
-     * 更新列头
+     * 更新列头（冻结列的列头渲染在固定的列头区域中），列头元素由元素池复用
+     * scrolled 为 true 表示只有滚动位置变化，已经显示的列头保持不变
      */
-    updateColumnHeaders() {
-        this.elements.columnHeaders.innerHTML = '';
+    updateColumnHeaders(scrolled = false) {
+        if (this.canvasRenderer) return; // 行头列头绘制在画布上
         
+        const bind = (header, col, reused) => {
+            if (!reused || !scrolled) this.bindColumnHeader(header, col);
+        };
+        const frozen = [];
+        for (let i = 0; i < this.frozenColumns; i++) {
+            if (!this.isColumnHidden(i)) frozen.push(i);
+        }
+        const visible = [];
         for (let i = this.visibleStartColumn; i <= this.visibleEndColumn; i++) {
-            const header = document.createElement('div');
-            header.className = 'column-header';
-            header.textContent = this.getColumnName(i);
-            header.style.position = 'absolute';
-            header.style.left = this.columnOffsets[i] + 'px';
-            header.style.width = this.columnWidths[i] + 'px';
-            header.style.height = '30px';
-            header.dataset.column = i;
-            
-            // 添加调整手柄
-            const resizeHandle = document.createElement('div');
-            resizeHandle.className = 'column-resize-handle';
-            resizeHandle.dataset.column = i;
-            header.appendChild(resizeHandle);
-            
-            this.elements.columnHeaders.appendChild(header);
+            if (!this.isColumnHidden(i)) visible.push(i);
         }
+        this.getElementPool(this.elements.frozenColumnHeaders, () => this.createColumnHeader()).update(frozen, bind);
+        this.getElementPool(this.elements.columnHeaders, () => this.createColumnHeader()).update(visible, bind);
         
         // 设置列头容器总宽度
         this.elements.columnHeaders.style.width = this.columnOffsets[this.columnOffsets.length - 1] + 'px';
     }
     
     /**
-     * 更新行头
+     * 创建列头元素（列名文本和调整手柄），内容由 bindColumnHeader 设置
+     */
+    createColumnHeader() {
+        const header = document.createElement('div');
+        header.appendChild(document.createTextNode(''));
+        
+        // 添加调整手柄
+        const resizeHandle = document.createElement('div');
+        resizeHandle.className = 'column-resize-handle';
+        header.appendChild(resizeHandle);
+        return header;
+    }
+    
+    bindColumnHeader(header, i) {
+        header.className = 'column-header';
+        header.firstChild.nodeValue = this.getColumnName(i);
+        header.style.position = 'absolute';
+        header.style.left = this.columnOffsets[i] + 'px';
+        header.style.width = this.columnWidths[i] + 'px';
+        header.style.height = '30px';
+        header.dataset.column = i;
+        header.querySelector('.column-resize-handle').dataset.column = i;
+        
+        // 左侧有隐藏的列时显示标记，双击取消隐藏
+        const marker = header.querySelector('.unhide-marker');
+        if (marker) marker.remove();
+        if (i > 0 && this.hiddenColumns.has(i - 1)) {
+            header.appendChild(this.createUnhideMarker('column', i - 1));
+        }
+    }
+    
+    /**
+     * 更新行头（冻结行的行头渲染在固定的行头区域中），行头元素由元素池复用
+     * scrolled 为 true 表示只有滚动位置变化，已经显示的行头保持不变
      */
-    updateRowHeaders() {
-        this.elements.rowHeaders.innerHTML = '';
+    updateRowHeaders(scrolled = false) {
+        if (this.canvasRenderer) return;
         
+        const bind = (header, row, reused) => {
+            if (!reused || !scrolled) this.bindRowHeader(header, row);
+        };
+        const frozen = [];
+        for (let i = 0; i < this.frozenRows; i++) {
+            if (!this.isRowHidden(i)) frozen.push(i);
+        }
+        const visible = [];
         for (let i = this.visibleStartRow; i <= this.visibleEndRow; i++) {
-            const header = document.createElement('div');
-            header.className = 'row-header';
-            header.textContent = i + 1;
-            header.style.position = 'absolute';
-            header.style.top = this.rowOffsets[i] + 'px';
-            header.style.width = '60px';
-            header.style.height = this.rowHeights[i] + 'px';
-            header.dataset.row = i;
-            
-            // 添加调整手柄
-            const resizeHandle = document.createElement('div');
-            resizeHandle.className = 'row-resize-handle';
-            resizeHandle.dataset.row = i;
-            header.appendChild(resizeHandle);
-            
-            this.elements.rowHeaders.appendChild(header);
+            if (!this.isRowHidden(i)) visible.push(i);
         }
+        this.getElementPool(this.elements.frozenRowHeaders, () => this.createRowHeader()).update(frozen, bind);
+        this.getElementPool(this.elements.rowHeaders, () => this.createRowHeader()).update(visible, bind);
         
         // 设置行头容器总高度
         this.elements.rowHeaders.style.height = this.rowOffsets[this.rowOffsets.length - 1] + 'px';
     }
     
     /**
-     * 更新头部位置（滚动时同步）
+     * 创建行头元素（行号文本和调整手柄），内容由 bindRowHeader 设置
+     */
+    createRowHeader() {
+        const header = document.createElement('div');
+        header.appendChild(document.createTextNode(''));
+        
+        // 添加调整手柄
+        const resizeHandle = document.createElement('div');
+        resizeHandle.className = 'row-resize-handle';
+        header.appendChild(resizeHandle);
+        return header;
+    }
+    
+    bindRowHeader(header, i) {
+        header.className = 'row-header';
+        header.firstChild.nodeValue = i + 1;
+        header.style.position = 'absolute';
+        header.style.top = this.rowOffsets[i] + 'px';
+        header.style.width = '60px';
+        header.style.height = this.rowHeights[i] + 'px';
+        header.dataset.row = i;
+        header.querySelector('.row-resize-handle').dataset.row = i;
+        
+        // 设置了筛选条件时，筛选区域中显示的数据行的行号用不同颜色显示
+        if (this.autoFilter && this.autoFilter.isActive() && this.autoFilter.isDataRow(i)) {
+            header.classList.add('filtered');
+        }
+        
+        // 上方有隐藏的行时显示标记，双击取消隐藏
+        const marker = header.querySelector('.unhide-marker');
+        if (marker) marker.remove();
+        if (i > 0 && this.hiddenRows.has(i - 1)) {
+            header.appendChild(this.createUnhideMarker('row', i - 1));
+        }
+    }
+    
+    /**
+     * 隐藏行列的标记（显示在其后的行头列头边缘），index 为紧邻的隐藏的行（列）
+     */
+    createUnhideMarker(axis, index) {
+        const marker = document.createElement('div');
+        marker.className = `unhide-marker ${axis}-unhide-marker`;
+        marker.dataset.axis = axis;
+        marker.dataset.index = index;
+        marker.title = '双击取消隐藏';
+        return marker;
+    }
+    
+    /**
+     * 更新头部位置（滚动时同步，scrolled 见 updateColumnHeaders）
      */
-    updateHeadersPosition() {
+    updateHeadersPosition(scrolled = false) {
         // 更新列头位置
-        this.updateColumnHeaders();
+        this.updateColumnHeaders(scrolled);
         
         // 更新行头位置
-        this.updateRowHeaders();
+        this.updateRowHeaders(scrolled);
     }
     
     /**
      * 获取列名
      */
     getColumnName(index) {
-        let result = '';
-        while (index >= 0) {
-            result = String.fromCharCode(65 + (index % 26)) + result;
-            index = Math.floor(index / 26) - 1;
-        }
-        return result;
+        return FormulaEngine.columnName(index);
     }
     
     /**
-     * 处理鼠标按下事件
+     * 获取单元格的值（供公式引用），公式单元格返回计算结果
+     * sheet 为所在的工作表，默认为当前工作表
      */
-    handleMouseDown(e) {
-        const target = e.target;
+    getCellValue(row, col, sheet = this.activeSheet) {
+        const cellKey = `${row}-${col}`;
+        const raw = sheet.data.get(cellKey);
+        if (raw === undefined || raw === '') return null;
         
-        // 如果点击的不是编辑器，且正在编辑，先完成编辑
-        if (this.editingCell && target !== this.cellEditor) {
-            this.finishEditing();
+        if (FormulaEngine.isFormula(raw)) {
+            return this.computeCell(cellKey, sheet);
         }
         
-        // 处理列调整
-        if (target.classList.contains('column-resize-handle')) {
-            this.startResize('column', parseInt(target.dataset.column));
-            e.preventDefault();
-            return;
+        // 数字、布尔值和文本（见 CellValue.parse）
+        return CellValue.parse(raw);
+    }
+    
+    /**
+     * 获取单元格显示文本：按数字格式显示值（公式为计算结果）
+     * 常规格式下直接输入的数字按输入的样子显示
+     * value 为已经取得的单元格值，省略时重新获取
+     */
+    getCellDisplayText(row, col, value = this.getCellValue(row, col)) {
+        const cellKey = `${row}-${col}`;
+        const raw = this.data.get(cellKey) || '';
+        const style = this.styles.get(cellKey);
+        const numberFormat = style && style.numberFormat;
+        if (!numberFormat && typeof value === 'number' && !FormulaEngine.isFormula(raw)) return raw;
+        return NumberFormat.format(value, numberFormat);
+    }
+    
+    /**
+     * 获取单元格开始编辑时显示的文本（见 CellValue.toEditText）
+     */
+    getCellEditText(row, col) {
+        const cellKey = `${row}-${col}`;
+        const style = this.styles.get(cellKey);
+        return CellValue.toEditText(this.data.get(cellKey) || '', style && style.numberFormat);
+    }
+    
+    /**
+     * 公式的求值上下文：未写明工作表的引用指向公式所在的工作表，引用不存在的工作表得到 #REF!
+     */
+    createEvaluationContext(sheet) {
+        return {
+            getCellValue: (row, col, sheetName) => {
+                if (sheetName === undefined) {
+                    return this.getCellValue(row, col, sheet);
+                }
+                const target = this.findSheet(sheetName);
+                return target ? this.getCellValue(row, col, target) : new FormulaError(FormulaError.REF);
+            }
+        };
+    }
+    
+    /**
+     * 计算公式单元格（带缓存）
+     */
+    computeCell(cellKey, sheet = this.activeSheet) {
+        if (sheet.computedValues.has(cellKey)) {
+            return sheet.computedValues.get(cellKey);
         }
-        
-        // 处理行调整
-        if (target.classList.contains('row-resize-handle')) {
-            this.startResize('row', parseInt(target.dataset.row));
-            e.preventDefault();
-            return;
+        // 计算过程中再次访问自身，说明存在循环引用
+        const graphKey = this.getGraphKey(sheet, cellKey);
+        if (this.evaluatingCells.has(graphKey)) {
+            return new FormulaError(FormulaError.CIRCULAR);
         }
         
-        // 处理列头选择
-        if (target.classList.contains('column-header')) {
-            this.selectColumn(parseInt(target.dataset.column), e.ctrlKey);
-            e.preventDefault();
-            return;
+        const ast = this.getFormulaAst(cellKey, sheet);
+        let value;
+        if (ast instanceof FormulaError) {
+            value = ast;
+        } else {
+            this.evaluatingCells.add(graphKey);
+            try {
+                value = this.formulaEngine.evaluate(ast, this.createEvaluationContext(sheet));
+            } finally {
+                this.evaluatingCells.delete(graphKey);
+            }
         }
         
-        // 处理行头选择
-        if (target.classList.contains('row-header')) {
-            this.selectRow(parseInt(target.dataset.row), e.ctrlKey);
-            e.preventDefault();
-            return;
+        sheet.computedValues.set(cellKey, value);
+        return value;
+    }
+    
+    /**
+     * 获取单元格公式的语法树，公式文本未变化时复用缓存
+     */
+    getFormulaAst(cellKey, sheet = this.activeSheet) {
+        const formula = sheet.data.get(cellKey);
+        const cached = sheet.formulaCache.get(cellKey);
+        if (cached && cached.formula === formula) {
+            return cached.ast;
         }
         
-        // 处理单元格选择
-        if (target.tagName === 'TD') {
-            const row = parseInt(target.dataset.row);
-            const col = parseInt(target.dataset.column);
-            
-            if (e.detail === 2) { // 双击
-                this.startEditing(row, col);
+        let ast;
+        try {
+            ast = this.formulaEngine.parse(formula);
+        } catch (error) {
+            ast = new FormulaError(FormulaError.ERROR);
+        }
+        sheet.formulaCache.set(cellKey, { formula, ast });
+        return ast;
+    }
+    
+    /**
+     * 依赖图中的单元格键（带工作表标识）
+     */
+    getGraphKey(sheet, cellKey) {
+        return `${sheet.id}!${cellKey}`;
+    }
+    
+    /**
+     * 单元格内容变化后更新依赖图，并只重算受影响的公式（包括其他工作表中引用它们的公式）
+     */
+    updateCells(cellKeys, sheet = this.activeSheet) {
+        cellKeys.forEach(cellKey => this.updateDependencies(cellKey, sheet));
+        this.recalculateCells(cellKeys.map(cellKey => this.getGraphKey(sheet, cellKey)));
+    }
+    
+    /**
+     * 根据单元格当前内容更新其在依赖图中的引用关系
+     */
+    updateDependencies(cellKey, sheet = this.activeSheet) {
+        const graphKey = this.getGraphKey(sheet, cellKey);
+        const raw = sheet.data.get(cellKey);
+        if (FormulaEngine.isFormula(raw)) {
+            const ast = this.getFormulaAst(cellKey, sheet);
+            const references = ast instanceof FormulaError
+                ? { cells: [], ranges: [] }
+                : this.resolveReferences(this.formulaEngine.getReferences(ast), sheet);
+            this.dependencyGraph.setPrecedents(graphKey, references);
+        } else {
+            this.dependencyGraph.remove(graphKey);
+            sheet.formulaCache.delete(cellKey);
+            sheet.computedValues.delete(cellKey);
+        }
+    }
+    
+    /**
+     * 将引用中的工作表名换成工作表标识，未写明的指向公式所在的工作表，不存在的工作表忽略
+     */
+    resolveReferences(references, sheet) {
+        const resolve = (items) => items
+            .map(item => {
+                const target = item.sheet === undefined ? sheet : this.findSheet(item.sheet);
+                return target ? { ...item, sheet: target.id } : null;
+            })
+            .filter(item => item !== null);
+        
+        return { cells: resolve(references.cells), ranges: resolve(references.ranges) };
+    }
+    
+    /**
+     * 按拓扑顺序重算受变化单元格影响的公式，循环引用中的公式标记为 #CIRCULAR!
+     * graphKeys 为依赖图键（见 getGraphKey）
+     */
+    recalculateCells(graphKeys) {
+        const { order, circular } = this.dependencyGraph.getRecalculationPlan(graphKeys);
+        const cells = order.map(graphKey => {
+            const { sheet: sheetId, row, col } = DependencyGraph.parseKey(graphKey);
+            return {
+                graphKey,
+                sheet: this.sheets.find(sheet => String(sheet.id) === sheetId),
+                cellKey: `${row}-${col}`
+            };
+        });
+        
+        cells.forEach(({ sheet, cellKey }) => sheet.computedValues.delete(cellKey));
+        this.conditionalStats.clear(); // 单元格值变化后重新统计条件格式的区域
+        cells.forEach(({ graphKey, sheet, cellKey }) => {
+            if (circular.has(graphKey)) {
+                sheet.computedValues.set(cellKey, new FormulaError(FormulaError.CIRCULAR));
             } else {
-                this.selectCell(row, col, e.ctrlKey, e.shiftKey);
-                if (!e.shiftKey) {
-                    this.isSelecting = true;
-                    this.selectionStart = { row, col };
+                this.computeCell(cellKey, sheet);
+            }
+        });
+    }
+    
+    /**
+     * 重建依赖图并重算全部工作表的公式（行列结构或工作表变化后调用）
+     */
+    recalculateAll() {
+        this.dependencyGraph.clear();
+        
+        const graphKeys = [];
+        this.sheets.forEach(sheet => {
+            sheet.formulaCache.clear();
+            sheet.computedValues.clear();
+            sheet.data.forEach((raw, cellKey) => {
+                if (FormulaEngine.isFormula(raw)) {
+                    this.updateDependencies(cellKey, sheet);
+                    graphKeys.push(this.getGraphKey(sheet, cellKey));
+                }
+            });
+        });
+        this.recalculateCells(graphKeys);
+    }
+    
+    /**
+     * 批量设置单元格内容，整批作为一步记录到撤销历史
+     * entries: [[cellKey, value, sheet], ...]，value 为空表示清除，sheet 省略时为当前工作表
+     * 撤销/重做时切换回修改所在的工作表
+     */
+    setCellValues(entries, label) {
+        const activeSheet = this.activeSheet;
+        const changes = [];
+        entries.forEach(([cellKey, value, sheet = activeSheet]) => {
+            const before = sheet.data.get(cellKey) || '';
+            const after = value || '';
+            if (before !== after) {
+                changes.push({ sheet, cellKey, before, after });
+            }
+        });
+        if (changes.length === 0) return;
+        
+        this.applyCellChanges(changes, 'after');
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(activeSheet);
+                this.applyCellChanges(changes, 'before');
+            },
+            redo: () => {
+                this.activateSheet(activeSheet);
+                this.applyCellChanges(changes, 'after');
+            }
+        });
+    }
+    
+    /**
+     * 写入输入的内容 entries: [[cellKey, 输入文本]]，按 CellValue.detect 识别类型
+     * 识别出的数字格式与单元格原有格式的类别不同时一并设置，整体作为一步撤销
+     */
+    setCellInputs(entries, label) {
+        const values = [];
+        const styles = [];
+        entries.forEach(([cellKey, input]) => {
+            const style = this.styles.get(cellKey);
+            const currentFormat = style ? style.numberFormat : null;
+            const { raw, numberFormat } = CellValue.detect(input, currentFormat);
+            values.push([cellKey, raw]);
+            if (numberFormat && NumberFormat.getCategory(numberFormat) !== NumberFormat.getCategory(currentFormat)) {
+                styles.push([cellKey, CellStyle.merge(style, { numberFormat })]);
+            }
+        });
+        
+        this.history.transaction(label, () => {
+            this.setCellValues(values, label);
+            this.setCellStyles(styles, label);
+        });
+    }
+    
+    /**
+     * 输入的内容识别类型后保存的原始内容（与 setCellInputs 相同）
+     */
+    getInputRaw(cellKey, input) {
+        const style = this.styles.get(cellKey);
+        return CellValue.detect(input, style ? style.numberFormat : null).raw;
+    }
+    
+    /**
+     * 应用单元格变更（side 为 'before' 或 'after'），重算公式并刷新
+     */
+    applyCellChanges(changes, side) {
+        const changedKeys = new Map(); // 工作表 -> 变化的单元格
+        changes.forEach(change => {
+            const { sheet, cellKey } = change;
+            const value = change[side];
+            if (value) {
+                sheet.data.set(cellKey, value);
+                sheet.modifiedCells.add(cellKey);
+            } else {
+                sheet.data.delete(cellKey);
+                sheet.modifiedCells.delete(cellKey);
+            }
+            if (!changedKeys.has(sheet)) changedKeys.set(sheet, []);
+            changedKeys.get(sheet).push(cellKey);
+        });
+        
+        changedKeys.forEach((cellKeys, sheet) => this.updateCells(cellKeys, sheet));
+        this.renderVisibleCells();
+        this.scheduleSave();
+    }
+    
+    /**
+     * 设置单元格样式并记录撤销
+     * entries: [[cellKey, style, sheet?]]，style 为 null 时清除样式；sheet 默认为当前工作表
+     */
+    setCellStyles(entries, label) {
+        const activeSheet = this.activeSheet;
+        const changes = [];
+        entries.forEach(([cellKey, style, sheet = activeSheet]) => {
+            const before = sheet.styles.get(cellKey) || null;
+            const after = style || null;
+            if (before !== after) {
+                changes.push({ sheet, cellKey, before, after });
+            }
+        });
+        if (changes.length === 0) return;
+        
+        this.applyStyleChanges(changes, 'after');
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(activeSheet);
+                this.applyStyleChanges(changes, 'before');
+            },
+            redo: () => {
+                this.activateSheet(activeSheet);
+                this.applyStyleChanges(changes, 'after');
+            }
+        });
+    }
+    
+    /**
+     * 应用样式变更（side 为 'before' 或 'after'）并刷新
+     */
+    applyStyleChanges(changes, side) {
+        changes.forEach(change => {
+            const style = change[side];
+            if (style) {
+                change.sheet.styles.set(change.cellKey, style);
+            } else {
+                change.sheet.styles.delete(change.cellKey);
+            }
+        });
+        this.renderVisibleCells();
+        this.scheduleSave();
+    }
+    
+    /**
+     * 设置样式的区域：选区的各个区域，整行、整列和全选只到有内容或样式的最后一行（列）为止，
+     * 避免为整个表格的每个单元格写入样式
+     */
+    getFormatRanges() {
+        let lastRow = 0;
+        let lastCol = 0;
+        [this.data, this.styles].forEach(cells => cells.forEach((value, cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            lastRow = Math.max(lastRow, row);
+            lastCol = Math.max(lastCol, col);
+        }));
+        return this.selection.ranges.map(range => ({
+            minRow: range.minRow,
+            maxRow: Math.min(range.maxRow === Infinity ? Math.max(range.minRow, lastRow) : range.maxRow, this.rowHeights.length - 1),
+            minCol: range.minCol,
+            maxCol: Math.min(range.maxCol === Infinity ? Math.max(range.minCol, lastCol) : range.maxCol, this.columnWidths.length - 1)
+        }));
+    }
+    
+    /**
+     * 修改选中单元格的样式（见 CellStyle.merge），整体作为一步撤销
+     */
+    formatSelection(changes, label = '设置格式') {
+        const entries = new Map();
+        this.getFormatRanges().forEach(range => {
+            for (let row = range.minRow; row <= range.maxRow; row++) {
+                for (let col = range.minCol; col <= range.maxCol; col++) {
+                    const cellKey = `${row}-${col}`;
+                    entries.set(cellKey, CellStyle.merge(this.styles.get(cellKey), changes));
+                }
+            }
+        });
+        this.setCellStyles(Array.from(entries), label);
+    }
+    
+    /**
+     * 切换选中单元格的开关类样式（加粗、倾斜等），以活动单元格的状态为准
+     */
+    toggleSelectionStyle(name) {
+        const active = this.selection.active;
+        if (!active) return;
+        const style = this.styles.get(`${active.row}-${active.col}`);
+        this.formatSelection({ [name]: style && style[name] ? null : true });
+    }
+    
+    /**
+     * 为选中区域设置边框：all 所有框线，outside 外侧框线，top/bottom/left/right 区域的一侧，none 清除边框
+     */
+    applyBorderPreset(preset) {
+        const sides = ['top', 'right', 'bottom', 'left'];
+        const entries = new Map();
+        this.getFormatRanges().forEach(range => {
+            for (let row = range.minRow; row <= range.maxRow; row++) {
+                for (let col = range.minCol; col <= range.maxCol; col++) {
+                    const edges = {
+                        top: row === range.minRow,
+                        bottom: row === range.maxRow,
+                        left: col === range.minCol,
+                        right: col === range.maxCol
+                    };
+                    const cellKey = `${row}-${col}`;
+                    const style = entries.has(cellKey) ? entries.get(cellKey) : this.styles.get(cellKey);
+                    const borders = { ...((style && style.borders) || {}) };
+                    sides.forEach(side => {
+                        if (preset === 'none') {
+                            delete borders[side];
+                        } else if (preset === 'all' || (preset === 'outside' && edges[side]) || (preset === side && edges[side])) {
+                            borders[side] = true;
+                        }
+                    });
+                    entries.set(cellKey, CellStyle.merge(style, {
+                        borders: Object.keys(borders).length > 0 ? borders : null
+                    }));
+                }
+            }
+        });
+        this.setCellStyles(Array.from(entries), '设置边框');
+    }
+    
+    /**
+     * 清除选中单元格的格式
+     */
+    clearSelectionFormat() {
+        const entries = [];
+        this.styles.forEach((style, cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            if (this.selection.contains(row, col)) {
+                entries.push([cellKey, null]);
+            }
+        });
+        this.setCellStyles(entries, '清除格式');
+    }
+    
+    /**
+     * 执行行列或工作表结构变化并记录撤销：撤销时还原操作改变的部分，重做时切换回原工作表重新执行操作
+     */
+    runStructuralCommand(label, action) {
+        // 行列变化后复制源区域的位置已失效
+        this.clearCopySource();
+        
+        const sheet = this.activeSheet;
+        const before = this.captureWorkbookState();
+        const perform = () => {
+            this.activateSheet(sheet);
+            action();
+            this.scheduleSave();
+        };
+        perform();
+        // 历史中只保留有变化的部分，快照本身不保留
+        const changes = this.diffWorkbookState(before, this.captureWorkbookState());
+        this.history.push({
+            label,
+            undo: () => this.revertWorkbookChanges(changes),
+            redo: perform
+        });
+    }
+    
+    /**
+     * 保存所有工作表的名称、数据、样式、合并单元格、自动筛选、条件格式、行列尺寸和隐藏状态和冻结窗格的快照
+     * （插入删除行列、工作表改名或删除时会改写其他工作表中的公式）
+     */
+    captureWorkbookState() {
+        return {
+            activeSheet: this.activeSheet,
+            sheets: this.sheets.map(sheet => ({
+                sheet,
+                name: sheet.name,
+                data: new Map(sheet.data),
+                styles: new Map(sheet.styles),
+                merges: sheet.merges,
+                autoFilter: sheet.autoFilter,
+                conditionalFormats: sheet.conditionalFormats,
+                dataValidations: sheet.dataValidations,
+                hiddenRows: sheet.hiddenRows,
+                hiddenColumns: sheet.hiddenColumns,
+                modifiedCells: new Set(sheet.modifiedCells),
+                rowHeights: sheet.rowHeights.slice(),
+                columnWidths: sheet.columnWidths.slice(),
+                frozenRows: sheet.frozenRows,
+                frozenColumns: sheet.frozenColumns
+            }))
+        };
+    }
+    
+    /**
+     * 比较操作前后的快照，返回撤销所需的变化：
+     * 工作表列表有变化时记录原列表；每个工作表的数据、样式和修改标记只记录变化的单元格，
+     * 行高列宽只记录变化的位置，其余字段（不可变对象）只记录变化前的值
+     */
+    diffWorkbookState(before, after) {
+        const afterSheets = new Map(after.sheets.map(entry => [entry.sheet, entry]));
+        const sheetsChanged = before.sheets.length !== after.sheets.length ||
+            before.sheets.some((entry, index) => entry.sheet !== after.sheets[index].sheet);
+        const changes = {
+            activeSheet: before.activeSheet,
+            sheets: sheetsChanged ? before.sheets.map(entry => entry.sheet) : null,
+            sheetChanges: []
+        };
+        
+        const valueFields = ['name', 'merges', 'autoFilter', 'conditionalFormats', 'dataValidations',
+            'hiddenRows', 'hiddenColumns', 'frozenRows', 'frozenColumns'];
+        before.sheets.forEach(entry => {
+            // 被删除的工作表内容不变，随工作表列表恢复
+            const current = afterSheets.get(entry.sheet);
+            if (!current) return;
+            
+            const sheetChange = { sheet: entry.sheet, values: {}, cells: {}, sizes: {} };
+            let changed = false;
+            valueFields.forEach(field => {
+                if (entry[field] !== current[field]) {
+                    sheetChange.values[field] = entry[field];
+                    changed = true;
+                }
+            });
+            ['data', 'styles', 'modifiedCells'].forEach(field => {
+                const cells = [];
+                const read = (collection, key) => collection instanceof Set ? collection.has(key) || undefined : collection.get(key);
+                entry[field].forEach((value, key) => {
+                    if (read(current[field], key) !== read(entry[field], key)) cells.push([key, read(entry[field], key)]);
+                });
+                current[field].forEach((value, key) => {
+                    if (!entry[field].has(key)) cells.push([key, undefined]);
+                });
+                if (cells.length > 0) {
+                    sheetChange.cells[field] = cells;
+                    changed = true;
+                }
+            });
+            ['rowHeights', 'columnWidths'].forEach(field => {
+                const sizes = [];
+                for (let i = 0; i < entry[field].length; i++) {
+                    if (entry[field][i] !== current[field][i]) sizes.push([i, entry[field][i]]);
+                }
+                if (sizes.length > 0 || entry[field].length !== current[field].length) {
+                    sheetChange.sizes[field] = { length: entry[field].length, sizes };
+                    changed = true;
+                }
+            });
+            if (changed) changes.sheetChanges.push(sheetChange);
+        });
+        return changes;
+    }
+    
+    /**
+     * 撤销结构变化：还原 diffWorkbookState 记录的变化（写入副本，可被多次撤销）
+     */
+    revertWorkbookChanges(changes) {
+        if (this.editingCell) {
+            this.cancelEditing();
+        }
+        
+        if (changes.sheets) {
+            this.sheets = changes.sheets.slice();
+        }
+        changes.sheetChanges.forEach(({ sheet, values, cells, sizes }) => {
+            Object.assign(sheet, values);
+            Object.keys(cells).forEach(field => {
+                const collection = sheet[field] instanceof Set ? new Set(sheet[field]) : new Map(sheet[field]);
+                cells[field].forEach(([key, value]) => {
+                    if (value === undefined) {
+                        collection.delete(key);
+                    } else if (collection instanceof Set) {
+                        collection.add(key);
+                    } else {
+                        collection.set(key, value);
+                    }
+                });
+                sheet[field] = collection;
+            });
+            Object.keys(sizes).forEach(field => {
+                const result = sheet[field].slice(0, sizes[field].length);
+                sizes[field].sizes.forEach(([index, size]) => {
+                    result[index] = size;
+                });
+                sheet[field] = result;
+            });
+        });
+        this.activateSheet(changes.activeSheet);
+        
+        this.recalculateAll();
+        this.calculateOffsets();
+        this.updateContainerSize();
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+        this.renderSheetTabs();
+        this.scheduleSave();
+    }
+    
+    /**
+     * 设置行高或列宽并刷新
+     */
+    setHeaderSize(type, index, size) {
+        if (type === 'column') {
+            this.columnWidths[index] = size;
+        } else {
+            this.rowHeights[index] = size;
+        }
+        
+        this.calculateOffsets();
+        this.updateContainerSize();
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+        this.scheduleSave();
+    }
+    
+    /**
+     * 创建空白工作表
+     */
+    createSheet(name) {
+        return new Worksheet(
+            this.nextSheetId++,
+            name,
+            this.options.minRows,
+            this.options.minColumns,
+            this.options.defaultRowHeight,
+            this.options.defaultColumnWidth
+        );
+    }
+    
+    /**
+     * 按名称查找工作表（不区分大小写），不存在时返回 null
+     */
+    findSheet(name) {
+        return this.sheets.find(sheet => FormulaEngine.isSameSheet(sheet.name, name)) || null;
+    }
+    
+    /**
+     * 生成不重复的工作表名称：makeName(序号) 从 start 开始递增，直到名称未被使用
+     */
+    getUniqueSheetName(makeName, start) {
+        let index = start;
+        while (this.findSheet(makeName(index))) {
+            index++;
+        }
+        return makeName(index);
+    }
+    
+    /**
+     * 刷新工作表标签栏
+     */
+    renderSheetTabs() {
+        if (!this.sheetTabs) return;
+        this.sheetTabs.render(this.sheets.map(sheet => sheet.name), this.sheets.indexOf(this.activeSheet));
+    }
+    
+    /**
+     * 切换到指定工作表：记录当前工作表的滚动位置，恢复目标工作表的滚动位置和选区
+     */
+    activateSheet(sheet) {
+        if (!sheet || sheet === this.activeSheet) return;
+        
+        if (this.editingCell) {
+            this.finishEditing();
+        }
+        
+        const wrapper = document.querySelector('.excel-wrapper');
+        this.activeSheet.scrollTop = wrapper.scrollTop;
+        this.activeSheet.scrollLeft = wrapper.scrollLeft;
+        this.activeSheet = sheet;
+        
+        this.calculateOffsets();
+        this.updateContainerSize();
+        wrapper.scrollTop = sheet.scrollTop;
+        wrapper.scrollLeft = sheet.scrollLeft;
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+        this.renderSheetTabs();
+        this.scheduleSave();
+    }
+    
+    /**
+     * 切换到前一个或后一个工作表（Ctrl+PageUp / Ctrl+PageDown）
+     */
+    activateAdjacentSheet(step) {
+        const index = this.sheets.indexOf(this.activeSheet) + step;
+        if (index >= 0 && index < this.sheets.length) {
+            this.activateSheet(this.sheets[index]);
+        }
+    }
+    
+    /**
+     * 在当前工作表之后插入新工作表（可撤销）
+     */
+    addSheet() {
+        // 工作表对象在命令外创建，重做时插入的是同一个对象
+        const sheet = this.createSheet(this.getUniqueSheetName(index => `Sheet${index}`, this.sheets.length + 1));
+        const index = this.sheets.indexOf(this.activeSheet) + 1;
+        
+        this.runStructuralCommand('插入工作表', () => {
+            this.sheets.splice(index, 0, sheet);
+            this.recalculateAll(); // 已有公式可能引用了这个名称
+            this.activateSheet(sheet);
+            this.renderSheetTabs();
+        });
+    }
+    
+    /**
+     * 重命名工作表，并改写所有公式中对它的引用（可撤销），名称无效时提示并返回 false
+     */
+    renameSheet(sheet, name) {
+        const error = Worksheet.validateName(name);
+        const existing = this.findSheet(name);
+        if (error || (existing && existing !== sheet)) {
+            alert(error || `工作表名称“${name}”已存在`);
+            return false;
+        }
+        if (name === sheet.name) return true;
+        
+        this.runStructuralCommand('重命名工作表', () => {
+            const oldName = sheet.name;
+            sheet.name = name;
+            this.rewriteSheetReferences(oldName, name);
+            this.recalculateAll();
+            this.renderVisibleCells();
+            this.renderSheetTabs();
+        });
+        return true;
+    }
+    
+    /**
+     * 复制工作表，副本插入到原工作表之后（可撤销）
+     */
+    duplicateSheet(sheet) {
+        // 副本名称为“原名 (2)”，名称最长31个字符
+        const base = sheet.name.replace(/ \(\d+\)$/, '').slice(0, 25);
+        const copy = sheet.clone(this.nextSheetId++, this.getUniqueSheetName(index => `${base} (${index})`, 2));
+        
+        this.runStructuralCommand('复制工作表', () => {
+            this.sheets.splice(this.sheets.indexOf(sheet) + 1, 0, copy);
+            this.recalculateAll();
+            this.activateSheet(copy);
+            this.renderSheetTabs();
+        });
+    }
+    
+    /**
+     * 删除工作表，其他工作表中对它的引用改为 #REF!（可撤销），至少保留一个工作表
+     */
+    deleteSheet(sheet) {
+        if (this.sheets.length <= 1) {
+            alert('工作簿至少需要包含一个工作表');
+            return;
+        }
+        if (sheet.data.size > 0 && !confirm(`确定删除工作表“${sheet.name}”吗？`)) {
+            return;
+        }
+        
+        this.runStructuralCommand('删除工作表', () => {
+            const index = this.sheets.indexOf(sheet);
+            this.sheets.splice(index, 1);
+            this.rewriteSheetReferences(sheet.name, null);
+            this.recalculateAll();
+            if (sheet === this.activeSheet) {
+                this.activateSheet(this.sheets[Math.min(index, this.sheets.length - 1)]);
+            }
+            this.renderVisibleCells();
+            this.renderSheetTabs();
+        });
+    }
+    
+    /**
+     * 移动工作表到指定位置（可撤销）
+     */
+    moveSheet(sheet, toIndex) {
+        if (this.sheets.indexOf(sheet) === toIndex) return;
+        
+        this.runStructuralCommand('移动工作表', () => {
+            this.sheets.splice(this.sheets.indexOf(sheet), 1);
+            this.sheets.splice(toIndex, 0, sheet);
+            this.renderSheetTabs();
+        });
+    }
+    
+    /**
+     * 工作表改名或删除后改写所有公式（包括条件格式和数据验证规则中的公式）中的工作表名（newName 为 null 时改为 #REF!）
+     */
+    rewriteSheetReferences(oldName, newName) {
+        this.sheets.forEach(sheet => {
+            sheet.data.forEach((raw, cellKey) => {
+                if (FormulaEngine.isFormula(raw)) {
+                    sheet.data.set(cellKey, this.formulaEngine.renameSheetReferences(raw, oldName, newName));
+                }
+            });
+            sheet.conditionalFormats = sheet.conditionalFormats.mapFormulas(formula =>
+                this.formulaEngine.renameSheetReferences(formula, oldName, newName));
+            sheet.dataValidations = sheet.dataValidations.mapFormulas(formula =>
+                this.formulaEngine.renameSheetReferences(formula, oldName, newName));
+        });
+    }
+    
+    /**
+     * 用一组新工作表替换整个工作簿（新建、导入），显示第一个工作表
+     */
+    replaceSheets(sheets) {
+        if (this.editingCell) {
+            this.cancelEditing();
+        }
+        
+        this.sheets = sheets.slice();
+        this.activeSheet = sheets[0];
+        this.recalculateAll();
+        
+        const wrapper = document.querySelector('.excel-wrapper');
+        wrapper.scrollTop = this.activeSheet.scrollTop;
+        wrapper.scrollLeft = this.activeSheet.scrollLeft;
+        
+        this.calculateOffsets();
+        this.updateContainerSize();
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+        this.renderSheetTabs();
+    }
+    
+    /**
+     * 撤销
+     */
+    undo() {
+        if (this.editingCell) {
+            this.finishEditing();
+        }
+        this.history.undo();
+    }
+    
+    /**
+     * 重做
+     */
+    redo() {
+        if (this.editingCell) {
+            this.finishEditing();
+        }
+        this.history.redo();
+    }
+    
+    /**
+     * 处理鼠标按下事件
+     */
+    handleMouseDown(e) {
+        const target = e.target;
+        
+        // 如果点击的不是编辑器，且正在编辑，先完成编辑
+        if (this.editingCell && target !== this.cellEditor) {
+            this.finishEditing();
+        }
+        
+        // 数据验证序列的下拉箭头
+        if (target === this.validationButton) {
+            this.openValidationList();
+            e.preventDefault();
+            return;
+        }
+        
+        const hit = this.getPointerTarget(e);
+        if (!hit) return;
+        
+        // 处理行列调整
+        if (hit.type === 'columnResize' || hit.type === 'rowResize') {
+            this.startResize(hit.type === 'columnResize' ? 'column' : 'row', hit.index);
+            e.preventDefault();
+            return;
+        }
+        
+        // 双击隐藏行列的标记取消隐藏
+        if (hit.type === 'unhide') {
+            if (e.detail === 2) {
+                this.unhideBefore(hit.axis, hit.index);
+            }
+            e.preventDefault();
+            return;
+        }
+        
+        // 自动筛选的下拉按钮
+        if (hit.type === 'filterButton') {
+            this.openFilterMenu(hit.col, hit.rect);
+            e.preventDefault();
+            return;
+        }
+        
+        // 拖动填充柄填充，双击填充到相邻数据的末尾
+        if (hit.type === 'fillHandle') {
+            if (e.detail === 2) {
+                this.fillDownToAdjacent();
+            } else {
+                this.fillSource = this.getFillSource();
+                this.fillTarget = null;
+                document.body.style.cursor = 'crosshair';
+            }
+            e.preventDefault();
+            return;
+        }
+        
+        // 处理全选（左上角）
+        if (hit.type === 'corner') {
+            this.selectAll();
+            e.preventDefault();
+            return;
+        }
+        
+        // 处理列头选择
+        if (hit.type === 'columnHeader') {
+            this.selectColumn(hit.col, e.ctrlKey, e.shiftKey);
+            this.isSelecting = true;
+            e.preventDefault();
+            return;
+        }
+        
+        // 处理行头选择
+        if (hit.type === 'rowHeader') {
+            this.selectRow(hit.row, e.ctrlKey, e.shiftKey);
+            this.isSelecting = true;
+            e.preventDefault();
+            return;
+        }
+        
+        // 处理单元格选择
+        if (hit.type === 'cell') {
+            const { row, col } = hit;
+            
+            if (e.detail === 2) { // 双击
+                this.startEditing(row, col);
+            } else {
+                this.selectCell(row, col, e.ctrlKey, e.shiftKey);
+                if (!e.shiftKey) {
+                    this.isSelecting = true;
+                }
+            }
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * 鼠标事件指向的表格部件，不指向表格时返回 null：
+     *   { type: 'cell', row, col }（合并区域为左上角）、{ type: 'rowHeader', row }、{ type: 'columnHeader', col }、
+     *   { type: 'corner' }、{ type: 'rowResize' | 'columnResize', index }、{ type: 'unhide', axis, index }、
+     *   { type: 'filterButton', col, rect }、{ type: 'fillHandle' }
+     * DOM 渲染时按事件目标元素判断，Canvas 渲染时按坐标计算（见 CanvasGridRenderer.hitTest）
+     */
+    getPointerTarget(e) {
+        if (this.canvasRenderer) {
+            return e.target === this.canvasRenderer.canvas ? this.canvasRenderer.hitTest(e.clientX, e.clientY) : null;
+        }
+        
+        const target = e.target;
+        const data = target.dataset;
+        if (target.classList.contains('column-resize-handle')) return { type: 'columnResize', index: parseInt(data.column) };
+        if (target.classList.contains('row-resize-handle')) return { type: 'rowResize', index: parseInt(data.row) };
+        if (target.classList.contains('unhide-marker')) return { type: 'unhide', axis: data.axis, index: parseInt(data.index) };
+        if (target.classList.contains('filter-button')) {
+            return { type: 'filterButton', col: parseInt(data.column), rect: target.getBoundingClientRect() };
+        }
+        if (target.classList.contains('fill-handle')) return { type: 'fillHandle' };
+        if (target.classList.contains('corner-cell')) return { type: 'corner' };
+        if (target.classList.contains('column-header')) return { type: 'columnHeader', col: parseInt(data.column) };
+        if (target.classList.contains('row-header')) return { type: 'rowHeader', row: parseInt(data.row) };
+        if (target.tagName === 'TD') return { type: 'cell', row: parseInt(data.row), col: parseInt(data.column) };
+        return null;
+    }
+    
+    /**
+     * 处理鼠标移动事件
+     */
+    handleMouseMove(e) {
+        if (this.isResizing) {
+            if (this.resizeAnimationFrame) {
+                cancelAnimationFrame(this.resizeAnimationFrame);
+            }
+            this.resizeAnimationFrame = requestAnimationFrame(() => {
+                this.performResize(e);
+            });
+            return;
+        }
+        
+        if (this.fillSource) {
+            const hit = this.getPointerTarget(e);
+            if (!hit || hit.type !== 'cell') return;
+            const { row, col } = hit;
+            if (this.selectionAnimationFrame) {
+                cancelAnimationFrame(this.selectionAnimationFrame);
+            }
+            this.selectionAnimationFrame = requestAnimationFrame(() => {
+                this.updateFillTarget(row, col);
+                this.selectionAnimationFrame = null;
+            });
+            return;
+        }
+        
+        if (this.isSelecting && this.selection.active) {
+            // 拖过单元格时扩展到该单元格；整行/整列选择时拖过行头列头只在对应方向扩展
+            const hit = this.getPointerTarget(e);
+            const type = hit ? hit.type : null;
+            let row = this.selection.active.row;
+            let col = this.selection.active.col;
+            if (type === 'cell' || type === 'rowHeader') {
+                row = hit.row;
+            }
+            if (type === 'cell' || type === 'columnHeader') {
+                col = hit.col;
+            }
+            if (isNaN(row) || isNaN(col)) return;
+            
+            // 使用节流机制优化拖拽选择性能
+            if (this.selectionAnimationFrame) {
+                cancelAnimationFrame(this.selectionAnimationFrame);
+            }
+            this.selectionAnimationFrame = requestAnimationFrame(() => {
+                this.extendSelection(row, col);
+                this.selectionAnimationFrame = null;
+            });
+        }
+    }
+    
+    /**
+     * 处理鼠标释放事件
+     */
+    handleMouseUp(e) {
+        if (this.isResizing) {
+            this.stopResize();
+            return;
+        }
+        
+        if (this.fillSource) {
+            if (this.selectionAnimationFrame) {
+                cancelAnimationFrame(this.selectionAnimationFrame);
+                this.selectionAnimationFrame = null;
+            }
+            document.body.style.cursor = '';
+            if (this.fillTarget) this.fillRange(this.fillSource, this.fillTarget);
+            this.fillSource = null;
+            this.fillTarget = null;
+            return;
+        }
+        
+        this.isSelecting = false;
+    }
+    
+    /**
+     * 开始调整大小
+     */
+    startResize(type, index) {
+        this.isResizing = true;
+        this.resizeType = type;
+        this.resizeIndex = index;
+        this.resizeStartSize = type === 'column' ? this.columnWidths[index] : this.rowHeights[index];
+        document.body.style.cursor = type === 'column' ? 'col-resize' : 'row-resize';
+        document.body.style.userSelect = 'none';
+    }
+    
+    /**
+     * 执行调整大小
+     */
+    performResize(e) {
+        if (!this.isResizing) return;
+        
+        if (this.resizeType === 'column') {
+            // 获取当前正在调整的列头的位置
+            const headerRect = this.getHeaderRect('column', this.resizeIndex);
+            if (!headerRect) return;
+            
+            // 计算新的列宽：鼠标X位置减去当前列头的左侧位置
+            const newWidth = Math.max(30, e.clientX - headerRect.left);
+            this.columnWidths[this.resizeIndex] = newWidth;
+            
+            this.calculateOffsets();
+            this.updateContainerSize();
+            this.renderVisibleCells();
+            this.updateColumnHeaders();
+            
+        } else if (this.resizeType === 'row') {
+            // 获取当前正在调整的行头的位置
+            const headerRect = this.getHeaderRect('row', this.resizeIndex);
+            if (!headerRect) return;
+            
+            // 计算新的行高：鼠标Y位置减去当前行头的顶部位置
+            const newHeight = Math.max(20, e.clientY - headerRect.top);
+            this.rowHeights[this.resizeIndex] = newHeight;
+            
+            this.calculateOffsets();
+            this.updateContainerSize();
+            this.renderVisibleCells();
+            this.updateRowHeaders();
+        }
+    }
+    
+    /**
+     * 停止调整大小
+     */
+    stopResize() {
+        if (this.resizeAnimationFrame) {
+            cancelAnimationFrame(this.resizeAnimationFrame);
+            this.resizeAnimationFrame = null;
+        }
+        
+        // 记录调整前后的尺寸用于撤销
+        const type = this.resizeType;
+        const index = this.resizeIndex;
+        const before = this.resizeStartSize;
+        const after = type === 'column' ? this.columnWidths[index] : this.rowHeights[index];
+        if (before !== after) {
+            const sheet = this.activeSheet;
+            this.history.push({
+                label: type === 'column' ? '调整列宽' : '调整行高',
+                undo: () => {
+                    this.activateSheet(sheet);
+                    this.setHeaderSize(type, index, before);
+                },
+                redo: () => {
+                    this.activateSheet(sheet);
+                    this.setHeaderSize(type, index, after);
+                }
+            });
+            this.scheduleSave();
+        }
+        
+        this.isResizing = false;
+        this.resizeType = null;
+        this.resizeIndex = null;
+        this.resizeStartSize = null;
+        document.body.style.cursor = 'default';
+        document.body.style.userSelect = '';
+    }
+    
+    /**
+     * 选择单元格：Ctrl 追加区域，Shift 从锚点扩展当前区域
+     */
+    selectCell(row, col, ctrlKey = false, shiftKey = false) {
+        if (shiftKey && !this.selection.isEmpty()) {
+            this.selection.extendTo(row, col);
+        } else {
+            this.selection.selectCell(row, col, ctrlKey);
+        }
+        
+        this.updateSelection();
+    }
+    
+    /**
+     * 选择范围（start 为活动单元格）
+     */
+    selectRange(startRow, startCol, endRow, endCol) {
+        this.selection.selectRange(startRow, startCol, endRow, endCol);
+        this.expandSelectionToMerges();
+    }
+    
+    /**
+     * 扩展选择：将当前区域扩展到指定单元格
+     */
+    extendSelection(endRow, endCol) {
+        this.selection.extendTo(endRow, endCol);
+        this.updateSelection();
+    }
+    
+    /**
+     * 选择整列：Ctrl 追加，Shift 选择从锚点所在列到该列的整列
+     */
+    selectColumn(colIndex, ctrlKey = false, shiftKey = false) {
+        if (shiftKey && !this.selection.isEmpty()) {
+            this.selection.extendColumnsTo(colIndex);
+        } else {
+            this.selection.selectColumns(colIndex, colIndex, ctrlKey);
+        }
+        
+        this.updateSelection();
+    }
+    
+    /**
+     * 选择整行：Ctrl 追加，Shift 选择从锚点所在行到该行的整行
+     */
+    selectRow(rowIndex, ctrlKey = false, shiftKey = false) {
+        if (shiftKey && !this.selection.isEmpty()) {
+            this.selection.extendRowsTo(rowIndex);
+        } else {
+            this.selection.selectRows(rowIndex, rowIndex, ctrlKey);
+        }
+        
+        this.updateSelection();
+    }
+    
+    /**
+     * 全选
+     */
+    selectAll() {
+        this.selection.selectAll();
+        this.updateSelection();
+    }
+    
+    /**
+     * 开始编辑单元格
+     * initialText 不为 null 时以其替换原内容并将光标置于末尾（输入字符开始编辑、F2），否则选中原内容
+     */
+    startEditing(row, col, initialText = null) {
+        if (this.editingCell) {
+            this.finishEditing();
+        }
+        
+        // 编辑合并区域时编辑其左上角单元格
+        const merge = this.merges.find(row, col);
+        if (merge) {
+            row = merge.minRow;
+            col = merge.minCol;
+        }
+        
+        this.scrollToCell(row, col);
+        const rect = this.getCellRect(row, col); // 单元格在页面中的位置和尺寸
+        if (!rect) return;
+        
+        const cell = this.getCellElement(row, col); // Canvas 渲染时为 null
+        this.editingCell = { row, col, cell };
+        
+        // 定位编辑器
+        this.cellEditor.style.position = 'fixed';
+        this.cellEditor.style.left = (rect.left + 1) + 'px';
+        this.cellEditor.style.top = (rect.top + 1) + 'px';
+        this.cellEditor.style.width = (rect.width - 2) + 'px';
+        this.cellEditor.style.height = (rect.height - 2) + 'px';
+        this.cellEditor.style.display = 'block';
+        
+        // 设置编辑器内容
+        const cellKey = `${row}-${col}`;
+        this.cellEditor.value = initialText !== null ? initialText : this.getCellEditText(row, col);
+        
+        // 标记单元格为编辑状态
+        if (cell) cell.classList.add('editing');
+        
+        // 聚焦并选中文本（或将光标置于末尾）
+        this.cellEditor.focus();
+        if (initialText !== null) {
+            const end = this.cellEditor.value.length;
+            this.cellEditor.setSelectionRange(end, end);
+        } else {
+            this.cellEditor.select();
+        }
+    }
+    
+    /**
+     * 完成编辑，返回输入是否被接受
+     * 输入不满足数据验证而被拒绝时，retry 为 true（按 Enter / Tab 提交）则带着输入的内容重新编辑，否则放弃输入
+     */
+    finishEditing(retry = false) {
+        if (!this.editingCell) return true;
+        
+        const { row, col, cell } = this.editingCell;
+        const cellKey = `${row}-${col}`;
+        const value = this.cellEditor.value;
+        
+        if (cell) cell.classList.remove('editing');
+        
+        // 隐藏编辑器（先结束编辑状态，提示框使编辑器失去焦点时不再重复提交）
+        this.cellEditor.style.display = 'none';
+        this.editingCell = null;
+        
+        if (!this.confirmValidation([[cellKey, this.getInputRaw(cellKey, value)]])) {
+            if (retry) this.startEditing(row, col, value);
+            return false;
+        }
+        
+        // 新的编辑结束复制/剪切状态
+        this.clearCopySource();
+        
+        // 识别输入的类型后保存（记录到撤销历史）
+        this.setCellInputs([[cellKey, value]], '编辑单元格');
+        return true;
+    }
+    
+    /**
+     * 处理键盘事件
+     */
+    handleKeyDown(e) {
+        if (this.editingCell) return; // 编辑状态下不处理
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return; // 工具栏控件中的按键不作用于表格
+        
+        // 撤销/重做：Ctrl+Z，Ctrl+Y / Ctrl+Shift+Z
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                this.undo();
+                e.preventDefault();
+                return;
+            }
+            if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                this.redo();
+                e.preventDefault();
+                return;
+            }
+            // 切换工作表：Ctrl+PageUp / Ctrl+PageDown
+            if (e.key === 'PageUp' || e.key === 'PageDown') {
+                this.activateAdjacentSheet(e.key === 'PageUp' ? -1 : 1);
+                e.preventDefault();
+                return;
+            }
+            // 全选：Ctrl+A
+            if (key === 'a') {
+                this.selectAll();
+                e.preventDefault();
+                return;
+            }
+            // 查找、替换：Ctrl+F / Ctrl+H（浏览器的查找只能找到已渲染的单元格）
+            if (key === 'f' || key === 'h') {
+                this.openFindPanel(key === 'h');
+                e.preventDefault();
+                return;
+            }
+            // 隐藏行、隐藏列：Ctrl+9 / Ctrl+0
+            if ((key === '9' || key === '0') && !e.shiftKey) {
+                this.hideSelection(key === '9' ? 'row' : 'column');
+                e.preventDefault();
+                return;
+            }
+            // 自动筛选：Ctrl+Shift+L
+            if (key === 'l' && e.shiftKey) {
+                this.toggleAutoFilter();
+                e.preventDefault();
+                return;
+            }
+            // 加粗、倾斜、下划线：Ctrl+B / Ctrl+I / Ctrl+U
+            const toggles = { b: 'bold', i: 'italic', u: 'underline' };
+            if (toggles[key]) {
+                this.toggleSelectionStyle(toggles[key]);
+                e.preventDefault();
+                return;
+            }
+        }
+        
+        // 打开数据验证序列的下拉列表：Alt+↓
+        if (e.altKey && e.key === 'ArrowDown' && this.openValidationList()) {
+            e.preventDefault();
+            return;
+        }
+        
+        // 方向键、Tab、Home/End、PageUp/PageDown
+        if (this.handleNavigationKey(e)) {
+            e.preventDefault();
+            return;
+        }
+        
+        // 在选中的单元格上输入字符时以该字符开始编辑
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey && this.selection.active) {
+            const { row, col } = this.selection.active;
+            this.startEditing(row, col, e.key);
+            e.preventDefault();
+            return;
+        }
+        
+        // 输入法（IME）输入时按键为 Process / Unidentified：打开空的编辑器并聚焦，不阻止默认行为，组合输入的文字进入编辑器
+        // 限制：表格没有可编辑的焦点元素，多数浏览器（如 Chrome）此时不启用输入法，首个按键按普通字符开始编辑，
+        // 之后在编辑器中才能用输入法输入
+        if ((e.key === 'Process' || e.key === 'Unidentified') && !e.ctrlKey && !e.metaKey && !e.altKey && this.selection.active) {
+            const { row, col } = this.selection.active;
+            this.startEditing(row, col, '');
+            return;
+        }
+        
+        switch (e.key) {
+            case 'Enter':
+                if (this.isSingleCellSelected()) {
+                    const { row, col } = this.selection.active;
+                    this.startEditing(row, col);
+                }
+                e.preventDefault();
+                break;
+            case 'F2':
+                if (this.selection.active) {
+                    const { row, col } = this.selection.active;
+                    this.startEditing(row, col, this.getCellEditText(row, col));
+                }
+                e.preventDefault();
+                break;
+            case 'Delete':
+                this.clearCopySource();
+                this.clearSelectedCells();
+                break;
+            case 'Escape':
+                this.clearCopySource();
+                this.selection.clear();
+                this.renderVisibleCells();
+                break;
+        }
+    }
+    
+    /**
+     * 处理导航按键，返回是否已处理
+     * Shift 从锚点扩展选区（移动与锚点相对的一端），否则移动活动单元格；Ctrl+方向键跳到数据区域边缘
+     */
+    handleNavigationKey(e) {
+        const active = this.selection.active;
+        const ctrlKey = e.ctrlKey || e.metaKey;
+        const directions = {
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0],
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1]
+        };
+        
+        if (e.key === 'Tab') {
+            this.moveActiveCell(0, e.shiftKey ? -1 : 1);
+            return true;
+        }
+        if (!directions[e.key] && !['Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) {
+            return false;
+        }
+        if (!active) {
+            this.goToCell(0, 0);
+            return true;
+        }
+        
+        const from = e.shiftKey ? this.selection.getFocus() : active;
+        from.row = Math.min(from.row, this.rowHeights.length - 1);
+        from.col = Math.min(from.col, this.columnWidths.length - 1);
+        
+        let target;
+        if (directions[e.key]) {
+            const [rowStep, colStep] = directions[e.key];
+            target = ctrlKey
+                ? this.findDataEdge(from.row, from.col, rowStep, colStep)
+                : this.getAdjacentCell(from.row, from.col, rowStep, colStep);
+        } else if (e.key === 'Home') {
+            target = ctrlKey ? { row: 0, col: 0 } : { row: from.row, col: 0 };
+        } else if (e.key === 'End') {
+            const used = this.getUsedRange();
+            target = ctrlKey
+                ? { row: used ? used.maxRow : 0, col: used ? used.maxCol : 0 }
+                : { row: from.row, col: this.getLastDataColumn(from.row) };
+        } else {
+            // 翻页：按可见区域高度移动
+            const offset = this.rowOffsets[from.row] + (e.key === 'PageUp' ? -1 : 1) * this.containerHeight;
+            target = { row: this.findRowByOffset(Math.max(0, offset)), col: from.col };
+        }
+        
+        this.goToCell(target.row, target.col, e.shiftKey);
+        return true;
+    }
+    
+    /**
+     * 按行列位移移动活动单元格（选区变为该单元格）
+     */
+    moveActiveCell(rowStep, colStep) {
+        const active = this.selection.active || { row: 0, col: 0 };
+        const target = this.getAdjacentCell(active.row, active.col, rowStep, colStep);
+        this.goToCell(target.row, target.col);
+    }
+    
+    /**
+     * 沿方向相邻的单元格：位于合并区域内时从合并区域的边缘移出，并跳过隐藏的行列
+     */
+    getAdjacentCell(row, col, rowStep, colStep) {
+        const merge = this.merges.find(row, col);
+        if (merge) {
+            if (rowStep !== 0) row = rowStep > 0 ? merge.maxRow : merge.minRow;
+            if (colStep !== 0) col = colStep > 0 ? merge.maxCol : merge.minCol;
+        }
+        const target = { row: row + rowStep, col: col + colStep };
+        while (rowStep !== 0 && this.isRowHidden(target.row) &&
+            target.row + rowStep >= 0 && target.row + rowStep < this.rowHeights.length) {
+            target.row += rowStep;
+        }
+        while (colStep !== 0 && this.isColumnHidden(target.col) &&
+            target.col + colStep >= 0 && target.col + colStep < this.columnWidths.length) {
+            target.col += colStep;
+        }
+        return target;
+    }
+    
+    /**
+     * 选中单元格（extend 为 true 时从锚点扩展选区到该单元格），并滚动使其可见
+     */
+    goToCell(row, col, extend = false) {
+        row = Math.max(0, Math.min(row, this.rowHeights.length - 1));
+        col = Math.max(0, Math.min(col, this.columnWidths.length - 1));
+        
+        if (extend && !this.selection.isEmpty()) {
+            this.selection.extendTo(row, col);
+        } else {
+            this.selection.selectCell(row, col);
+        }
+        this.scrollToCell(row, col);
+        this.updateSelection();
+    }
+    
+    /**
+     * 从单元格沿方向查找数据区域边缘（Ctrl+方向键）：
+     * 当前和下一个单元格都有内容时移到连续内容的最后一个，否则移到下一个有内容的单元格，没有时移到表格边缘
+     */
+    findDataEdge(row, col, rowStep, colStep) {
+        const hasValue = (r, c) => {
+            const value = this.data.get(`${r}-${c}`);
+            return value !== undefined && value !== '';
+        };
+        const inGrid = (r, c) => r >= 0 && c >= 0 && r < this.rowHeights.length && c < this.columnWidths.length;
+        
+        let r = row + rowStep;
+        let c = col + colStep;
+        if (!inGrid(r, c)) return { row, col };
+        
+        if (hasValue(row, col) && hasValue(r, c)) {
+            while (inGrid(r + rowStep, c + colStep) && hasValue(r + rowStep, c + colStep)) {
+                r += rowStep;
+                c += colStep;
+            }
+            return { row: r, col: c };
+        }
+        
+        while (!hasValue(r, c) && inGrid(r + rowStep, c + colStep)) {
+            r += rowStep;
+            c += colStep;
+        }
+        return { row: r, col: c };
+    }
+    
+    /**
+     * 获取行中最后一个有内容的列（End 键），整行为空时返回 0
+     */
+    getLastDataColumn(row) {
+        let lastCol = 0;
+        this.data.forEach((value, cellKey) => {
+            const [r, c] = cellKey.split('-').map(Number);
+            if (r === row && value !== '') {
+                lastCol = Math.max(lastCol, c);
+            }
+        });
+        return lastCol;
+    }
+    
+    /**
+     * 滚动表格使单元格完全可见（单元格大于可见区域时对齐左上角）
+     * 冻结的行列始终可见，不需要滚动；其余单元格需位于冻结区域之外
+     */
+    scrollToCell(row, col) {
+        const wrapper = document.querySelector('.excel-wrapper');
+        const frozenHeight = this.rowOffsets[this.frozenRows];
+        const frozenWidth = this.columnOffsets[this.frozenColumns];
+        let scrollTop = wrapper.scrollTop;
+        let scrollLeft = wrapper.scrollLeft;
+        
+        // 合并区域按整个区域滚动
+        const merge = this.merges.find(row, col);
+        const lastRow = merge ? merge.maxRow : row;
+        const lastCol = merge ? merge.maxCol : col;
+        if (merge) {
+            row = merge.minRow;
+            col = merge.minCol;
+        }
+        
+        if (row >= this.frozenRows) {
+            if (this.rowOffsets[lastRow + 1] > scrollTop + this.containerHeight) {
+                scrollTop = this.rowOffsets[lastRow + 1] - this.containerHeight;
+            }
+            if (this.rowOffsets[row] < scrollTop + frozenHeight) {
+                scrollTop = this.rowOffsets[row] - frozenHeight;
+            }
+        }
+        if (col >= this.frozenColumns) {
+            if (this.columnOffsets[lastCol + 1] > scrollLeft + this.containerWidth) {
+                scrollLeft = this.columnOffsets[lastCol + 1] - this.containerWidth;
+            }
+            if (this.columnOffsets[col] < scrollLeft + frozenWidth) {
+                scrollLeft = this.columnOffsets[col] - frozenWidth;
+            }
+        }
+        
+        if (scrollTop === wrapper.scrollTop && scrollLeft === wrapper.scrollLeft) return;
+        
+        wrapper.scrollTop = scrollTop;
+        wrapper.scrollLeft = scrollLeft;
+        // 立即渲染新的可见区域，不等待滚动事件（之后的编辑、选择样式需要目标单元格已存在）
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+    }
+    
+    /**
+     * 处理编辑器键盘事件：Enter 提交并下移（Shift 上移），Tab 提交并右移（Shift 左移），输入被拒绝时不移动
+     */
+    handleEditorKeyDown(e) {
+        switch (e.key) {
+            case 'Enter':
+                if (this.finishEditing(true)) this.moveActiveCell(e.shiftKey ? -1 : 1, 0);
+                e.preventDefault();
+                break;
+            case 'Tab':
+                if (this.finishEditing(true)) this.moveActiveCell(0, e.shiftKey ? -1 : 1);
+                e.preventDefault();
+                break;
+            case 'Escape':
+                this.cancelEditing();
+                e.preventDefault();
+                break;
+        }
+    }
+    
+    /**
+     * 取消编辑
+     */
+    cancelEditing() {
+        if (!this.editingCell) return;
+        
+        const { cell } = this.editingCell;
+        if (cell) cell.classList.remove('editing');
+        this.cellEditor.style.display = 'none';
+        this.editingCell = null;
+    }
+    
+    /**
+     * 清除选中单元格的内容（只遍历有内容的单元格，与选区大小无关）
+     */
+    clearSelectedCells() {
+        const entries = [];
+        this.data.forEach((value, cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            if (this.selection.contains(row, col)) {
+                entries.push([cellKey, '']);
+            }
+        });
+        this.setCellValues(entries, '清除内容');
+    }
+    
+    /**
+     * 处理右键菜单
+     */
+    handleContextMenu(e) {
+        e.preventDefault();
+        
+        const contextMenu = this.elements.contextMenu;
+        contextMenu.style.left = e.pageX + 'px';
+        contextMenu.style.top = e.pageY + 'px';
+        contextMenu.style.display = 'block';
+    }
+    
+    /**
+     * 处理文档点击（隐藏右键菜单）
+     */
+    handleDocumentClick(e) {
+        if (!this.elements.contextMenu.contains(e.target)) {
+            this.elements.contextMenu.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 处理菜单点击
+     */
+    handleMenuClick(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+        
+        this.elements.contextMenu.style.display = 'none';
+        
+        switch (action) {
+            case 'insertRowAbove': {
+                const row = this.getSelectedRow();
+                this.runStructuralCommand('插入行', () => this.insertRow(row, 'above'));
+                break;
+            }
+            case 'insertRowBelow': {
+                const row = this.getSelectedRow();
+                this.runStructuralCommand('插入行', () => this.insertRow(row, 'below'));
+                break;
+            }
+            case 'deleteRow': {
+                const row = this.getSelectedRow();
+                this.runStructuralCommand('删除行', () => this.deleteRow(row));
+                break;
+            }
+            case 'hideRows':
+                this.hideSelection('row');
+                break;
+            case 'unhideRows':
+                this.unhideSelection('row');
+                break;
+            case 'insertColumnLeft': {
+                const col = this.getSelectedColumn();
+                this.runStructuralCommand('插入列', () => this.insertColumn(col, 'left'));
+                break;
+            }
+            case 'insertColumnRight': {
+                const col = this.getSelectedColumn();
+                this.runStructuralCommand('插入列', () => this.insertColumn(col, 'right'));
+                break;
+            }
+            case 'deleteColumn': {
+                const col = this.getSelectedColumn();
+                this.runStructuralCommand('删除列', () => this.deleteColumn(col));
+                break;
+            }
+            case 'hideColumns':
+                this.hideSelection('column');
+                break;
+            case 'unhideColumns':
+                this.unhideSelection('column');
+                break;
+            case 'cut':
+                this.cutToClipboard();
+                break;
+            case 'copy':
+                this.copyToClipboard();
+                break;
+            case 'paste':
+                this.pasteClipboard();
+                break;
+            case 'clear':
+                this.clearSelectedCells();
+                break;
+            case 'sort':
+                this.openSortDialog();
+                break;
+            case 'autoFilter':
+                this.toggleAutoFilter();
+                break;
+            case 'mergeCenter':
+                this.mergeSelection('center');
+                break;
+            case 'mergeAcross':
+                this.mergeSelection('across');
+                break;
+            case 'mergeCells':
+                this.mergeSelection('all');
+                break;
+            case 'unmergeCells':
+                this.unmergeSelection();
+                break;
+            case 'freezePanes':
+                this.freezeAtSelection();
+                break;
+            case 'freezeTopRow':
+                this.freezePanes(1, 0);
+                break;
+            case 'freezeFirstColumn':
+                this.freezePanes(0, 1);
+                break;
+            case 'unfreezePanes':
+                this.freezePanes(0, 0);
+                break;
+        }
+    }
+    
+    /**
+     * 合并选区：center 合并后居中，all 合并为一个区域，across 每行分别合并
+     * 只保留每个合并区域左上角单元格的内容（其他单元格有内容时先确认），整体作为一步撤销
+     */
+    mergeSelection(mode) {
+        if (this.selection.ranges.length > 1) {
+            alert('无法对多重选择区域执行此操作');
+            return;
+        }
+        const bounds = this.getSelectionBounds();
+        if (!bounds) return;
+        
+        const areas = [];
+        if (mode === 'across') {
+            for (let row = bounds.minRow; row <= bounds.maxRow; row++) {
+                areas.push({ ...bounds, minRow: row, maxRow: row });
+            }
+        } else {
+            areas.push(bounds);
+        }
+        
+        // 合并后被覆盖的单元格的内容
+        const cleared = [];
+        this.data.forEach((value, cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            const area = areas.find(range => SelectionModel.rangeContains(range, row, col));
+            if (value !== '' && area && (row !== area.minRow || col !== area.minCol)) {
+                cleared.push([cellKey, '']);
+            }
+        });
+        if (cleared.length > 0 && !confirm('合并单元格时，仅保留左上角的值，而放弃其他值。是否继续？')) {
+            return;
+        }
+        
+        const merges = this.merges.clone();
+        areas.forEach(area => merges.add(area));
+        const label = mode === 'center' ? '合并后居中' : mode === 'across' ? '跨越合并' : '合并单元格';
+        this.history.transaction(label, () => {
+            this.setCellValues(cleared, label);
+            if (mode === 'center') {
+                const cellKey = `${bounds.minRow}-${bounds.minCol}`;
+                this.setCellStyles([[cellKey, CellStyle.merge(this.styles.get(cellKey), { horizontalAlign: 'center' })]], label);
+            }
+            this.setMergedRegions(merges, label);
+        });
+        this.updateSelection();
+    }
+    
+    /**
+     * 取消与选区相交的合并区域
+     */
+    unmergeSelection() {
+        const merges = this.merges.clone();
+        const removed = this.selection.ranges.reduce((count, range) => count + merges.remove(range).length, 0);
+        if (removed === 0) return;
+        
+        this.setMergedRegions(merges, '取消单元格合并');
+        this.updateSelection();
+    }
+    
+    /**
+     * 替换工作表的合并区域并记录撤销（merges 为新的 MergedRegions 对象）
+     */
+    setMergedRegions(merges, label, sheet = this.activeSheet) {
+        const activeSheet = this.activeSheet;
+        const before = sheet.merges;
+        const apply = (regions) => {
+            sheet.merges = regions;
+            this.renderVisibleCells();
+            this.scheduleSave();
+        };
+        
+        apply(merges);
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(activeSheet);
+                apply(before);
+            },
+            redo: () => {
+                this.activateSheet(activeSheet);
+                apply(merges);
+            }
+        });
+    }
+    
+    /**
+     * 冻结窗格：固定顶部 rowCount 行和左侧 columnCount 列（都为 0 时取消冻结），并滚动回左上角
+     */
+    freezePanes(rowCount, columnCount) {
+        this.frozenRows = Math.min(rowCount, this.rowHeights.length);
+        this.frozenColumns = Math.min(columnCount, this.columnWidths.length);
+        
+        const wrapper = document.querySelector('.excel-wrapper');
+        wrapper.scrollTop = 0;
+        wrapper.scrollLeft = 0;
+        this.updateContainerSize();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+        this.scheduleSave();
+    }
+    
+    /**
+     * 在选区左上角冻结窗格：冻结其上方的行和左侧的列
+     */
+    freezeAtSelection() {
+        const origin = this.getSelectionOrigin();
+        if (!origin || (origin.row === 0 && origin.col === 0)) {
+            alert('请先选择冻结位置：其上方的行和左侧的列将被冻结');
+            return;
+        }
+        if (this.rowOffsets[origin.row] >= this.containerHeight || this.columnOffsets[origin.col] >= this.containerWidth) {
+            alert('冻结区域超出了可见范围，请选择靠近左上角的单元格');
+            return;
+        }
+        this.freezePanes(origin.row, origin.col);
+    }
+    
+    /**
+     * 打开排序对话框：排序选区（只选中一个单元格时为其所在的连续数据区域），并自动识别标题行
+     */
+    openSortDialog() {
+        const area = this.getSortArea();
+        if (!area) {
+            alert('请选择要排序的数据区域');
+            return;
+        }
+        
+        const rows = [];
+        for (let row = area.minRow; row <= area.maxRow; row++) {
+            const values = [];
+            for (let col = area.minCol; col <= area.maxCol; col++) {
+                values.push(this.getCellValue(row, col));
+            }
+            rows.push(values);
+        }
+        const columns = [];
+        let styled = false;
+        for (let col = area.minCol; col <= area.maxCol; col++) {
+            columns.push({ col, name: this.getColumnName(col), header: this.getCellDisplayText(area.minRow, col) });
+            const headerStyle = this.styles.get(`${area.minRow}-${col}`) || {};
+            const dataStyle = this.styles.get(`${area.minRow + 1}-${col}`) || {};
+            if (!!headerStyle.bold !== !!dataStyle.bold) styled = true;
+        }
+        
+        const active = this.selection.active;
+        const col = active && active.col >= area.minCol && active.col <= area.maxCol ? active.col : area.minCol;
+        this.sortArea = area;
+        this.sortDialog.open(columns, RangeSort.detectHeader(rows, styled), col);
+    }
+    
+    /**
+     * 要排序的区域：选区的外接矩形（限制在已用区域以内）；只选中一个单元格时为其所在的连续数据区域
+     * 没有数据时返回 null
+     */
+    getSortArea() {
+        const bounds = this.getSelectionBounds();
+        const used = this.getUsedRange();
+        if (!bounds || !used) return null;
+        
+        if (this.isSingleCellSelected()) {
+            return this.getCurrentRegion(bounds.minRow, bounds.minCol);
+        }
+        const area = {
+            minRow: bounds.minRow,
+            maxRow: Math.min(bounds.maxRow, used.maxRow),
+            minCol: bounds.minCol,
+            maxCol: Math.min(bounds.maxCol, used.maxCol)
+        };
+        return area.minRow <= area.maxRow && area.minCol <= area.maxCol ? area : null;
+    }
+    
+    /**
+     * 单元格所在的连续数据区域：向四周（包括对角）扩展到被空行和空列包围为止，单元格周围没有数据时返回 null
+     */
+    getCurrentRegion(row, col) {
+        const hasContent = (r, c) => {
+            const raw = this.data.get(`${r}-${c}`);
+            return raw !== undefined && raw !== '';
+        };
+        const rowHasContent = (r, minCol, maxCol) => {
+            for (let c = Math.max(minCol, 0); c <= Math.min(maxCol, this.columnWidths.length - 1); c++) {
+                if (hasContent(r, c)) return true;
+            }
+            return false;
+        };
+        const columnHasContent = (c, minRow, maxRow) => {
+            for (let r = Math.max(minRow, 0); r <= Math.min(maxRow, this.rowHeights.length - 1); r++) {
+                if (hasContent(r, c)) return true;
+            }
+            return false;
+        };
+        
+        const region = { minRow: row, maxRow: row, minCol: col, maxCol: col };
+        let changed = true;
+        while (changed) {
+            changed = false;
+            if (region.minRow > 0 && rowHasContent(region.minRow - 1, region.minCol - 1, region.maxCol + 1)) {
+                region.minRow--;
+                changed = true;
+            }
+            if (region.maxRow < this.rowHeights.length - 1 && rowHasContent(region.maxRow + 1, region.minCol - 1, region.maxCol + 1)) {
+                region.maxRow++;
+                changed = true;
+            }
+            if (region.minCol > 0 && columnHasContent(region.minCol - 1, region.minRow - 1, region.maxRow + 1)) {
+                region.minCol--;
+                changed = true;
+            }
+            if (region.maxCol < this.columnWidths.length - 1 && columnHasContent(region.maxCol + 1, region.minRow - 1, region.maxRow + 1)) {
+                region.maxCol++;
+                changed = true;
+            }
+        }
+        
+        const single = region.minRow === region.maxRow && region.minCol === region.maxCol;
+        return single && !hasContent(row, col) ? null : region;
+    }
+    
+    /**
+     * 按排序对话框的设置排序区域（可撤销）
+     * 行整体移动：行中所有列的内容、样式、合并区域、行高、隐藏和筛选状态一起移动，公式中的相对引用随行平移
+     */
+    sortRange(area, { keys, hasHeader }) {
+        const minRow = hasHeader ? area.minRow + 1 : area.minRow;
+        if (minRow >= area.maxRow || keys.length === 0) return;
+        
+        const rowBand = { minRow, maxRow: area.maxRow, minCol: 0, maxCol: this.columnWidths.length - 1 };
+        if (this.merges.intersecting(rowBand).some(range => range.minRow !== range.maxRow)) {
+            alert('无法对包含跨行合并单元格的区域排序');
+            return;
+        }
+        
+        this.runStructuralCommand('排序', () => this.sortRows(minRow, area.maxRow, keys));
+    }
+    
+    /**
+     * 按排序依据重新排列 minRow 到 maxRow 行
+     */
+    sortRows(minRow, maxRow, keys) {
+        const rows = [];
+        for (let row = minRow; row <= maxRow; row++) {
+            rows.push({ index: row, values: keys.map(key => this.getCellValue(row, key.col)) });
+        }
+        const order = RangeSort.order(rows, keys);
+        const targets = new Map(order.map((source, index) => [source, minRow + index]));
+        const moveKey = (cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            return targets.has(row) ? `${targets.get(row)}-${col}` : cellKey;
+        };
+        
+        const data = new Map();
+        this.data.forEach((value, cellKey) => {
+            const row = Number(cellKey.split('-')[0]);
+            const offset = targets.has(row) ? targets.get(row) - row : 0;
+            const content = offset !== 0 && FormulaEngine.isFormula(value)
+                ? this.formulaEngine.offsetReferences(value, offset, 0)
+                : value;
+            data.set(moveKey(cellKey), content);
+        });
+        this.data = data;
+        
+        const styles = new Map();
+        this.styles.forEach((style, cellKey) => styles.set(moveKey(cellKey), style));
+        this.styles = styles;
+        this.modifiedCells = new Set(Array.from(this.modifiedCells, moveKey));
+        this.merges = new MergedRegions(this.merges.ranges.map(range => {
+            const row = targets.has(range.minRow) ? targets.get(range.minRow) : range.minRow;
+            return { ...range, minRow: row, maxRow: row + range.maxRow - range.minRow };
+        }));
+        if (this.autoFilter) this.autoFilter = this.autoFilter.moveRows(targets);
+        this.hiddenRows = new Set(Array.from(this.hiddenRows, row => targets.has(row) ? targets.get(row) : row));
+        
+        const heights = this.rowHeights.slice();
+        order.forEach((source, index) => {
+            heights[minRow + index] = this.rowHeights[source];
+        });
+        this.rowHeights = heights;
+        
+        this.recalculateAll();
+        this.calculateOffsets();
+        this.updateContainerSize();
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+    }
+    
+    /**
+     * 隐藏选区所在的行（列）
+     */
+    hideSelection(axis) {
+        const bounds = this.getSelectionBounds();
+        if (!bounds) return;
+        
+        const [min, max, count] = axis === 'row'
+            ? [bounds.minRow, bounds.maxRow, this.rowHeights.length]
+            : [bounds.minCol, bounds.maxCol, this.columnWidths.length];
+        const hidden = new Set(axis === 'row' ? this.hiddenRows : this.hiddenColumns);
+        for (let i = min; i <= max; i++) hidden.add(i);
+        if (hidden.size >= count) {
+            alert(axis === 'row' ? '不能隐藏所有行' : '不能隐藏所有列');
+            return;
+        }
+        this.setHidden(axis, hidden, axis === 'row' ? '隐藏行' : '隐藏列');
+    }
+    
+    /**
+     * 取消隐藏选区范围内的行（列）：选中隐藏位置两侧的行（列）后取消隐藏
+     */
+    unhideSelection(axis) {
+        const bounds = this.getSelectionBounds();
+        if (!bounds) return;
+        
+        const [min, max] = axis === 'row' ? [bounds.minRow, bounds.maxRow] : [bounds.minCol, bounds.maxCol];
+        const hidden = new Set(axis === 'row' ? this.hiddenRows : this.hiddenColumns);
+        const size = hidden.size;
+        for (let i = min; i <= max; i++) hidden.delete(i);
+        if (hidden.size === size) return;
+        this.setHidden(axis, hidden, axis === 'row' ? '取消隐藏行' : '取消隐藏列');
+    }
+    
+    /**
+     * 取消隐藏 index 及其之前连续隐藏的行（列），用于双击隐藏位置的标记
+     */
+    unhideBefore(axis, index) {
+        const hidden = new Set(axis === 'row' ? this.hiddenRows : this.hiddenColumns);
+        for (let i = index; i >= 0 && hidden.has(i); i--) hidden.delete(i);
+        this.setHidden(axis, hidden, axis === 'row' ? '取消隐藏行' : '取消隐藏列');
+    }
+    
+    /**
+     * 替换当前工作表隐藏的行（列）并记录撤销（hidden 为新的集合）
+     */
+    setHidden(axis, hidden, label) {
+        const sheet = this.activeSheet;
+        const property = axis === 'row' ? 'hiddenRows' : 'hiddenColumns';
+        const before = sheet[property];
+        const apply = (value) => {
+            sheet[property] = value;
+            this.calculateOffsets();
+            this.updateContainerSize();
+            this.renderVisibleCells();
+            this.updateHeadersPosition();
+            this.scheduleSave();
+        };
+        
+        apply(hidden);
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(sheet);
+                apply(before);
+            },
+            redo: () => {
+                this.activateSheet(sheet);
+                apply(hidden);
+            }
+        });
+    }
+    
+    /**
+     * 开启或关闭自动筛选：开启时筛选选区（只选中一个单元格时为其所在的连续数据区域），首行为标题行
+     */
+    toggleAutoFilter() {
+        if (this.autoFilter) {
+            this.setAutoFilter(null, '取消筛选');
+            return;
+        }
+        
+        const area = this.getSortArea();
+        if (!area) {
+            alert('请选择要筛选的数据区域');
+            return;
+        }
+        this.setAutoFilter(new AutoFilter(area), '筛选');
+    }
+    
+    /**
+     * 替换当前工作表的自动筛选并记录撤销（filter 为新的 AutoFilter 对象或 null）
+     * 被筛选掉的行高度为 0，需要重新计算布局
+     */
+    setAutoFilter(filter, label) {
+        const sheet = this.activeSheet;
+        const before = sheet.autoFilter;
+        const apply = (value) => {
+            sheet.autoFilter = value;
+            this.calculateOffsets();
+            this.updateContainerSize();
+            this.renderVisibleCells();
+            this.updateHeadersPosition();
+            this.scheduleSave();
+        };
+        
+        apply(filter);
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(sheet);
+                apply(before);
+            },
+            redo: () => {
+                this.activateSheet(sheet);
+                apply(filter);
+            }
+        });
+    }
+    
+    /**
+     * 在标题行的下拉按钮下方打开筛选菜单，rect 为下拉按钮在页面中的位置
+     */
+    openFilterMenu(col, rect) {
+        const filter = this.autoFilter;
+        if (!filter) return;
+        
+        this.filterColumn = col;
+        this.filterMenu.open(rect.left, rect.bottom,
+            this.getFilterRange(filter).getDistinctValues(col, (row, c) => this.getFilterCell(row, c)),
+            filter.criteria.get(col) || null);
+    }
+    
+    /**
+     * 设置列的筛选条件（为 null 时清除）并重新筛选（可撤销）
+     */
+    applyFilterCriterion(col, criterion) {
+        const filter = this.getFilterRange(this.autoFilter);
+        if (criterion) {
+            filter.criteria.set(col, criterion);
+        } else {
+            filter.criteria.delete(col);
+        }
+        this.setAutoFilter(filter.apply((row, c) => this.getFilterCell(row, c)), criterion ? '筛选' : '清除筛选');
+    }
+    
+    /**
+     * 筛选区域向下扩展到标题行下方连续的数据（开启筛选后在下方添加的数据也参与筛选），返回新的对象
+     */
+    getFilterRange(filter) {
+        const { minRow, maxRow, minCol, maxCol } = filter.range;
+        const hasContent = (row) => {
+            for (let col = minCol; col <= maxCol; col++) {
+                const raw = this.data.get(`${row}-${col}`);
+                if (raw !== undefined && raw !== '') return true;
+            }
+            return false;
+        };
+        
+        let lastRow = maxRow;
+        while (lastRow + 1 < this.rowHeights.length && hasContent(lastRow + 1)) lastRow++;
+        return new AutoFilter({ minRow, maxRow: lastRow, minCol, maxCol }, filter.criteria, filter.hiddenRows);
+    }
+    
+    /**
+     * 筛选时比较的单元格值和显示文本
+     */
+    getFilterCell(row, col) {
+        const value = this.getCellValue(row, col);
+        return { value, text: value === null ? '' : this.getCellDisplayText(row, col, value) };
+    }
+    
+    /**
+     * 打开查找和替换面板（Ctrl+F / Ctrl+H），选中多个单元格时默认只在选区中查找
+     */
+    openFindPanel(replace = false) {
+        this.findPanel.open(replace, this.isSingleCellSelected() || this.selection.isEmpty() ? 'sheet' : 'selection');
+    }
+    
+    /**
+     * 按查找选项创建 CellSearch，没有查找内容或正则表达式无效时在面板中提示并返回 null
+     */
+    createCellSearch(options) {
+        if (!options.text) {
+            this.findPanel.setStatus('请输入查找内容');
+            return null;
+        }
+        try {
+            return new CellSearch(options);
+        } catch (error) {
+            this.findPanel.setStatus('正则表达式无效');
+            return null;
+        }
+    }
+    
+    /**
+     * 搜索范围内匹配的单元格 [{ row, col }]，按行的顺序排列
+     * 直接查找 this.data，不受虚拟滚动只渲染可见单元格的限制
+     * lookIn 为 'values' 时匹配显示文本，为 'formulas' 时匹配输入的内容
+     */
+    findCells(search, scope, lookIn) {
+        const cells = [];
+        this.data.forEach((raw, cellKey) => {
+            if (!raw) return;
+            const [row, col] = cellKey.split('-').map(Number);
+            if (scope === 'selection' && !this.selection.contains(row, col)) return;
+            const text = lookIn === 'formulas' ? raw : this.getCellDisplayText(row, col);
+            if (search.matches(text)) cells.push({ row, col });
+        });
+        return cells.sort((a, b) => a.row - b.row || a.col - b.col);
+    }
+    
+    /**
+     * 从活动单元格开始查找下一个（backwards 为 true 时为上一个）匹配的单元格，到末尾后从头继续
+     * 找到后选中并滚动使其可见；在选区中查找时保留选区，只移动活动单元格
+     * 隐藏的行列中的单元格无法选中，查找时跳过
+     */
+    findNext(options, backwards = false) {
+        const search = this.createCellSearch(options);
+        if (!search) return false;
+        
+        const cells = this.findCells(search, options.scope, options.lookIn)
+            .filter(({ row, col }) => !this.isRowHidden(row) && !this.isColumnHidden(col));
+        if (cells.length === 0) {
+            this.findPanel.setStatus('找不到匹配的内容');
+            return false;
+        }
+        
+        const active = this.selection.active || { row: 0, col: -1 };
+        const before = cells.filter(({ row, col }) => row < active.row || (row === active.row && col < active.col)).length;
+        const current = before < cells.length && cells[before].row === active.row && cells[before].col === active.col;
+        const index = backwards
+            ? (before - 1 + cells.length) % cells.length
+            : (before + (current ? 1 : 0)) % cells.length;
+        const { row, col } = cells[index];
+        
+        if (options.scope === 'selection' && !this.selection.isEmpty()) {
+            this.selection.active = { row, col };
+            this.scrollToCell(row, col);
+            this.updateSelection();
+        } else {
+            this.goToCell(row, col);
+        }
+        this.findPanel.setStatus(`第 ${index + 1} 个，共 ${cells.length} 个匹配`);
+        return true;
+    }
+    
+    /**
+     * 活动单元格匹配时替换它，然后查找下一个
+     * 替换总是按输入的内容（公式）匹配，替换后的内容不再识别数字格式
+     */
+    replaceNext(options) {
+        const search = this.createCellSearch(options);
+        if (!search) return;
+        
+        const active = this.selection.active;
+        if (active && (options.scope !== 'selection' || this.selection.contains(active.row, active.col))) {
+            const cellKey = `${active.row}-${active.col}`;
+            const raw = this.data.get(cellKey) || '';
+            if (raw && search.matches(raw)) {
+                this.setCellValues([[cellKey, search.replace(raw, options.replacement)]], '替换');
+            }
+        }
+        this.findNext({ ...options, lookIn: 'formulas' });
+    }
+    
+    /**
+     * 替换搜索范围内所有匹配的单元格（包括隐藏的行列），整体作为一步撤销
+     */
+    replaceAll(options) {
+        const search = this.createCellSearch(options);
+        if (!search) return;
+        
+        const cells = this.findCells(search, options.scope, 'formulas');
+        if (cells.length === 0) {
+            this.findPanel.setStatus('找不到匹配的内容');
+            return;
+        }
+        const entries = cells.map(({ row, col }) => {
+            const cellKey = `${row}-${col}`;
+            return [cellKey, search.replace(this.data.get(cellKey), options.replacement)];
+        });
+        this.setCellValues(entries, '全部替换');
+        this.findPanel.setStatus(`已替换 ${cells.length} 个单元格`);
+    }
+    
+    /**
+     * 拖动填充柄经过单元格时的填充区域：向下或向右（取超出较多的方向）扩展源区域，选区随之扩展
+     */
+    updateFillTarget(row, col) {
+        const source = this.fillSource;
+        const down = row - source.maxRow;
+        const right = col - source.maxCol;
+        const target = { ...source };
+        if (down > 0 && down >= right) {
+            target.maxRow = row;
+        } else if (right > 0) {
+            target.maxCol = col;
+        }
+        this.fillTarget = target.maxRow > source.maxRow || target.maxCol > source.maxCol ? target : null;
+        this.selection.selectRange(source.minRow, source.minCol, target.maxRow, target.maxCol);
+        this.updateSelection();
+    }
+    
+    /**
+     * 按源区域填充到 target（向下或向右扩展后的区域），整体作为一步撤销
+     * 向下填充时各列分别按 FillSeries 生成内容（向右时为各行），样式按源单元格循环复制
+     */
+    fillRange(source, target) {
+        const down = target.maxRow > source.maxRow;
+        const count = down ? target.maxRow - source.maxRow : target.maxCol - source.maxCol;
+        if (count <= 0) return;
+        if (this.merges.intersecting(target).length > 0) {
+            alert('无法对合并单元格执行此操作');
+            this.selectRange(source.minRow, source.minCol, source.maxRow, source.maxCol);
+            this.updateSelection();
+            return;
+        }
+        
+        const length = down ? source.maxRow - source.minRow + 1 : source.maxCol - source.minCol + 1;
+        const [first, last] = down ? [source.minCol, source.maxCol] : [source.minRow, source.maxRow];
+        const entries = [];
+        const styleEntries = [];
+        for (let lane = first; lane <= last; lane++) {
+            const cellKeyAt = (i) => down ? `${source.minRow + i}-${lane}` : `${lane}-${source.minCol + i}`;
+            const sources = [];
+            const styles = [];
+            for (let i = 0; i < length; i++) {
+                const style = this.styles.get(cellKeyAt(i)) || null;
+                sources.push({
+                    raw: this.data.get(cellKeyAt(i)) || '',
+                    date: NumberFormat.isDateFormat(style && style.numberFormat)
+                });
+                styles.push(style);
+            }
+            const values = FillSeries.extend(sources, count, (raw, distance) =>
+                this.formulaEngine.offsetReferences(raw, down ? distance : 0, down ? 0 : distance));
+            values.forEach((value, i) => {
+                entries.push([cellKeyAt(length + i), value]);
+                styleEntries.push([cellKeyAt(length + i), styles[(length + i) % length]]);
+            });
+        }
+        
+        this.history.transaction('填充', () => {
+            this.setCellValues(entries, '填充');
+            this.setCellStyles(styleEntries, '填充');
+        });
+        this.selectRange(source.minRow, source.minCol, target.maxRow, target.maxCol);
+        this.updateSelection();
+    }
+    
+    /**
+     * 双击填充柄：向下填充到左侧相邻列（左侧没有数据时为右侧）中连续数据的末尾
+     */
+    fillDownToAdjacent() {
+        const source = this.getFillSource();
+        if (!source) return;
+        
+        const hasData = (row, col) => !!this.data.get(`${row}-${col}`);
+        for (const col of [source.minCol - 1, source.maxCol + 1]) {
+            if (col < 0 || !hasData(source.maxRow + 1, col)) continue;
+            let row = source.maxRow + 1;
+            while (row + 1 < this.rowHeights.length && hasData(row + 1, col)) row++;
+            this.fillRange(source, { ...source, maxRow: row });
+            return;
+        }
+    }
+    
+    /**
+     * 打开条件格式规则管理器，新建的规则默认作用于选区
+     */
+    openConditionalFormatPanel() {
+        const active = this.selection.active || { row: 0, col: 0 };
+        const bounds = this.selection.getBounds(this.rowHeights.length, this.columnWidths.length) ||
+            { minRow: active.row, maxRow: active.row, minCol: active.col, maxCol: active.col };
+        this.conditionalFormatPanel.open(this.conditionalFormats.rules, bounds);
+    }
+    
+    /**
+     * 替换当前工作表的条件格式并记录撤销（formats 为新的 ConditionalFormats 对象）
+     */
+    setConditionalFormats(formats, label) {
+        const sheet = this.activeSheet;
+        const before = sheet.conditionalFormats;
+        const apply = (value) => {
+            sheet.conditionalFormats = value;
+            this.conditionalStats.clear();
+            this.renderVisibleCells();
+            this.scheduleSave();
+        };
+        
+        apply(formats);
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(sheet);
+                apply(before);
+            },
+            redo: () => {
+                this.activateSheet(sheet);
+                apply(formats);
+            }
+        });
+    }
+    
+    /**
+     * 按条件格式设置单元格元素的背景色、字体颜色、数据条和图标
+     */
+    applyConditionalFormats(td, row, col, value) {
+        const format = this.getConditionalFormat(row, col, value, td.textContent);
+        if (!format) return;
+        if (format.fill) td.style.backgroundColor = format.fill;
+        if (format.color) td.style.color = format.color;
+        if (format.bar) {
+            const percent = (format.bar.width * 100).toFixed(1);
+            td.style.backgroundImage = `linear-gradient(to right, ${format.bar.color} ${percent}%, transparent ${percent}%)`;
+        }
+        if (format.icon) {
+            const icon = document.createElement('span');
+            icon.className = 'cf-icon';
+            icon.style.color = format.icon.color;
+            icon.textContent = format.icon.symbol;
+            td.insertBefore(icon, td.firstChild);
+        }
+    }
+    
+    /**
+     * 单元格满足的条件格式（见 ConditionalFormats.resolve），没有规则时返回 null；text 为单元格的显示文本
+     */
+    getConditionalFormat(row, col, value, text) {
+        const rules = this.conditionalFormats.rulesAt(row, col);
+        if (rules.length === 0) return null;
+        
+        const cell = { value, text: value === null ? '' : text };
+        return ConditionalFormats.resolve(rules, cell,
+            rule => this.getConditionalStats(rule),
+            rule => this.isRuleFormulaSatisfied(rule.formula, rule.range, row, col));
+    }
+    
+    /**
+     * 规则区域的统计值，缓存到单元格值变化或规则改变为止（滚动时不重新统计）
+     */
+    getConditionalStats(rule) {
+        if (!this.conditionalStats.has(rule)) {
+            const values = [];
+            this.data.forEach((raw, cellKey) => {
+                const [row, col] = cellKey.split('-').map(Number);
+                if (raw && SelectionModel.rangeContains(rule.range, row, col)) {
+                    values.push(this.getCellValue(row, col));
+                }
+            });
+            this.conditionalStats.set(rule, ConditionalFormats.getStats(values));
+        }
+        return this.conditionalStats.get(rule);
+    }
+    
+    /**
+     * 对单元格求规则（条件格式、数据验证）中公式的值：公式按规则区域左上角书写，相对引用按单元格的位置平移
+     * 返回未化简的结果（区域引用为二维数组），公式无效时返回错误值
+     * input 不为 undefined 时以其作为该单元格的值（验证尚未写入的输入）
+     */
+    evaluateRuleFormula(formula, range, row, col, input) {
+        const shifted = this.formulaEngine.offsetReferences(formula, row - range.minRow, col - range.minCol);
+        const context = this.createEvaluationContext(this.activeSheet);
+        if (input !== undefined) {
+            const getCellValue = context.getCellValue;
+            context.getCellValue = (r, c, sheetName) => {
+                const own = sheetName === undefined || this.findSheet(sheetName) === this.activeSheet;
+                return own && r === row && c === col ? input : getCellValue(r, c, sheetName);
+            };
+        }
+        try {
+            return this.formulaEngine.evaluateNode(this.formulaEngine.parse(shifted), context);
+        } catch (error) {
+            return new FormulaError(FormulaError.ERROR);
+        }
+    }
+    
+    /**
+     * 规则中的公式对单元格是否成立：结果为 TRUE 或非零数字
+     */
+    isRuleFormulaSatisfied(formula, range, row, col, input) {
+        if (!FormulaEngine.isFormula(formula)) return false;
+        let result = this.evaluateRuleFormula(formula, range, row, col, input);
+        if (Array.isArray(result) && result.length === 1 && result[0].length === 1) result = result[0][0];
+        return result === true || (typeof result === 'number' && result !== 0);
+    }
+    
+    /**
+     * 打开数据验证对话框，设置的规则作用于选区，对话框显示活动单元格现有的规则
+     */
+    openDataValidationDialog() {
+        const active = this.selection.active || { row: 0, col: 0 };
+        this.validationArea = this.selection.getBounds(this.rowHeights.length, this.columnWidths.length) ||
+            { minRow: active.row, maxRow: active.row, minCol: active.col, maxCol: active.col };
+        this.dataValidationDialog.open(this.dataValidations.find(active.row, active.col));
+    }
+    
+    /**
+     * 替换当前工作表的数据验证并记录撤销（validations 为新的 DataValidations 对象）
+     */
+    setDataValidations(validations, label) {
+        const sheet = this.activeSheet;
+        const before = sheet.dataValidations;
+        const apply = (value) => {
+            sheet.dataValidations = value;
+            this.renderVisibleCells();
+            this.scheduleSave();
+        };
+        
+        apply(validations);
+        this.history.push({
+            label,
+            undo: () => {
+                this.activateSheet(sheet);
+                apply(before);
+            },
+            redo: () => {
+                this.activateSheet(sheet);
+                apply(validations);
+            }
+        });
+    }
+    
+    /**
+     * 序列来源中的值（显示文本）：逗号分隔的值，或区域引用中的非空值（引用按单元格的位置平移）
+     */
+    getValidationList(rule, row, col) {
+        if (!FormulaEngine.isFormula(rule.source)) return DataValidations.splitList(rule.source);
+        const result = this.evaluateRuleFormula(rule.source, rule.range, row, col);
+        const values = Array.isArray(result) ? result.flat() : [result];
+        return values
+            .filter(value => value !== null && value !== '' && !(value instanceof FormulaError))
+            .map(value => FormulaEngine.formatValue(value));
+    }
+    
+    /**
+     * 单元格的值 value 是否满足规则
+     */
+    isValidValue(rule, row, col, value) {
+        return DataValidations.validate(rule, value,
+            () => this.getValidationList(rule, row, col),
+            () => this.isRuleFormulaSatisfied(rule.formula, rule.range, row, col, value));
+    }
+    
+    /**
+     * 有内容的单元格是否不满足其数据验证（圈释无效数据）
+     */
+    isInvalidCell(row, col, value) {
+        const rule = this.dataValidations.find(row, col);
+        return !!rule && !!this.data.get(`${row}-${col}`) && !this.isValidValue(rule, row, col, value);
+    }
+    
+    /**
+     * 检查将要写入的内容 entries: [[cellKey, 原始内容]] 是否满足数据验证，返回是否写入
+     * 有不满足的内容时按其中最严格的出错样式提示：停止时拒绝，警告时询问是否继续，信息时提示后写入
+     */
+    confirmValidation(entries) {
+        if (this.dataValidations.isEmpty()) return true;
+        
+        const severity = ['information', 'warning', 'stop'];
+        let failed = null;
+        entries.forEach(([cellKey, raw]) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            const rule = this.dataValidations.find(row, col);
+            if (!rule || this.isValidValue(rule, row, col, this.getRawValue(raw))) return;
+            if (!failed || severity.indexOf(rule.errorStyle) > severity.indexOf(failed.errorStyle)) failed = rule;
+        });
+        if (!failed) return true;
+        
+        const message = DataValidations.getErrorMessage(failed);
+        switch (failed.errorStyle) {
+            case 'warning':
+                return confirm(message + '\n\n是否继续？');
+            case 'information':
+                alert(message);
+                return true;
+            default:
+                alert(message);
+                return false;
+        }
+    }
+    
+    /**
+     * 尚未写入的原始内容的值（公式在当前工作表中求值）
+     */
+    getRawValue(raw) {
+        if (!FormulaEngine.isFormula(raw)) return CellValue.parse(raw);
+        try {
+            return this.formulaEngine.evaluate(this.formulaEngine.parse(raw), this.createEvaluationContext(this.activeSheet));
+        } catch (error) {
+            return new FormulaError(FormulaError.ERROR);
+        }
+    }
+    
+    /**
+     * 切换圈释无效数据
+     */
+    toggleInvalidData() {
+        this.showInvalidData = !this.showInvalidData;
+        this.renderVisibleCells();
+    }
+    
+    /**
+     * 活动单元格有提供下拉箭头的序列验证时，在单元格（或编辑器）右侧显示下拉箭头
+     */
+    updateValidationButton() {
+        const active = this.selection.active;
+        const rule = active && this.dataValidations.find(active.row, active.col);
+        const rect = rule && rule.type === 'list' && rule.showDropdown !== false && this.getCellRect(active.row, active.col);
+        if (!rect) {
+            this.validationButton.style.display = 'none';
+            return;
+        }
+        
+        this.validationButton.style.left = rect.right + 'px';
+        this.validationButton.style.top = rect.top + 'px';
+        this.validationButton.style.height = rect.height + 'px';
+        this.validationButton.style.display = 'block';
+    }
+    
+    /**
+     * 在活动单元格下方打开序列的下拉列表，活动单元格没有序列验证时返回 false
+     */
+    openValidationList() {
+        const active = this.selection.active;
+        const rule = active && this.dataValidations.find(active.row, active.col);
+        if (!rule || rule.type !== 'list') return false;
+        
+        this.scrollToCell(active.row, active.col);
+        const rect = this.getCellRect(active.row, active.col);
+        if (!rect) return false;
+        
+        const current = FormulaEngine.formatValue(this.getCellValue(active.row, active.col));
+        this.validationList.open(rect.left, rect.bottom, this.getValidationList(rule, active.row, active.col), current);
+        return true;
+    }
+    
+    /**
+     * 在下拉列表中选择的值写入活动单元格
+     */
+    selectValidationItem(value) {
+        const active = this.selection.active;
+        if (!active) return;
+        this.clearCopySource();
+        this.setCellInputs([[`${active.row}-${active.col}`, value]], '选择列表项');
+    }
+    
+    /**
+     * 复制选中单元格到内部剪贴板
+     * 以选区外接矩形为复制区域：内部保留原始内容（含公式）、样式和其中的合并区域，对外提供显示文本
+     * 整行、整列和全选只复制到已用区域为止
+     */
+    copySelectedCells() {
+        const bounds = this.getSelectionBounds();
+        if (!bounds) return null;
+        
+        const used = this.getUsedRange() || { maxRow: 0, maxCol: 0 };
+        if (this.selection.ranges.some(range => range.maxRow === Infinity)) {
+            bounds.maxRow = Math.max(bounds.minRow, Math.min(bounds.maxRow, used.maxRow));
+        }
+        if (this.selection.ranges.some(range => range.maxCol === Infinity)) {
+            bounds.maxCol = Math.max(bounds.minCol, Math.min(bounds.maxCol, used.maxCol));
+        }
+        
+        const rawValues = [];
+        const displayValues = [];
+        const styles = [];
+        for (let row = bounds.minRow; row <= bounds.maxRow; row++) {
+            const rawRow = [];
+            const displayRow = [];
+            const styleRow = [];
+            for (let col = bounds.minCol; col <= bounds.maxCol; col++) {
+                rawRow.push(this.data.get(`${row}-${col}`) || '');
+                displayRow.push(this.getCellDisplayText(row, col));
+                styleRow.push(this.styles.get(`${row}-${col}`) || null);
+            }
+            rawValues.push(rawRow);
+            displayValues.push(displayRow);
+            styles.push(styleRow);
+        }
+        
+        this.clipboard = {
+            sheet: this.activeSheet,
+            startRow: bounds.minRow,
+            startCol: bounds.minCol,
+            values: rawValues,
+            styles,
+            merges: this.merges.within(bounds).map(range => ({
+                minRow: range.minRow - bounds.minRow,
+                maxRow: range.maxRow - bounds.minRow,
+                minCol: range.minCol - bounds.minCol,
+                maxCol: range.maxCol - bounds.minCol
+            })),
+            text: ClipboardFormat.toTSV(displayValues),
+            html: ClipboardFormat.toHTML(displayValues),
+            isCut: false
+        };
+        
+        // 显示源区域的流动虚线边框
+        this.copySource = { ...bounds, sheet: this.activeSheet };
+        this.renderVisibleCells();
+        return this.clipboard;
+    }
+    
+    /**
+     * 剪切选中单元格：内容在粘贴时才移动
+     */
+    cutSelectedCells() {
+        const clipboard = this.copySelectedCells();
+        if (clipboard) {
+            clipboard.isCut = true;
+        }
+        return clipboard;
+    }
+    
+    /**
+     * 清除复制/剪切源区域标记（Esc 或新的编辑），剪切状态同时取消
+     */
+    clearCopySource() {
+        if (!this.copySource) return;
+        
+        if (this.clipboard && this.clipboard.isCut) {
+            this.clipboard = null;
+        }
+        this.copySource = null;
+        this.renderVisibleCells();
+    }
+    
+    /**
+     * 复制到系统剪贴板（右键菜单），浏览器不支持复制命令时只复制到内部剪贴板
+     */
+    copyToClipboard() {
+        if (!this.execClipboardCommand('copy')) {
+            this.copySelectedCells();
+        }
+    }
+    
+    /**
+     * 剪切到系统剪贴板（右键菜单），浏览器不支持剪切命令时只记录到内部剪贴板
+     */
+    cutToClipboard() {
+        if (!this.execClipboardCommand('cut')) {
+            this.cutSelectedCells();
+        }
+    }
+    
+    /**
+     * 执行浏览器剪贴板命令（触发 copy/cut 事件，由对应的事件处理写入数据）
+     */
+    execClipboardCommand(command) {
+        try {
+            return document.execCommand(command);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * 剪贴板事件是否应交给浏览器默认处理（编辑器和输入框内）
+     */
+    isNativeClipboardTarget(target) {
+        return !!this.editingCell ||
+            target.tagName === 'INPUT' ||
+            target.tagName === 'TEXTAREA' ||
+            target.isContentEditable;
+    }
+    
+    /**
+     * 处理复制事件（Ctrl+C），同时写入TSV和HTML表格，便于粘贴到Excel/Google Sheets
+     */
+    handleCopy(e) {
+        if (this.isNativeClipboardTarget(e.target)) return;
+        
+        const clipboard = this.copySelectedCells();
+        if (!clipboard) return;
+        
+        e.clipboardData.setData('text/plain', clipboard.text);
+        e.clipboardData.setData('text/html', clipboard.html);
+        e.preventDefault();
+    }
+    
+    /**
+     * 处理剪切事件（Ctrl+X）：写入剪贴板并标记为剪切，粘贴时再移动源单元格
+     */
+    handleCut(e) {
+        this.handleCopy(e);
+        if (e.defaultPrevented) {
+            this.clipboard.isCut = true;
+        }
+    }
+    
+    /**
+     * 处理粘贴事件（Ctrl+V）
+     */
+    handlePaste(e) {
+        if (this.isNativeClipboardTarget(e.target)) return;
+        
+        e.preventDefault();
+        this.pasteData(e.clipboardData.getData('text/plain'), e.clipboardData.getData('text/html'));
+    }
+    
+    /**
+     * 粘贴剪贴板内容（右键菜单）：优先读取系统剪贴板，无权限或不支持时使用内部剪贴板
+     */
+    pasteClipboard() {
+        if (this.selection.isEmpty()) return;
+        
+        const pasteInternal = () => this.pasteInternalClipboard();
+        
+        if (!navigator.clipboard || !navigator.clipboard.readText) {
+            pasteInternal();
+            return;
+        }
+        navigator.clipboard.readText()
+            .then(text => this.pasteData(text, ''))
+            .catch(pasteInternal);
+    }
+    
+    /**
+     * 粘贴内部剪贴板：复制的内容平移公式后粘贴，剪切的内容移动到目标位置
+     */
+    pasteInternalClipboard() {
+        if (!this.clipboard) return;
+        
+        if (this.clipboard.isCut && this.clipboard.sheet !== this.activeSheet) {
+            this.moveClipboardBlockToSheet();
+        } else if (this.clipboard.isCut) {
+            this.moveClipboardBlock();
+        } else {
+            this.pasteBlock(this.clipboard.values, this.clipboard);
+        }
+    }
+    
+    /**
+     * 将剪切的区域移动到活动单元格处
+     * 源单元格被清空，所有指向源区域的公式引用随之平移，整体作为一步撤销
+     */
+    moveClipboardBlock() {
+        const active = this.getSelectionOrigin();
+        if (!active) return;
+        
+        const { startRow, startCol, values, styles } = this.clipboard;
+        const height = values.length;
+        const width = values[0].length;
+        const area = {
+            minRow: startRow,
+            maxRow: startRow + height - 1,
+            minCol: startCol,
+            maxCol: startCol + width - 1
+        };
+        const rowOffset = active.row - startRow;
+        const colOffset = active.col - startCol;
+        this.ensureGridSize(active.row + height, active.col + width);
+        
+        const targetArea = this.getPasteArea(active, height, width);
+        if (this.merges.hasPartialOverlap(targetArea)) {
+            alert('无法对合并单元格执行此操作');
+            return;
+        }
+        const merges = this.merges.clone();
+        merges.remove(area);
+        
+        const changes = new Map();
+        const inArea = (row, col) => row >= area.minRow && row <= area.maxRow &&
+            col >= area.minCol && col <= area.maxCol;
+        
+        // 区域外指向源区域的公式（包括其他工作表中的公式）
+        const otherSheetChanges = [];
+        this.sheets.forEach(sheet => {
+            const local = sheet === this.activeSheet;
+            const target = { sheet: this.activeSheet.name, local };
+            sheet.data.forEach((raw, cellKey) => {
+                const [row, col] = cellKey.split('-').map(Number);
+                if ((local && inArea(row, col)) || !FormulaEngine.isFormula(raw)) return;
+                const moved = this.formulaEngine.moveReferences(raw, area, rowOffset, colOffset, target);
+                if (moved === raw) return;
+                if (local) {
+                    changes.set(cellKey, moved);
+                } else {
+                    otherSheetChanges.push([cellKey, moved, sheet]);
                 }
+            });
+        });
+        
+        // 清空源区域，再写入目标区域（两者重叠时以目标为准），样式随内容移动
+        const styleChanges = new Map();
+        const targetEntries = [];
+        for (let row = area.minRow; row <= area.maxRow; row++) {
+            for (let col = area.minCol; col <= area.maxCol; col++) {
+                changes.set(`${row}-${col}`, '');
+                styleChanges.set(`${row}-${col}`, null);
             }
-            e.preventDefault();
         }
+        values.forEach((rowValues, r) => {
+            rowValues.forEach((value, c) => {
+                const row = active.row + r;
+                const col = active.col + c;
+                if (row >= this.rowHeights.length || col >= this.columnWidths.length) return;
+                
+                const content = FormulaEngine.isFormula(value)
+                    ? this.formulaEngine.moveReferences(value, area, rowOffset, colOffset, {
+                        sheet: this.activeSheet.name,
+                        local: true
+                    })
+                    : value;
+                changes.set(`${row}-${col}`, content);
+                styleChanges.set(`${row}-${col}`, styles[r][c]);
+                targetEntries.push([`${row}-${col}`, content]);
+            });
+        });
+        
+        // 移动到目标位置的内容同样需要满足数据验证，取消时源区域保持不变
+        if (!this.confirmValidation(targetEntries)) return;
+        
+        this.history.transaction('剪切', () => {
+            this.setCellValues(Array.from(changes).concat(otherSheetChanges), '剪切');
+            this.setCellStyles(Array.from(styleChanges), '剪切');
+            this.setMergedRegions(this.getPastedMerges(merges, targetArea, this.clipboard.merges), '剪切');
+        });
+        
+        // 剪切内容只能粘贴一次
+        this.clipboard = null;
+        this.copySource = null;
+        this.selectRange(active.row, active.col,
+            Math.min(active.row + height, this.rowHeights.length) - 1,
+            Math.min(active.col + width, this.columnWidths.length) - 1);
+        this.renderVisibleCells();
     }
     
     /**
-     * 处理鼠标移动事件
+     * 将剪切的区域移动到另一个工作表：按复制的方式平移公式后写入目标位置，再清空源区域
+     * 整体作为一步撤销；其他公式中指向源区域的引用不随之改写
      */
-    handleMouseMove(e) {
-        if (this.isResizing) {
-            if (this.resizeAnimationFrame) {
-                cancelAnimationFrame(this.resizeAnimationFrame);
+    moveClipboardBlockToSheet() {
+        const active = this.getSelectionOrigin();
+        if (!active) return;
+        
+        const { sheet, startRow, startCol, values, styles } = this.clipboard;
+        const height = values.length;
+        const width = values[0].length;
+        this.ensureGridSize(active.row + height, active.col + width);
+        
+        const targetArea = this.getPasteArea(active, height, width);
+        if (this.merges.hasPartialOverlap(targetArea)) {
+            alert('无法对合并单元格执行此操作');
+            return;
+        }
+        const sourceMerges = sheet.merges.clone();
+        sourceMerges.remove({ minRow: startRow, maxRow: startRow + height - 1, minCol: startCol, maxCol: startCol + width - 1 });
+        
+        const entries = [];
+        const styleEntries = [];
+        const targetEntries = [];
+        for (let row = startRow; row < startRow + height; row++) {
+            for (let col = startCol; col < startCol + width; col++) {
+                entries.push([`${row}-${col}`, '', sheet]);
+                styleEntries.push([`${row}-${col}`, null, sheet]);
             }
-            this.resizeAnimationFrame = requestAnimationFrame(() => {
-                this.performResize(e);
+        }
+        values.forEach((rowValues, r) => {
+            rowValues.forEach((value, c) => {
+                const row = active.row + r;
+                const col = active.col + c;
+                if (row >= this.rowHeights.length || col >= this.columnWidths.length) return;
+                
+                const content = FormulaEngine.isFormula(value)
+                    ? this.formulaEngine.offsetReferences(value, active.row - startRow, active.col - startCol)
+                    : value;
+                entries.push([`${row}-${col}`, content]);
+                styleEntries.push([`${row}-${col}`, styles[r][c]]);
+                targetEntries.push([`${row}-${col}`, content]);
             });
+        });
+        
+        if (!this.confirmValidation(targetEntries)) return;
+        
+        this.history.transaction('剪切', () => {
+            this.setCellValues(entries, '剪切');
+            this.setCellStyles(styleEntries, '剪切');
+            this.setMergedRegions(sourceMerges, '剪切', sheet);
+            this.setMergedRegions(this.getPastedMerges(this.merges, targetArea, this.clipboard.merges), '剪切');
+        });
+        
+        this.clipboard = null;
+        this.copySource = null;
+        this.selectRange(active.row, active.col,
+            Math.min(active.row + height, this.rowHeights.length) - 1,
+            Math.min(active.col + width, this.columnWidths.length) - 1);
+        this.renderVisibleCells();
+    }
+    
+    /**
+     * 粘贴外部数据：与内部剪贴板内容一致时粘贴原始公式，否则优先解析HTML表格，其次解析TSV
+     */
+    pasteData(text, html) {
+        const normalize = (value) => value.replace(/\r\n/g, '\n').replace(/\n$/, '');
+        if (this.clipboard && text && normalize(text) === normalize(this.clipboard.text)) {
+            this.pasteInternalClipboard();
+            return;
+        }
+        
+        let rows = html ? ClipboardFormat.parseHTML(html) : null;
+        if (!rows || rows.length === 0) {
+            if (!text) return;
+            rows = ClipboardFormat.parseTSV(text);
+        }
+        this.pasteBlock(rows, null);
+    }
+    
+    /**
+     * 以活动单元格为左上角粘贴二维数据，保持原有形状
+     * source 为内部复制来源时，公式中的相对引用按位移平移，并粘贴来源的样式和合并区域；
+     * 外部数据（以及只复制了一个单元格时）保留目标处的合并区域，不写入被合并区域覆盖的单元格
+     */
+    pasteBlock(rows, source) {
+        const active = this.getSelectionOrigin();
+        if (!active || rows.length === 0) return;
+        
+        const height = rows.length;
+        const width = rows.reduce((max, values) => Math.max(max, values.length), 0);
+        this.ensureGridSize(active.row + height, active.col + width);
+        
+        const targetArea = this.getPasteArea(active, height, width);
+        const keepMerges = !source || (height === 1 && width === 1);
+        if (!keepMerges && this.merges.hasPartialOverlap(targetArea)) {
+            alert('无法对合并单元格执行此操作');
             return;
         }
         
-        if (this.isSelecting && this.selectionStart) {
-            const target = e.target;
-            if (target.tagName === 'TD') {
-                const row = parseInt(target.dataset.row);
-                const col = parseInt(target.dataset.column);
+        const rowOffset = source ? active.row - source.startRow : 0;
+        const colOffset = source ? active.col - source.startCol : 0;
+        const entries = [];
+        const styleEntries = [];
+        rows.forEach((values, r) => {
+            values.forEach((value, c) => {
+                const row = active.row + r;
+                const col = active.col + c;
+                if (row >= this.rowHeights.length || col >= this.columnWidths.length) return;
+                if (keepMerges && this.merges.isCovered(row, col)) return;
                 
-                // 使用节流机制优化拖拽选择性能
-                if (this.selectionAnimationFrame) {
-                    cancelAnimationFrame(this.selectionAnimationFrame);
-                }
-                this.selectionAnimationFrame = requestAnimationFrame(() => {
-                    this.extendSelection(this.selectionStart.row, this.selectionStart.col, row, col);
-                    this.selectionAnimationFrame = null;
-                });
+                const content = source && FormulaEngine.isFormula(value)
+                    ? this.formulaEngine.offsetReferences(value, rowOffset, colOffset)
+                    : value;
+                entries.push([`${row}-${col}`, content]);
+                if (source) styleEntries.push([`${row}-${col}`, source.styles[r][c]]);
+            });
+        });
+        
+        // 粘贴的内容同样需要满足数据验证
+        const rawEntries = source ? entries : entries.map(([cellKey, input]) => [cellKey, this.getInputRaw(cellKey, input)]);
+        if (!this.confirmValidation(rawEntries)) return;
+        
+        // 整个粘贴作为一步撤销，外部数据按输入识别类型
+        this.history.transaction('粘贴', () => {
+            if (source) {
+                this.setCellValues(entries, '粘贴');
+                this.setCellStyles(styleEntries, '粘贴');
+            } else {
+                this.setCellInputs(entries, '粘贴');
+            }
+            if (!keepMerges) {
+                this.setMergedRegions(this.getPastedMerges(this.merges, targetArea, source.merges), '粘贴');
             }
+        });
+        
+        // 选中粘贴区域
+        this.selectRange(active.row, active.col,
+            Math.min(active.row + height, this.rowHeights.length) - 1,
+            Math.min(active.col + width, this.columnWidths.length) - 1);
+        this.updateSelection();
+    }
+    
+    /**
+     * 以 origin 为左上角、指定大小的粘贴区域（限制在表格大小以内）
+     */
+    getPasteArea(origin, height, width) {
+        return {
+            minRow: origin.row,
+            maxRow: Math.min(origin.row + height, this.rowHeights.length) - 1,
+            minCol: origin.col,
+            maxCol: Math.min(origin.col + width, this.columnWidths.length) - 1
+        };
+    }
+    
+    /**
+     * 粘贴后的合并区域（新的对象）：移除目标区域中原有的合并区域，加入来源的合并区域（相对于目标左上角，超出表格的部分丢弃）
+     */
+    getPastedMerges(merges, area, sourceMerges) {
+        const result = merges.clone();
+        result.remove(area);
+        sourceMerges.forEach(range => {
+            const shifted = {
+                minRow: area.minRow + range.minRow,
+                maxRow: area.minRow + range.maxRow,
+                minCol: area.minCol + range.minCol,
+                maxCol: area.minCol + range.maxCol
+            };
+            if (MergedRegions.rangeContainsRange(area, shifted)) result.add(shifted);
+        });
+        return result;
+    }
+    
+    /**
+     * 确保表格至少有指定的行列数（不超过最大行列数）
+     */
+    ensureGridSize(rowCount, colCount) {
+        const extraRows = Math.min(rowCount, this.options.maxRows) - this.rowHeights.length;
+        const extraColumns = Math.min(colCount, this.options.maxColumns) - this.columnWidths.length;
+        
+        if (extraRows > 0) this.addRows(extraRows);
+        if (extraColumns > 0) this.addColumns(extraColumns);
+        if (extraRows > 0 || extraColumns > 0) {
+            this.updateContainerSize();
         }
     }
     
     /**
-     * 处理鼠标释放事件
+     * 重新生成表格
      */
-    handleMouseUp(e) {
-        if (this.isResizing) {
-            this.stopResize();
+    regenerateTable() {
+        const newRows = parseInt(document.getElementById('rowCount').value);
+        const newCols = parseInt(document.getElementById('colCount').value);
+        
+        if (newRows > 0 && newCols > 0 && newRows <= 10000 && newCols <= 1000) {
+            this.runStructuralCommand('调整行列数', () => this.resizeTable(newRows, newCols));
+        }
+    }
+    
+    /**
+     * 按指定行列数调整表格，保留现有数据（行列数不少于数据占用的范围）
+     */
+    resizeTable(newRows, newCols) {
+        const usedRange = this.getUsedRange();
+        const usedRows = usedRange ? usedRange.maxRow + 1 : 0;
+        const usedColumns = usedRange ? usedRange.maxCol + 1 : 0;
+        
+        const rowCount = Math.max(newRows, this.options.minRows, usedRows);
+        const columnCount = Math.max(newCols, this.options.minColumns, usedColumns);
+        
+        // 保留已调整过的行高列宽，多出的部分截断，不足的部分补默认值
+        this.rowHeights = this.rowHeights.slice(0, rowCount);
+        while (this.rowHeights.length < rowCount) {
+            this.rowHeights.push(this.options.defaultRowHeight);
+        }
+        this.columnWidths = this.columnWidths.slice(0, columnCount);
+        while (this.columnWidths.length < columnCount) {
+            this.columnWidths.push(this.options.defaultColumnWidth);
+        }
+        
+        this.calculateOffsets();
+        this.updateContainerSize();
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
+    }
+    
+    /**
+     * 新建工作簿：清空所有内容并恢复默认行列（可撤销）
+     */
+    newWorkbook() {
+        const hasContent = this.sheets.length > 1 || this.sheets.some(sheet => sheet.data.size > 0);
+        if (hasContent && !confirm('新建工作簿将清空当前所有内容，是否继续？')) {
             return;
         }
         
-        this.isSelecting = false;
-        this.selectionStart = null;
+        const sheet = this.createSheet('Sheet1');
+        this.clipboard = null;
+        this.runStructuralCommand('新建工作簿', () => this.replaceSheets([sheet]));
     }
     
     /**
-     * 开始调整大小
+     * 序列化工作簿用于保存：只保存非空单元格，行高列宽只保存非默认值
      */
-    startResize(type, index) {
-        this.isResizing = true;
-        this.resizeType = type;
-        this.resizeIndex = index;
-        document.body.style.cursor = type === 'column' ? 'col-resize' : 'row-resize';
-        document.body.style.userSelect = 'none';
+    serializeWorkbook() {
+        const sparseSizes = (sizes, defaultSize) => {
+            const result = [];
+            sizes.forEach((size, index) => {
+                if (size !== defaultSize) result.push([index, size]);
+            });
+            return result;
+        };
+        
+        return {
+            id: 'current',
+            version: 2,
+            sheets: this.sheets.map(sheet => {
+                const isActive = sheet === this.activeSheet;
+                return {
+                    name: sheet.name,
+                    cells: Array.from(sheet.data),
+                    styles: Array.from(sheet.styles),
+                    merges: sheet.merges.toRecord(),
+                    autoFilter: sheet.autoFilter ? sheet.autoFilter.toRecord() : null,
+                    conditionalFormats: sheet.conditionalFormats.toRecord(),
+                    dataValidations: sheet.dataValidations.toRecord(),
+                    hiddenRows: Array.from(sheet.hiddenRows),
+                    hiddenColumns: Array.from(sheet.hiddenColumns),
+                    rowCount: sheet.rowHeights.length,
+                    columnCount: sheet.columnWidths.length,
+                    rowHeights: sparseSizes(sheet.rowHeights, this.options.defaultRowHeight),
+                    columnWidths: sparseSizes(sheet.columnWidths, this.options.defaultColumnWidth),
+                    frozenRows: sheet.frozenRows,
+                    frozenColumns: sheet.frozenColumns,
+                    scrollTop: isActive ? this.scrollTop : sheet.scrollTop,
+                    scrollLeft: isActive ? this.scrollLeft : sheet.scrollLeft,
+                    selection: sheet.selection.toRecord()
+                };
+            }),
+            activeSheet: this.sheets.indexOf(this.activeSheet),
+            savedAt: Date.now()
+        };
     }
     
     /**
-     * 执行调整大小
+     * 从保存的记录恢复工作簿（兼容只有一个工作表的第1版记录）
      */
-    performResize(e) {
-        if (!this.isResizing) return;
+    loadWorkbook(record) {
+        const records = record.version >= 2 ? record.sheets : [{ ...record, name: 'Sheet1' }];
         
-        if (this.resizeType === 'column') {
-            // 获取当前正在调整的列头元素
-            const currentColumnHeader = this.elements.columnHeaders.querySelector(`[data-column="${this.resizeIndex}"]`);
-            if (!currentColumnHeader) return;
-            
-            // 获取列头的当前位置和鼠标位置
-            const headerRect = currentColumnHeader.getBoundingClientRect();
-            
-            // 计算新的列宽：鼠标X位置减去当前列头的左侧位置
-            const newWidth = Math.max(30, e.clientX - headerRect.left);
-            this.columnWidths[this.resizeIndex] = newWidth;
-            
-            this.calculateOffsets();
-            this.updateContainerSize();
-            this.renderVisibleCells();
-            this.updateColumnHeaders();
-            
-        } else if (this.resizeType === 'row') {
-            // 获取当前正在调整的行头元素
-            const currentRowHeader = this.elements.rowHeaders.querySelector(`[data-row="${this.resizeIndex}"]`);
-            if (!currentRowHeader) return;
-            
-            // 获取行头的当前位置和鼠标位置
-            const headerRect = currentRowHeader.getBoundingClientRect();
+        const sheets = records.map(sheetRecord => {
+            const sheet = this.createSheet(sheetRecord.name);
+            sheet.data = new Map(sheetRecord.cells);
+            sheet.styles = new Map(sheetRecord.styles || []);
+            sheet.merges = MergedRegions.fromRecord(sheetRecord.merges);
+            sheet.autoFilter = AutoFilter.fromRecord(sheetRecord.autoFilter);
+            sheet.conditionalFormats = ConditionalFormats.fromRecord(sheetRecord.conditionalFormats);
+            sheet.dataValidations = DataValidations.fromRecord(sheetRecord.dataValidations);
+            sheet.hiddenRows = new Set(sheetRecord.hiddenRows || []);
+            sheet.hiddenColumns = new Set(sheetRecord.hiddenColumns || []);
+            sheet.modifiedCells = new Set(sheet.data.keys());
             
-            // 计算新的行高：鼠标Y位置减去当前行头的顶部位置
-            const newHeight = Math.max(20, e.clientY - headerRect.top);
-            this.rowHeights[this.resizeIndex] = newHeight;
+            sheet.rowHeights = new Array(Math.min(sheetRecord.rowCount, this.options.maxRows)).fill(this.options.defaultRowHeight);
+            sheet.columnWidths = new Array(Math.min(sheetRecord.columnCount, this.options.maxColumns)).fill(this.options.defaultColumnWidth);
+            sheetRecord.rowHeights.forEach(([index, height]) => {
+                if (index < sheet.rowHeights.length) sheet.rowHeights[index] = height;
+            });
+            sheetRecord.columnWidths.forEach(([index, width]) => {
+                if (index < sheet.columnWidths.length) sheet.columnWidths[index] = width;
+            });
             
-            this.calculateOffsets();
-            this.updateContainerSize();
-            this.renderVisibleCells();
-            this.updateRowHeaders();
-        }
+            sheet.frozenRows = Math.min(sheetRecord.frozenRows || 0, sheet.rowHeights.length);
+            sheet.frozenColumns = Math.min(sheetRecord.frozenColumns || 0, sheet.columnWidths.length);
+            sheet.scrollTop = sheetRecord.scrollTop || 0;
+            sheet.scrollLeft = sheetRecord.scrollLeft || 0;
+            sheet.selection = SelectionModel.fromRecord(sheetRecord.selection);
+            return sheet;
+        });
+        
+        // 显示上次的当前工作表
+        this.replaceSheets(sheets);
+        this.activateSheet(sheets[record.activeSheet] || sheets[0]);
     }
     
     /**
-     * 停止调整大小
+     * 启动时从 IndexedDB 恢复上次的会话
      */
-    stopResize() {
-        if (this.resizeAnimationFrame) {
-            cancelAnimationFrame(this.resizeAnimationFrame);
-            this.resizeAnimationFrame = null;
-        }
+    async restoreWorkbook() {
+        if (!this.store) return;
         
-        this.isResizing = false;
-        this.resizeType = null;
-        this.resizeIndex = null;
-        document.body.style.cursor = 'default';
-        document.body.style.userSelect = '';
+        let record = null;
+        try {
+            record = await this.store.load('current');
+            if (record) {
+                this.loadWorkbook(record);
+            }
+            this.isRestored = true;
+        } catch (error) {
+            // 无法恢复时先将原记录另存为备份，成功后才开启自动保存，避免上次的数据被覆盖
+            const kept = record !== null && await this.store.save({ ...record, id: 'backup' }).then(() => true, () => false);
+            this.isRestored = kept;
+            alert(kept ? '无法恢复上次的工作簿，原数据已另存为备份' : '无法恢复上次的工作簿，本次的修改不会自动保存');
+        }
     }
     
     /**
-     * 选择单元格
+     * 安排一次自动保存（防抖，连续修改只保存最后一次）
      */
-    selectCell(row, col, ctrlKey = false, shiftKey = false) {
-        if (!ctrlKey && !shiftKey) {
-            this.selectedCells.clear();
-            // 清除行首和列首的selected样式
-            const allRowHeaders = this.elements.rowHeaders.querySelectorAll('.row-header');
-            allRowHeaders.forEach(header => {
-                header.classList.remove('selected');
-            });
-            
-            const allColHeaders = this.elements.columnHeaders.querySelectorAll('.column-header');
-            allColHeaders.forEach(header => {
-                header.classList.remove('selected');
-            });
-        }
+    scheduleSave() {
+        if (!this.store || !this.isRestored) return;
         
-        const cellKey = `${row}-${col}`;
-        
-        if (shiftKey && this.selectedCells.size > 0) {
-            // 扩展选择
-            const firstSelected = Array.from(this.selectedCells)[0];
-            const [startRow, startCol] = firstSelected.split('-').map(Number);
-            this.selectRange(startRow, startCol, row, col);
-        } else {
-            this.selectedCells.add(cellKey);
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveWorkbook(), this.options.autosaveDelay);
+    }
+    
+    /**
+     * 立即保存尚未写入的修改
+     */
+    flushSave() {
+        if (this.saveTimer) {
+            this.saveWorkbook();
         }
-        
-        this.updateSelection();
     }
     
     /**
-     * 选择范围
+     * 保存工作簿到 IndexedDB
      */
-    selectRange(startRow, startCol, endRow, endCol) {
-        this.selectedCells.clear();
+    saveWorkbook() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.store) return Promise.resolve();
         
-        const minRow = Math.min(startRow, endRow);
-        const maxRow = Math.max(startRow, endRow);
-        const minCol = Math.min(startCol, endCol);
-        const maxCol = Math.max(startCol, endCol);
+        // 保存失败时提示（连续失败只提示一次），下一次修改会再次尝试保存
+        return this.store.save(this.serializeWorkbook())
+            .then(() => {
+                this.saveFailed = false;
+            })
+            .catch(() => {
+                if (!this.saveFailed) alert('自动保存失败，最近的修改尚未保存到本地');
+                this.saveFailed = true;
+            });
+    }
+    
+    /**
+     * 获取已用区域（从A1到最后一个非空单元格），表格为空时返回 null
+     */
+    getUsedRange() {
+        if (this.data.size === 0) return null;
         
-        for (let row = minRow; row <= maxRow; row++) {
-            for (let col = minCol; col <= maxCol; col++) {
-                this.selectedCells.add(`${row}-${col}`);
-            }
-        }
+        let maxRow = 0;
+        let maxCol = 0;
+        this.data.forEach((value, cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            maxRow = Math.max(maxRow, row);
+            maxCol = Math.max(maxCol, col);
+        });
+        return { minRow: 0, maxRow, minCol: 0, maxCol };
     }
     
     /**
-     * 扩展选择
+     * 获取工具栏中选择的CSV分隔符
      */
-    extendSelection(startRow, startCol, endRow, endCol) {
-        this.selectRange(startRow, startCol, endRow, endCol);
-        this.updateSelection();
+    getCsvDelimiter() {
+        const value = document.getElementById('csvDelimiter').value;
+        return value === 'tab' ? '\t' : value;
     }
     
     /**
-     * 选择整列
+     * 导入CSV文件，替换当前表格内容（可撤销）
      */
-    selectColumn(colIndex, ctrlKey = false) {
-        if (!ctrlKey) {
-            this.selectedCells.clear();
-            // 清除之前选中的行头样式
-            const allRowHeaders = this.elements.rowHeaders.querySelectorAll('.row-header');
-            allRowHeaders.forEach(header => {
-                header.classList.remove('selected');
-            });
+    async importCsvFile(file) {
+        let buffer;
+        try {
+            buffer = await file.arrayBuffer();
+        } catch (error) {
+            alert(`无法读取文件：${error.message}`);
+            return;
         }
         
-        // 为选中的列头添加selected样式
-        const colHeader = this.elements.columnHeaders.querySelector(`[data-column="${colIndex}"]`);
-        if (colHeader) {
-            colHeader.classList.add('selected');
+        let text;
+        try {
+            text = CsvFormat.decode(buffer, document.getElementById('csvEncoding').value);
+        } catch (error) {
+            alert(`无法按所选编码读取文件：${error.message}`);
+            return;
         }
         
-        for (let row = 0; row < this.rowHeights.length; row++) {
-            this.selectedCells.add(`${row}-${colIndex}`);
-        }
+        const rows = CsvFormat.parse(text, this.getCsvDelimiter());
+        const width = rows.reduce((max, values) => Math.max(max, values.length), 0);
+        this.runStructuralCommand('导入CSV', () => this.loadRows(rows));
         
-        this.updateSelection();
+        if (rows.length > this.options.maxRows || width > this.options.maxColumns) {
+            alert(`文件超出表格上限（${this.options.maxRows}行 × ${this.options.maxColumns}列），超出部分未导入`);
+        }
     }
     
     /**
-     * 选择整行
+     * 用二维数组替换表格内容（从A1开始）
      */
-    selectRow(rowIndex, ctrlKey = false) {
-        if (!ctrlKey) {
-            this.selectedCells.clear();
-            // 清除之前选中的列头样式
-            const allColHeaders = this.elements.columnHeaders.querySelectorAll('.column-header');
-            allColHeaders.forEach(header => {
-                header.classList.remove('selected');
+    loadRows(rows) {
+        const cells = new Map();
+        rows.forEach((values, row) => {
+            values.forEach((value, col) => {
+                if (value !== '') cells.set(`${row}-${col}`, value);
             });
-        }
-        
-        // 为选中的行头添加selected样式
-        const rowHeader = this.elements.rowHeaders.querySelector(`[data-row="${rowIndex}"]`);
-        if (rowHeader) {
-            rowHeader.classList.add('selected');
-        }
-        
-        for (let col = 0; col < this.columnWidths.length; col++) {
-            this.selectedCells.add(`${rowIndex}-${col}`);
-        }
-        
-        this.updateSelection();
+        });
+        this.loadSheetContent(cells);
     }
     
     /**
-     * 开始编辑单元格
+     * 用导入的单元格替换当前工作表的内容，并回到左上角
      */
-    startEditing(row, col) {
+    loadSheetContent(cells) {
         if (this.editingCell) {
-            this.finishEditing();
+            this.cancelEditing();
         }
         
-        const cell = this.elements.table.querySelector(`td[data-row="${row}"][data-column="${col}"]`);
-        if (!cell) return;
-        
-        this.editingCell = { row, col, cell };
-        
-        // 获取单元格在页面中的位置和尺寸
-        const rect = cell.getBoundingClientRect();
-        
-        // 定位编辑器
-        this.cellEditor.style.position = 'fixed';
-        this.cellEditor.style.left = (rect.left + 1) + 'px';
-        this.cellEditor.style.top = (rect.top + 1) + 'px';
-        this.cellEditor.style.width = (rect.width - 2) + 'px';
-        this.cellEditor.style.height = (rect.height - 2) + 'px';
-        this.cellEditor.style.display = 'block';
-        
-        // 设置编辑器内容
-        const cellKey = `${row}-${col}`;
-        this.cellEditor.value = this.data.get(cellKey) || '';
+        this.fillSheet(this.activeSheet, cells);
+        this.recalculateAll();
         
-        // 标记单元格为编辑状态
-        cell.classList.add('editing');
+        // 回到左上角
+        const wrapper = document.querySelector('.excel-wrapper');
+        wrapper.scrollTop = 0;
+        wrapper.scrollLeft = 0;
         
-        // 聚焦并选中文本
-        this.cellEditor.focus();
-        this.cellEditor.select();
+        this.calculateOffsets();
+        this.updateContainerSize();
+        this.calculateVisibleRange();
+        this.renderVisibleCells();
+        this.updateHeadersPosition();
     }
     
     /**
-     * 完成编辑
+     * 将导入的单元格写入工作表（不刷新界面），超出上限的部分被丢弃，行列不足时补足
+     * sizes 为 { rowHeights, columnWidths }（Map<索引, 像素>）时，先恢复默认行高列宽再应用
      */
-    finishEditing() {
-        if (!this.editingCell) return;
-        
-        const { row, col, cell } = this.editingCell;
-        const cellKey = `${row}-${col}`;
-        const value = this.cellEditor.value;
+    fillSheet(sheet, cells, sizes = null) {
+        let rowCount = 0;
+        let columnCount = 0;
+        sheet.data = new Map();
+        sheet.styles = new Map();
+        sheet.merges = new MergedRegions();
+        sheet.autoFilter = null;
+        sheet.conditionalFormats = new ConditionalFormats();
+        sheet.dataValidations = new DataValidations();
+        sheet.hiddenRows = new Set();
+        sheet.hiddenColumns = new Set();
+        sheet.modifiedCells = new Set();
+        sheet.selection = new SelectionModel();
+        sheet.frozenRows = 0;
+        sheet.frozenColumns = 0;
+        cells.forEach((value, cellKey) => {
+            const [row, col] = cellKey.split('-').map(Number);
+            if (row >= this.options.maxRows || col >= this.options.maxColumns) return;
+            sheet.data.set(cellKey, value);
+            sheet.modifiedCells.add(cellKey);
+            rowCount = Math.max(rowCount, row + 1);
+            columnCount = Math.max(columnCount, col + 1);
+        });
         
-        // 保存数据
-        if (value) {
-            this.data.set(cellKey, value);
-            this.modifiedCells.add(cellKey);
-        } else {
-            this.data.delete(cellKey);
-            this.modifiedCells.delete(cellKey);
+        if (sizes) {
+            sheet.rowHeights.fill(this.options.defaultRowHeight);
+            sheet.columnWidths.fill(this.options.defaultColumnWidth);
+            sizes.rowHeights.forEach((height, row) => {
+                if (row < this.options.maxRows) rowCount = Math.max(rowCount, row + 1);
+            });
+            sizes.columnWidths.forEach((width, col) => {
+                if (col < this.options.maxColumns) columnCount = Math.max(columnCount, col + 1);
+            });
+        }
+        while (sheet.rowHeights.length < rowCount) {
+            sheet.rowHeights.push(this.options.defaultRowHeight);
+        }
+        while (sheet.columnWidths.length < columnCount) {
+            sheet.columnWidths.push(this.options.defaultColumnWidth);
+        }
+        if (sizes) {
+            sizes.rowHeights.forEach((height, row) => {
+                if (row < sheet.rowHeights.length) sheet.rowHeights[row] = Math.max(20, height);
+            });
+            sizes.columnWidths.forEach((width, col) => {
+                if (col < sheet.columnWidths.length) sheet.columnWidths[col] = Math.max(30, width);
+            });
         }
-        
-        // 更新单元格显示
-        cell.textContent = value;
-        cell.classList.remove('editing');
-        
-        // 隐藏编辑器
-        this.cellEditor.style.display = 'none';
-        this.editingCell = null;
     }
     
     /**
-     * 处理键盘事件
+     * 导入XLSX文件，用其中的全部工作表替换当前工作簿（可撤销）
      */
-    handleKeyDown(e) {
-        if (this.editingCell) return; // 编辑状态下不处理
+    async importXlsxFile(file) {
+        let workbook;
+        try {
+            workbook = await XlsxFormat.read(await file.arrayBuffer());
+        } catch (error) {
+            alert(`无法读取XLSX文件：${error.message}`);
+            return;
+        }
         
-        switch (e.key) {
-            case 'Enter':
-                if (this.selectedCells.size === 1) {
-                    const cellKey = Array.from(this.selectedCells)[0];
-                    const [row, col] = cellKey.split('-').map(Number);
-                    this.startEditing(row, col);
+        if (workbook.sheets.length === 0) {
+            alert('文件中没有工作表');
+            return;
+        }
+        
+        const outOfRange = workbook.sheets.some(model => Array.from(model.cells.keys()).some(cellKey => {
+            const [row, col] = cellKey.split('-').map(Number);
+            return row >= this.options.maxRows || col >= this.options.maxColumns;
+        }));
+        const sheets = workbook.sheets.map(model => {
+            const sheet = this.createSheet(model.name);
+            this.fillSheet(sheet, model.cells, model);
+            model.styles.forEach((style, cellKey) => {
+                const [row, col] = cellKey.split('-').map(Number);
+                if (row < sheet.rowHeights.length && col < sheet.columnWidths.length) {
+                    sheet.styles.set(cellKey, style);
                 }
-                e.preventDefault();
-                break;
-            case 'Delete':
-                this.clearSelectedCells();
-                break;
-            case 'Escape':
-                this.selectedCells.clear();
-                // 清除行首和列首的selected样式
-                const allRowHeaders = this.elements.rowHeaders.querySelectorAll('.row-header');
-                allRowHeaders.forEach(header => {
-                    header.classList.remove('selected');
-                });
-                
-                const allColHeaders = this.elements.columnHeaders.querySelectorAll('.column-header');
-                allColHeaders.forEach(header => {
-                    header.classList.remove('selected');
-                });
-                this.renderVisibleCells();
-                break;
+            });
+            sheet.merges = new MergedRegions(model.merges.filter(range =>
+                range.maxRow < sheet.rowHeights.length && range.maxCol < sheet.columnWidths.length));
+            sheet.hiddenRows = new Set(Array.from(model.hiddenRows).filter(row => row < sheet.rowHeights.length));
+            sheet.hiddenColumns = new Set(Array.from(model.hiddenColumns).filter(col => col < sheet.columnWidths.length));
+            sheet.frozenRows = Math.min(model.frozenRows, sheet.rowHeights.length);
+            sheet.frozenColumns = Math.min(model.frozenColumns, sheet.columnWidths.length);
+            return sheet;
+        });
+        this.clipboard = null;
+        this.runStructuralCommand('导入XLSX', () => this.replaceSheets(sheets));
+        
+        if (outOfRange) {
+            alert(`文件超出表格上限（${this.options.maxRows}行 × ${this.options.maxColumns}列），超出部分未导入`);
         }
     }
     
     /**
-     * 处理编辑器键盘事件
+     * 导出XLSX：全部工作表的单元格内容、公式（附带计算结果）、样式、合并单元格、自定义行高列宽、隐藏的行列和冻结窗格
      */
-    handleEditorKeyDown(e) {
-        switch (e.key) {
-            case 'Enter':
-                this.finishEditing();
-                e.preventDefault();
-                break;
-            case 'Escape':
-                this.cancelEditing();
-                e.preventDefault();
-                break;
-        }
+    async exportXlsx() {
+        const sizeMap = (sizes, defaultSize) => {
+            const map = new Map();
+            sizes.forEach((size, index) => {
+                if (size !== defaultSize) map.set(index, size);
+            });
+            return map;
+        };
+        
+        const sheets = this.sheets.map(sheet => {
+            const values = new Map();
+            sheet.data.forEach((value, cellKey) => {
+                if (FormulaEngine.isFormula(value)) {
+                    values.set(cellKey, this.computeCell(cellKey, sheet));
+                }
+            });
+            
+            return {
+                name: sheet.name,
+                cells: sheet.data,
+                values,
+                styles: sheet.styles,
+                rowHeights: sizeMap(sheet.rowHeights, this.options.defaultRowHeight),
+                columnWidths: sizeMap(sheet.columnWidths, this.options.defaultColumnWidth),
+                defaultRowHeight: this.options.defaultRowHeight,
+                defaultColumnWidth: this.options.defaultColumnWidth,
+                merges: sheet.merges.ranges,
+                hiddenRows: sheet.hiddenRows,
+                hiddenColumns: sheet.hiddenColumns,
+                frozenRows: sheet.frozenRows,
+                frozenColumns: sheet.frozenColumns
+            };
+        });
+        
+        const blob = await XlsxFormat.write({ sheets });
+        this.downloadFile(blob, '工作簿.xlsx');
     }
     
     /**
-     * 取消编辑
+     * 导出CSV：已用区域或当前选区，导出单元格的显示值
      */
-    cancelEditing() {
-        if (!this.editingCell) return;
+    exportCsv() {
+        let bounds;
+        if (document.getElementById('csvScope').value === 'selection') {
+            bounds = this.getSelectionBounds();
+            if (!bounds) {
+                alert('请先选择要导出的区域');
+                return;
+            }
+        } else {
+            bounds = this.getUsedRange();
+            if (!bounds) {
+                alert('表格中没有可导出的数据');
+                return;
+            }
+        }
         
-        const { cell } = this.editingCell;
-        cell.classList.remove('editing');
-        this.cellEditor.style.display = 'none';
-        this.editingCell = null;
+        const rows = [];
+        for (let row = bounds.minRow; row <= bounds.maxRow; row++) {
+            const values = [];
+            for (let col = bounds.minCol; col <= bounds.maxCol; col++) {
+                values.push(this.getCellDisplayText(row, col));
+            }
+            rows.push(values);
+        }
+        
+        const text = CsvFormat.stringify(rows, this.getCsvDelimiter());
+        this.downloadFile(CsvFormat.toBlob(text), '工作表.csv');
     }
     
     /**
-     * 清除选中单元格的内容
+     * 触发浏览器下载
      */
-    clearSelectedCells() {
-        this.selectedCells.forEach(cellKey => {
-            this.data.delete(cellKey);
-            this.modifiedCells.delete(cellKey);
-        });
-        this.updateSelection();
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
     
     /**
-     * 处理右键菜单
+     * 获取选区的外接矩形（默认为当前工作表，整行整列限制在表格大小以内），无选择时返回 null
      */
-    handleContextMenu(e) {
-        e.preventDefault();
-        
-        const contextMenu = this.elements.contextMenu;
-        contextMenu.style.left = e.pageX + 'px';
-        contextMenu.style.top = e.pageY + 'px';
-        contextMenu.style.display = 'block';
+    getSelectionBounds(sheet = this.activeSheet) {
+        return sheet.selection.getBounds(sheet.rowHeights.length, sheet.columnWidths.length);
     }
     
     /**
-     * 处理文档点击（隐藏右键菜单）
+     * 获取选区左上角（粘贴的目标位置），无选择时返回 null
      */
-    handleDocumentClick(e) {
-        if (!this.elements.contextMenu.contains(e.target)) {
-            this.elements.contextMenu.style.display = 'none';
-        }
+    getSelectionOrigin() {
+        const bounds = this.getSelectionBounds();
+        return bounds ? { row: bounds.minRow, col: bounds.minCol } : null;
     }
     
     /**
-     * 处理菜单点击
+     * 获取活动单元格，无选择时返回 null
      */
-    handleMenuClick(e) {
-        const action = e.target.dataset.action;
-        if (!action) return;
-        
-        this.elements.contextMenu.style.display = 'none';
-        
-        switch (action) {
-            case 'insertRowAbove':
-                this.insertRow(this.getSelectedRow(), 'above');
-                break;
-            case 'insertRowBelow':
-                this.insertRow(this.getSelectedRow(), 'below');
-                break;
-            case 'deleteRow':
-                this.deleteRow(this.getSelectedRow());
-                break;
-            case 'insertColumnLeft':
-                this.insertColumn(this.getSelectedColumn(), 'left');
-                break;
-            case 'insertColumnRight':
-                this.insertColumn(this.getSelectedColumn(), 'right');
-                break;
-            case 'deleteColumn':
-                this.deleteColumn(this.getSelectedColumn());
-                break;
-            case 'copy':
-                this.copySelectedCells();
-                break;
-            case 'paste':
-                this.pasteClipboard();
-                break;
-            case 'clear':
-                this.clearSelectedCells();
-                break;
-        }
+    getActiveCell() {
+        const active = this.selection.active;
+        return active ? { ...active } : null;
     }
     
     /**
-     * 复制选中单元格
+     * 获取选中的行（活动单元格所在行）
      */
-    copySelectedCells() {
-        const copyData = [];
-        this.selectedCells.forEach(cellKey => {
-            const value = this.data.get(cellKey) || '';
-            copyData.push({ cellKey, value });
-        });
-        
-        this.clipboard = copyData;
+    getSelectedRow() {
+        const active = this.selection.active;
+        return active ? active.row : 0;
     }
     
     /**
-     * 粘贴剪贴板内容
+     * 获取选中的列（活动单元格所在列）
      */
-    pasteClipboard() {
-        if (!this.clipboard || this.selectedCells.size === 0) return;
-        
-        const firstSelected = Array.from(this.selectedCells)[0];
-        const [startRow, startCol] = firstSelected.split('-').map(Number);
-        
-        this.clipboard.forEach(item => {
-            const [origRow, origCol] = item.cellKey.split('-').map(Number);
-            const newRow = startRow;
-            const newCol = startCol;
-            const newCellKey = `${newRow}-${newCol}`;
-            
-            if (item.value) {
-                this.data.set(newCellKey, item.value);
-                this.modifiedCells.add(newCellKey);
-            }
-        });
-        
-        this.renderVisibleCells();
+    getSelectedColumn() {
+        const active = this.selection.active;
+        return active ? active.col : 0;
     }
     
     /**
-     * 重新生成表格
+     * 在当前工作表插入或删除行列后，改写所有工作表公式（包括条件格式和数据验证规则中的公式）中指向当前工作表的引用
      */
-    regenerateTable() {
-        const newRows = parseInt(document.getElementById('rowCount').value);
-        const newCols = parseInt(document.getElementById('colCount').value);
-        
-        if (newRows > 0 && newCols > 0 && newRows <= 10000 && newCols <= 1000) {
-            // 清除所有数据和状态
-            this.data.clear();
-            this.modifiedCells.clear();
-            this.selectedCells.clear();
-            this.clipboard = null;
-            
-            // 重置行列数量
-            this.rowHeights = new Array(Math.max(newRows, this.options.minRows)).fill(this.options.defaultRowHeight);
-            this.columnWidths = new Array(Math.max(newCols, this.options.minColumns)).fill(this.options.defaultColumnWidth);
-            
-            // 停止当前编辑
-            if (this.editingCell) {
-                this.cancelEditing();
-            }
-            
-            // 重置滚动位置到左上角
-            const wrapper = document.querySelector('.excel-wrapper');
-            wrapper.scrollTop = 0;
-            wrapper.scrollLeft = 0;
-            this.scrollTop = 0;
-            this.scrollLeft = 0;
-            
-            this.calculateOffsets();
-            this.updateContainerSize();
-            this.calculateVisibleRange();
-            this.renderVisibleCells();
-            this.updateHeadersPosition();
-        }
+    shiftFormulaReferences(axis, index, count) {
+        this.sheets.forEach(sheet => {
+            const target = { sheet: this.activeSheet.name, local: sheet === this.activeSheet };
+            sheet.data.forEach((raw, cellKey) => {
+                if (FormulaEngine.isFormula(raw)) {
+                    sheet.data.set(cellKey, this.formulaEngine.shiftReferences(raw, axis, index, count, target));
+                }
+            });
+            sheet.conditionalFormats = sheet.conditionalFormats.mapFormulas(formula =>
+                this.formulaEngine.shiftReferences(formula, axis, index, count, target));
+            sheet.dataValidations = sheet.dataValidations.mapFormulas(formula =>
+                this.formulaEngine.shiftReferences(formula, axis, index, count, target));
+        });
     }
     
     /**
-     * 获取选中的行
+     * 插入或删除行列后移动以单元格为键的数据：count 为正时在 index 处插入，为负时删除从 index 开始的 -count 行（列）
      */
-    getSelectedRow() {
-        if (this.selectedCells.size === 0) return 0;
-        const firstSelected = Array.from(this.selectedCells)[0];
-        return parseInt(firstSelected.split('-')[0]);
+    shiftCellMap(map, axis, index, count) {
+        const result = new Map();
+        map.forEach((value, cellKey) => {
+            let [row, col] = cellKey.split('-').map(Number);
+            const position = axis === 'row' ? row : col;
+            if (count < 0 && position >= index && position < index - count) return;
+            if (position >= index) {
+                if (axis === 'row') {
+                    row += count;
+                } else {
+                    col += count;
+                }
+            }
+            result.set(`${row}-${col}`, value);
+        });
+        return result;
     }
     
     /**
-     * 获取选中的列
+     * 插入或删除行列后移动行（列）索引的集合，参数与 shiftCellMap 相同
      */
-    getSelectedColumn() {
-        if (this.selectedCells.size === 0) return 0;
-        const firstSelected = Array.from(this.selectedCells)[0];
-        return parseInt(firstSelected.split('-')[1]);
+    shiftIndexSet(set, index, count) {
+        const result = new Set();
+        set.forEach(position => {
+            if (count < 0 && position >= index && position < index - count) return;
+            result.add(position >= index ? position + count : position);
+        });
+        return result;
     }
     
     /**
@@ -1158,6 +4743,17 @@ class VirtualExcelSimulator {
         });
         this.data = newData;
         
+        // 样式、合并区域、自动筛选、条件格式、数据验证和隐藏状态随单元格移动
+        this.styles = this.shiftCellMap(this.styles, 'row', insertIndex, 1);
+        this.merges = this.merges.shift('row', insertIndex, 1);
+        if (this.autoFilter) this.autoFilter = this.autoFilter.shift('row', insertIndex, 1);
+        this.conditionalFormats = this.conditionalFormats.shift('row', insertIndex, 1);
+        this.dataValidations = this.dataValidations.shift('row', insertIndex, 1);
+        this.hiddenRows = this.shiftIndexSet(this.hiddenRows, insertIndex, 1);
+        
+        // 改写公式中受影响的引用
+        this.shiftFormulaReferences('row', insertIndex, 1);
+        
         // 更新修改过的单元格记录
         const newModifiedCells = new Set();
         this.modifiedCells.forEach(cellKey => {
@@ -1170,9 +4766,15 @@ class VirtualExcelSimulator {
         });
         this.modifiedCells = newModifiedCells;
         
+        // 单元格位置变化后重建依赖关系并重新计算公式
+        this.recalculateAll();
+        
         // 插入新行高度
         this.rowHeights.splice(insertIndex, 0, this.options.defaultRowHeight);
         
+        // 在冻结区域内插入时冻结区域随之扩大
+        if (insertIndex < this.frozenRows) this.frozenRows++;
+        
         // 重新计算偏移量并渲染
         this.calculateOffsets();
         this.updateContainerSize();
@@ -1202,6 +4804,17 @@ class VirtualExcelSimulator {
         });
         this.data = newData;
         
+        // 样式、合并区域、自动筛选、条件格式、数据验证和隐藏状态随单元格移动
+        this.styles = this.shiftCellMap(this.styles, 'row', rowIndex, -1);
+        this.merges = this.merges.shift('row', rowIndex, -1);
+        if (this.autoFilter) this.autoFilter = this.autoFilter.shift('row', rowIndex, -1);
+        this.conditionalFormats = this.conditionalFormats.shift('row', rowIndex, -1);
+        this.dataValidations = this.dataValidations.shift('row', rowIndex, -1);
+        this.hiddenRows = this.shiftIndexSet(this.hiddenRows, rowIndex, -1);
+        
+        // 改写公式中受影响的引用
+        this.shiftFormulaReferences('row', rowIndex, -1);
+        
         // 更新修改过的单元格记录
         const newModifiedCells = new Set();
         this.modifiedCells.forEach(cellKey => {
@@ -1217,11 +4830,15 @@ class VirtualExcelSimulator {
         });
         this.modifiedCells = newModifiedCells;
         
+        // 单元格位置变化后重建依赖关系并重新计算公式
+        this.recalculateAll();
+        
         // 删除行高度
         this.rowHeights.splice(rowIndex, 1);
+        if (rowIndex < this.frozenRows) this.frozenRows--;
         
         // 清除选择
-        this.selectedCells.clear();
+        this.selection.clear();
         
         // 重新计算偏移量并渲染
         this.calculateOffsets();
@@ -1249,6 +4866,17 @@ class VirtualExcelSimulator {
         });
         this.data = newData;
         
+        // 样式、合并区域、自动筛选、条件格式、数据验证和隐藏状态随单元格移动
+        this.styles = this.shiftCellMap(this.styles, 'column', insertIndex, 1);
+        this.merges = this.merges.shift('column', insertIndex, 1);
+        if (this.autoFilter) this.autoFilter = this.autoFilter.shift('column', insertIndex, 1);
+        this.conditionalFormats = this.conditionalFormats.shift('column', insertIndex, 1);
+        this.dataValidations = this.dataValidations.shift('column', insertIndex, 1);
+        this.hiddenColumns = this.shiftIndexSet(this.hiddenColumns, insertIndex, 1);
+        
+        // 改写公式中受影响的引用
+        this.shiftFormulaReferences('column', insertIndex, 1);
+        
         // 更新修改过的单元格记录
         const newModifiedCells = new Set();
         this.modifiedCells.forEach(cellKey => {
@@ -1261,9 +4889,15 @@ class VirtualExcelSimulator {
         });
         this.modifiedCells = newModifiedCells;
         
+        // 单元格位置变化后重建依赖关系并重新计算公式
+        this.recalculateAll();
+        
         // 插入新列宽度
         this.columnWidths.splice(insertIndex, 0, this.options.defaultColumnWidth);
         
+        // 在冻结区域内插入时冻结区域随之扩大
+        if (insertIndex < this.frozenColumns) this.frozenColumns++;
+        
         // 重新计算偏移量并渲染
         this.calculateOffsets();
         this.updateContainerSize();
@@ -1293,6 +4927,17 @@ class VirtualExcelSimulator {
         });
         this.data = newData;
         
+        // 样式、合并区域、自动筛选、条件格式、数据验证和隐藏状态随单元格移动
+        this.styles = this.shiftCellMap(this.styles, 'column', colIndex, -1);
+        this.merges = this.merges.shift('column', colIndex, -1);
+        if (this.autoFilter) this.autoFilter = this.autoFilter.shift('column', colIndex, -1);
+        this.conditionalFormats = this.conditionalFormats.shift('column', colIndex, -1);
+        this.dataValidations = this.dataValidations.shift('column', colIndex, -1);
+        this.hiddenColumns = this.shiftIndexSet(this.hiddenColumns, colIndex, -1);
+        
+        // 改写公式中受影响的引用
+        this.shiftFormulaReferences('column', colIndex, -1);
+        
         // 更新修改过的单元格记录
         const newModifiedCells = new Set();
         this.modifiedCells.forEach(cellKey => {
@@ -1308,11 +4953,15 @@ class VirtualExcelSimulator {
         });
         this.modifiedCells = newModifiedCells;
         
+        // 单元格位置变化后重建依赖关系并重新计算公式
+        this.recalculateAll();
+        
         // 删除列宽度
         this.columnWidths.splice(colIndex, 1);
+        if (colIndex < this.frozenColumns) this.frozenColumns--;
         
         // 清除选择
-        this.selectedCells.clear();
+        this.selection.clear();
         
         // 重新计算偏移量并渲染
         this.calculateOffsets();
@@ -1328,6 +4977,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const container = document.querySelector('.excel-container');
     window.virtualExcelSimulator = new VirtualExcelSimulator(container, {
         minRows: 100,
-        minColumns: 26
+        minColumns: 26,
+        renderer: new URLSearchParams(location.search).get('renderer') === 'canvas' ? 'canvas' : 'dom' // 地址带 ?renderer=canvas 时使用 Canvas 渲染
     });
 });
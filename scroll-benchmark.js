@@ -0,0 +1,133 @@
+/**
+ * 滚动性能测试
+ * 按脚本逐帧滚动表格（先向下、再向右、最后斜向回到起点），记录每帧的间隔和渲染单元格、行头列头所用的时间
+ * 在控制台运行：new ScrollBenchmark(virtualExcelSimulator).run().then(console.table)
+ * 或在地址后加 ?benchmark，页面加载后自动运行一次并在控制台输出结果
+ * 比较两种渲染方式时分别打开 ?benchmark 和 ?benchmark&renderer=canvas
+ * 测试只改变滚动位置，不修改工作簿；数据较多的工作表（或先调整为较多的行列）更能反映实际情况
+ */
+class ScrollBenchmark {
+    constructor(simulator, options = {}) {
+        this.simulator = simulator;
+        this.options = {
+            frames: 240, // 滚动的帧数
+            deltaY: 90, // 每帧纵向滚动的距离（像素）
+            deltaX: 60, // 每帧横向滚动的距离（像素）
+            ...options
+        };
+        this.wrapper = document.querySelector('.excel-wrapper');
+    }
+
+    /**
+     * 运行测试，返回 { frames, averageFrame, p95Frame, maxFrame, droppedFrames, averageRender, maxRender }（毫秒）
+     * Frame 为相邻两帧的间隔，Render 为每帧中渲染单元格和行头列头的总耗时
+     * droppedFrames 为间隔超过 1.5 个 60Hz 帧（25ms）的帧数
+     */
+    run() {
+        const positions = this.createScript();
+        const rendering = { time: 0 };
+        const restore = this.measureRendering(rendering);
+        const startTop = this.wrapper.scrollTop;
+        const startLeft = this.wrapper.scrollLeft;
+
+        return new Promise(resolve => {
+            const frameTimes = [];
+            const renderTimes = [];
+            let index = 0;
+            let last = null;
+            const step = (now) => {
+                if (last !== null) {
+                    frameTimes.push(now - last);
+                    renderTimes.push(rendering.time);
+                }
+                last = now;
+                rendering.time = 0;
+                if (index < positions.length) {
+                    this.wrapper.scrollTop = positions[index].top;
+                    this.wrapper.scrollLeft = positions[index].left;
+                    index++;
+                    requestAnimationFrame(step);
+                    return;
+                }
+
+                restore();
+                this.wrapper.scrollTop = startTop;
+                this.wrapper.scrollLeft = startLeft;
+                resolve(ScrollBenchmark.summarize(frameTimes, renderTimes));
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * 每帧的滚动位置，超出可滚动范围时在边缘处折返
+     */
+    createScript() {
+        const { frames, deltaY, deltaX } = this.options;
+        const maxTop = Math.max(0, this.wrapper.scrollHeight - this.wrapper.clientHeight);
+        const maxLeft = Math.max(0, this.wrapper.scrollWidth - this.wrapper.clientWidth);
+        const bounce = (distance, max) => {
+            if (max === 0) return 0;
+            const position = distance % (2 * max);
+            return position > max ? 2 * max - position : position;
+        };
+
+        const third = Math.floor(frames / 3);
+        const positions = [];
+        for (let i = 1; i <= frames; i++) {
+            if (i <= third) {
+                positions.push({ top: bounce(i * deltaY, maxTop), left: 0 });
+            } else if (i <= 2 * third) {
+                positions.push({ top: bounce(third * deltaY, maxTop), left: bounce((i - third) * deltaX, maxLeft) });
+            } else {
+                const back = (frames - i) / (frames - 2 * third);
+                positions.push({
+                    top: Math.round(bounce(third * deltaY, maxTop) * back),
+                    left: Math.round(bounce(third * deltaX, maxLeft) * back)
+                });
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * 在测试期间把渲染单元格和行头列头的耗时累加到 rendering.time，返回恢复原方法的函数
+     */
+    measureRendering(rendering) {
+        const simulator = this.simulator;
+        const methods = ['renderVisibleCells', 'updateHeadersPosition'];
+        methods.forEach(name => {
+            const original = simulator[name];
+            simulator[name] = function (...args) {
+                const start = performance.now();
+                const result = original.apply(this, args);
+                rendering.time += performance.now() - start;
+                return result;
+            };
+        });
+        return () => methods.forEach(name => delete simulator[name]);
+    }
+
+    static summarize(frameTimes, renderTimes) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        const sorted = frameTimes.slice().sort((a, b) => a - b);
+        return {
+            frames: frameTimes.length,
+            averageFrame: round(average(frameTimes)),
+            p95Frame: round(sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0),
+            maxFrame: round(sorted.length ? sorted[sorted.length - 1] : 0),
+            droppedFrames: frameTimes.filter(time => time > 25).length,
+            averageRender: round(average(renderTimes)),
+            maxRender: round(renderTimes.length ? Math.max(...renderTimes) : 0)
+        };
+    }
+}
+
+// 地址带 ?benchmark 时，等待恢复上次的会话后运行一次
+window.addEventListener('load', () => {
+    if (!new URLSearchParams(location.search).has('benchmark')) return;
+    setTimeout(() => {
+        new ScrollBenchmark(window.virtualExcelSimulator).run().then(result => console.table(result));
+    }, 1000);
+});
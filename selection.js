@@ -0,0 +1,263 @@
+/**
+ * 选区模型
+ * 选区由若干矩形区域 { minRow, maxRow, minCol, maxCol } 组成，另记录活动单元格和扩展选择的锚点
+ * 整行、整列和全选的区域以 Infinity 作为上界，不随表格大小展开为单元格，判断和选择都是 O(1)
+ */
+class SelectionModel {
+    constructor() {
+        this.ranges = []; // 矩形区域，最后一个为当前区域（Shift 扩展时改变的区域）
+        this.active = null; // 活动单元格 { row, col }
+        this.anchor = null; // 扩展选择的起点 { row, col }
+    }
+
+    /**
+     * 由两个角创建区域（任意方向）
+     */
+    static createRange(startRow, startCol, endRow, endCol) {
+        return {
+            minRow: Math.min(startRow, endRow),
+            maxRow: Math.max(startRow, endRow),
+            minCol: Math.min(startCol, endCol),
+            maxCol: Math.max(startCol, endCol)
+        };
+    }
+
+    static rangeContains(range, row, col) {
+        return row >= range.minRow && row <= range.maxRow && col >= range.minCol && col <= range.maxCol;
+    }
+
+    isEmpty() {
+        return this.ranges.length === 0;
+    }
+
+    /**
+     * 是否只选中了一个单元格
+     */
+    isSingleCell() {
+        if (this.ranges.length !== 1) return false;
+        const range = this.ranges[0];
+        return range.minRow === range.maxRow && range.minCol === range.maxCol;
+    }
+
+    clear() {
+        this.ranges = [];
+        this.active = null;
+        this.anchor = null;
+    }
+
+    /**
+     * 选择从 start 到 end 的区域，start 成为锚点和活动单元格
+     * add 为 true 时追加区域（Ctrl 多选），否则替换原有选区
+     */
+    selectRange(startRow, startCol, endRow, endCol, add = false) {
+        const range = SelectionModel.createRange(startRow, startCol, endRow, endCol);
+        if (add) {
+            this.ranges.push(range);
+        } else {
+            this.ranges = [range];
+        }
+        this.anchor = { row: startRow, col: startCol };
+        this.active = { row: startRow, col: startCol };
+    }
+
+    selectCell(row, col, add = false) {
+        this.selectRange(row, col, row, col, add);
+    }
+
+    /**
+     * 选择从 startRow 到 endRow 的整行
+     */
+    selectRows(startRow, endRow, add = false) {
+        this.selectRange(startRow, 0, endRow, 0, add);
+        this.currentRange.maxCol = Infinity;
+    }
+
+    /**
+     * 选择从 startCol 到 endCol 的整列
+     */
+    selectColumns(startCol, endCol, add = false) {
+        this.selectRange(0, startCol, 0, endCol, add);
+        this.currentRange.maxRow = Infinity;
+    }
+
+    /**
+     * 全选
+     */
+    selectAll() {
+        this.ranges = [{ minRow: 0, maxRow: Infinity, minCol: 0, maxCol: Infinity }];
+        this.anchor = { row: 0, col: 0 };
+        this.active = { row: 0, col: 0 };
+    }
+
+    /**
+     * 将当前区域扩展为从锚点到指定单元格的矩形，活动单元格不变
+     * 整行/整列区域只在对应方向上扩展
+     */
+    extendTo(row, col) {
+        if (!this.anchor) {
+            this.selectCell(row, col);
+            return;
+        }
+        const current = this.currentRange;
+        const range = SelectionModel.createRange(this.anchor.row, this.anchor.col, row, col);
+        if (current.maxCol === Infinity) {
+            range.minCol = 0;
+            range.maxCol = Infinity;
+        }
+        if (current.maxRow === Infinity) {
+            range.minRow = 0;
+            range.maxRow = Infinity;
+        }
+        this.ranges[this.ranges.length - 1] = range;
+    }
+
+    /**
+     * 将当前区域替换为从锚点所在行到指定行的整行
+     */
+    extendRowsTo(row) {
+        if (!this.anchor) {
+            this.selectRows(row, row);
+            return;
+        }
+        const range = SelectionModel.createRange(this.anchor.row, 0, row, 0);
+        range.maxCol = Infinity;
+        this.ranges[this.ranges.length - 1] = range;
+    }
+
+    /**
+     * 将当前区域替换为从锚点所在列到指定列的整列
+     */
+    extendColumnsTo(col) {
+        if (!this.anchor) {
+            this.selectColumns(col, col);
+            return;
+        }
+        const range = SelectionModel.createRange(0, this.anchor.col, 0, col);
+        range.maxRow = Infinity;
+        this.ranges[this.ranges.length - 1] = range;
+    }
+
+    /**
+     * 当前区域中与锚点相对的角（Shift 扩展时移动的一端），整行/整列方向上为 Infinity
+     */
+    getFocus() {
+        const range = this.currentRange;
+        if (!range || !this.anchor) return this.active && { ...this.active };
+        return {
+            row: this.anchor.row === range.minRow ? range.maxRow : range.minRow,
+            col: this.anchor.col === range.minCol ? range.maxCol : range.minCol
+        };
+    }
+
+    get currentRange() {
+        return this.ranges[this.ranges.length - 1] || null;
+    }
+
+    contains(row, col) {
+        return this.ranges.some(range => SelectionModel.rangeContains(range, row, col));
+    }
+
+    /**
+     * 是否选中了整行
+     */
+    isRowSelected(row) {
+        return this.ranges.some(range => range.minCol === 0 && range.maxCol === Infinity &&
+            row >= range.minRow && row <= range.maxRow);
+    }
+
+    /**
+     * 是否选中了整列
+     */
+    isColumnSelected(col) {
+        return this.ranges.some(range => range.minRow === 0 && range.maxRow === Infinity &&
+            col >= range.minCol && col <= range.maxCol);
+    }
+
+    /**
+     * 行中是否有选中的单元格
+     */
+    intersectsRow(row) {
+        return this.ranges.some(range => row >= range.minRow && row <= range.maxRow);
+    }
+
+    /**
+     * 列中是否有选中的单元格
+     */
+    intersectsColumn(col) {
+        return this.ranges.some(range => col >= range.minCol && col <= range.maxCol);
+    }
+
+    /**
+     * 遍历选中的单元格 callback(row, col)，整行/整列限制在表格大小以内，重叠部分只遍历一次
+     */
+    forEachCell(rowCount, columnCount, callback) {
+        const visited = this.ranges.length > 1 ? new Set() : null;
+        this.ranges.forEach(range => {
+            const maxRow = Math.min(range.maxRow, rowCount - 1);
+            const maxCol = Math.min(range.maxCol, columnCount - 1);
+            for (let row = range.minRow; row <= maxRow; row++) {
+                for (let col = range.minCol; col <= maxCol; col++) {
+                    if (visited) {
+                        const key = `${row}-${col}`;
+                        if (visited.has(key)) continue;
+                        visited.add(key);
+                    }
+                    callback(row, col);
+                }
+            }
+        });
+    }
+
+    /**
+     * 所有区域的外接矩形，上界限制在表格大小以内；无选择时返回 null
+     */
+    getBounds(rowCount, columnCount) {
+        if (this.ranges.length === 0) return null;
+
+        let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+        this.ranges.forEach(range => {
+            minRow = Math.min(minRow, range.minRow);
+            maxRow = Math.max(maxRow, range.maxRow);
+            minCol = Math.min(minCol, range.minCol);
+            maxCol = Math.max(maxCol, range.maxCol);
+        });
+        return {
+            minRow,
+            maxRow: Math.min(maxRow, rowCount - 1),
+            minCol,
+            maxCol: Math.min(maxCol, columnCount - 1)
+        };
+    }
+
+    clone() {
+        return SelectionModel.fromRecord(this.toRecord());
+    }
+
+    /**
+     * 保存用的记录（含 Infinity，依赖 IndexedDB 的结构化克隆，不能转为 JSON）
+     */
+    toRecord() {
+        return {
+            ranges: this.ranges.map(range => ({ ...range })),
+            active: this.active && { ...this.active },
+            anchor: this.anchor && { ...this.anchor }
+        };
+    }
+
+    /**
+     * 从保存的记录恢复选区（兼容只保存外接矩形 { minRow, maxRow, minCol, maxCol } 的旧记录）
+     */
+    static fromRecord(record) {
+        const selection = new SelectionModel();
+        if (!record) return selection;
+
+        if (record.ranges) {
+            selection.ranges = record.ranges.map(range => ({ ...range }));
+            selection.active = record.active && { ...record.active };
+            selection.anchor = record.anchor && { ...record.anchor };
+        } else {
+            selection.selectRange(record.minRow, record.minCol, record.maxRow, record.maxCol);
+        }
+        return selection;
+    }
+}
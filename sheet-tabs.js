@@ -0,0 +1,234 @@
+/**
+ * 工作表标签栏
+ * 显示工作表标签，支持切换、新增、双击重命名、拖动排序以及右键菜单（插入/重命名/复制/删除/移动）
+ * 标签栏只负责界面，具体操作通过 handlers 回调交给表格执行：
+ *   onSelect(index), onAdd(), onRename(index, name), onDuplicate(index), onDelete(index), onMove(from, to)
+ */
+class SheetTabBar {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+        this.names = [];
+        this.activeIndex = 0;
+        this.menuIndex = null; // 右键菜单对应的标签
+        this.dragIndex = null; // 正在拖动的标签
+
+        this.addButton = document.createElement('button');
+        this.addButton.className = 'sheet-add';
+        this.addButton.textContent = '+';
+        this.addButton.title = '新建工作表';
+        this.addButton.addEventListener('click', () => this.handlers.onAdd());
+
+        this.list = document.createElement('div');
+        this.list.className = 'sheet-tab-list';
+
+        this.container.appendChild(this.addButton);
+        this.container.appendChild(this.list);
+
+        this.createMenu();
+        this.bindEvents();
+    }
+
+    /**
+     * 创建标签右键菜单（沿用单元格右键菜单的样式）
+     */
+    createMenu() {
+        this.menu = document.createElement('div');
+        this.menu.className = 'context-menu';
+        [
+            ['insert', '插入工作表'],
+            ['rename', '重命名'],
+            ['duplicate', '复制工作表'],
+            ['delete', '删除工作表'],
+            null,
+            ['moveLeft', '左移'],
+            ['moveRight', '右移']
+        ].forEach(item => {
+            const element = document.createElement('div');
+            if (item) {
+                element.className = 'menu-item';
+                element.dataset.action = item[0];
+                element.textContent = item[1];
+            } else {
+                element.className = 'menu-separator';
+            }
+            this.menu.appendChild(element);
+        });
+        document.body.appendChild(this.menu);
+    }
+
+    bindEvents() {
+        this.list.addEventListener('mousedown', (e) => {
+            const tab = e.target.closest('.sheet-tab');
+            if (tab && e.button === 0 && !e.target.closest('input')) {
+                this.handlers.onSelect(Number(tab.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('dblclick', (e) => {
+            const tab = e.target.closest('.sheet-tab');
+            if (tab) this.startRename(Number(tab.dataset.index));
+        });
+
+        this.list.addEventListener('contextmenu', (e) => {
+            const tab = e.target.closest('.sheet-tab');
+            e.preventDefault();
+            e.stopPropagation(); // 不显示单元格右键菜单
+            if (!tab) return;
+
+            this.menuIndex = Number(tab.dataset.index);
+            this.handlers.onSelect(this.menuIndex);
+            this.menu.style.display = 'block';
+            // 菜单显示在鼠标上方，避免超出窗口底部
+            this.menu.style.left = e.pageX + 'px';
+            this.menu.style.top = Math.max(0, e.pageY - this.menu.offsetHeight) + 'px';
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action) return;
+            this.menu.style.display = 'none';
+            this.handleMenuAction(action, this.menuIndex);
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!this.menu.contains(e.target)) {
+                this.menu.style.display = 'none';
+            }
+        });
+
+        // 拖动标签调整顺序
+        this.list.addEventListener('dragstart', (e) => {
+            const tab = e.target.closest('.sheet-tab');
+            if (!tab) return;
+            this.dragIndex = Number(tab.dataset.index);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', tab.textContent);
+        });
+
+        this.list.addEventListener('dragover', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            this.showDropMarker(this.getDropIndex(e));
+        });
+
+        this.list.addEventListener('drop', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            const from = this.dragIndex;
+            let to = this.getDropIndex(e);
+            if (to > from) to--; // 移除原位置后目标索引前移
+            this.endDrag();
+            if (to !== from) this.handlers.onMove(from, to);
+        });
+
+        this.list.addEventListener('dragend', () => this.endDrag());
+    }
+
+    handleMenuAction(action, index) {
+        switch (action) {
+            case 'insert':
+                this.handlers.onAdd();
+                break;
+            case 'rename':
+                this.startRename(index);
+                break;
+            case 'duplicate':
+                this.handlers.onDuplicate(index);
+                break;
+            case 'delete':
+                this.handlers.onDelete(index);
+                break;
+            case 'moveLeft':
+                if (index > 0) this.handlers.onMove(index, index - 1);
+                break;
+            case 'moveRight':
+                if (index < this.names.length - 1) this.handlers.onMove(index, index + 1);
+                break;
+        }
+    }
+
+    /**
+     * 根据鼠标位置计算插入位置（0 到标签数量）
+     */
+    getDropIndex(e) {
+        const tabs = Array.from(this.list.querySelectorAll('.sheet-tab'));
+        for (let i = 0; i < tabs.length; i++) {
+            const rect = tabs[i].getBoundingClientRect();
+            if (e.clientX < rect.left + rect.width / 2) return i;
+        }
+        return tabs.length;
+    }
+
+    showDropMarker(index) {
+        this.list.querySelectorAll('.sheet-tab').forEach((tab, i) => {
+            tab.classList.toggle('drop-before', i === index);
+            tab.classList.toggle('drop-after', i === this.names.length - 1 && index === this.names.length);
+        });
+    }
+
+    endDrag() {
+        this.dragIndex = null;
+        this.showDropMarker(-1);
+    }
+
+    /**
+     * 重新渲染标签
+     */
+    render(names, activeIndex) {
+        this.names = names;
+        this.activeIndex = activeIndex;
+        this.list.innerHTML = '';
+
+        names.forEach((name, index) => {
+            const tab = document.createElement('div');
+            tab.className = 'sheet-tab' + (index === activeIndex ? ' active' : '');
+            tab.dataset.index = index;
+            tab.draggable = true;
+            tab.textContent = name;
+            tab.title = name;
+            this.list.appendChild(tab);
+        });
+
+        const active = this.list.children[activeIndex];
+        if (active && active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    /**
+     * 在标签内显示输入框重命名：Enter 或失去焦点时提交，Esc 取消
+     */
+    startRename(index) {
+        const tab = this.list.children[index];
+        if (!tab || tab.querySelector('input')) return;
+
+        const input = document.createElement('input');
+        input.className = 'sheet-rename';
+        input.value = this.names[index];
+        tab.textContent = '';
+        tab.draggable = false;
+        tab.appendChild(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            const name = input.value.trim();
+            if (commit && name !== this.names[index]) {
+                this.handlers.onRename(index, name);
+            }
+            // 无论是否成功都按当前名称重新渲染
+            this.render(this.names, this.activeIndex);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
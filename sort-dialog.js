@@ -0,0 +1,166 @@
+/**
+ * 排序对话框
+ * 设置一个或多个排序依据（列和升序/降序）以及区域是否包含标题行
+ * 对话框只负责界面，确定后通过 handlers.onSort({ keys: [{ col, descending }], hasHeader }) 交给表格执行
+ */
+class SortDialog {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+        this.columns = []; // [{ col, name, header }]
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'dialog-overlay';
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'dialog sort-dialog';
+
+        const title = document.createElement('div');
+        title.className = 'dialog-title';
+        title.textContent = '排序';
+
+        const options = document.createElement('label');
+        options.className = 'dialog-option';
+        this.headerCheckbox = document.createElement('input');
+        this.headerCheckbox.type = 'checkbox';
+        this.headerCheckbox.addEventListener('change', () => this.updateColumnNames());
+        options.appendChild(this.headerCheckbox);
+        options.appendChild(document.createTextNode('数据包含标题'));
+
+        this.keyList = document.createElement('div');
+        this.keyList.className = 'sort-keys';
+
+        const addButton = document.createElement('button');
+        addButton.textContent = '添加条件';
+        addButton.addEventListener('click', () => this.addKey());
+
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-buttons';
+        const okButton = document.createElement('button');
+        okButton.textContent = '确定';
+        okButton.addEventListener('click', () => this.confirm());
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = '取消';
+        cancelButton.addEventListener('click', () => this.close());
+        buttons.appendChild(okButton);
+        buttons.appendChild(cancelButton);
+
+        this.dialog.appendChild(title);
+        this.dialog.appendChild(options);
+        this.dialog.appendChild(this.keyList);
+        this.dialog.appendChild(addButton);
+        this.dialog.appendChild(buttons);
+        this.overlay.appendChild(this.dialog);
+        this.container.appendChild(this.overlay);
+
+        // 对话框中的按键不作用于表格
+        this.overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                this.confirm();
+            }
+        });
+    }
+
+    /**
+     * 打开对话框
+     * columns 为区域中的列 [{ col, name, header }]，name 为列名（如 B），header 为标题行中的文本
+     * col 为默认的主要排序依据
+     */
+    open(columns, hasHeader, col) {
+        this.columns = columns;
+        this.headerCheckbox.checked = hasHeader;
+        this.keyList.innerHTML = '';
+        this.addKey(col);
+        this.overlay.style.display = 'flex';
+        this.keyList.querySelector('select').focus();
+    }
+
+    close() {
+        this.overlay.style.display = 'none';
+    }
+
+    /**
+     * 添加一个排序依据（默认为还没有使用的第一列）
+     */
+    addKey(col) {
+        const used = this.getKeys().map(key => key.col);
+        const column = this.columns.find(item => item.col === col) ||
+            this.columns.find(item => !used.includes(item.col)) || this.columns[0];
+
+        const row = document.createElement('div');
+        row.className = 'sort-key';
+
+        const label = document.createElement('span');
+        label.className = 'sort-key-label';
+
+        const columnSelect = document.createElement('select');
+        columnSelect.className = 'sort-key-column';
+        this.columns.forEach(item => columnSelect.add(new Option(this.getColumnName(item), item.col)));
+        columnSelect.value = column.col;
+
+        const orderSelect = document.createElement('select');
+        orderSelect.className = 'sort-key-order';
+        orderSelect.add(new Option('升序', 'ascending'));
+        orderSelect.add(new Option('降序', 'descending'));
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '删除';
+        removeButton.addEventListener('click', () => {
+            row.remove();
+            this.updateLabels();
+        });
+
+        row.appendChild(label);
+        row.appendChild(columnSelect);
+        row.appendChild(orderSelect);
+        row.appendChild(removeButton);
+        this.keyList.appendChild(row);
+        this.updateLabels();
+    }
+
+    /**
+     * 第一个依据为主要关键字，其余为次要关键字；只有一个依据时不能删除
+     */
+    updateLabels() {
+        const rows = Array.from(this.keyList.children);
+        rows.forEach((row, index) => {
+            row.querySelector('.sort-key-label').textContent = index === 0 ? '主要关键字' : '次要关键字';
+            row.querySelector('button').disabled = rows.length === 1;
+        });
+    }
+
+    /**
+     * 包含标题时用标题文本作为列名
+     */
+    getColumnName(column) {
+        return this.headerCheckbox.checked && column.header ? column.header : `列 ${column.name}`;
+    }
+
+    updateColumnNames() {
+        this.keyList.querySelectorAll('.sort-key-column').forEach(select => {
+            Array.from(select.options).forEach((option, index) => {
+                option.textContent = this.getColumnName(this.columns[index]);
+            });
+        });
+    }
+
+    getKeys() {
+        return Array.from(this.keyList.children).map(row => ({
+            col: Number(row.querySelector('.sort-key-column').value),
+            descending: row.querySelector('.sort-key-order').value === 'descending'
+        }));
+    }
+
+    confirm() {
+        const options = { keys: this.getKeys(), hasHeader: this.headerCheckbox.checked };
+        this.close();
+        this.handlers.onSort(options);
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * 区域排序
+ * 按一个或多个排序依据比较行，比较时区分值的类型（与 Excel 相同）：
+ *   升序时 数字（含日期时间） < 文本 < 逻辑值（FALSE < TRUE） < 错误值，降序时相反
+ *   空单元格无论升序降序都排在最后
+ * 文本按区域设置比较（不区分大小写，中文按拼音）；排序是稳定的，依据相同的行保持原有顺序
+ */
+class RangeSort {
+    /**
+     * 排序后的行顺序
+     * rows 为 [{ index, values }]，values 为各排序依据所在列的值；keys 为 [{ descending }]，与 values 一一对应
+     * 返回排序后的 index 数组
+     */
+    static order(rows, keys) {
+        return rows.slice().sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const result = RangeSort.compare(a.values[i], b.values[i], keys[i].descending);
+                if (result !== 0) return result;
+            }
+            return a.index - b.index;
+        }).map(row => row.index);
+    }
+
+    /**
+     * 比较两个单元格的值（空值总是排在后面）
+     */
+    static compare(a, b, descending = false) {
+        const blankA = RangeSort.isBlank(a);
+        const blankB = RangeSort.isBlank(b);
+        if (blankA || blankB) {
+            return blankA === blankB ? 0 : blankA ? 1 : -1;
+        }
+
+        let result = RangeSort.typeRank(a) - RangeSort.typeRank(b);
+        if (result === 0) {
+            if (typeof a === 'number') {
+                result = a - b;
+            } else if (typeof a === 'string') {
+                result = RangeSort.collator.compare(a, b);
+            } else if (typeof a === 'boolean') {
+                result = Number(a) - Number(b);
+            }
+        }
+        return descending ? -result : result;
+    }
+
+    static isBlank(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    /**
+     * 值类型的顺序：数字、文本、逻辑值、错误值
+     */
+    static typeRank(value) {
+        if (typeof value === 'number') return 0;
+        if (typeof value === 'string') return 1;
+        if (typeof value === 'boolean') return 2;
+        return 3;
+    }
+
+    /**
+     * 判断区域首行是否为标题行
+     * rows 为区域各行的值；styled 表示首行的格式与第二行不同（如标题加粗）
+     * 首行的非空值都是文本，并且首行格式不同或某一列下面含有非文本的值时认为是标题
+     */
+    static detectHeader(rows, styled = false) {
+        if (rows.length < 2) return false;
+        const [first, ...rest] = rows;
+        const filled = first.filter(value => !RangeSort.isBlank(value));
+        if (filled.length === 0 || filled.some(value => typeof value !== 'string')) return false;
+        if (styled) return true;
+        return first.some((value, col) => !RangeSort.isBlank(value) &&
+            rest.some(row => !RangeSort.isBlank(row[col]) && typeof row[col] !== 'string'));
+    }
+}
+
+// 中文按拼音排序，英文不区分大小写
+RangeSort.collator = new Intl.Collator('zh-CN-u-co-pinyin', { sensitivity: 'accent' });
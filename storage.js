@@ -0,0 +1,59 @@
+/**
+ * 工作簿本地存储（IndexedDB）
+ * 每个工作簿保存为一条记录，记录内容由调用方序列化
+ */
+class WorkbookStore {
+    constructor(databaseName = 'online-excel') {
+        this.databaseName = databaseName;
+        this.storeName = 'workbooks';
+        this.databasePromise = null;
+    }
+
+    /**
+     * 打开数据库（只打开一次）
+     */
+    open() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    if (!database.objectStoreNames.contains(this.storeName)) {
+                        database.createObjectStore(this.storeName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * 读取工作簿记录，不存在时返回 null
+     */
+    async load(id) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = database.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 保存工作簿记录（记录需包含 id 字段）
+     */
+    async save(record) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
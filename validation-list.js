@@ -0,0 +1,96 @@
+/**
+ * 数据验证序列的下拉列表
+ * 点击单元格旁的下拉箭头（或 Alt+↓）时列出序列中的值，选择后通过 handlers.onSelect(value) 交给表格写入单元格
+ */
+class ValidationList {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers;
+        this.values = [];
+        this.highlighted = -1;
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'validation-list';
+        this.element.tabIndex = -1;
+        this.container.appendChild(this.element);
+
+        this.element.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.validation-item');
+            e.preventDefault();
+            if (item) this.select(parseInt(item.dataset.index));
+        });
+
+        // 列表中的按键不作用于表格，点击列表以外的位置时关闭
+        this.element.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (this.highlighted >= 0) this.select(this.highlighted);
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.highlight(Math.max(0, Math.min(this.values.length - 1, this.highlighted + step)));
+            }
+        });
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen() && !this.element.contains(e.target)) this.close();
+        });
+    }
+
+    /**
+     * 在 (x, y) 处打开列表，current 为单元格当前的显示文本（高亮对应的值）
+     */
+    open(x, y, values, current) {
+        this.values = values;
+        this.element.innerHTML = '';
+        values.forEach((value, index) => {
+            const item = document.createElement('div');
+            item.className = 'validation-item';
+            item.dataset.index = index;
+            item.textContent = value;
+            this.element.appendChild(item);
+        });
+        if (values.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'validation-empty';
+            empty.textContent = '(无可选值)';
+            this.element.appendChild(empty);
+        }
+
+        this.element.style.left = x + 'px';
+        this.element.style.top = y + 'px';
+        this.element.style.display = 'block';
+        const text = String(current).toLowerCase();
+        this.highlight(values.findIndex(value => value.toLowerCase() === text));
+        this.element.focus();
+    }
+
+    close() {
+        this.element.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.element.style.display === 'block';
+    }
+
+    highlight(index) {
+        this.highlighted = index;
+        Array.from(this.element.children).forEach((item, i) => {
+            item.classList.toggle('highlighted', i === index);
+        });
+        const item = this.element.children[index];
+        if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }
+
+    select(index) {
+        const value = this.values[index];
+        this.close();
+        if (value !== undefined) this.handlers.onSelect(value);
+    }
+}
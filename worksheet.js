@@ -0,0 +1,63 @@
+/**
+ * 工作表
+ * 保存单个工作表的单元格数据和样式、合并单元格、自动筛选、条件格式、数据验证、行高列宽和隐藏的行列、选区、冻结窗格、滚动位置以及公式计算缓存
+ */
+class Worksheet {
+    constructor(id, name, rowCount, columnCount, defaultRowHeight, defaultColumnWidth) {
+        this.id = id; // 工作表标识，改名后不变（用于依赖图）
+        this.name = name;
+        this.data = new Map(); // 单元格原始内容
+        this.styles = new Map(); // 单元格样式（见 CellStyle）
+        this.merges = new MergedRegions(); // 合并单元格
+        this.autoFilter = null; // 自动筛选（见 AutoFilter），未开启时为 null
+        this.conditionalFormats = new ConditionalFormats(); // 条件格式规则
+        this.dataValidations = new DataValidations(); // 数据验证规则
+        this.modifiedCells = new Set(); // 被修改过的单元格
+        this.selection = new SelectionModel(); // 选区
+        this.rowHeights = new Array(rowCount).fill(defaultRowHeight);
+        this.columnWidths = new Array(columnCount).fill(defaultColumnWidth);
+        this.hiddenRows = new Set(); // 隐藏的行（与行高分开保存，取消隐藏后恢复原来的行高）
+        this.hiddenColumns = new Set(); // 隐藏的列
+        this.frozenRows = 0; // 冻结的顶部行数
+        this.frozenColumns = 0; // 冻结的左侧列数
+        this.formulaCache = new Map(); // 单元格 -> { formula, ast } 语法树缓存
+        this.computedValues = new Map(); // 公式单元格的计算结果
+        this.scrollTop = 0; // 切换到其他工作表时记录的滚动位置
+        this.scrollLeft = 0;
+    }
+
+    /**
+     * 复制工作表（内容、样式、合并单元格、自动筛选、条件格式、数据验证、行高列宽、隐藏的行列、选区、冻结窗格和滚动位置，不含计算缓存）
+     */
+    clone(id, name) {
+        const copy = new Worksheet(id, name, 0, 0, 0, 0);
+        copy.data = new Map(this.data);
+        copy.styles = new Map(this.styles);
+        copy.merges = this.merges.clone();
+        copy.autoFilter = this.autoFilter;
+        copy.conditionalFormats = this.conditionalFormats;
+        copy.dataValidations = this.dataValidations;
+        copy.modifiedCells = new Set(this.modifiedCells);
+        copy.selection = this.selection.clone();
+        copy.rowHeights = this.rowHeights.slice();
+        copy.columnWidths = this.columnWidths.slice();
+        copy.hiddenRows = new Set(this.hiddenRows);
+        copy.hiddenColumns = new Set(this.hiddenColumns);
+        copy.frozenRows = this.frozenRows;
+        copy.frozenColumns = this.frozenColumns;
+        copy.scrollTop = this.scrollTop;
+        copy.scrollLeft = this.scrollLeft;
+        return copy;
+    }
+
+    /**
+     * 检查工作表名称是否合法（与 Excel 规则一致），合法时返回 null，否则返回错误提示
+     */
+    static validateName(name) {
+        if (!name || !name.trim()) return '工作表名称不能为空';
+        if (name.length > 31) return '工作表名称不能超过31个字符';
+        if (/[\[\]:*?\/\\]/.test(name)) return '工作表名称不能包含以下字符：[ ] : * ? / \\';
+        if (name.startsWith("'") || name.endsWith("'")) return '工作表名称不能以单引号开头或结尾';
+        return null;
+    }
+}
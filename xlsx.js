@@ -0,0 +1,763 @@
+/**
+ * XLSX（Office Open XML 电子表格）读写
+ *
+ * 工作簿模型：{ sheets: [sheet] }，sheet 包含：
+ *   name          工作表名称
+ *   cells         Map<'row-col', 原始内容>，公式以 = 开头
+ *   values        Map<'row-col', 公式计算结果>，导出时作为缓存值写入（可省略）
+ *   styles        Map<'row-col', 样式对象>
+ *   columnWidths  Map<列索引, 像素>，只包含自定义列宽
+ *   rowHeights    Map<行索引, 像素>，只包含自定义行高
+ *   hiddenRows / hiddenColumns  隐藏的行和列的索引（Set，可省略）
+ *   defaultColumnWidth / defaultRowHeight  默认列宽行高（像素，可省略）
+ *   frozenRows / frozenColumns  冻结窗格的行数和列数（0 表示不冻结）
+ *   merges        合并区域数组 [{ minRow, maxRow, minCol, maxCol }]（可省略）
+ *
+ * 样式对象：{ bold, italic, underline, strikethrough, fontSize(磅), fontColor, fillColor,
+ *            horizontalAlign, verticalAlign, wrapText, borders: { top, right, bottom, left }, numberFormat }
+ */
+class XlsxFormat {
+    /**
+     * 读取XLSX文件内容，返回工作簿模型
+     */
+    static async read(buffer) {
+        const files = await ZipArchive.read(buffer);
+        const decoder = new TextDecoder();
+        const readXml = (path) => {
+            const data = files.get(path);
+            return data ? new DOMParser().parseFromString(decoder.decode(data), 'application/xml') : null;
+        };
+
+        const workbook = readXml('xl/workbook.xml');
+        if (!workbook) {
+            throw new Error('不是有效的XLSX文件');
+        }
+
+        const relations = XlsxFormat.readRelationships(readXml('xl/_rels/workbook.xml.rels'));
+        const sharedStrings = XlsxFormat.readSharedStrings(readXml('xl/sharedStrings.xml'));
+        const cellFormats = XlsxFormat.readStyles(readXml('xl/styles.xml'));
+
+        const sheets = [];
+        XlsxFormat.elements(workbook, 'sheet').forEach(element => {
+            const relationId = element.getAttributeNS(XlsxFormat.RELATIONSHIP_NS, 'id') || element.getAttribute('r:id');
+            const path = relations.get(relationId);
+            const document = path ? readXml(path) : null;
+            if (document) {
+                sheets.push(XlsxFormat.readSheet(document, element.getAttribute('name'), sharedStrings, cellFormats));
+            }
+        });
+
+        return { sheets };
+    }
+
+    /**
+     * 生成XLSX文件（Blob）
+     */
+    static async write(workbook) {
+        const sharedStrings = [];
+        const stringIndexes = new Map();
+        const styleSheet = new XlsxStyleSheet();
+        const usedNames = new Set();
+
+        const sheets = workbook.sheets.map((sheet, index) => {
+            const name = XlsxFormat.sanitizeSheetName(sheet.name || `Sheet${index + 1}`, usedNames);
+            usedNames.add(name.toLowerCase());
+            return {
+                name,
+                xml: XlsxFormat.writeSheet(sheet, styleSheet, (text) => {
+                    if (!stringIndexes.has(text)) {
+                        stringIndexes.set(text, sharedStrings.length);
+                        sharedStrings.push(text);
+                    }
+                    return stringIndexes.get(text);
+                })
+            };
+        });
+
+        const escape = XlsxFormat.escapeXml;
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const files = [];
+
+        files.push({
+            name: '[Content_Types].xml',
+            data: header +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                sheets.map((sheet, i) =>
+                    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+                ).join('') +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>' +
+                '</Types>'
+        });
+
+        files.push({
+            name: '_rels/.rels',
+            data: header +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        });
+
+        files.push({
+            name: 'xl/workbook.xml',
+            data: header +
+                `<workbook xmlns="${XlsxFormat.MAIN_NS}" xmlns:r="${XlsxFormat.RELATIONSHIP_NS}">` +
+                '<sheets>' +
+                sheets.map((sheet, i) => `<sheet name="${escape(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets>' +
+                '<calcPr calcId="191029" fullCalcOnLoad="1"/>' + // 打开时重新计算公式
+                '</workbook>'
+        });
+
+        const relationType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        files.push({
+            name: 'xl/_rels/workbook.xml.rels',
+            data: header +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, i) =>
+                    `<Relationship Id="rId${i + 1}" Type="${relationType}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+                ).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="${relationType}/styles" Target="styles.xml"/>` +
+                `<Relationship Id="rId${sheets.length + 2}" Type="${relationType}/sharedStrings" Target="sharedStrings.xml"/>` +
+                '</Relationships>'
+        });
+
+        sheets.forEach((sheet, i) => {
+            files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: header + sheet.xml });
+        });
+
+        files.push({ name: 'xl/styles.xml', data: header + styleSheet.toXml() });
+
+        files.push({
+            name: 'xl/sharedStrings.xml',
+            data: header +
+                `<sst xmlns="${XlsxFormat.MAIN_NS}" count="${sharedStrings.length}" uniqueCount="${sharedStrings.length}">` +
+                sharedStrings.map(text => `<si><t xml:space="preserve">${escape(text)}</t></si>`).join('') +
+                '</sst>'
+        });
+
+        const blob = await ZipArchive.write(files);
+        return new Blob([blob], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    // ---------- 读取 ----------
+
+    /**
+     * 按本地名称查找元素（忽略命名空间前缀）
+     */
+    static elements(node, localName) {
+        return Array.from(node.getElementsByTagNameNS('*', localName));
+    }
+
+    /**
+     * 查找第一个指定名称的直接子元素
+     */
+    static child(element, localName) {
+        return Array.from(element.children).find(child => child.localName === localName) || null;
+    }
+
+    /**
+     * 读取工作簿关系文件，返回 Map<关系ID, 包内路径>
+     */
+    static readRelationships(document) {
+        const relations = new Map();
+        if (!document) return relations;
+
+        XlsxFormat.elements(document, 'Relationship').forEach(element => {
+            const target = element.getAttribute('Target');
+            const path = target.startsWith('/') ? target.slice(1) : 'xl/' + target;
+            relations.set(element.getAttribute('Id'), path);
+        });
+        return relations;
+    }
+
+    /**
+     * 读取共享字符串表
+     */
+    static readSharedStrings(document) {
+        if (!document) return [];
+
+        return XlsxFormat.elements(document, 'si').map(item => {
+            const text = XlsxFormat.child(item, 't');
+            if (text) return text.textContent;
+            // 富文本：拼接各段文字（忽略拼音注释 rPh）
+            return Array.from(item.children)
+                .filter(child => child.localName === 'r')
+                .map(run => {
+                    const runText = XlsxFormat.child(run, 't');
+                    return runText ? runText.textContent : '';
+                })
+                .join('');
+        });
+    }
+
+    /**
+     * 读取样式表，返回按 cellXfs 顺序排列的样式对象数组（无样式为 null）
+     */
+    static readStyles(document) {
+        if (!document) return [];
+
+        const numberFormats = new Map(Object.entries(XlsxFormat.BUILTIN_NUMBER_FORMATS).map(([id, code]) => [Number(id), code]));
+        XlsxFormat.elements(document, 'numFmt').forEach(element => {
+            numberFormats.set(Number(element.getAttribute('numFmtId')), element.getAttribute('formatCode'));
+        });
+
+        const readColor = (element) => {
+            const rgb = element && element.getAttribute('rgb');
+            return rgb ? '#' + rgb.slice(-6).toUpperCase() : null;
+        };
+
+        const section = (name) => {
+            const element = XlsxFormat.elements(document, name)[0];
+            return element ? Array.from(element.children) : [];
+        };
+
+        const fonts = section('fonts').map(font => {
+            const style = {};
+            const flag = (name) => {
+                const element = XlsxFormat.child(font, name);
+                return !!element && element.getAttribute('val') !== '0' && element.getAttribute('val') !== 'false';
+            };
+            if (flag('b')) style.bold = true;
+            if (flag('i')) style.italic = true;
+            if (XlsxFormat.child(font, 'u') && XlsxFormat.child(font, 'u').getAttribute('val') !== 'none') style.underline = true;
+            if (flag('strike')) style.strikethrough = true;
+            const size = XlsxFormat.child(font, 'sz');
+            if (size) style.fontSize = parseFloat(size.getAttribute('val'));
+            const color = readColor(XlsxFormat.child(font, 'color'));
+            if (color) style.fontColor = color;
+            return style;
+        });
+        // 默认字体的字号不作为单元格样式
+        const defaultFontSize = fonts[0] && fonts[0].fontSize;
+
+        const fills = section('fills').map(fill => {
+            const pattern = XlsxFormat.child(fill, 'patternFill');
+            if (!pattern || pattern.getAttribute('patternType') !== 'solid') return {};
+            const color = readColor(XlsxFormat.child(pattern, 'fgColor'));
+            return color ? { fillColor: color } : {};
+        });
+
+        const borders = section('borders').map(border => {
+            const sides = {};
+            ['top', 'right', 'bottom', 'left'].forEach(side => {
+                const element = XlsxFormat.child(border, side);
+                if (element && element.getAttribute('style') && element.getAttribute('style') !== 'none') {
+                    sides[side] = true;
+                }
+            });
+            return Object.keys(sides).length > 0 ? { borders: sides } : {};
+        });
+
+        return section('cellXfs').map(xf => {
+            const style = {};
+            const font = fonts[Number(xf.getAttribute('fontId')) || 0] || {};
+            Object.assign(style, font);
+            if (style.fontSize === defaultFontSize) delete style.fontSize;
+            Object.assign(style, fills[Number(xf.getAttribute('fillId')) || 0] || {});
+            Object.assign(style, borders[Number(xf.getAttribute('borderId')) || 0] || {});
+
+            const numberFormatId = Number(xf.getAttribute('numFmtId')) || 0;
+            const code = numberFormats.get(numberFormatId);
+            if (numberFormatId !== 0 && code) style.numberFormat = code;
+
+            const alignment = XlsxFormat.child(xf, 'alignment');
+            if (alignment) {
+                const horizontal = alignment.getAttribute('horizontal');
+                const vertical = alignment.getAttribute('vertical');
+                if (['left', 'center', 'right'].includes(horizontal)) style.horizontalAlign = horizontal;
+                if (vertical === 'top' || vertical === 'bottom') style.verticalAlign = vertical;
+                if (vertical === 'center') style.verticalAlign = 'middle';
+                if (alignment.getAttribute('wrapText') === '1' || alignment.getAttribute('wrapText') === 'true') {
+                    style.wrapText = true;
+                }
+            }
+
+            return Object.keys(style).length > 0 ? style : null;
+        });
+    }
+
+    /**
+     * 读取工作表
+     */
+    static readSheet(document, name, sharedStrings, cellFormats) {
+        const sheet = {
+            name,
+            cells: new Map(),
+            values: new Map(),
+            styles: new Map(),
+            columnWidths: new Map(),
+            rowHeights: new Map(),
+            hiddenRows: new Set(),
+            hiddenColumns: new Set(),
+            frozenRows: 0,
+            frozenColumns: 0,
+            merges: []
+        };
+
+        // 冻结窗格（拆分窗格不是冻结，忽略）
+        const pane = XlsxFormat.elements(document, 'pane')[0];
+        if (pane && /^frozen/.test(pane.getAttribute('state') || '')) {
+            sheet.frozenRows = Math.floor(Number(pane.getAttribute('ySplit')) || 0);
+            sheet.frozenColumns = Math.floor(Number(pane.getAttribute('xSplit')) || 0);
+        }
+
+        // 列宽（字符数）转像素，以及隐藏的列
+        XlsxFormat.elements(document, 'col').forEach(element => {
+            const width = parseFloat(element.getAttribute('width'));
+            const hidden = element.getAttribute('hidden') === '1';
+            if (!width && !hidden) return;
+            const min = Number(element.getAttribute('min'));
+            const max = Math.min(Number(element.getAttribute('max')), XlsxFormat.MAX_COLUMNS);
+            for (let col = min; col <= max; col++) {
+                if (width) sheet.columnWidths.set(col - 1, XlsxFormat.columnWidthToPixels(width));
+                if (hidden) sheet.hiddenColumns.add(col - 1);
+            }
+        });
+
+        const engine = new FormulaEngine();
+        const sharedFormulas = new Map(); // 共享公式ID -> { formula, row, col }
+        let rowIndex = -1;
+
+        XlsxFormat.elements(document, 'row').forEach(rowElement => {
+            rowIndex = rowElement.hasAttribute('r') ? Number(rowElement.getAttribute('r')) - 1 : rowIndex + 1;
+            const height = parseFloat(rowElement.getAttribute('ht'));
+            if (height && rowElement.getAttribute('customHeight') === '1') {
+                sheet.rowHeights.set(rowIndex, Math.round(height * 4 / 3)); // 磅转像素
+            }
+            if (rowElement.getAttribute('hidden') === '1') {
+                sheet.hiddenRows.add(rowIndex);
+            }
+
+            let colIndex = -1;
+            Array.from(rowElement.children).forEach(cell => {
+                if (cell.localName !== 'c') return;
+
+                if (cell.hasAttribute('r')) {
+                    const position = XlsxFormat.parseAddress(cell.getAttribute('r'));
+                    rowIndex = position.row;
+                    colIndex = position.col;
+                } else {
+                    colIndex++;
+                }
+                const cellKey = `${rowIndex}-${colIndex}`;
+                const style = cellFormats[Number(cell.getAttribute('s')) || 0] || null;
+                if (style) {
+                    sheet.styles.set(cellKey, { ...style });
+                }
+
+                const type = cell.getAttribute('t') || 'n';
+                const formulaElement = XlsxFormat.child(cell, 'f');
+                const valueElement = XlsxFormat.child(cell, 'v');
+                const rawValue = valueElement ? valueElement.textContent : null;
+
+                // 公式（共享公式按相对位置平移主公式的引用）
+                let formula = null;
+                if (formulaElement) {
+                    const text = XlsxFormat.renameFunctions(formulaElement.textContent, false);
+                    const sharedId = formulaElement.getAttribute('si');
+                    if (formulaElement.getAttribute('t') === 'shared' && sharedId !== null) {
+                        if (text) {
+                            sharedFormulas.set(sharedId, { formula: '=' + text, row: rowIndex, col: colIndex });
+                            formula = '=' + text;
+                        } else if (sharedFormulas.has(sharedId)) {
+                            const master = sharedFormulas.get(sharedId);
+                            formula = engine.offsetReferences(master.formula, rowIndex - master.row, colIndex - master.col);
+                        }
+                    } else if (text) {
+                        formula = '=' + text;
+                    }
+                }
+
+                let value;
+                switch (type) {
+                    case 's':
+                        value = sharedStrings[Number(rawValue)] || '';
+                        break;
+                    case 'inlineStr': {
+                        const inline = XlsxFormat.child(cell, 'is');
+                        value = inline ? XlsxFormat.elements(inline, 't').map(t => t.textContent).join('') : '';
+                        break;
+                    }
+                    case 'b':
+                        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+                        break;
+                    case 'e':
+                    case 'str':
+                        value = rawValue || '';
+                        break;
+                    default:
+                        if (rawValue === null || rawValue === '') {
+                            value = '';
+                        } else {
+                            value = FormulaEngine.formatNumber(Number(rawValue));
+                        }
+                }
+
+                if (formula) {
+                    sheet.cells.set(cellKey, formula);
+                    if (value !== '') sheet.values.set(cellKey, value);
+                } else if (value !== '') {
+                    // 字符串单元格保持为文本（如 "001" 不变成数字）
+                    const isText = type === 's' || type === 'inlineStr' || type === 'str';
+                    sheet.cells.set(cellKey, isText ? CellValue.quote(value) : value);
+                }
+            });
+        });
+
+        // 合并区域（如 A1:C2）
+        XlsxFormat.elements(document, 'mergeCell').forEach(element => {
+            const [start, end] = (element.getAttribute('ref') || '').split(':');
+            if (!start || !end) return;
+            const from = XlsxFormat.parseAddress(start);
+            const to = XlsxFormat.parseAddress(end);
+            sheet.merges.push({
+                minRow: Math.min(from.row, to.row),
+                maxRow: Math.max(from.row, to.row),
+                minCol: Math.min(from.col, to.col),
+                maxCol: Math.max(from.col, to.col)
+            });
+        });
+
+        return sheet;
+    }
+
+    // ---------- 写入 ----------
+
+    /**
+     * 生成工作表XML
+     */
+    static writeSheet(sheet, styleSheet, addSharedString) {
+        const escape = XlsxFormat.escapeXml;
+        const rows = new Map(); // 行索引 -> [{ col, xml }]
+
+        const keys = new Set([...sheet.cells.keys(), ...(sheet.styles ? sheet.styles.keys() : [])]);
+        keys.forEach(cellKey => {
+            const [row, col] = cellKey.split('-').map(Number);
+            const raw = sheet.cells.get(cellKey);
+            const style = sheet.styles ? sheet.styles.get(cellKey) : null;
+            const styleIndex = style ? styleSheet.indexOf(style) : 0;
+            const styleAttribute = styleIndex ? ` s="${styleIndex}"` : '';
+            const reference = FormulaEngine.columnName(col) + (row + 1);
+            let xml;
+
+            if (raw === undefined || raw === '') {
+                xml = `<c r="${reference}"${styleAttribute}/>`;
+            } else if (FormulaEngine.isFormula(raw)) {
+                const cached = sheet.values ? sheet.values.get(cellKey) : undefined;
+                let cachedXml = '';
+                let typeAttribute = '';
+                if (typeof cached === 'number' && Number.isFinite(cached)) {
+                    cachedXml = `<v>${cached}</v>`;
+                } else if (typeof cached === 'boolean') {
+                    typeAttribute = ' t="b"';
+                    cachedXml = `<v>${cached ? 1 : 0}</v>`;
+                } else if (cached instanceof FormulaError) {
+                    // #CIRCULAR! 等本程序特有的错误值不是合法的 OOXML 错误，省略缓存值由 Excel 重新计算
+                    if (XlsxFormat.ERROR_CODES.includes(cached.code)) {
+                        typeAttribute = ' t="e"';
+                        cachedXml = `<v>${escape(cached.code)}</v>`;
+                    }
+                } else if (typeof cached === 'string') {
+                    typeAttribute = ' t="str"';
+                    cachedXml = `<v>${escape(cached)}</v>`;
+                }
+                xml = `<c r="${reference}"${styleAttribute}${typeAttribute}><f>${escape(XlsxFormat.renameFunctions(raw.slice(1), true))}</f>${cachedXml}</c>`;
+            } else {
+                const value = CellValue.parse(raw);
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    xml = `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+                } else if (typeof value === 'boolean') {
+                    xml = `<c r="${reference}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+                } else {
+                    xml = `<c r="${reference}"${styleAttribute} t="s"><v>${addSharedString(String(value))}</v></c>`;
+                }
+            }
+
+            if (!rows.has(row)) rows.set(row, []);
+            rows.get(row).push({ col, xml });
+        });
+
+        const hiddenRows = sheet.hiddenRows || new Set();
+        [...(sheet.rowHeights || new Map()).keys(), ...hiddenRows].forEach(row => {
+            if (!rows.has(row)) rows.set(row, []);
+        });
+
+        const sheetData = Array.from(rows.keys()).sort((a, b) => a - b).map(row => {
+            const cells = rows.get(row).sort((a, b) => a.col - b.col).map(cell => cell.xml).join('');
+            const height = sheet.rowHeights ? sheet.rowHeights.get(row) : undefined;
+            const heightAttributes = height !== undefined
+                ? ` ht="${XlsxFormat.round(height * 3 / 4)}" customHeight="1"` // 像素转磅
+                : '';
+            const hiddenAttribute = hiddenRows.has(row) ? ' hidden="1"' : '';
+            return `<row r="${row + 1}"${heightAttributes}${hiddenAttribute}>${cells}</row>`;
+        }).join('');
+
+        let viewXml = '';
+        if (sheet.frozenRows || sheet.frozenColumns) {
+            const rowCount = sheet.frozenRows || 0;
+            const columnCount = sheet.frozenColumns || 0;
+            const activePane = rowCount && columnCount ? 'bottomRight' : rowCount ? 'bottomLeft' : 'topRight';
+            viewXml = '<sheetViews><sheetView workbookViewId="0"><pane' +
+                (columnCount ? ` xSplit="${columnCount}"` : '') +
+                (rowCount ? ` ySplit="${rowCount}"` : '') +
+                ` topLeftCell="${FormulaEngine.columnName(columnCount)}${rowCount + 1}"` +
+                ` activePane="${activePane}" state="frozen"/></sheetView></sheetViews>`;
+        }
+
+        let formatXml = '';
+        if (sheet.defaultRowHeight || sheet.defaultColumnWidth) {
+            formatXml = '<sheetFormatPr' +
+                (sheet.defaultColumnWidth ? ` defaultColWidth="${XlsxFormat.pixelsToColumnWidth(sheet.defaultColumnWidth)}"` : '') +
+                ` defaultRowHeight="${XlsxFormat.round((sheet.defaultRowHeight || 20) * 3 / 4)}"` +
+                (sheet.defaultRowHeight ? ' customHeight="1"' : '') +
+                '/>';
+        }
+
+        const columnWidths = sheet.columnWidths || new Map();
+        const hiddenColumns = sheet.hiddenColumns || new Set();
+        const columns = Array.from(new Set([...columnWidths.keys(), ...hiddenColumns])).sort((a, b) => a - b);
+        const colsXml = columns.length > 0
+            ? '<cols>' + columns.map(col => {
+                const width = columnWidths.get(col);
+                return `<col min="${col + 1}" max="${col + 1}"` +
+                    (width !== undefined ? ` width="${XlsxFormat.pixelsToColumnWidth(width)}" customWidth="1"` : '') +
+                    (hiddenColumns.has(col) ? ' hidden="1"' : '') + '/>';
+            }).join('') + '</cols>'
+            : '';
+
+        const merges = sheet.merges || [];
+        const mergeXml = merges.length > 0
+            ? `<mergeCells count="${merges.length}">` + merges.map(range =>
+                `<mergeCell ref="${FormulaEngine.columnName(range.minCol)}${range.minRow + 1}:` +
+                `${FormulaEngine.columnName(range.maxCol)}${range.maxRow + 1}"/>`
+            ).join('') + '</mergeCells>'
+            : '';
+
+        return `<worksheet xmlns="${XlsxFormat.MAIN_NS}" xmlns:r="${XlsxFormat.RELATIONSHIP_NS}">` +
+            viewXml + formatXml + colsXml +
+            `<sheetData>${sheetData}</sheetData>` +
+            mergeXml +
+            '</worksheet>';
+    }
+
+    // ---------- 工具方法 ----------
+
+    /**
+     * 解析单元格地址（如 B3）
+     */
+    static parseAddress(address) {
+        const match = /^\$?([A-Za-z]+)\$?(\d+)$/.exec(address);
+        return { row: Number(match[2]) - 1, col: FormulaEngine.columnIndex(match[1]) };
+    }
+
+    /**
+     * 列宽：Excel字符数与像素互换（按默认字体最大数字宽度7像素计算）
+     */
+    static columnWidthToPixels(width) {
+        return Math.round(width * 7 + 5);
+    }
+
+    static pixelsToColumnWidth(pixels) {
+        return XlsxFormat.round(Math.max(0, pixels - 5) / 7);
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * 工作表名称：去掉 Excel 不允许的字符，限制31个字符，并避免重名
+     */
+    static sanitizeSheetName(name, usedNames) {
+        let base = String(name).replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Sheet';
+        let result = base;
+        let suffix = 2;
+        while (usedNames.has(result.toLowerCase())) {
+            result = base.slice(0, 31 - String(suffix).length - 2) + ` (${suffix++})`;
+        }
+        return result;
+    }
+
+    /**
+     * 较新版本 Excel 引入的函数在文件中带 _xlfn. 前缀（如 _xlfn.CONCAT）
+     * toFile 为 true 时为 FUTURE_FUNCTIONS 中的函数加上前缀，否则去掉前缀；无法解析的公式原样返回
+     */
+    static renameFunctions(text, toFile) {
+        let tokens;
+        try {
+            tokens = FormulaParser.tokenize(text);
+        } catch (error) {
+            return text;
+        }
+
+        let result = '';
+        let lastEnd = 0;
+        tokens.forEach(token => {
+            if (token.type !== 'function') return;
+            let replacement;
+            if (toFile && XlsxFormat.FUTURE_FUNCTIONS.includes(token.value)) {
+                replacement = XlsxFormat.FUNCTION_PREFIX + text.slice(token.start, token.end);
+            } else if (!toFile && token.value.startsWith(XlsxFormat.FUNCTION_PREFIX.toUpperCase())) {
+                replacement = text.slice(token.start + XlsxFormat.FUNCTION_PREFIX.length, token.end);
+            } else {
+                return;
+            }
+            result += text.slice(lastEnd, token.start) + replacement;
+            lastEnd = token.end;
+        });
+        return result + text.slice(lastEnd);
+    }
+
+    static escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // XML 不允许的控制字符
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+XlsxFormat.MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+XlsxFormat.RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+XlsxFormat.MAX_COLUMNS = 16384;
+
+// OOXML 允许的单元格错误值
+XlsxFormat.ERROR_CODES = [
+    FormulaError.DIV_ZERO, FormulaError.VALUE, FormulaError.NAME,
+    FormulaError.REF, FormulaError.NUM, FormulaError.NA, '#NULL!'
+];
+
+// 需要带 _xlfn. 前缀写入的函数
+XlsxFormat.FUNCTION_PREFIX = '_xlfn.';
+XlsxFormat.FUTURE_FUNCTIONS = ['CONCAT'];
+
+// 内置数字格式（日期按中文区域使用 yyyy-mm-dd）
+XlsxFormat.BUILTIN_NUMBER_FORMATS = {
+    1: '0',
+    2: '0.00',
+    3: '#,##0',
+    4: '#,##0.00',
+    9: '0%',
+    10: '0.00%',
+    11: '0.00E+00',
+    14: 'yyyy-mm-dd',
+    15: 'd-mmm-yy',
+    16: 'd-mmm',
+    17: 'mmm-yy',
+    18: 'h:mm AM/PM',
+    19: 'h:mm:ss AM/PM',
+    20: 'h:mm',
+    21: 'h:mm:ss',
+    22: 'yyyy-mm-dd h:mm',
+    49: '@'
+};
+
+/**
+ * 导出时收集样式，生成 styles.xml
+ * 字体、填充、边框、数字格式分别去重，每种组合对应一个 cellXfs 条目
+ */
+class XlsxStyleSheet {
+    constructor() {
+        this.fonts = ['<font><sz val="11"/><name val="Calibri"/></font>'];
+        this.fills = [
+            '<fill><patternFill patternType="none"/></fill>',
+            '<fill><patternFill patternType="gray125"/></fill>'
+        ];
+        this.borders = ['<border><left/><right/><top/><bottom/><diagonal/></border>'];
+        this.numberFormats = []; // 自定义数字格式 { id, code }
+        this.cellFormats = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'];
+        this.cellFormatIndexes = new Map();
+    }
+
+    /**
+     * 获取样式对应的 cellXfs 索引（新样式会被登记）
+     */
+    indexOf(style) {
+        const key = JSON.stringify(style);
+        if (this.cellFormatIndexes.has(key)) {
+            return this.cellFormatIndexes.get(key);
+        }
+
+        const escape = XlsxFormat.escapeXml;
+        const color = (hex) => 'FF' + hex.replace('#', '').toUpperCase();
+        const register = (list, xml) => {
+            const index = list.indexOf(xml);
+            if (index >= 0) return index;
+            list.push(xml);
+            return list.length - 1;
+        };
+
+        const fontXml = '<font>' +
+            (style.bold ? '<b/>' : '') +
+            (style.italic ? '<i/>' : '') +
+            (style.strikethrough ? '<strike/>' : '') +
+            (style.underline ? '<u/>' : '') +
+            `<sz val="${style.fontSize || 11}"/>` +
+            (style.fontColor ? `<color rgb="${color(style.fontColor)}"/>` : '') +
+            '<name val="Calibri"/></font>';
+        const fontId = register(this.fonts, fontXml);
+
+        const fillId = style.fillColor
+            ? register(this.fills, `<fill><patternFill patternType="solid"><fgColor rgb="${color(style.fillColor)}"/><bgColor indexed="64"/></patternFill></fill>`)
+            : 0;
+
+        const sides = style.borders || {};
+        const side = (name) => sides[name] ? `<${name} style="thin"><color auto="1"/></${name}>` : `<${name}/>`;
+        const borderId = register(this.borders,
+            '<border>' + side('left') + side('right') + side('top') + side('bottom') + '<diagonal/></border>');
+
+        let numberFormatId = 0;
+        if (style.numberFormat) {
+            const builtin = Object.entries(XlsxFormat.BUILTIN_NUMBER_FORMATS).find(([, code]) => code === style.numberFormat);
+            if (builtin) {
+                numberFormatId = Number(builtin[0]);
+            } else {
+                let custom = this.numberFormats.find(format => format.code === style.numberFormat);
+                if (!custom) {
+                    custom = { id: 164 + this.numberFormats.length, code: style.numberFormat };
+                    this.numberFormats.push(custom);
+                }
+                numberFormatId = custom.id;
+            }
+        }
+
+        let alignmentXml = '';
+        if (style.horizontalAlign || style.verticalAlign || style.wrapText) {
+            alignmentXml = '<alignment' +
+                (style.horizontalAlign ? ` horizontal="${escape(style.horizontalAlign)}"` : '') +
+                (style.verticalAlign ? ` vertical="${style.verticalAlign === 'middle' ? 'center' : escape(style.verticalAlign)}"` : '') +
+                (style.wrapText ? ' wrapText="1"' : '') +
+                '/>';
+        }
+
+        const xfXml = `<xf numFmtId="${numberFormatId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"` +
+            ' applyNumberFormat="1" applyFont="1" applyFill="1" applyBorder="1"' +
+            (alignmentXml ? ` applyAlignment="1">${alignmentXml}</xf>` : '/>');
+        const index = register(this.cellFormats, xfXml);
+        this.cellFormatIndexes.set(key, index);
+        return index;
+    }
+
+    toXml() {
+        const list = (name, items) => `<${name} count="${items.length}">${items.join('')}</${name}>`;
+        const numberFormats = this.numberFormats.length > 0
+            ? list('numFmts', this.numberFormats.map(format =>
+                `<numFmt numFmtId="${format.id}" formatCode="${XlsxFormat.escapeXml(format.code)}"/>`))
+            : '';
+
+        return `<styleSheet xmlns="${XlsxFormat.MAIN_NS}">` +
+            numberFormats +
+            list('fonts', this.fonts) +
+            list('fills', this.fills) +
+            list('borders', this.borders) +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            list('cellXfs', this.cellFormats) +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * ZIP 读写（用于 XLSX 等 OOXML 文件）
+ * 压缩和解压使用浏览器内置的 CompressionStream / DecompressionStream（deflate-raw）
+ */
+class ZipArchive {
+    /**
+     * CRC32 查找表
+     */
+    static getCrcTable() {
+        if (!ZipArchive.crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            ZipArchive.crcTable = table;
+        }
+        return ZipArchive.crcTable;
+    }
+
+    static crc32(bytes) {
+        const table = ZipArchive.getCrcTable();
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 通过流式压缩接口处理数据
+     */
+    static async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * 读取ZIP文件，返回 Map<文件名, Uint8Array>
+     */
+    static async read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // 从文件末尾查找中央目录结束记录（其后最多有 65535 字节注释）
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('不是有效的ZIP文件');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const decoder = new TextDecoder();
+        const files = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('ZIP中央目录已损坏');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // 目录
+
+            // 本地文件头中的扩展字段长度可能与中央目录不同，需重新读取
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                files.set(name, data);
+            } else if (method === 8) {
+                files.set(name, await ZipArchive.transform(data, new DecompressionStream('deflate-raw')));
+            } else {
+                throw new Error(`不支持的压缩方式: ${method}`);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * 生成ZIP文件
+     * files: [{ name, data }]，data 为字符串或 Uint8Array；浏览器不支持压缩时以存储方式写入
+     */
+    static async write(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = ZipArchive.crc32(data);
+
+            let method = 0;
+            let stored = data;
+            if (typeof CompressionStream !== 'undefined') {
+                try {
+                    stored = await ZipArchive.transform(data, new CompressionStream('deflate-raw'));
+                    method = 8;
+                } catch (error) {
+                    stored = data;
+                }
+            }
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true); // 解压所需版本
+            header.setUint16(6, 0x0800, true); // 文件名使用UTF-8
+            header.setUint16(8, method, true);
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, stored.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, method, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, stored.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            chunks.push(new Uint8Array(header.buffer), name, stored);
+            centralDirectory.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + stored.length;
+        }
+
+        const centralSize = centralDirectory.reduce((total, chunk) => total + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+}
+
+ZipArchive.crcTable = null;